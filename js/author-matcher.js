@@ -0,0 +1,152 @@
+/**
+ * GrowthVault - Author Matcher
+ * Name normalization and fuzzy matching for spotting duplicate authors
+ */
+
+import { CONFIG } from './config.js';
+
+export class AuthorMatcher {
+    /**
+     * Comparison key: case, accents, punctuation and spacing removed,
+     * so "Seneca ", "seneca" and "Sénèca" share a key
+     * @param {string} name
+     * @returns {string}
+     */
+    static key(name) {
+        return String(name || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Edit distance, giving up once it exceeds `max`
+     * @param {string} a
+     * @param {string} b
+     * @param {number} max
+     * @returns {number} Distance, or max + 1 if larger
+     */
+    static levenshtein(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * How likely two names are the same author
+     * @param {string} a
+     * @param {string} b
+     * @returns {Object} {score: 0..1, reason: 'same'|'contains'|'similar'|null}
+     */
+    static compare(a, b) {
+        return this.compareKeys(this.key(a), this.key(b));
+    }
+
+    /**
+     * compare() on precomputed keys
+     * @param {string} keyA
+     * @param {string} keyB
+     * @returns {Object} {score, reason}
+     */
+    static compareKeys(keyA, keyB) {
+        if (!keyA || !keyB) return { score: 0, reason: null };
+        if (keyA === keyB) return { score: 1, reason: 'same' };
+
+        // "Seneca" vs "Seneca the Younger": every word of one name in the other
+        const [shorter, longer] = keyA.length <= keyB.length ? [keyA, keyB] : [keyB, keyA];
+        const longerWords = new Set(longer.split(' '));
+        const shorterWords = shorter.split(' ');
+        if (shorter.length >= 4 && shorterWords.every(word => longerWords.has(word))) {
+            return { score: 0.9, reason: 'contains' };
+        }
+
+        // Typos: "Senaca" vs "Seneca"
+        const threshold = CONFIG.AUTHOR_SIMILARITY_THRESHOLD;
+        if (shorter.length >= 4) {
+            const maxDistance = Math.floor(longer.length * (1 - threshold));
+            const distance = this.levenshtein(keyA, keyB, maxDistance);
+            if (distance <= maxDistance) {
+                return { score: 1 - distance / longer.length, reason: 'similar' };
+            }
+        }
+
+        return { score: 0, reason: null };
+    }
+
+    /**
+     * Existing authors that look like the given name (best first).
+     * An exact match is not a suggestion and is left out.
+     * @param {string} name
+     * @param {Array<string>} authors
+     * @param {number} limit
+     * @returns {Array<Object>} [{author, score, reason}]
+     */
+    static findSimilar(name, authors, limit = 3) {
+        const key = this.key(name);
+        return authors
+            .filter(author => author !== name)
+            .map(author => ({ author, ...this.compareKeys(key, this.key(author)) }))
+            .filter(match => match.reason)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Group authors that are likely duplicates of each other
+     * @param {Array<string>} authors
+     * @param {Set<string>} dismissed - pairKey()s the user marked as different people
+     * @returns {Array<Array<string>>} Groups of two or more names
+     */
+    static findDuplicateGroups(authors, dismissed = new Set()) {
+        const keys = authors.map(author => this.key(author));
+
+        // Union-find over matching pairs
+        const parent = authors.map((_, i) => i);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+        for (let i = 0; i < authors.length; i++) {
+            for (let j = i + 1; j < authors.length; j++) {
+                if (!this.compareKeys(keys[i], keys[j]).reason) continue;
+                if (dismissed.has(this.pairKey(authors[i], authors[j]))) continue;
+                parent[find(j)] = find(i);
+            }
+        }
+
+        const groups = new Map();
+        authors.forEach((author, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(author);
+        });
+        return Array.from(groups.values()).filter(group => group.length > 1);
+    }
+
+    /**
+     * Order-independent key for a pair of names
+     * @param {string} a
+     * @param {string} b
+     * @returns {string}
+     */
+    static pairKey(a, b) {
+        return [a, b].sort().join('\u0000');
+    }
+}
+
+export default AuthorMatcher;
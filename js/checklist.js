@@ -0,0 +1,62 @@
+/**
+ * GrowthVault - Checklists
+ * Helpers for checklist items. A checklist item has type: 'checklist' and
+ * stores its actions as item.checklist = [{id, text, done}] in display
+ * order; item.text stays available for notes.
+ */
+
+import { Validators } from './validators.js';
+
+// "- ", "* ", "• ", "1. " and "[ ] " / "[x] " prefixes typed or pasted in front of a line
+const BULLET_PATTERN = /^(?:[-*•]\s+|\d+[.)]\s+)?(?:\[( |x|X)\]\s*)?/;
+
+export class Checklist {
+    /**
+     * @param {Object} item
+     * @returns {boolean}
+     */
+    static isChecklist(item) {
+        return item?.type === 'checklist';
+    }
+
+    /**
+     * @param {Object} item
+     * @returns {Object} {done, total}
+     */
+    static getProgress(item) {
+        const entries = item?.checklist || [];
+        return { done: entries.filter(entry => entry.done).length, total: entries.length };
+    }
+
+    /**
+     * Split rich text into checklist lines: one per paragraph, list item or
+     * line break. Bullets are dropped and "[x]" marks a line as done.
+     * @param {string} html - Sanitized rich text
+     * @returns {Array<Object>} [{text, done}]
+     */
+    static parseEntries(html) {
+        const lined = String(html || '').replace(/<\/(p|div|li|h[1-6]|blockquote|pre)>|<br\s*\/?>/gi, '$&\n');
+        return Validators.extractTextFromHtml(lined)
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .map(line => {
+                const marker = line.match(BULLET_PATTERN);
+                return { text: line.slice(marker[0].length).trim(), done: /x/i.test(marker[1] || '') };
+            })
+            .filter(entry => entry.text);
+    }
+
+    /**
+     * Checklist as a bulleted list, for turning it back into text
+     * @param {Array} entries
+     * @returns {string} HTML
+     */
+    static toHtml(entries) {
+        if (!entries?.length) return '';
+        return `<ul>${entries.map(entry =>
+            `<li>${entry.done ? '[x] ' : ''}${Validators.escapeHtml(entry.text)}</li>`
+        ).join('')}</ul>`;
+    }
+}
+
+export default Checklist;
@@ -0,0 +1,246 @@
+/**
+ * GrowthVault - Citations
+ * Formats item sources as APA, MLA and BibTeX references. An item's source
+ * is stored as item.source = {work?, location?, url?, year?, medium?}.
+ */
+
+import { CONFIG } from './config.js';
+
+// Descriptions APA puts in brackets after the title
+const APA_DESCRIPTORS = {
+    talk: 'Speech',
+    podcast: 'Audio podcast episode',
+    video: 'Video'
+};
+
+// Media MLA treats as parts of a larger whole, so their titles get quotes
+const MLA_QUOTED_MEDIA = new Set(['article', 'talk', 'podcast', 'video', 'website']);
+
+const BIBTEX_TYPES = {
+    book: 'book',
+    article: 'article'
+};
+
+export class Citations {
+    /**
+     * Whether an item has enough of a source to cite
+     * @param {Object} item
+     * @returns {boolean}
+     */
+    static hasSource(item) {
+        return Boolean(item?.source?.work || item?.source?.url);
+    }
+
+    /**
+     * One-line description of a source for display, e.g.
+     * "The Obstacle Is the Way · p. 12 · 2014 · Book"
+     * @param {Object} source
+     * @returns {string}
+     */
+    static describe(source) {
+        if (!source) return '';
+        return [
+            source.work,
+            source.location ? this.formatLocation(source.location) : '',
+            source.year,
+            CONFIG.SOURCE_MEDIUMS[source.medium] || ''
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * "12" → "p. 12", "12-14" → "pp. 12–14"; anything else (a timestamp,
+     * "ch. 3") is kept as typed
+     * @param {string} location
+     * @returns {string}
+     */
+    static formatLocation(location) {
+        const value = String(location || '').trim();
+        const range = value.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+        if (range) return `pp. ${range[1]}–${range[2]}`;
+        return /^\d+$/.test(value) ? `p. ${value}` : value;
+    }
+
+    /**
+     * Group items into bibliography entries: quotes from the same work are
+     * one reference. Items without a source are left out.
+     * @param {Array} items
+     * @returns {Array} [{author, work, year, url, medium, location}]
+     */
+    static collectEntries(items) {
+        const entries = new Map();
+
+        items.filter(item => this.hasSource(item)).forEach(item => {
+            const source = item.source;
+            const work = source.work || item.title || 'Untitled';
+            const key = [item.author, work.toLowerCase(), source.year || '', source.url || ''].join('\u0000');
+            const entry = entries.get(key) || {
+                author: item.author,
+                work,
+                year: source.year || '',
+                url: source.url || '',
+                medium: source.medium || '',
+                locations: new Set()
+            };
+            if (source.location) entry.locations.add(source.location);
+            entries.set(key, entry);
+        });
+
+        // A page only belongs in the reference when every quote shares it
+        return [...entries.values()]
+            .map(({ locations, ...entry }) => ({
+                ...entry,
+                location: locations.size === 1 ? [...locations][0] : ''
+            }))
+            .sort((a, b) =>
+                this.sortName(a.author).localeCompare(this.sortName(b.author)) ||
+                a.year.localeCompare(b.year) ||
+                a.work.localeCompare(b.work)
+            );
+    }
+
+    /**
+     * Format a bibliography
+     * @param {Array} items
+     * @param {string} style - Key of CONFIG.BIBLIOGRAPHY_FORMATS
+     * @returns {Object} {text, count}
+     */
+    static formatBibliography(items, style) {
+        const entries = this.collectEntries(items);
+        let text;
+        if (style === 'bibtex') {
+            const keys = new Set();
+            text = entries.map(entry => this.formatBibtex(entry, keys)).join('\n\n');
+        } else {
+            const format = style === 'mla' ? this.formatMla : this.formatApa;
+            text = entries.map(entry => format.call(this, entry)).join('\n\n');
+        }
+        return { text, count: entries.length };
+    }
+
+    /**
+     * APA 7: Holiday, R. (2014). The obstacle is the way. https://…
+     * @param {Object} entry
+     * @returns {string}
+     */
+    static formatApa(entry) {
+        const { surname, given } = this.splitName(entry.author);
+        const initials = given.split(/\s+/).filter(Boolean).map(name => `${name[0]}.`).join(' ');
+        const author = initials ? `${surname}, ${initials}` : surname;
+        const descriptor = APA_DESCRIPTORS[entry.medium] ? ` [${APA_DESCRIPTORS[entry.medium]}]` : '';
+
+        return [
+            `${this.endSentence(author)} (${entry.year || 'n.d.'}).`,
+            `${entry.work}${descriptor}.`.replace(/([.?!])\.$/, '$1'),
+            entry.url
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * MLA 9: Holiday, Ryan. The Obstacle Is the Way. 2014, p. 12.
+     * @param {Object} entry
+     * @returns {string}
+     */
+    static formatMla(entry) {
+        const { surname, given } = this.splitName(entry.author);
+        const author = given ? `${surname}, ${given}` : surname;
+        const title = MLA_QUOTED_MEDIA.has(entry.medium)
+            ? `“${this.endSentence(entry.work)}”`
+            : this.endSentence(entry.work);
+        const details = [
+            entry.year,
+            entry.url ? entry.url.replace(/^https?:\/\//, '') : '',
+            entry.location ? this.formatLocation(entry.location) : ''
+        ].filter(Boolean).join(', ');
+
+        return [this.endSentence(author), title, details ? `${details}.` : '']
+            .filter(Boolean).join(' ');
+    }
+
+    /**
+     * BibTeX entry. Keys are surname + year + first word of the title, with
+     * a letter added when two entries would share one.
+     * @param {Object} entry
+     * @param {Set<string>} usedKeys - Keys taken so far in this bibliography
+     * @returns {string}
+     */
+    static formatBibtex(entry, usedKeys = new Set()) {
+        const type = BIBTEX_TYPES[entry.medium] || 'misc';
+        const { surname } = this.splitName(entry.author);
+        const word = entry.work.split(/\s+/).find(w => w.length > 3 && !/^(the|and|with|from)$/i.test(w)) || entry.work;
+        const base = [surname, entry.year, word]
+            .map(part => this.asciiFold(part).toLowerCase().replace(/[^a-z0-9]/g, ''))
+            .join('') || 'ref';
+
+        let key = base;
+        for (let i = 0; usedKeys.has(key); i++) {
+            key = `${base}${String.fromCharCode(97 + (i % 26))}${i >= 26 ? Math.floor(i / 26) : ''}`;
+        }
+        usedKeys.add(key);
+
+        const fields = [
+            ['author', entry.author],
+            ['title', entry.work],
+            ['year', entry.year],
+            ['howpublished', type === 'misc' ? CONFIG.SOURCE_MEDIUMS[entry.medium] || '' : ''],
+            ['pages', /^\d+(\s*[-–]\s*\d+)?$/.test(entry.location) ? entry.location.replace(/\s*[-–]\s*/, '--') : ''],
+            ['note', entry.location && !/^\d+(\s*[-–]\s*\d+)?$/.test(entry.location) ? entry.location : ''],
+            ['url', entry.url]
+        ].filter(([, value]) => value);
+
+        const body = fields
+            .map(([name, value]) => `  ${name} = {${name === 'url' ? value : this.escapeBibtex(value)}}`)
+            .join(',\n');
+        return `@${type}{${key},\n${body}\n}`;
+    }
+
+    /**
+     * Split a display name into surname and given names. A single name
+     * ("Seneca") is all surname.
+     * @param {string} name
+     * @returns {Object} {surname, given}
+     */
+    static splitName(name) {
+        const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+        if (parts.length < 2) return { surname: parts[0] || 'Anonymous', given: '' };
+        return { surname: parts.pop(), given: parts.join(' ') };
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string} "Surname Given" for sorting
+     */
+    static sortName(name) {
+        const { surname, given } = this.splitName(name);
+        return `${surname} ${given}`.toLowerCase();
+    }
+
+    /**
+     * Add a full stop unless the text already ends a sentence
+     * @param {string} text
+     * @returns {string}
+     */
+    static endSentence(text) {
+        return /[.?!]$/.test(text) ? text : `${text}.`;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {string} Text with accents removed
+     */
+    static asciiFold(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Escape characters BibTeX treats specially
+     * @param {string} text
+     * @returns {string}
+     */
+    static escapeBibtex(text) {
+        return String(text).replace(/[\\{}&%$#_]/g, char =>
+            char === '\\' ? '\\textbackslash{}' : `\\${char}`
+        );
+    }
+}
+
+export default Citations;
@@ -6,6 +6,8 @@
 export const CONFIG = {
     // Storage
     STORAGE_KEY: 'visualListBuilder_data',
+    RESURFACING_KEY: 'growthvault_resurfacing', // Per-device view history for the daily panel
+    DUPLICATE_SCAN_KEY: 'growthvault_duplicate_scan', // Per-device flag: one-time duplicate-author scan has run
     
     // Firebase Configuration
     FIREBASE_CONFIG: {
@@ -22,13 +24,91 @@ export const CONFIG = {
     // File Upload Limits
     MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
     SUPPORTED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-    ALLOWED_HTML_TAGS: ['P', 'BR', 'STRONG', 'EM', 'B', 'I', 'U', 'UL', 'OL', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'CODE', 'FONT'],
+    // A is kept only with a checked http(s)/mailto href or an item id (Validators.sanitizeLinkElement)
+    ALLOWED_HTML_TAGS: ['P', 'BR', 'STRONG', 'EM', 'B', 'I', 'U', 'UL', 'OL', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'CODE', 'FONT', 'A'],
     ALLOWED_HTML_ATTRIBUTES: ['size'],
     
     // UI Settings
     DEBOUNCE_DELAY: 500,
     TOAST_DURATION: 3000,
-    MAX_UNDO_HISTORY: 20,
+    MAX_UNDO_HISTORY: 50, // Commands kept for undo/redo (per session)
+    TRASH_RETENTION_DAYS: 30, // Default days before trashed entries are purged
+    TRASH_RETENTION_OPTIONS: [7, 14, 30, 60, 90],
+    MAX_ITEM_REVISIONS: 20, // Previous versions kept per item (synced with the item)
+    MAX_TAG_LENGTH: 40,
+    SEARCH_MAX_RESULTS: 50,
+    SEARCH_SNIPPET_LENGTH: 160, // Characters of context shown per search result
+    SEARCH_DEBOUNCE_DELAY: 120,
+    TAG_COLORS: ['#2563EB', '#059669', '#D97706', '#DC2626', '#7C3AED', '#DB2777', '#0891B2', '#65A30D'],
+    ITEM_SORT_MODES: { // Author popup sort options (value -> label); 'manual' is the drag order
+        manual: 'Manual order',
+        newest: 'Newest first',
+        oldest: 'Oldest first',
+        title: 'Title A–Z',
+        longest: 'Longest first',
+        shortest: 'Shortest first',
+        image: 'Images first',
+        rating: 'Most important first'
+    },
+    AUTHOR_SORT_MODES: { // Main list sort options; 'manual' is the drag order
+        manual: 'Manual order',
+        alphabetical: 'Name A–Z',
+        count: 'Most items',
+        updated: 'Recently updated',
+        added: 'Recently added'
+    },
+    AUTHOR_GROUP_MODES: {
+        none: 'No grouping',
+        letter: 'By letter',
+        section: 'By section'
+    },
+    LIST_VIEW_MODES: { // What the main list shows
+        authors: 'Authors',
+        collections: 'Collections'
+    },
+    MAX_SECTION_NAME_LENGTH: 60,
+    MAX_COLLECTION_NAME_LENGTH: 60,
+    MAX_FOLDER_DESCRIPTION_LENGTH: 200,
+    MAX_FOLDER_ICON_LENGTH: 4, // Code points, enough for one emoji with a modifier
+    SOURCE_MEDIUMS: { // Item source types (value -> label)
+        book: 'Book',
+        article: 'Article',
+        talk: 'Talk',
+        podcast: 'Podcast',
+        video: 'Video',
+        website: 'Website',
+        other: 'Other'
+    },
+    BIBLIOGRAPHY_FORMATS: {
+        apa: 'APA',
+        mla: 'MLA',
+        bibtex: 'BibTeX'
+    },
+    MAX_SOURCE_FIELD_LENGTH: 200,
+    MAX_REFLECTION_LENGTH: 10000,
+    MAX_CHECKLIST_ENTRY_LENGTH: 500,
+    MAX_CHECKLIST_ENTRIES: 200,
+    ITEM_STATUSES: { // Reading workflow (value -> label), in order; items without a status are in the inbox
+        inbox: 'Inbox',
+        'to-process': 'To process',
+        reviewed: 'Reviewed',
+        applied: 'Applied'
+    },
+    UNPROCESSED_STATUSES: ['inbox', 'to-process'],
+    MAX_ITEM_RATING: 5, // Importance, 1 to this
+    REVIEW_GRADES: { // Spaced-repetition answers (value -> label), worst to best
+        again: 'Again',
+        hard: 'Hard',
+        good: 'Good',
+        easy: 'Easy'
+    },
+    REVIEW_NEW_PER_DAY: 20, // Never-reviewed items introduced per day
+    RESURFACE_RECENCY_DAYS: 30, // Items unseen this long are as likely to resurface as never-seen ones
+    RESURFACE_ON_THIS_DAY_LIMIT: 5,
+    MAX_AUTHOR_BIO_LENGTH: 280,
+    MAX_AUTHOR_LINKS: 5,
+    AVATAR_MAX_DIMENSION: 256, // Avatars are downscaled to this many pixels per side
+    AUTHOR_SIMILARITY_THRESHOLD: 0.8, // Minimum 0..1 name similarity for a typo to count as the same author
     
     // Selectors
     SELECTORS: {
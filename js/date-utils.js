@@ -0,0 +1,146 @@
+/**
+ * GrowthVault - Date Utilities
+ * ISO timestamps, legacy date migration and locale-aware display
+ */
+
+// Item IDs are derived from Date.now(); anything outside this window is
+// not a usable creation time (e.g. sequential IDs from old exports).
+const EARLIEST_PLAUSIBLE = Date.UTC(2015, 0, 1);
+
+export class DateUtils {
+    /**
+     * Current time as an ISO string
+     * @returns {string}
+     */
+    static now() {
+        return new Date().toISOString();
+    }
+
+    /**
+     * A local calendar day as "YYYY-MM-DD" (sorts and compares as a string)
+     * @param {Date} date - Defaults to now
+     * @returns {string}
+     */
+    static today(date = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Day key a number of days after another
+     * @param {string} day - "YYYY-MM-DD"
+     * @param {number} days
+     * @returns {string}
+     */
+    static addDays(day, days) {
+        const [year, month, date] = day.split('-').map(Number);
+        // Noon, so a daylight-saving shift can't land on the wrong day
+        return this.today(new Date(year, month - 1, date + days, 12));
+    }
+
+    /**
+     * Whole days from one day key to another (negative if `to` is earlier)
+     * @param {string} from - "YYYY-MM-DD"
+     * @param {string} to - "YYYY-MM-DD"
+     * @returns {number}
+     */
+    static daysBetween(from, to) {
+        // Day keys parse as UTC midnight, so there's no daylight-saving drift
+        return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Recover the creation time encoded in an item ID.
+     * IDs are `Date.now() * 1000 + random` (older ones plain `Date.now()`).
+     * @param {number} id
+     * @returns {number|null} Milliseconds since epoch, or null
+     */
+    static timestampFromId(id) {
+        const value = Number(id);
+        if (!Number.isFinite(value) || value <= 0) return null;
+
+        const latest = Date.now() + 24 * 60 * 60 * 1000;
+        const candidates = [Math.floor(value / 1000), value];
+        return candidates.find(ms => ms >= EARLIEST_PLAUSIBLE && ms <= latest) ?? null;
+    }
+
+    /**
+     * Best-effort parse of a legacy locale-formatted `date` string, e.g.
+     * "3/14/2024 09:05 PM", "14.03.2024 21:05" or "2024/3/14 21:05".
+     * Day/month order is ambiguous across locales, so every plausible
+     * reading is tried; with a hint (e.g. the ID timestamp) the closest
+     * reading wins, otherwise the browser's own parse or the first reading.
+     * @param {string} value - Legacy date string
+     * @param {number|null} hint - Approximate time in ms, if known
+     * @returns {number|null} Milliseconds since epoch, or null
+     */
+    static parseLegacyDate(value, hint = null) {
+        if (!value || typeof value !== 'string') return null;
+
+        const text = value.trim();
+        const numbers = (text.match(/\d+/g) || []).map(Number);
+        if (numbers.length < 3) {
+            const native = Date.parse(text);
+            return Number.isNaN(native) ? null : native;
+        }
+
+        // Time of day: the numbers after the date part, with AM/PM if present
+        let [hours = 0, minutes = 0, seconds = 0] = numbers.slice(3);
+        if (/\bp\.?\s?m\.?/i.test(text) && hours < 12) hours += 12;
+        if (/\ba\.?\s?m\.?/i.test(text) && hours === 12) hours = 0;
+
+        const [a, b, c] = numbers;
+        const orders = a > 31
+            ? [[a, b, c]]                  // year/month/day
+            : [[c, a, b], [c, b, a]];      // month/day/year, day/month/year
+
+        const candidates = orders
+            .map(([year, month, day]) => {
+                const fullYear = year < 100 ? 2000 + year : year;
+                if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+                const date = new Date(fullYear, month - 1, day, hours, minutes, seconds);
+                // Reject rollovers such as 31 February
+                return date.getDate() === day ? date.getTime() : null;
+            })
+            .filter(ms => ms !== null);
+
+        if (candidates.length === 0) {
+            const native = Date.parse(text);
+            return Number.isNaN(native) ? null : native;
+        }
+
+        if (hint !== null) {
+            return candidates.reduce((best, ms) =>
+                Math.abs(ms - hint) < Math.abs(best - hint) ? ms : best
+            );
+        }
+
+        const native = Date.parse(text);
+        if (!Number.isNaN(native) && candidates.includes(native)) return native;
+        return candidates[0];
+    }
+
+    /**
+     * Format an ISO timestamp in the viewer's locale
+     * @param {string} iso
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string}
+     */
+    static format(iso, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        const date = new Date(iso);
+        if (!iso || Number.isNaN(date.getTime())) return '';
+        return date.toLocaleString(undefined, options);
+    }
+
+    /**
+     * Display string for an item's creation date (falls back to the
+     * legacy string for items that haven't been migrated)
+     * @param {Object} item
+     * @returns {string}
+     */
+    static formatItemDate(item) {
+        return this.format(item?.createdAt) || item?.date || '';
+    }
+}
+
+export default DateUtils;
@@ -3,6 +3,7 @@
  * Central event delegation and handling
  */
 
+import { CONFIG } from './config.js';
 import { Validators } from './validators.js';
 
 export class EventHandlers {
@@ -11,6 +12,8 @@ export class EventHandlers {
         this.uiManager = managers.uiManager;
         this.modalManager = managers.modalManager;
         this.firebaseManager = managers.firebaseManager;
+        this.searchManager = managers.searchManager;
+        this.resurfacingManager = managers.resurfacingManager;
         
         console.log('🎯 EventHandlers initialized');
     }
@@ -23,6 +26,7 @@ export class EventHandlers {
         this.setupClickDelegation();
         this.setupChangeHandlers();
         this.setupModalHandlers();
+        this.setupSearchHandlers();
         this.setupKeyboardShortcuts();
         
         console.log('✅ Event handlers registered');
@@ -47,6 +51,31 @@ export class EventHandlers {
      */
     setupClickDelegation() {
         document.addEventListener('click', (e) => {
+            // In selection mode a click on a popup item selects it instead
+            const popupItem = this.modalManager.isSelectingItems
+                ? e.target.closest('#authorPopupItems .popup-list-item')
+                : null;
+            if (popupItem) {
+                // Let a checkbox toggle natively; elsewhere suppress the
+                // item's own action (open, edit title, zoom)
+                if (!e.target.classList.contains('popup-select-checkbox')) e.preventDefault();
+                this.modalManager.toggleItemSelection(parseInt(popupItem.dataset.id), e.shiftKey);
+                return;
+            }
+
+            // Web links in item text open in a new tab instead of running the
+            // surrounding action; while editing, Ctrl/Cmd-click follows them
+            const hyperlink = e.target.closest('a[href]');
+            if (hyperlink) {
+                if (hyperlink.isContentEditable || hyperlink.closest('[contenteditable="true"]')) {
+                    if (e.ctrlKey || e.metaKey) {
+                        e.preventDefault();
+                        window.open(hyperlink.href, '_blank', 'noopener,noreferrer');
+                    }
+                }
+                return;
+            }
+
             const target = e.target.closest('[data-action]');
             if (!target) return;
 
@@ -77,6 +106,18 @@ export class EventHandlers {
                     this.handleClearAllData();
                     break;
                     
+                case 'toggle-item-history':
+                    this.modalManager.toggleRevisionPanel();
+                    break;
+
+                case 'select-revision':
+                    this.modalManager.selectRevision(parseInt(target.dataset.revisionId));
+                    break;
+
+                case 'restore-revision':
+                    this.handleRestoreRevision(parseInt(target.dataset.revisionId));
+                    break;
+                    
                 case 'delete-modal-item':
                     this.handleDeleteCurrentModalItem();
                     break;
@@ -92,6 +133,10 @@ export class EventHandlers {
                     }
                     break;
                     
+                case 'edit-link':
+                    this.modalManager.editLinkAtSelection();
+                    break;
+
                 case 'increase-font-size':
                     if (typeof changeFontSize === 'function') {
                         changeFontSize(1);
@@ -132,6 +177,11 @@ export class EventHandlers {
                     e.stopPropagation();
                     this.handleDeleteAuthor(target.dataset.author);
                     break;
+
+                case 'toggle-author-pin':
+                    e.stopPropagation();
+                    this.handleToggleAuthorPin(target.dataset.author);
+                    break;
                     
                 case 'open-author-popup':
                     this.handleOpenAuthorPopup(target.dataset.author);
@@ -161,6 +211,11 @@ export class EventHandlers {
                     this.handleOpenItemModal(parseInt(target.dataset.itemId));
                     break;
 
+                case 'open-linked-item':
+                    e.preventDefault();
+                    this.modalManager.openLinkedItem(parseInt(target.dataset.itemId));
+                    break;
+
                 // Folder actions
                 case 'add-to-folder':
                     this.handleAddToFolder();
@@ -191,9 +246,27 @@ export class EventHandlers {
                     this.modalManager.toggleFolder(parseInt(target.dataset.folderId));
                     break;
                     
-                case 'rename-folder':
+                case 'create-subfolder':
+                    e.stopPropagation();
+                    this.handleCreateFolderInPopup(parseInt(target.dataset.folderId));
+                    break;
+
+                case 'edit-folder':
+                    e.stopPropagation();
+                    this.handleEditFolder(parseInt(target.dataset.folderId));
+                    break;
+
+                case 'close-folder-settings':
+                    this.modalManager.closeFolderSettings();
+                    break;
+
+                case 'save-folder-settings':
+                    this.modalManager.saveFolderSettings();
+                    break;
+
+                case 'open-folder-bibliography':
                     e.stopPropagation();
-                    this.handleRenameFolder(parseInt(target.dataset.folderId));
+                    this.modalManager.openBibliography({ folderId: parseInt(target.dataset.folderId) });
                     break;
                     
                 case 'delete-folder':
@@ -208,6 +281,324 @@ export class EventHandlers {
                 case 'add-content-for-author':
                     this.handleAddContentForAuthor(target.dataset.author);
                     break;
+
+                case 'open-search-result':
+                    this.handleOpenSearchResult(parseInt(target.dataset.itemId));
+                    break;
+
+                // Tag actions
+                case 'toggle-tag-filter':
+                    e.stopPropagation();
+                    this.handleToggleTagFilter(parseInt(target.dataset.tagId));
+                    break;
+
+                case 'clear-tag-filter':
+                    this.handleClearTagFilter();
+                    break;
+
+                case 'open-tag-manager':
+                    this.modalManager.openTagManager();
+                    break;
+
+                case 'close-tag-manager':
+                    this.modalManager.closeTagManager();
+                    break;
+
+                case 'delete-tag':
+                    this.handleDeleteTag(parseInt(target.dataset.tagId));
+                    break;
+
+                // Trash actions
+                case 'open-trash':
+                    this.modalManager.openTrashModal();
+                    break;
+
+                case 'close-trash':
+                    this.modalManager.closeTrashModal();
+                    break;
+
+                case 'restore-trash-entry':
+                    this.handleRestoreTrashEntry(parseInt(target.dataset.entryId));
+                    break;
+
+                case 'purge-trash-entry':
+                    this.handlePurgeTrashEntry(parseInt(target.dataset.entryId));
+                    break;
+
+                case 'empty-trash':
+                    this.handleEmptyTrash();
+                    break;
+
+                // Author profile actions
+                case 'edit-author-profile':
+                    this.modalManager.openAuthorProfile(this.modalManager.currentAuthor);
+                    break;
+
+                case 'close-author-profile':
+                    this.modalManager.closeAuthorProfile();
+                    break;
+
+                case 'save-author-profile':
+                    this.modalManager.saveAuthorProfile();
+                    break;
+
+                case 'remove-author-avatar':
+                    this.modalManager.removeProfileAvatar();
+                    break;
+
+                // Review actions
+                case 'open-review':
+                    this.modalManager.openReview();
+                    break;
+
+                case 'open-author-review':
+                    this.modalManager.openReview({ author: this.modalManager.currentAuthor });
+                    break;
+
+                case 'close-review':
+                    this.modalManager.closeReview();
+                    break;
+
+                case 'reveal-review-item':
+                    this.modalManager.revealReviewItem();
+                    break;
+
+                case 'grade-review-item':
+                    this.modalManager.gradeReviewItem(target.dataset.grade);
+                    break;
+
+                // Resurfacing panel actions
+                case 'open-resurfaced-item':
+                    this.modalManager.openContentModal(parseInt(target.dataset.itemId));
+                    break;
+
+                case 'shuffle-resurfacing':
+                    this.handleShuffleResurfacing(false);
+                    break;
+
+                case 'resurface-from-author':
+                    this.handleShuffleResurfacing(true);
+                    break;
+
+                case 'dismiss-resurfacing':
+                    this.resurfacingManager?.dismiss();
+                    this.uiManager.renderResurfacing();
+                    break;
+
+                // Reflection actions
+                case 'add-reflection':
+                    this.modalManager.addReflection();
+                    break;
+
+                case 'edit-reflection':
+                    this.modalManager.startEditingReflection(parseInt(target.dataset.reflectionId));
+                    break;
+
+                case 'save-reflection':
+                    this.modalManager.saveReflectionEdit();
+                    break;
+
+                case 'cancel-reflection-edit':
+                    this.modalManager.cancelReflectionEdit();
+                    break;
+
+                case 'delete-reflection':
+                    this.modalManager.deleteReflection(parseInt(target.dataset.reflectionId));
+                    break;
+
+                // Source and bibliography actions
+                case 'edit-item-source':
+                    this.modalManager.openSourceEditor(parseInt(target.dataset.itemId));
+                    break;
+
+                case 'close-item-source':
+                    this.modalManager.closeSourceEditor();
+                    break;
+
+                case 'save-item-source':
+                    this.modalManager.saveSourceEditor();
+                    break;
+
+                case 'open-author-bibliography':
+                    this.modalManager.openBibliography({ author: this.modalManager.currentAuthor });
+                    break;
+
+                case 'close-bibliography':
+                    this.modalManager.closeBibliography();
+                    break;
+
+                case 'copy-bibliography':
+                    this.modalManager.copyBibliography();
+                    break;
+
+                case 'download-bibliography':
+                    this.modalManager.downloadBibliography();
+                    break;
+
+                // Author merge actions
+                case 'open-merge-authors':
+                    this.modalManager.openMergeAuthors(this.modalManager.currentAuthor);
+                    break;
+
+                case 'close-merge-authors':
+                    this.modalManager.closeMergeAuthors();
+                    break;
+
+                case 'confirm-merge-authors':
+                    this.modalManager.confirmMergeAuthors();
+                    break;
+
+                // Author popup selection actions
+                case 'toggle-popup-selection':
+                    if (this.modalManager.isSelectingItems) {
+                        this.modalManager.exitItemSelection();
+                    } else {
+                        this.modalManager.startItemSelection();
+                    }
+                    break;
+
+                case 'select-all-popup-items':
+                    this.modalManager.toggleSelectAllPopupItems();
+                    break;
+
+                case 'bulk-delete-items':
+                    this.handleBulkDelete();
+                    break;
+
+                case 'bulk-remove-from-folder':
+                    this.handleBulkRemoveFromFolder();
+                    break;
+
+                case 'bulk-reassign-author':
+                    this.handleBulkReassignAuthor();
+                    break;
+
+                case 'bulk-tag-items':
+                    this.handleBulkTag();
+                    break;
+
+                case 'bulk-export-items':
+                    this.handleBulkExport();
+                    break;
+
+                // Duplicate author actions
+                case 'open-duplicate-authors':
+                    this.modalManager.openDuplicateAuthors();
+                    break;
+
+                case 'close-duplicate-authors':
+                    this.modalManager.closeDuplicateAuthors();
+                    break;
+
+                case 'merge-duplicate-author':
+                    this.modalManager.openMergeAuthors(target.dataset.source, target.dataset.target);
+                    break;
+
+                case 'dismiss-duplicate-authors':
+                    this.handleDismissDuplicateAuthors(JSON.parse(target.dataset.names || '[]'));
+                    break;
+
+                // Collection actions
+                case 'create-collection':
+                    this.handleCreateCollection();
+                    break;
+
+                case 'open-collection':
+                    this.handleOpenCollection(parseInt(target.dataset.collectionId));
+                    break;
+
+                case 'open-collection-item':
+                    this.handleOpenItemModal(parseInt(target.dataset.itemId));
+                    break;
+
+                case 'remove-item-from-collection':
+                    this.handleRemoveFromCollection(parseInt(target.dataset.itemId), parseInt(target.dataset.collectionId));
+                    break;
+
+                case 'rename-collection':
+                    this.handleRenameCollection();
+                    break;
+
+                case 'delete-collection':
+                    this.handleDeleteCollection();
+                    break;
+
+                case 'close-collection':
+                    this.modalManager.closeCollection();
+                    break;
+
+                // Favorite actions
+                case 'toggle-item-favorite':
+                    e.stopPropagation();
+                    this.handleToggleItemFavorite(parseInt(target.dataset.itemId));
+                    break;
+
+                case 'toggle-modal-favorite':
+                    if (this.modalManager.currentItemId) {
+                        this.handleToggleItemFavorite(this.modalManager.currentItemId);
+                    }
+                    break;
+
+                case 'open-favorites':
+                    this.modalManager.openFavorites();
+                    break;
+
+                case 'open-favorite-item':
+                    this.handleOpenItemModal(parseInt(target.dataset.itemId));
+                    break;
+
+                case 'close-favorites':
+                    this.modalManager.closeFavorites();
+                    break;
+
+                // Status and rating actions
+                case 'rate-item':
+                    this.handleRateItem(parseInt(target.dataset.itemId), parseInt(target.dataset.rating));
+                    break;
+
+                // Checklist actions
+                case 'toggle-item-checklist':
+                    this.modalManager.toggleChecklistMode();
+                    break;
+
+                case 'toggle-checklist-entry':
+                    if (this.modalManager.currentItemId) {
+                        this.modalManager.toggleChecklistEntry(this.modalManager.currentItemId, parseInt(target.dataset.entryId));
+                    }
+                    break;
+
+                case 'delete-checklist-entry':
+                    this.modalManager.deleteChecklistEntry(parseInt(target.dataset.entryId));
+                    break;
+
+                case 'open-open-actions':
+                    this.modalManager.openOpenActions();
+                    break;
+
+                case 'complete-open-action':
+                    this.modalManager.toggleChecklistEntry(parseInt(target.dataset.itemId), parseInt(target.dataset.entryId));
+                    break;
+
+                case 'open-action-item':
+                    this.handleOpenItemModal(parseInt(target.dataset.itemId));
+                    break;
+
+                case 'close-open-actions':
+                    this.modalManager.closeOpenActions();
+                    break;
+
+                // Author section actions
+                case 'create-author-section':
+                    this.handleCreateAuthorSection();
+                    break;
+
+                case 'rename-author-section':
+                    this.handleRenameAuthorSection(parseInt(target.dataset.sectionId));
+                    break;
+
+                case 'delete-author-section':
+                    this.handleDeleteAuthorSection(parseInt(target.dataset.sectionId));
+                    break;
             }
         });
     }
@@ -265,66 +656,553 @@ export class EventHandlers {
                 fileInputText.textContent = file ? file.name : 'Click to choose an image';
             });
         }
-    }
 
-    /**
-     * Setup modal-specific handlers
-     */
-    setupModalHandlers() {
-        // Close modal on backdrop click
-        const contentModal = document.getElementById('contentModal');
-        if (contentModal) {
-            contentModal.addEventListener('click', (e) => {
-                if (e.target === contentModal) {
-                    this.modalManager.closeContentModal();
+        // Revision history compare mode
+        const compareMode = document.getElementById('revisionCompareMode');
+        if (compareMode) {
+            compareMode.addEventListener('change', () => {
+                const itemId = this.modalManager.currentItemId;
+                if (itemId) {
+                    this.modalManager.renderRevisionPanel(itemId);
                 }
             });
         }
 
-        // Close author popup on backdrop click
-        const authorPopup = document.getElementById('authorPopup');
-        if (authorPopup) {
-            authorPopup.addEventListener('click', (e) => {
-                if (e.target === authorPopup) {
-                    this.modalManager.closeAuthorPopup();
+        // Tag manager: recolor, rename and merge
+        const tagManagerList = document.getElementById('tagManagerList');
+        if (tagManagerList) {
+            tagManagerList.addEventListener('change', async (e) => {
+                const tagId = parseInt(e.target.dataset.tagId);
+                if (!tagId) return;
+
+                if (e.target.classList.contains('tag-color-input')) {
+                    await this.handleTagColorChange(tagId, e.target.value);
+                } else if (e.target.classList.contains('tag-name-input')) {
+                    await this.handleRenameTag(tagId, e.target.value);
+                } else if (e.target.classList.contains('tag-merge-select') && e.target.value) {
+                    await this.handleMergeTags(tagId, parseInt(e.target.value));
+                }
+            });
+            tagManagerList.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && e.target.classList.contains('tag-name-input')) {
+                    e.preventDefault();
+                    e.target.blur();
                 }
             });
         }
-    }
 
-    /**
-     * Setup keyboard shortcuts
-     */
-    setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // ESC to close modals
-            if (e.key === 'Escape') {
-                if (document.getElementById('contentModal')?.style.display === 'flex') {
-                    this.modalManager.closeContentModal();
-                } else if (document.getElementById('authorPopup')?.style.display === 'flex') {
-                    this.modalManager.closeAuthorPopup();
+        // Author profile editor: avatar file and accent color preview
+        const avatarInput = document.getElementById('authorAvatarInput');
+        if (avatarInput) {
+            avatarInput.addEventListener('change', (e) => {
+                this.modalManager.setProfileAvatar(e.target.files?.[0]);
+            });
+        }
+        ['authorColorEnabled', 'authorColorInput'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => {
+                if (id === 'authorColorInput') {
+                    document.getElementById('authorColorEnabled').checked = true;
                 }
-            }
+                this.modalManager.renderProfileAvatarPreview();
+            });
+        });
+
+        // Picking a folder color turns it on
+        document.getElementById('folderColorInput')?.addEventListener('input', () => {
+            document.getElementById('folderColorEnabled').checked = true;
+        });
 
-            // Ctrl+Z / Cmd+Z to undo
-            if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
-                // Only if not in an input field
-                if (!['INPUT', 'TEXTAREA'].includes(document.activeElement?.tagName)) {
+        // Merge dialog: refresh the preview when the target or folder mode changes
+        const mergeModal = document.getElementById('mergeAuthorsModal');
+        if (mergeModal) {
+            mergeModal.addEventListener('change', (e) => {
+                if (e.target.id === 'mergeTargetSelect' || e.target.name === 'mergeFolderMode') {
+                    this.modalManager.renderMergePreview();
+                }
+            });
+        }
+
+        // Reflections: paste as clean rich text, Ctrl/Cmd+Enter saves,
+        // Escape stops editing without closing the modal
+        const modalReflections = document.getElementById('modalReflections');
+        if (modalReflections) {
+            modalReflections.addEventListener('paste', (e) => {
+                if (!e.target.closest('.reflection-editor')) return;
+                e.preventDefault();
+                const clipboard = e.clipboardData || window.clipboardData;
+                const htmlData = clipboard?.getData('text/html');
+                const textData = clipboard?.getData('text/plain') || '';
+                const source = htmlData && htmlData.trim().length > 0 ? htmlData : textData;
+                document.execCommand('insertHTML', false, Validators.normalizeSpacing(Validators.sanitizeRichText(source)));
+            });
+            modalReflections.addEventListener('keydown', (e) => {
+                const editor = e.target.closest('.reflection-editor');
+                if (!editor) return;
+                const isEdit = Boolean(editor.closest('.reflection'));
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
                     e.preventDefault();
-                    this.handleUndo();
+                    if (isEdit) {
+                        this.modalManager.saveReflectionEdit();
+                    } else {
+                        this.modalManager.addReflection();
+                    }
+                } else if (e.key === 'Escape' && isEdit) {
+                    e.stopPropagation();
+                    this.modalManager.cancelReflectionEdit();
                 }
+            });
+        }
+
+        // Status picker in the content modal
+        document.getElementById('modalWorkflow')?.addEventListener('change', async (e) => {
+            if (e.target.classList.contains('item-status-select')) {
+                await this.handleSetItemStatus(parseInt(e.target.dataset.itemId), e.target.value);
             }
         });
-    }
 
-    /**
-     * Handle form submission
-     */
-    async handleFormSubmit() {
-        // Guard against rapid double-submits (double-tap on mobile, double-click on
-        // desktop) which previously created two items per intent.
-        if (this._isSubmitting) return;
-        this._isSubmitting = true;
+        // Checklist: Enter adds an action or finishes editing one, Escape
+        // undoes an edit without closing the modal; edits save on blur
+        const modalChecklist = document.getElementById('modalChecklist');
+        if (modalChecklist) {
+            modalChecklist.addEventListener('keydown', (e) => {
+                const entryText = e.target.closest('.checklist-entry-text');
+                if (e.target.classList.contains('checklist-add-input') && e.key === 'Enter') {
+                    e.preventDefault();
+                    this.modalManager.addChecklistEntry();
+                } else if (entryText && e.key === 'Enter') {
+                    e.preventDefault();
+                    entryText.blur();
+                } else if (entryText && e.key === 'Escape') {
+                    e.stopPropagation();
+                    const entry = this.listManager.getChecklist(this.modalManager.currentItemId)
+                        .find(item => item.id === parseInt(entryText.dataset.entryId));
+                    if (entry) entryText.textContent = entry.text;
+                    entryText.blur();
+                }
+            });
+            modalChecklist.addEventListener('focusout', (e) => {
+                if (e.target.classList.contains('checklist-entry-text')) {
+                    this.modalManager.saveChecklistEntry(e.target);
+                }
+            });
+            modalChecklist.addEventListener('paste', (e) => {
+                if (!e.target.closest('.checklist-entry-text')) return;
+                e.preventDefault();
+                const text = (e.clipboardData || window.clipboardData)?.getData('text/plain') || '';
+                document.execCommand('insertText', false, text.replace(/\s+/g, ' '));
+            });
+        }
+
+        // Review: pick what to review; Space/Enter shows the text, 1–4 answer
+        document.getElementById('reviewScopeSelect')?.addEventListener('change', (e) => {
+            this.modalManager.setReviewScope(e.target.value);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (document.getElementById('reviewModal')?.style.display !== 'flex') return;
+            if (['SELECT', 'INPUT', 'TEXTAREA', 'BUTTON'].includes(e.target.tagName) || e.ctrlKey || e.metaKey || e.altKey) return;
+            const grades = Object.keys(CONFIG.REVIEW_GRADES);
+            if ((e.key === ' ' || e.key === 'Enter') && !this.modalManager.reviewRevealed) {
+                e.preventDefault();
+                this.modalManager.revealReviewItem();
+            } else if (this.modalManager.reviewRevealed && grades[parseInt(e.key) - 1]) {
+                e.preventDefault();
+                this.modalManager.gradeReviewItem(grades[parseInt(e.key) - 1]);
+            }
+        });
+
+        // The due count and the daily quote roll over at midnight; refresh
+        // them when coming back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.uiManager.updateReviewCounter();
+                this.uiManager.renderResurfacing();
+            }
+        });
+
+        // Bibliography dialog: switch citation style
+        document.getElementById('bibliographyFormatSelect')?.addEventListener('change', (e) => {
+            this.modalManager.setBibliographyFormat(e.target.value);
+        });
+
+        // Source editor: Enter in a field saves
+        document.getElementById('sourceModal')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+                e.preventDefault();
+                this.modalManager.saveSourceEditor();
+            }
+        });
+
+        // Content modal: add the item to a collection
+        const modalCollections = document.getElementById('modalCollections');
+        if (modalCollections) {
+            modalCollections.addEventListener('change', async (e) => {
+                if (e.target.classList.contains('modal-collection-add') && e.target.value) {
+                    await this.handleAddToCollection(this.modalManager.currentItemId, e.target.value);
+                }
+            });
+        }
+
+        // Main list mode, sort and grouping
+        const listModeSelect = document.getElementById('listModeSelect');
+        if (listModeSelect) {
+            listModeSelect.addEventListener('change', async (e) => {
+                await this.handleListViewChange({ mode: e.target.value });
+            });
+        }
+        const authorSortSelect = document.getElementById('authorSortSelect');
+        if (authorSortSelect) {
+            authorSortSelect.addEventListener('change', async (e) => {
+                await this.handleListViewChange({ sort: e.target.value });
+            });
+        }
+        const authorGroupSelect = document.getElementById('authorGroupSelect');
+        if (authorGroupSelect) {
+            authorGroupSelect.addEventListener('change', async (e) => {
+                await this.handleListViewChange({ group: e.target.value });
+            });
+        }
+        const statusFilterSelect = document.getElementById('statusFilterSelect');
+        if (statusFilterSelect) {
+            statusFilterSelect.addEventListener('change', (e) => {
+                this.listManager.setStatusFilter(e.target.value);
+                this.modalManager.refreshAuthorPopup();
+            });
+        }
+
+        // Author popup sort mode
+        const popupItems = document.getElementById('authorPopupItems');
+        if (popupItems) {
+            popupItems.addEventListener('change', async (e) => {
+                if (e.target.classList.contains('popup-sort-select') && this.modalManager.currentAuthor) {
+                    await this.handlePopupSortChange(this.modalManager.currentAuthor, e.target.value);
+                } else if (e.target.classList.contains('popup-bulk-move') && e.target.value) {
+                    await this.handleBulkMoveToFolder(parseInt(e.target.value));
+                } else if (e.target.classList.contains('item-status-select')) {
+                    await this.handleSetItemStatus(parseInt(e.target.dataset.itemId), e.target.value);
+                }
+            });
+        }
+
+        // Trash retention period
+        const retentionSelect = document.getElementById('trashRetentionSelect');
+        if (retentionSelect) {
+            retentionSelect.addEventListener('change', async (e) => {
+                await this.handleTrashRetentionChange(e.target.value);
+            });
+        }
+    }
+
+    /**
+     * Setup modal-specific handlers
+     */
+    setupModalHandlers() {
+        // Close modal on backdrop click
+        const contentModal = document.getElementById('contentModal');
+        if (contentModal) {
+            contentModal.addEventListener('click', (e) => {
+                if (e.target === contentModal) {
+                    this.modalManager.closeContentModal();
+                }
+            });
+        }
+
+        // Close author popup on backdrop click
+        const authorPopup = document.getElementById('authorPopup');
+        if (authorPopup) {
+            authorPopup.addEventListener('click', (e) => {
+                if (e.target === authorPopup) {
+                    this.modalManager.closeAuthorPopup();
+                }
+            });
+        }
+
+        // Close tag manager on backdrop click
+        const tagManagerModal = document.getElementById('tagManagerModal');
+        if (tagManagerModal) {
+            tagManagerModal.addEventListener('click', (e) => {
+                if (e.target === tagManagerModal) {
+                    this.modalManager.closeTagManager();
+                }
+            });
+        }
+
+        // Close folder settings on backdrop click
+        const folderSettingsModal = document.getElementById('folderSettingsModal');
+        if (folderSettingsModal) {
+            folderSettingsModal.addEventListener('click', (e) => {
+                if (e.target === folderSettingsModal) {
+                    this.modalManager.closeFolderSettings();
+                }
+            });
+        }
+
+        // Close review on backdrop click
+        const reviewModal = document.getElementById('reviewModal');
+        if (reviewModal) {
+            reviewModal.addEventListener('click', (e) => {
+                if (e.target === reviewModal) {
+                    this.modalManager.closeReview();
+                }
+            });
+        }
+
+        // Close source editor and bibliography on backdrop click
+        const sourceModal = document.getElementById('sourceModal');
+        if (sourceModal) {
+            sourceModal.addEventListener('click', (e) => {
+                if (e.target === sourceModal) {
+                    this.modalManager.closeSourceEditor();
+                }
+            });
+        }
+
+        const bibliographyModal = document.getElementById('bibliographyModal');
+        if (bibliographyModal) {
+            bibliographyModal.addEventListener('click', (e) => {
+                if (e.target === bibliographyModal) {
+                    this.modalManager.closeBibliography();
+                }
+            });
+        }
+
+        // Close author profile editor on backdrop click
+        const authorProfileModal = document.getElementById('authorProfileModal');
+        if (authorProfileModal) {
+            authorProfileModal.addEventListener('click', (e) => {
+                if (e.target === authorProfileModal) {
+                    this.modalManager.closeAuthorProfile();
+                }
+            });
+        }
+
+        // Close merge dialog on backdrop click
+        const mergeAuthorsModal = document.getElementById('mergeAuthorsModal');
+        if (mergeAuthorsModal) {
+            mergeAuthorsModal.addEventListener('click', (e) => {
+                if (e.target === mergeAuthorsModal) {
+                    this.modalManager.closeMergeAuthors();
+                }
+            });
+        }
+
+        // Close duplicate review on backdrop click
+        const duplicateAuthorsModal = document.getElementById('duplicateAuthorsModal');
+        if (duplicateAuthorsModal) {
+            duplicateAuthorsModal.addEventListener('click', (e) => {
+                if (e.target === duplicateAuthorsModal) {
+                    this.modalManager.closeDuplicateAuthors();
+                }
+            });
+        }
+
+        // Close collection modal on backdrop click
+        const collectionModal = document.getElementById('collectionModal');
+        if (collectionModal) {
+            collectionModal.addEventListener('click', (e) => {
+                if (e.target === collectionModal) {
+                    this.modalManager.closeCollection();
+                }
+            });
+        }
+
+        // Close favorites modal on backdrop click
+        const favoritesModal = document.getElementById('favoritesModal');
+        if (favoritesModal) {
+            favoritesModal.addEventListener('click', (e) => {
+                if (e.target === favoritesModal) {
+                    this.modalManager.closeFavorites();
+                }
+            });
+        }
+
+        // Close open actions modal on backdrop click
+        const openActionsModal = document.getElementById('openActionsModal');
+        if (openActionsModal) {
+            openActionsModal.addEventListener('click', (e) => {
+                if (e.target === openActionsModal) {
+                    this.modalManager.closeOpenActions();
+                }
+            });
+        }
+
+        // Close trash modal on backdrop click
+        const trashModal = document.getElementById('trashModal');
+        if (trashModal) {
+            trashModal.addEventListener('click', (e) => {
+                if (e.target === trashModal) {
+                    this.modalManager.closeTrashModal();
+                }
+            });
+        }
+    }
+
+    /**
+     * Setup search bar: debounced search as you type, keyboard navigation
+     * through results, and closing the results on outside click
+     */
+    setupSearchHandlers() {
+        const searchInput = document.getElementById('searchInput');
+        const searchBar = document.getElementById('searchBar');
+        if (!searchInput || !this.searchManager) return;
+
+        let timer = null;
+        const runSearch = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => this.handleSearch(searchInput.value), CONFIG.SEARCH_DEBOUNCE_DELAY);
+        };
+
+        searchInput.addEventListener('input', runSearch);
+        searchInput.addEventListener('focus', () => {
+            if (searchInput.value.trim()) runSearch();
+        });
+
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                searchInput.value = '';
+                this.uiManager.hideSearchResults();
+                searchInput.blur();
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                document.querySelector('#searchResults .search-result')?.focus();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const first = document.querySelector('#searchResults .search-result');
+                if (first) this.handleOpenSearchResult(parseInt(first.dataset.itemId));
+            }
+        });
+
+        // Arrow/Enter navigation within the results list
+        const results = document.getElementById('searchResults');
+        results?.addEventListener('keydown', (e) => {
+            const current = e.target.closest('.search-result');
+            if (!current) return;
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                current.nextElementSibling?.closest('.search-result')?.focus();
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                const previous = current.previousElementSibling;
+                (previous?.classList.contains('search-result') ? previous : searchInput).focus();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleOpenSearchResult(parseInt(current.dataset.itemId));
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.uiManager.hideSearchResults();
+                searchInput.focus();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (searchBar && !searchBar.contains(e.target)) {
+                this.uiManager.hideSearchResults();
+            }
+        });
+    }
+
+    /**
+     * Setup keyboard shortcuts
+     */
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            // ESC to close modals
+            if (e.key === 'Escape') {
+                if (document.getElementById('reviewModal')?.style.display === 'flex') {
+                    this.modalManager.closeReview();
+                } else if (document.getElementById('sourceModal')?.style.display === 'flex') {
+                    this.modalManager.closeSourceEditor();
+                } else if (document.getElementById('bibliographyModal')?.style.display === 'flex') {
+                    this.modalManager.closeBibliography();
+                } else if (document.getElementById('authorProfileModal')?.style.display === 'flex') {
+                    this.modalManager.closeAuthorProfile();
+                } else if (document.getElementById('folderSettingsModal')?.style.display === 'flex') {
+                    this.modalManager.closeFolderSettings();
+                } else if (document.getElementById('mergeAuthorsModal')?.style.display === 'flex') {
+                    this.modalManager.closeMergeAuthors();
+                } else if (document.getElementById('duplicateAuthorsModal')?.style.display === 'flex') {
+                    this.modalManager.closeDuplicateAuthors();
+                } else if (document.getElementById('contentModal')?.style.display === 'flex') {
+                    this.modalManager.closeContentModal();
+                } else if (document.getElementById('collectionModal')?.style.display === 'flex') {
+                    this.modalManager.closeCollection();
+                } else if (document.getElementById('favoritesModal')?.style.display === 'flex') {
+                    this.modalManager.closeFavorites();
+                } else if (document.getElementById('openActionsModal')?.style.display === 'flex') {
+                    this.modalManager.closeOpenActions();
+                } else if (document.getElementById('authorPopup')?.style.display === 'flex' && this.modalManager.isSelectingItems) {
+                    this.modalManager.exitItemSelection();
+                } else if (document.getElementById('authorPopup')?.style.display === 'flex') {
+                    this.modalManager.closeAuthorPopup();
+                } else if (document.getElementById('trashModal')?.style.display === 'flex') {
+                    this.modalManager.closeTrashModal();
+                } else if (document.getElementById('tagManagerModal')?.style.display === 'flex') {
+                    this.modalManager.closeTagManager();
+                }
+            }
+
+            // "/" focuses the search bar
+            if (e.key === '/' && !e.ctrlKey && !e.metaKey && !this.isEditingText()) {
+                const searchInput = document.getElementById('searchInput');
+                if (searchInput) {
+                    e.preventDefault();
+                    searchInput.focus();
+                    searchInput.select();
+                }
+            }
+
+            // Ctrl+Z / Cmd+Z to undo, Ctrl+Shift+Z / Ctrl+Y to redo.
+            // Text fields keep their native undo.
+            if ((e.ctrlKey || e.metaKey) && !this.isEditingText()) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.handleUndo();
+                } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                    e.preventDefault();
+                    this.handleRedo();
+                }
+            }
+        });
+    }
+
+    /**
+     * Whether focus is in a text field or contenteditable region
+     * @returns {boolean}
+     */
+    isEditingText() {
+        const active = document.activeElement;
+        if (!active) return false;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName) || active.isContentEditable;
+    }
+
+    /**
+     * Normalize an entered author name and, if it isn't an existing author
+     * but looks like one, offer the existing name before a new author is
+     * created.
+     * @param {string} value - Raw author input
+     * @returns {string} Author name to use
+     */
+    resolveAuthorName(value) {
+        const name = Validators.normalizeAuthor(value);
+        const [match] = name ? this.listManager.findSimilarAuthors(name) : [];
+        if (!match) return name;
+
+        const useExisting = confirm(
+            `"${name}" looks like the existing author "${match.author}".\n\n` +
+            `OK — add to "${match.author}"\nCancel — create "${name}" as a new author`
+        );
+        return useExisting ? match.author : name;
+    }
+
+    /**
+     * Handle form submission
+     */
+    async handleFormSubmit() {
+        // Guard against rapid double-submits (double-tap on mobile, double-click on
+        // desktop) which previously created two items per intent.
+        if (this._isSubmitting) return;
+        this._isSubmitting = true;
 
         const submitBtn = document.querySelector('#itemForm button[type="submit"]');
         if (submitBtn) submitBtn.disabled = true;
@@ -338,11 +1216,16 @@ export class EventHandlers {
             const rawHtml = textInput?.innerHTML || '';
             const sanitizedText = Validators.sanitizeRichText(rawHtml);
 
+            const author = this.resolveAuthorName(authorInput?.value);
+            if (authorInput) authorInput.value = author;
+
             const itemData = {
-                author: authorInput?.value.trim() || '',
+                author,
                 title: titleInput?.value.trim() || '',
                 text: sanitizedText,
-                imageFile: imageInput?.files?.[0] || null
+                imageFile: imageInput?.files?.[0] || null,
+                tags: this.uiManager.formTagInput?.getTags() || [],
+                checklist: Boolean(document.getElementById('checklistInput')?.checked)
             };
 
             const result = await this.listManager.addItem(itemData);
@@ -379,7 +1262,7 @@ export class EventHandlers {
                 await this.uiManager.updateStorageInfo();
                 
                 if (typeof showToast === 'function') {
-                    showToast(`Deleted ${result.count} items`, 'default');
+                    showToast(`Moved ${result.count} items to Trash`, 'default');
                 }
             }
         }
@@ -420,7 +1303,12 @@ export class EventHandlers {
         const result = await this.listManager.undo();
         
         if (result.success) {
-            this.uiManager.showUndoNotification(result.action, result.data);
+            this.uiManager.showUndoNotification(`Undone: ${result.label}`);
+            this.modalManager.refreshAuthorPopup();
+            this.modalManager.refreshContentModal();
+            this.modalManager.refreshTrashModal();
+            this.modalManager.refreshTagManager();
+            this.modalManager.refreshDuplicateAuthors();
             await this.uiManager.updateStorageInfo();
         } else {
             if (typeof showToast === 'function') {
@@ -429,17 +1317,52 @@ export class EventHandlers {
         }
     }
 
+    /**
+     * Handle redo
+     */
+    async handleRedo() {
+        const result = await this.listManager.redo();
+        
+        if (result.success) {
+            this.uiManager.showUndoNotification(`Redone: ${result.label}`);
+            this.modalManager.refreshAuthorPopup();
+            this.modalManager.refreshContentModal();
+            this.modalManager.refreshTrashModal();
+            this.modalManager.refreshTagManager();
+            this.modalManager.refreshDuplicateAuthors();
+            await this.uiManager.updateStorageInfo();
+        } else {
+            if (typeof showToast === 'function') {
+                showToast('Nothing to redo', 'default');
+            }
+        }
+    }
+
     /**
      * Handle export data
      */
     handleExportData() {
-        this.listManager.exportData();
+        this.listManager.exportData({ includeReflections: this.askIncludeReflections() });
         
         if (typeof showToast === 'function') {
             showToast('Data exported', 'success');
         }
     }
 
+    /**
+     * Reflections are personal, so exports of items that have any ask
+     * whether to take them along
+     * @param {Array<number>} ids - Items being exported (default: all)
+     * @returns {boolean} Whether to include reflections
+     */
+    askIncludeReflections(ids = null) {
+        if (!this.listManager.hasReflections(ids)) return true;
+        return confirm(
+            'Include your reflection notes in the export?\n\n' +
+            'OK — include them\nCancel — leave them out'
+        );
+    }
+
     /**
      * Handle import data
      * @param {File} file - JSON file
@@ -464,7 +1387,7 @@ export class EventHandlers {
      * Handle clear all data
      */
     async handleClearAllData() {
-        const confirmMessage = 'Clear ALL data? This cannot be undone.';
+        const confirmMessage = 'Clear ALL data, including the Trash? This cannot be undone.';
         
         if (confirm(confirmMessage)) {
             const result = await this.listManager.clearAllData();
@@ -492,6 +1415,24 @@ export class EventHandlers {
         }
     }
 
+    /**
+     * Handle restoring a revision of the item in the content modal
+     * @param {number} revisionId - Revision ID
+     */
+    async handleRestoreRevision(revisionId) {
+        const result = await this.modalManager.restoreRevision(revisionId);
+
+        if (typeof showToast === 'function') {
+            if (!result.success) {
+                showToast(result.error || 'Failed to restore version', 'error');
+            } else if (result.changed) {
+                showToast('Earlier version restored', 'success');
+            } else {
+                showToast('This version matches the current one', 'default');
+            }
+        }
+    }
+
     /**
      * Handle delete current modal item
      */
@@ -515,7 +1456,7 @@ export class EventHandlers {
                 await this.uiManager.updateStorageInfo();
                 
                 if (typeof showToast === 'function') {
-                    showToast('Item deleted', 'default');
+                    showToast('Item moved to Trash', 'default');
                 }
             }
         }
@@ -544,7 +1485,7 @@ export class EventHandlers {
                 await this.uiManager.updateStorageInfo();
                 
                 if (typeof showToast === 'function') {
-                    showToast(`Deleted ${result.count} items`, 'default');
+                    showToast(`Moved ${result.count} items to Trash`, 'default');
                 }
             }
         }
@@ -578,12 +1519,231 @@ export class EventHandlers {
                 await this.uiManager.updateStorageInfo();
                 
                 if (typeof showToast === 'function') {
-                    showToast('Item deleted', 'default');
+                    showToast('Item moved to Trash', 'default');
                 }
             }
         }
     }
 
+    // ==================== BULK ITEM HANDLERS ====================
+
+    /**
+     * Re-render the author popup after a bulk action and report the result
+     * @param {Object} result - ListManager result
+     * @param {string} message - Success toast
+     * @param {boolean} clearSelection - Leave selection mode
+     */
+    async finishBulkAction(result, message, clearSelection = false) {
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Bulk action failed', 'error');
+            }
+            return;
+        }
+
+        if (clearSelection) {
+            this.modalManager.exitItemSelection(false);
+        }
+        this.modalManager.refreshAuthorPopup();
+        await this.uiManager.updateStorageInfo();
+
+        if (typeof showToast === 'function') {
+            showToast(message, 'success');
+        }
+    }
+
+    /**
+     * Handle deleting the selected popup items
+     */
+    async handleBulkDelete() {
+        const ids = this.modalManager.getSelectedItemIds();
+        if (ids.length === 0) return;
+        if (!confirm(`Move ${ids.length} item${ids.length === 1 ? '' : 's'} to the Trash?`)) return;
+
+        const result = await this.listManager.bulkDeleteItems(ids);
+        await this.finishBulkAction(result, `Moved ${result.count} item${result.count === 1 ? '' : 's'} to Trash`, true);
+    }
+
+    /**
+     * Handle moving the selected popup items into a folder
+     * @param {number} folderId
+     */
+    async handleBulkMoveToFolder(folderId) {
+        const ids = this.modalManager.getSelectedItemIds();
+        if (ids.length === 0) return;
+
+        const result = await this.listManager.bulkMoveToFolder(ids, folderId);
+        await this.finishBulkAction(result, `Moved ${result.count} item${result.count === 1 ? '' : 's'} to folder`);
+    }
+
+    /**
+     * Handle taking the selected popup items out of their folders
+     */
+    async handleBulkRemoveFromFolder() {
+        const ids = this.modalManager.getSelectedItemIds();
+        if (ids.length === 0) return;
+
+        const result = await this.listManager.bulkRemoveFromFolder(ids);
+        await this.finishBulkAction(result, `Moved ${result.count} item${result.count === 1 ? '' : 's'} to Unfiled`);
+    }
+
+    /**
+     * Handle moving the selected popup items to another author
+     */
+    async handleBulkReassignAuthor() {
+        const ids = this.modalManager.getSelectedItemIds();
+        if (ids.length === 0) return;
+
+        const input = prompt(`Move ${ids.length} item${ids.length === 1 ? '' : 's'} to author:`, '');
+        if (input === null || !input.trim()) return;
+
+        const author = this.resolveAuthorName(input);
+        const result = await this.listManager.bulkReassignAuthor(ids, author);
+        await this.finishBulkAction(result, `Moved ${result.count} item${result.count === 1 ? '' : 's'} to "${result.author}"`, true);
+    }
+
+    /**
+     * Handle adding tags to the selected popup items
+     */
+    async handleBulkTag() {
+        const ids = this.modalManager.getSelectedItemIds();
+        if (ids.length === 0) return;
+
+        const input = prompt(`Add tags to ${ids.length} item${ids.length === 1 ? '' : 's'} (comma-separated):`, '');
+        if (input === null) return;
+
+        const result = await this.listManager.bulkTagItems(ids, input.split(','));
+        await this.finishBulkAction(result, `Tagged ${result.count} item${result.count === 1 ? '' : 's'}`);
+    }
+
+    /**
+     * Handle exporting the selected popup items
+     */
+    handleBulkExport() {
+        const ids = this.modalManager.getSelectedItemIds();
+        if (ids.length === 0) return;
+
+        const result = this.listManager.exportItems(ids, { includeReflections: this.askIncludeReflections(ids) });
+        if (typeof showToast === 'function') {
+            if (result.success) {
+                showToast(`Exported ${result.count} item${result.count === 1 ? '' : 's'}`, 'success');
+            } else {
+                showToast(result.error || 'Export failed', 'error');
+            }
+        }
+    }
+
+    // ==================== COLLECTION HANDLERS ====================
+
+    /**
+     * Handle creating a collection
+     * @returns {Promise<Object|null>} The new collection, or null
+     */
+    async handleCreateCollection() {
+        const name = prompt('Enter collection name:');
+        if (!name || !name.trim()) return null;
+
+        const result = await this.listManager.createCollection(name);
+
+        if (typeof showToast === 'function') {
+            if (result.success) {
+                showToast(`Collection "${result.collection.name}" created`, 'success');
+            } else {
+                showToast(result.error || 'Failed to create collection', 'error');
+            }
+        }
+        return result.success ? result.collection : null;
+    }
+
+    /**
+     * Handle opening a collection (from the main list or a content modal chip)
+     * @param {number} collectionId
+     */
+    async handleOpenCollection(collectionId) {
+        // The collection modal sits below the content modal
+        if (document.getElementById('contentModal')?.style.display === 'flex') {
+            await this.modalManager.closeContentModal();
+        }
+        this.modalManager.openCollection(collectionId);
+    }
+
+    /**
+     * Handle adding an item to a collection from the content modal picker
+     * @param {number} itemId
+     * @param {string} value - Collection ID, or 'new' to create one first
+     */
+    async handleAddToCollection(itemId, value) {
+        if (!itemId) return;
+
+        let collectionId = parseInt(value);
+        if (value === 'new') {
+            const collection = await this.handleCreateCollection();
+            if (!collection) {
+                this.modalManager.renderItemCollections(itemId); // Reset the picker
+                return;
+            }
+            collectionId = collection.id;
+        }
+
+        const result = await this.listManager.addItemToCollection(itemId, collectionId);
+
+        if (!result.success && typeof showToast === 'function') {
+            showToast(result.error || 'Failed to add to collection', 'error');
+        }
+    }
+
+    /**
+     * Handle removing an item from a collection
+     * @param {number} itemId
+     * @param {number} collectionId
+     */
+    async handleRemoveFromCollection(itemId, collectionId) {
+        const result = await this.listManager.removeItemFromCollection(itemId, collectionId);
+
+        if (!result.success && typeof showToast === 'function') {
+            showToast(result.error || 'Failed to remove from collection', 'error');
+        }
+    }
+
+    /**
+     * Handle renaming the open collection
+     */
+    async handleRenameCollection() {
+        const collectionId = this.modalManager.currentCollectionId;
+        const collection = this.listManager.getCollections().find(c => c.id === collectionId);
+        if (!collection) return;
+
+        const name = prompt('Enter new collection name:', collection.name);
+        if (!name || name.trim() === collection.name) return;
+
+        const result = await this.listManager.renameCollection(collectionId, name);
+
+        if (!result.success && typeof showToast === 'function') {
+            showToast(result.error || 'Failed to rename collection', 'error');
+        }
+    }
+
+    /**
+     * Handle deleting the open collection (its items are kept)
+     */
+    async handleDeleteCollection() {
+        const collectionId = this.modalManager.currentCollectionId;
+        const collection = this.listManager.getCollections().find(c => c.id === collectionId);
+        if (!collection) return;
+
+        if (!confirm(`Delete collection "${collection.name}"? Its items are not deleted.`)) return;
+
+        const result = await this.listManager.deleteCollection(collectionId);
+
+        if (typeof showToast === 'function') {
+            if (result.success) {
+                showToast('Collection moved to Trash', 'default');
+            } else {
+                showToast(result.error || 'Failed to delete collection', 'error');
+            }
+        }
+    }
+
     // ==================== FOLDER HANDLERS ====================
 
     /**
@@ -598,11 +1758,16 @@ export class EventHandlers {
         const rawHtml = textInput?.innerHTML || '';
         const sanitizedText = Validators.sanitizeRichText(rawHtml);
 
+        const author = this.resolveAuthorName(authorInput?.value);
+        if (authorInput) authorInput.value = author;
+
         const itemData = {
-            author: authorInput?.value.trim() || '',
+            author,
             title: titleInput?.value.trim() || '',
             text: sanitizedText,
-            imageFile: imageInput?.files?.[0] || null
+            imageFile: imageInput?.files?.[0] || null,
+            tags: this.uiManager.formTagInput?.getTags() || [],
+            checklist: Boolean(document.getElementById('checklistInput')?.checked)
         };
 
         // Validate minimum data
@@ -654,11 +1819,11 @@ export class EventHandlers {
     }
 
     /**
-     * Handle rename folder
+     * Handle edit folder (opens the folder settings dialog)
      * @param {number} folderId - Folder ID
      */
-    async handleRenameFolder(folderId) {
-        await this.modalManager.renameFolderFromPopup(folderId);
+    handleEditFolder(folderId) {
+        this.modalManager.openFolderSettings(folderId);
     }
 
     /**
@@ -671,14 +1836,378 @@ export class EventHandlers {
 
     /**
      * Handle create folder from popup
+     * @param {number} parentId - Folder to create it inside (optional)
      */
-    handleCreateFolderInPopup() {
+    handleCreateFolderInPopup(parentId = null) {
         const currentAuthor = this.modalManager.currentAuthor;
         if (currentAuthor) {
-            this.modalManager.openCreateFolderModal(currentAuthor);
+            this.modalManager.openCreateFolderModal(currentAuthor, parentId);
+        }
+    }
+
+    /**
+     * Handle restoring a trash entry
+     * @param {number} entryId - Trash entry ID
+     */
+    async handleRestoreTrashEntry(entryId) {
+        const result = await this.listManager.restoreFromTrash(entryId);
+
+        if (result.success) {
+            this.modalManager.renderTrashList();
+            this.modalManager.refreshAuthorPopup();
+            await this.uiManager.updateStorageInfo();
+
+            if (typeof showToast === 'function') {
+                showToast(`Restored "${result.entry.label}"`, 'success');
+            }
+        } else if (typeof showToast === 'function') {
+            showToast(result.error || 'Failed to restore', 'error');
+        }
+    }
+
+    /**
+     * Handle permanently deleting a trash entry
+     * @param {number} entryId - Trash entry ID
+     */
+    async handlePurgeTrashEntry(entryId) {
+        if (!confirm('Delete this forever?')) return;
+
+        const result = await this.listManager.purgeTrashEntry(entryId);
+
+        if (result.success) {
+            this.modalManager.renderTrashList();
+            await this.uiManager.updateStorageInfo();
+        }
+    }
+
+    /**
+     * Handle emptying the trash
+     */
+    async handleEmptyTrash() {
+        const count = this.listManager.getTrashEntries().length;
+        if (count === 0) {
+            if (typeof showToast === 'function') {
+                showToast('Trash is already empty', 'default');
+            }
+            return;
+        }
+
+        if (!confirm(`Permanently delete ${count} entr${count === 1 ? 'y' : 'ies'} in the Trash?`)) return;
+
+        const result = await this.listManager.emptyTrash();
+
+        if (result.success) {
+            this.modalManager.renderTrashList();
+            await this.uiManager.updateStorageInfo();
+
+            if (typeof showToast === 'function') {
+                showToast('Trash emptied', 'default');
+            }
+        }
+    }
+
+    /**
+     * Handle main list sort/grouping change
+     * @param {Object} changes - {sort?, group?}
+     */
+    async handleListViewChange(changes) {
+        const result = await this.listManager.setListView(changes);
+
+        if (!result.success && typeof showToast === 'function') {
+            showToast(result.error, 'error');
+        }
+    }
+
+    /**
+     * Handle creating an author section
+     */
+    async handleCreateAuthorSection() {
+        const name = prompt('Enter section name:');
+        if (!name || !name.trim()) return;
+
+        const result = await this.listManager.createAuthorSection(name);
+
+        if (typeof showToast === 'function') {
+            if (result.success) {
+                showToast('Section created — drag authors into it', 'success');
+            } else {
+                showToast(result.error || 'Failed to create section', 'error');
+            }
+        }
+    }
+
+    /**
+     * Handle renaming an author section
+     * @param {number} sectionId
+     */
+    async handleRenameAuthorSection(sectionId) {
+        const section = this.listManager.getAuthorSections().find(s => s.id === sectionId);
+        if (!section) return;
+
+        const name = prompt('Enter new section name:', section.name);
+        if (!name || name.trim() === section.name) return;
+
+        const result = await this.listManager.renameAuthorSection(sectionId, name);
+
+        if (!result.success && typeof showToast === 'function') {
+            showToast(result.error || 'Failed to rename section', 'error');
+        }
+    }
+
+    /**
+     * Handle deleting an author section (its authors become unsectioned)
+     * @param {number} sectionId
+     */
+    async handleDeleteAuthorSection(sectionId) {
+        const section = this.listManager.getAuthorSections().find(s => s.id === sectionId);
+        if (!section) return;
+
+        if (!confirm(`Delete section "${section.name}"? Its authors will be moved to Unsectioned.`)) return;
+
+        const result = await this.listManager.deleteAuthorSection(sectionId);
+
+        if (typeof showToast === 'function') {
+            if (result.success) {
+                showToast('Section deleted', 'success');
+            } else {
+                showToast(result.error || 'Failed to delete section', 'error');
+            }
+        }
+    }
+
+    /**
+     * Handle marking a group of look-alike authors as different people
+     * @param {Array<string>} names
+     */
+    async handleDismissDuplicateAuthors(names) {
+        if (names.length < 2) return;
+
+        await this.listManager.dismissDuplicateAuthors(names);
+        this.modalManager.renderDuplicateAuthors();
+    }
+
+    /**
+     * Handle trash retention period change
+     * @param {string} days - Selected number of days
+     */
+    async handleTrashRetentionChange(days) {
+        const result = await this.listManager.setTrashRetentionDays(days);
+
+        if (result.success) {
+            this.modalManager.renderTrashList();
+        } else if (typeof showToast === 'function') {
+            showToast(result.error, 'error');
+        }
+    }
+
+    /**
+     * Handle author popup sort mode change
+     * @param {string} author
+     * @param {string} mode - A key of CONFIG.ITEM_SORT_MODES
+     */
+    async handlePopupSortChange(author, mode) {
+        const result = await this.listManager.setItemSortMode(author, mode);
+
+        if (result.success) {
+            this.modalManager.openAuthorPopup(author);
+        } else if (typeof showToast === 'function') {
+            showToast(result.error, 'error');
+        }
+    }
+
+    /**
+     * Handle a search query
+     * @param {string} query
+     */
+    handleSearch(query) {
+        const result = this.searchManager.search(query);
+        this.uiManager.renderSearchResults(result, query);
+    }
+
+    /**
+     * Handle opening a search result
+     * @param {number} itemId - Item ID
+     */
+    handleOpenSearchResult(itemId) {
+        this.uiManager.hideSearchResults();
+        this.modalManager.openContentModal(itemId);
+    }
+
+    /**
+     * Show another item in the resurfacing panel
+     * @param {boolean} sameAuthor - Only pick from the current item's author
+     */
+    handleShuffleResurfacing(sameAuthor) {
+        if (!this.resurfacingManager) return;
+
+        const current = this.resurfacingManager.getCurrentItem();
+        const author = sameAuthor ? current?.author : undefined;
+        if (!this.resurfacingManager.shuffle({ author })) {
+            if (typeof showToast === 'function') {
+                showToast(author ? `No other items from ${author}` : 'No other items to show', 'default');
+            }
+            return;
+        }
+        this.uiManager.renderResurfacing();
+    }
+
+    /**
+     * Handle starring or unstarring an item
+     * @param {number} itemId
+     */
+    async handleToggleItemFavorite(itemId) {
+        const result = await this.listManager.toggleItemFavorite(itemId);
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to update favorites', 'error');
+            }
+            return;
+        }
+        this.modalManager.refreshAuthorPopup();
+    }
+
+    /**
+     * Handle moving an item to another workflow status
+     * @param {number} itemId
+     * @param {string} status
+     */
+    async handleSetItemStatus(itemId, status) {
+        const result = await this.listManager.setItemStatus(itemId, status);
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to update status', 'error');
+            }
+            return;
+        }
+        this.modalManager.refreshAuthorPopup();
+    }
+
+    /**
+     * Handle rating an item
+     * @param {number} itemId
+     * @param {number} rating - 0 clears it
+     */
+    async handleRateItem(itemId, rating) {
+        const result = await this.listManager.setItemRating(itemId, rating);
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to update rating', 'error');
+            }
+            return;
+        }
+        this.modalManager.refreshAuthorPopup();
+    }
+
+    /**
+     * Handle pinning or unpinning an author on the main list
+     * @param {string} author
+     */
+    async handleToggleAuthorPin(author) {
+        const result = await this.listManager.toggleAuthorPinned(author);
+        if (typeof showToast === 'function') {
+            if (result.success) {
+                showToast(result.pinned ? `Pinned "${author}" to the top` : `Unpinned "${author}"`, 'success');
+            } else {
+                showToast(result.error || 'Failed to pin author', 'error');
+            }
+        }
+    }
+
+    /**
+     * Handle toggling a tag in the filter
+     * @param {number} tagId - Tag ID
+     */
+    handleToggleTagFilter(tagId) {
+        this.listManager.toggleTagFilter(tagId);
+        this.modalManager.refreshAuthorPopup();
+    }
+
+    /**
+     * Handle clearing the tag filter
+     */
+    handleClearTagFilter() {
+        this.listManager.setTagFilter([]);
+        this.modalManager.refreshAuthorPopup();
+    }
+
+    /**
+     * Handle tag color change
+     * @param {number} tagId - Tag ID
+     * @param {string} color - Hex color
+     */
+    async handleTagColorChange(tagId, color) {
+        const result = await this.listManager.setTagColor(tagId, color);
+
+        if (result.success) {
+            this.modalManager.refreshAuthorPopup();
+        } else if (typeof showToast === 'function') {
+            showToast(result.error, 'error');
+        }
+    }
+
+    /**
+     * Handle tag rename
+     * @param {number} tagId - Tag ID
+     * @param {string} newName - New name
+     */
+    async handleRenameTag(tagId, newName) {
+        const result = await this.listManager.renameTag(tagId, newName);
+
+        if (result.success) {
+            this.modalManager.refreshAuthorPopup();
+        } else if (typeof showToast === 'function') {
+            showToast(result.error || 'Failed to rename tag', 'error');
+        }
+        this.modalManager.renderTagManager();
+    }
+
+    /**
+     * Handle merging one tag into another
+     * @param {number} sourceId - Tag to merge away
+     * @param {number} targetId - Tag to keep
+     */
+    async handleMergeTags(sourceId, targetId) {
+        const tags = this.listManager.getTags();
+        const source = tags.find(t => t.id === sourceId);
+        const target = tags.find(t => t.id === targetId);
+
+        if (source && target && confirm(`Merge "${source.name}" into "${target.name}"?`)) {
+            const result = await this.listManager.mergeTags(sourceId, targetId);
+
+            if (result.success) {
+                this.modalManager.refreshAuthorPopup();
+                if (typeof showToast === 'function') {
+                    showToast(`Merged into "${target.name}"`, 'success');
+                }
+            } else if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to merge tags', 'error');
+            }
+        }
+        this.modalManager.renderTagManager();
+    }
+
+    /**
+     * Handle deleting a tag
+     * @param {number} tagId - Tag ID
+     */
+    async handleDeleteTag(tagId) {
+        const tag = this.listManager.getTags().find(t => t.id === tagId);
+        if (!tag) return;
+
+        const count = this.listManager.getTagUsage().get(tagId) || 0;
+        const message = count > 0
+            ? `Delete tag "${tag.name}"? It will be removed from ${count} item(s).`
+            : `Delete tag "${tag.name}"?`;
+
+        if (confirm(message)) {
+            const result = await this.listManager.deleteTag(tagId);
+
+            if (result.success) {
+                this.modalManager.renderTagManager();
+                this.modalManager.refreshAuthorPopup();
+            }
         }
     }
 }
 
 export default EventHandlers;
-
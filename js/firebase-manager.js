@@ -157,8 +157,9 @@ export class FirebaseManager {
     async clearLocalDataOnSignOut() {
         console.log('🧹 Clearing local data after sign out...');
         
-        // Reset in-memory state
+        // Reset in-memory state (and the previous account's undo history)
         this.stateManager.reset();
+        this.listManager?.history?.clear();
         
         // Clear local storage (IndexedDB + localStorage)
         if (this.listManager && this.listManager.persistenceManager) {
@@ -175,7 +176,18 @@ export class FirebaseManager {
     }
 
     /**
-     * Save data to Firebase
+     * Remote data with this device's trash swapped in. The trash holds full
+     * copies of deleted items (images included), so it stays in local storage
+     * and is never part of the synced document.
+     * @param {Object} data - Document from Firebase
+     * @returns {Object}
+     */
+    withLocalTrash(data) {
+        return { ...data, trash: this.stateManager.get('trash') || [] };
+    }
+
+    /**
+     * Save data to Firebase (everything except the trash)
      * @param {Object} data - Data to save
      */
     async saveToFirebase(data) {
@@ -194,7 +206,8 @@ export class FirebaseManager {
                 timestamp: data.timestamp
             });
             
-            await this.database.ref(`users/${userId}/data`).set(data);
+            const { trash, ...synced } = data;
+            await this.database.ref(`users/${userId}/data`).set(synced);
             
             this.updateSyncStatus('synced');
             console.log('✅ Saved to Firebase successfully');
@@ -253,7 +266,10 @@ export class FirebaseManager {
                 } else if (remoteTimestamp > localTimestamp || (localTimestamp === 0 && remoteItemCount > 0)) {
                     // Remote is newer OR local has no timestamp but remote has data
                     console.log('☁️  Remote is newer or local has no timestamp, loading from Firebase...');
-                    this.stateManager.loadState(data);
+                    this.stateManager.loadState(this.withLocalTrash(data));
+                    // Recorded commands describe the replaced document; replaying
+                    // them would drop whatever the other device added
+                    this.listManager.history.clear();
                     
                     // Save to storage with preserved Firebase timestamp
                     const saveResult = await this.listManager.save(true, { preserveTimestamp: true });
@@ -329,7 +345,9 @@ export class FirebaseManager {
                 // Also ensures we don't overwrite newer local changes if sync was delayed
                 if (remoteTimestamp > localTimestamp) {
                     console.log('☁️  Remote data newer, updating...');
-                    this.stateManager.loadState(data);
+                    this.stateManager.loadState(this.withLocalTrash(data));
+                    // Undo history would rebuild arrays without the remote changes
+                    this.listManager.history.clear();
                     // Update local storage but skip Firebase sync to prevent loop
                     await this.listManager.save(true, { preserveTimestamp: true });
                     
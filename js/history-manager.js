@@ -0,0 +1,197 @@
+/**
+ * GrowthVault - History Manager
+ * Command-based undo/redo history for document mutations
+ */
+
+import { CONFIG } from './config.js';
+
+// State keys holding arrays of `{ id, ... }` entities. These are diffed per
+// entity so a command only stores what actually changed (items carry base64
+// images — snapshotting the whole array per command would balloon memory).
+const ENTITY_KEYS = new Set(['items', 'folders', 'trash', 'tags', 'authors', 'collections']);
+
+export class HistoryManager {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        console.log('🕘 HistoryManager initialized');
+    }
+
+    /**
+     * Record a mutation as a reversible command.
+     * Each command carries an `undo` and a `redo` patch, computed from the
+     * values of the touched state keys before and after the change.
+     * @param {string} type - Command type (e.g. 'addItem', 'renameFolder')
+     * @param {string} label - Human-readable description for notifications
+     * @param {Object} before - Touched state keys before the change
+     * @param {Object} after - Same keys after the change
+     * @returns {Object|null} The recorded command, or null if nothing changed
+     */
+    record(type, label, before, after) {
+        const redo = this.createPatch(before, after);
+        if (this.isEmptyPatch(redo, before)) {
+            return null;
+        }
+
+        const command = {
+            type,
+            label,
+            undo: this.createPatch(after, before),
+            redo,
+            timestamp: Date.now()
+        };
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > CONFIG.MAX_UNDO_HISTORY) {
+            this.undoStack.shift();
+        }
+        // A new mutation invalidates anything that was undone before it
+        this.redoStack = [];
+
+        console.log('🕘 Recorded:', type, `(${this.undoStack.length} in history)`);
+        return command;
+    }
+
+    /**
+     * Pop the latest command and compute the state updates that revert it
+     * @returns {Object|null} {command, updates} or null if nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.redoStack.push(command);
+        return { command, updates: this.applyPatch(command.undo) };
+    }
+
+    /**
+     * Re-apply the most recently undone command
+     * @returns {Object|null} {command, updates} or null if nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.undoStack.push(command);
+        return { command, updates: this.applyPatch(command.redo) };
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Drop a command that was recorded but whose change was rolled back
+     * (e.g. the save failed and the caller reverted state).
+     * @param {Object} command
+     */
+    discard(command) {
+        if (!command) return;
+        const index = this.undoStack.lastIndexOf(command);
+        if (index !== -1) {
+            this.undoStack.splice(index, 1);
+        }
+    }
+
+    /**
+     * Forget all history (used when the whole document is replaced or cleared)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Build a patch that transforms `from` into `to`.
+     * Entity arrays store the target id order plus only the entities that
+     * differ; every other key stores its full target value.
+     * @param {Object} from
+     * @param {Object} to
+     * @returns {Object} Patch keyed by state key
+     */
+    createPatch(from, to) {
+        const patch = {};
+
+        Object.keys(to).forEach(key => {
+            const target = to[key];
+
+            if (ENTITY_KEYS.has(key) && Array.isArray(target)) {
+                const previous = new Map((from[key] || []).map(entity => [entity?.id, entity]));
+                const changed = target.filter(entity => {
+                    const prev = previous.get(entity?.id);
+                    return !prev || JSON.stringify(prev) !== JSON.stringify(entity);
+                });
+                patch[key] = {
+                    order: target.map(entity => entity?.id),
+                    changed
+                };
+            } else {
+                patch[key] = { value: target === undefined ? undefined : JSON.parse(JSON.stringify(target)) };
+            }
+        });
+
+        return patch;
+    }
+
+    /**
+     * Check whether a patch would leave `from` untouched
+     * @param {Object} patch
+     * @param {Object} from
+     * @returns {boolean}
+     */
+    isEmptyPatch(patch, from) {
+        return Object.keys(patch).every(key => {
+            const entry = patch[key];
+            if (entry.order) {
+                const previousOrder = (from[key] || []).map(entity => entity?.id);
+                return entry.changed.length === 0 &&
+                    JSON.stringify(previousOrder) === JSON.stringify(entry.order);
+            }
+            return JSON.stringify(from[key]) === JSON.stringify(entry.value);
+        });
+    }
+
+    /**
+     * Resolve a patch against the current state into setState() updates.
+     * Entities the patch doesn't carry are taken from current state, so
+     * later edits to other entities survive. Entities added since the
+     * command are not in its order and are dropped, which is why history
+     * is cleared whenever a sync or load replaces the document.
+     * @param {Object} patch
+     * @returns {Object} State updates
+     */
+    applyPatch(patch) {
+        const updates = {};
+
+        Object.keys(patch).forEach(key => {
+            const entry = patch[key];
+
+            if (entry.order) {
+                const current = new Map((this.stateManager.get(key) || []).map(entity => [entity?.id, entity]));
+                const changed = new Map(entry.changed.map(entity => [entity?.id, entity]));
+                updates[key] = entry.order
+                    .map(id => changed.get(id) || current.get(id))
+                    .filter(Boolean)
+                    .map(entity => JSON.parse(JSON.stringify(entity)));
+            } else {
+                updates[key] = entry.value === undefined ? undefined : JSON.parse(JSON.stringify(entry.value));
+            }
+        });
+
+        return updates;
+    }
+}
+
+export default HistoryManager;
@@ -0,0 +1,295 @@
+/**
+ * GrowthVault - Item Links
+ * Wiki-style links between items. A link is stored in item text as
+ * <a data-item-id="123">Title</a>; the id is what counts, the text is only
+ * a label and is refreshed from the target's current title on display.
+ */
+
+import { Validators } from './validators.js';
+
+const LINK_SELECTOR = 'a[data-item-id]';
+
+export class ItemLinks {
+    /**
+     * Stored markup for a link to an item
+     * @param {Object} item
+     * @returns {string}
+     */
+    static createLinkHtml(item) {
+        return `<a data-item-id="${item.id}">${Validators.escapeHtml(item.title || 'Untitled')}</a>`;
+    }
+
+    /**
+     * A link element ready to insert into an editor
+     * @param {Object} item
+     * @returns {HTMLElement}
+     */
+    static createLinkElement(item) {
+        const template = document.createElement('template');
+        template.innerHTML = this.createLinkHtml(item);
+        const link = template.content.firstChild;
+        this.decorate(link, item);
+        return link;
+    }
+
+    /**
+     * Ids of the items an item's text links to (each once, in order)
+     * @param {string} html
+     * @returns {Array<number>}
+     */
+    static extractIds(html) {
+        const ids = [];
+        const pattern = /<a\b[^>]*\bdata-item-id="(\d+)"/gi;
+        let match;
+        while ((match = pattern.exec(html || '')) !== null) {
+            const id = parseInt(match[1]);
+            if (!ids.includes(id)) ids.push(id);
+        }
+        return ids;
+    }
+
+    /**
+     * Turn typed [[Title]] and @author/title references into links.
+     * References that don't match exactly one item are left as text.
+     * @param {string} html - Sanitized item HTML
+     * @param {Array} items - Items that can be linked to
+     * @returns {string}
+     */
+    static linkify(html, items) {
+        if (!html || !/\[\[|@/.test(html) || !items?.length) return html;
+
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const skipParents = new Set(['A', 'CODE', 'PRE']);
+        const walker = document.createTreeWalker(
+            template.content,
+            NodeFilter.SHOW_TEXT,
+            {
+                acceptNode: (node) => {
+                    if (!/\[\[|@/.test(node.nodeValue || '')) return NodeFilter.FILTER_REJECT;
+                    for (let parent = node.parentElement; parent; parent = parent.parentElement) {
+                        if (skipParents.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
+                    }
+                    return NodeFilter.FILTER_ACCEPT;
+                }
+            },
+            false
+        );
+
+        const nodes = [];
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+        if (nodes.length === 0) return html;
+
+        const authors = [...new Set(items.map(item => item.author))]
+            .sort((a, b) => b.length - a.length);
+        let changed = false;
+
+        nodes.forEach(node => {
+            const parts = this.splitReferences(node.nodeValue, items, authors);
+            if (parts.length === 1 && typeof parts[0] === 'string') return;
+
+            const fragment = document.createDocumentFragment();
+            parts.forEach(part => {
+                if (typeof part === 'string') {
+                    fragment.appendChild(document.createTextNode(part));
+                } else {
+                    const link = document.createElement('a');
+                    link.dataset.itemId = part.id;
+                    link.textContent = part.title || 'Untitled';
+                    fragment.appendChild(link);
+                }
+            });
+            node.replaceWith(fragment);
+            changed = true;
+        });
+
+        return changed ? template.innerHTML : html;
+    }
+
+    /**
+     * Split text into plain strings and the items its references point to
+     * @param {string} text
+     * @param {Array} items
+     * @param {Array<string>} authors - Author names, longest first
+     * @returns {Array<string|Object>}
+     */
+    static splitReferences(text, items, authors) {
+        const parts = [];
+        let plainStart = 0;
+        let i = 0;
+
+        const pushLink = (start, end, item) => {
+            if (start > plainStart) parts.push(text.slice(plainStart, start));
+            parts.push(item);
+            plainStart = end;
+            i = end;
+        };
+
+        while (i < text.length) {
+            if (text.startsWith('[[', i)) {
+                const close = text.indexOf(']]', i + 2);
+                const inner = close === -1 ? '' : text.slice(i + 2, close);
+                const item = inner && !/[[\]]/.test(inner) ? this.findByReference(inner, items) : null;
+                if (item) {
+                    pushLink(i, close + 2, item);
+                    continue;
+                }
+            } else if (text[i] === '@' && (i === 0 || /[\s(]/.test(text[i - 1]))) {
+                const match = this.matchAuthorReference(text, i + 1, items, authors);
+                if (match) {
+                    pushLink(i, match.end, match.item);
+                    continue;
+                }
+            }
+            i++;
+        }
+
+        if (plainStart < text.length || parts.length === 0) {
+            parts.push(text.slice(plainStart));
+        }
+        return parts;
+    }
+
+    /**
+     * Resolve the inside of [[...]]: a title, or author/title when the
+     * title alone is ambiguous
+     * @param {string} reference
+     * @param {Array} items
+     * @returns {Object|null} The single matching item
+     */
+    static findByReference(reference, items) {
+        const key = reference.trim().toLowerCase();
+        if (!key) return null;
+
+        const byTitle = items.filter(item => (item.title || 'Untitled').toLowerCase() === key);
+        if (byTitle.length === 1) return byTitle[0];
+
+        const slash = key.indexOf('/');
+        if (slash === -1) return null;
+        const author = key.slice(0, slash).trim();
+        const title = key.slice(slash + 1).trim();
+        const matches = items.filter(item =>
+            item.author.toLowerCase() === author &&
+            (item.title || 'Untitled').toLowerCase() === title
+        );
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Match "author/title" at a position. The longest author and then the
+     * longest title win, so names and titles may contain spaces.
+     * @param {string} text
+     * @param {number} start - Index just after the "@"
+     * @param {Array} items
+     * @param {Array<string>} authors - Author names, longest first
+     * @returns {Object|null} {item, end}
+     */
+    static matchAuthorReference(text, start, items, authors) {
+        const lower = text.toLowerCase();
+
+        for (const author of authors) {
+            const titleStart = start + author.length + 1;
+            if (lower.slice(start, titleStart) !== `${author.toLowerCase()}/`) continue;
+
+            const candidates = items
+                .filter(item => item.author === author)
+                .map(item => ({ item, title: (item.title || 'Untitled').toLowerCase() }))
+                .filter(({ title }) => {
+                    const end = titleStart + title.length;
+                    return lower.startsWith(title, titleStart) &&
+                        (end === text.length || !/[\p{L}\p{N}]/u.test(text[end]));
+                })
+                .sort((a, b) => b.title.length - a.title.length);
+
+            if (candidates.length === 0) continue;
+            const best = candidates.filter(c => c.title.length === candidates[0].title.length);
+            if (best.length !== 1) return null;
+            return { item: best[0].item, end: titleStart + best[0].title.length };
+        }
+        return null;
+    }
+
+    /**
+     * Prepare stored HTML for display: labels show the target's current
+     * title, links become clickable chips, and links to deleted items are
+     * marked broken
+     * @param {string} html - Sanitized item HTML
+     * @param {Array} items
+     * @returns {string}
+     */
+    static resolve(html, items) {
+        if (!html || !/data-item-id/.test(html)) return html;
+
+        const byId = new Map((items || []).map(item => [item.id, item]));
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        template.content.querySelectorAll(LINK_SELECTOR).forEach(link => {
+            this.decorate(link, byId.get(parseInt(link.dataset.itemId)));
+        });
+        return template.innerHTML;
+    }
+
+    /**
+     * Add display-only attributes to a link. They are stripped again when
+     * the text is sanitized for saving.
+     * @param {HTMLElement} link
+     * @param {Object|undefined} item - Link target, if it still exists
+     */
+    static decorate(link, item) {
+        link.className = item ? 'item-link' : 'item-link broken';
+        link.setAttribute('contenteditable', 'false');
+        link.dataset.action = 'open-linked-item';
+        if (item) {
+            link.textContent = item.title || 'Untitled';
+            link.title = `${item.author} — ${item.title || 'Untitled'}`;
+        } else {
+            link.title = 'This item no longer exists';
+        }
+    }
+
+    /**
+     * Items matching what has been typed after [[ or @
+     * @param {string} query
+     * @param {Array} items
+     * @param {Object} options - {byAuthor?: match "author/title" (the @ form), limit?}
+     * @returns {Array}
+     */
+    static search(query, items, options = {}) {
+        const limit = options.limit || 8;
+        const text = query.trim().toLowerCase();
+        let authorQuery = '';
+        let titleQuery = text;
+
+        if (options.byAuthor) {
+            const slash = text.indexOf('/');
+            authorQuery = slash === -1 ? text : text.slice(0, slash).trim();
+            titleQuery = slash === -1 ? '' : text.slice(slash + 1).trim();
+        }
+
+        const score = (value, q) => {
+            if (!q) return 1;
+            if (value.startsWith(q)) return 2;
+            return value.includes(q) ? 1 : 0;
+        };
+
+        return items
+            .map(item => {
+                const title = (item.title || 'Untitled').toLowerCase();
+                const author = item.author.toLowerCase();
+                const rank = options.byAuthor
+                    ? Math.min(score(author, authorQuery), score(title, titleQuery)) * 2
+                    : Math.max(score(title, titleQuery) * 2, score(author, titleQuery));
+                return { item, rank };
+            })
+            .filter(({ rank }) => rank > 0)
+            .sort((a, b) => b.rank - a.rank ||
+                (a.item.title || '').localeCompare(b.item.title || ''))
+            .slice(0, limit)
+            .map(({ item }) => item);
+    }
+}
+
+export default ItemLinks;
@@ -0,0 +1,211 @@
+/**
+ * GrowthVault - Link Autocomplete
+ * Suggests items to link to while typing [[ or @ in a rich text editor
+ */
+
+import { Validators } from './validators.js';
+import { ItemLinks } from './item-links.js';
+
+export class LinkAutocomplete {
+    constructor(options = {}) {
+        this.editor = typeof options.editor === 'string'
+            ? document.querySelector(options.editor)
+            : options.editor;
+
+        // Callbacks
+        this.getSuggestions = options.getSuggestions || (() => []); // (query, {byAuthor}) -> items
+
+        // State
+        this.trigger = null; // {node, start, end, query, byAuthor} while suggesting
+        this.matches = [];
+        this.activeSuggestion = 0;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Attach to the editor and create the suggestion list
+     */
+    init() {
+        if (!this.editor) return;
+
+        this.suggestionsEl = document.createElement('div');
+        this.suggestionsEl.className = 'link-suggestions';
+        this.suggestionsEl.style.display = 'none';
+        document.body.appendChild(this.suggestionsEl);
+
+        this.editor.addEventListener('keydown', this.handleKeydown);
+        this.editor.addEventListener('input', this.handleInput);
+        this.editor.addEventListener('blur', () => {
+            // Delay so a suggestion click lands first
+            setTimeout(() => this.hideSuggestions(), 150);
+        });
+
+        // mousedown (not click) so the editor keeps focus and its caret
+        this.suggestionsEl.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('.link-suggestion');
+            if (!option) return;
+            e.preventDefault();
+            this.select(this.matches[parseInt(option.dataset.index)]);
+        });
+    }
+
+    /**
+     * Find a [[ or @ reference being typed just before the caret
+     * @returns {Object|null} {node, start, end, query, byAuthor}
+     */
+    findTrigger() {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0) return null;
+
+        const range = selection.getRangeAt(0);
+        const node = range.startContainer;
+        if (!range.collapsed || node.nodeType !== Node.TEXT_NODE || !this.editor.contains(node)) return null;
+        if (node.parentElement?.closest('a, code, pre')) return null;
+
+        const before = node.data.slice(0, range.startOffset);
+        const wiki = before.match(/\[\[([^[\]\n]{0,80})$/);
+        if (wiki) {
+            return { node, start: wiki.index, end: range.startOffset, query: wiki[1], byAuthor: false };
+        }
+
+        const mention = before.match(/(^|[\s(])@([^@\n]{0,80})$/);
+        if (mention) {
+            const start = mention.index + mention[1].length;
+            return { node, start, end: range.startOffset, query: mention[2], byAuthor: true };
+        }
+        return null;
+    }
+
+    /**
+     * Show suggestions for the reference at the caret
+     */
+    handleInput() {
+        this.trigger = this.findTrigger();
+        this.matches = this.trigger
+            ? this.getSuggestions(this.trigger.query.replace(/\u00A0/g, ' '), { byAuthor: this.trigger.byAuthor })
+            : [];
+
+        if (this.matches.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.activeSuggestion = 0;
+        this.suggestionsEl.innerHTML = this.matches.map((item, index) => `
+            <div class="link-suggestion${index === 0 ? ' active' : ''}" data-index="${index}">
+                <span class="link-suggestion-title">${this.escapeHtml(item.title || 'Untitled')}</span>
+                <span class="link-suggestion-author">${this.escapeHtml(item.author)}</span>
+            </div>
+        `).join('');
+        this.positionSuggestions();
+        this.suggestionsEl.style.display = 'block';
+    }
+
+    /**
+     * Place the list under the caret (or the editor if the caret has no box)
+     */
+    positionSuggestions() {
+        const selection = window.getSelection();
+        const range = selection?.rangeCount ? selection.getRangeAt(0) : null;
+        let rect = typeof range?.getBoundingClientRect === 'function' ? range.getBoundingClientRect() : null;
+        if (!rect || (!rect.top && !rect.left && !rect.height)) {
+            rect = this.editor.getBoundingClientRect();
+        }
+
+        this.suggestionsEl.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 288))}px`;
+        this.suggestionsEl.style.top = `${rect.bottom + 4}px`;
+    }
+
+    /**
+     * Arrows move through suggestions, Enter/Tab picks, Escape dismisses
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (!this.isOpen()) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.highlightSuggestion((this.activeSuggestion + step + this.matches.length) % this.matches.length);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.select(this.matches[this.activeSuggestion]);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            this.hideSuggestions();
+        }
+    }
+
+    /**
+     * Replace the typed reference with a link to the item
+     * @param {Object} item
+     */
+    select(item) {
+        const trigger = this.trigger || this.findTrigger();
+        if (!item || !trigger || !trigger.node.parentNode) {
+            this.hideSuggestions();
+            return;
+        }
+
+        const { node, start, end } = trigger;
+        const after = node.splitText(end);
+        node.data = node.data.slice(0, start);
+
+        const link = ItemLinks.createLinkElement(item);
+        // Non-breaking, so the browser doesn't drop it at the end of a line
+        const space = document.createTextNode('\u00A0');
+        after.parentNode.insertBefore(link, after);
+        after.parentNode.insertBefore(space, after);
+
+        const selection = window.getSelection();
+        const range = document.createRange();
+        range.setStart(space, 1);
+        range.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        this.hideSuggestions();
+        this.editor.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * @param {number} index
+     */
+    highlightSuggestion(index) {
+        const options = this.suggestionsEl.querySelectorAll('.link-suggestion');
+        options.forEach((option, i) => option.classList.toggle('active', i === index));
+        options[index]?.scrollIntoView({ block: 'nearest' });
+        this.activeSuggestion = index;
+    }
+
+    /**
+     * @returns {boolean} Whether suggestions are showing
+     */
+    isOpen() {
+        return Boolean(this.suggestionsEl) && this.suggestionsEl.style.display !== 'none';
+    }
+
+    hideSuggestions() {
+        if (this.suggestionsEl) {
+            this.suggestionsEl.style.display = 'none';
+        }
+        this.trigger = null;
+        this.matches = [];
+    }
+
+    /**
+     * Escape HTML
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return Validators.escapeHtml(String(text ?? ''));
+    }
+}
+
+export default LinkAutocomplete;
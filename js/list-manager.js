@@ -5,11 +5,19 @@
 
 import { CONFIG } from './config.js';
 import { Validators } from './validators.js';
+import { HistoryManager } from './history-manager.js';
+import { DateUtils } from './date-utils.js';
+import { AuthorMatcher } from './author-matcher.js';
+import { ItemLinks } from './item-links.js';
+import { Citations } from './citations.js';
+import { SpacedRepetition } from './spaced-repetition.js';
+import { Checklist } from './checklist.js';
 
 export class ListManager {
-    constructor(stateManager, persistenceManager) {
+    constructor(stateManager, persistenceManager, historyManager = null) {
         this.stateManager = stateManager;
         this.persistenceManager = persistenceManager;
+        this.history = historyManager || new HistoryManager(stateManager);
         
         // Backward compatibility proxies
         this.storageManager = persistenceManager.storage;
@@ -30,15 +38,64 @@ export class ListManager {
         return Date.now() * 1000 + Math.floor(Math.random() * 1000);
     }
 
+    /**
+     * Apply a state update and record it as one undoable command.
+     * Every document mutation goes through here so undo/redo covers it.
+     * @param {string} type - Command type (e.g. 'addItem')
+     * @param {string} label - Human-readable description shown on undo/redo
+     * @param {Object} updates - Partial state updates
+     * @returns {Object|null} Recorded history command
+     */
+    commit(type, label, updates) {
+        const state = this.stateManager.getState();
+
+        // Authors new to the list get a record in the same command
+        if (updates.items) {
+            const authors = this.stateManager.ensureAuthorRecords(updates.items, updates.authors ?? state.authors);
+            if (authors) updates = { ...updates, authors };
+        }
+
+        const before = {};
+        Object.keys(updates).forEach(key => {
+            before[key] = state[key];
+        });
+
+        const command = this.history.record(type, label, before, updates);
+        this.stateManager.setState(updates);
+        return command;
+    }
+
+    /**
+     * Commit a change and save it. If the save fails, the change is rolled
+     * back and dropped from the history so undo never replays it.
+     * @param {string} type - History command type
+     * @param {string} label - Human-readable description
+     * @param {Object} updates - State updates
+     * @returns {Promise<Object>} Save result {success, error?}
+     */
+    async commitAndSave(type, label, updates) {
+        const command = this.commit(type, label, updates);
+        const result = await this.save();
+        if (!result.success && command) {
+            this.stateManager.setState(this.history.applyPatch(command.undo));
+            this.history.discard(command);
+            console.error('❌ Save failed, change rolled back:', label, result.error);
+        }
+        return result;
+    }
+
     /**
      * Add a new item to the list
-     * @param {Object} itemData - {author, title, text, imageFile?}
+     * @param {Object} itemData - {author, title, text, imageFile?, tags?, checklist?: turn the text's lines into actions}
      * @returns {Promise<Object>} {success: boolean, item?: Object, error?: string}
      */
     async addItem(itemData) {
-        const { author, title, text, imageFile } = itemData;
+        const { title, text, imageFile, tags: tagNames } = itemData;
+        const author = Validators.normalizeAuthor(itemData.author);
 
-        const sanitizedText = text ? Validators.sanitizeRichText(text) : '';
+        const sanitizedText = text
+            ? ItemLinks.linkify(Validators.sanitizeRichText(text), this.stateManager.get('items'))
+            : '';
         const plainText = Validators.extractTextFromHtml(sanitizedText).trim();
 
         // Validate author
@@ -67,17 +124,27 @@ export class ListManager {
             }
         }
 
-        // Create item
-        const now = new Date();
+        // Create item (dates are ISO; they're formatted for the viewer's locale at display time)
+        const now = DateUtils.now();
         const item = {
             id: this.generateId(),
-            date: now.toLocaleDateString() + ' ' + now.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
-            author: author.trim(),
+            createdAt: now,
+            updatedAt: now,
+            author,
             title: title?.trim() || 'Untitled',
             text: sanitizedText,
             image: null
         };
 
+        if (itemData.checklist) {
+            const entries = Checklist.parseEntries(sanitizedText).slice(0, CONFIG.MAX_CHECKLIST_ENTRIES);
+            item.type = 'checklist';
+            if (entries.length > 0) {
+                item.checklist = this.createChecklistEntries(entries);
+                item.text = '';
+            }
+        }
+
         // Handle image upload if present
         if (imageFile) {
             try {
@@ -91,6 +158,10 @@ export class ListManager {
 
         // Add to state
         const state = this.stateManager.getState();
+        const { tags, tagIds } = this.resolveTagNames(tagNames, state.tags);
+        if (tagIds.length > 0) {
+            item.tagIds = tagIds;
+        }
         const newItems = [...state.items, item];
         
         console.log('➕ Adding item:', {
@@ -101,9 +172,10 @@ export class ListManager {
             hasImage: !!item.image
         });
         
-        this.stateManager.setState({ 
+        const command = this.commit('addItem', `Add "${item.title}"`, {
             items: newItems,
-            itemCounter: state.itemCounter + 1
+            itemCounter: state.itemCounter + 1,
+            tags
         });
 
         // Save to storage
@@ -111,9 +183,11 @@ export class ListManager {
 
         if (!saveResult.success) {
             // Revert state if save failed
+            this.history.discard(command);
             this.stateManager.setState({
                 items: state.items,
-                itemCounter: state.itemCounter
+                itemCounter: state.itemCounter,
+                tags: state.tags
             });
             console.error('❌ Failed to save item:', saveResult.error);
             
@@ -150,12 +224,11 @@ export class ListManager {
     }
 
     /**
-     * Delete an item by ID
+     * Delete an item by ID (moves it to the trash with its folder membership)
      * @param {number} id - Item ID
-     * @param {boolean} saveUndo - Whether to save undo state (default true)
      * @returns {Promise<Object>} {success: boolean, item?: Object}
      */
-    async deleteItem(id, saveUndo = true) {
+    async deleteItem(id) {
         const state = this.stateManager.getState();
         const item = state.items.find(item => item.id === id);
         
@@ -163,34 +236,181 @@ export class ListManager {
             return { success: false, error: 'Item not found' };
         }
 
-        // Save undo state
-        if (saveUndo) {
-            this.saveStateForUndo('deleteItem', {
-                itemId: id,
-                title: item.title,
-                author: item.author
-            });
-        }
+        const entry = this.createTrashEntry('item', item.title || 'Untitled', item.author, {
+            items: [item],
+            placements: this.getItemPlacements(state, [item])
+        });
 
-        // Remove item
+        // Remove item and its folder and collection membership
         const newItems = state.items.filter(item => item.id !== id);
-        this.stateManager.setState({ items: newItems });
-        
-        await this.save();
+        const newFolders = (state.folders || []).map(f =>
+            f.itemIds.includes(id) ? { ...f, itemIds: f.itemIds.filter(itemId => itemId !== id) } : f
+        );
+
+        const saveResult = await this.commitAndSave('deleteItem', `Delete "${item.title || 'Untitled'}"`, {
+            items: newItems,
+            folders: newFolders,
+            collections: this.removeItemsFromCollections(state.collections, new Set([id])),
+            trash: [entry, ...(state.trash || [])]
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
 
-        console.log('🗑️  Item deleted:', id);
+        console.log('🗑️  Item moved to trash:', id);
         return { success: true, item };
     }
 
+    /**
+     * Update an item's rich text content
+     * @param {number} itemId - Item ID
+     * @param {string} newText - New HTML content (sanitized here)
+     * @returns {Promise<Object>} {success: boolean, changed?: boolean, error?: string}
+     */
+    async updateItemText(itemId, newText) {
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+
+        const sanitized = ItemLinks.linkify(
+            Validators.sanitizeRichText(newText || ''),
+            state.items.filter(i => i.id !== itemId)
+        );
+        if (item.text === sanitized) return { success: true, changed: false };
+
+        const updatedItems = state.items.map(i =>
+            i.id === itemId ? { ...i, text: sanitized, revisions: this.addRevision(i), updatedAt: DateUtils.now() } : i
+        );
+
+        const saveResult = await this.commitAndSave('editText', `Edit text of "${item.title || 'Untitled'}"`, { items: updatedItems });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('✏️  Updated item text:', itemId);
+        return { success: true, changed: true };
+    }
+
+    /**
+     * Update an item's title
+     * @param {number} itemId - Item ID
+     * @param {string} newTitle - New title (empty falls back to 'Untitled')
+     * @returns {Promise<Object>} {success: boolean, changed?: boolean, error?: string}
+     */
+    async updateItemTitle(itemId, newTitle) {
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+
+        const title = (newTitle || '').trim() || 'Untitled';
+        if (item.title === title) return { success: true, changed: false };
+
+        const updatedItems = state.items.map(i =>
+            i.id === itemId ? { ...i, title, revisions: this.addRevision(i), updatedAt: DateUtils.now() } : i
+        );
+
+        const saveResult = await this.commitAndSave('editTitle', `Rename "${item.title || 'Untitled'}" to "${title}"`, { items: updatedItems });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('✏️  Updated item title:', itemId, title);
+        return { success: true, changed: true };
+    }
+
+    /**
+     * Update one of the page titles (main title, subtitle or list title)
+     * as a single undo step
+     * @param {string} key - 'mainTitle', 'subtitle' or 'listTitle'
+     * @param {string} text
+     * @param {string} [originalText] - Title when editing began; drafts saved
+     *   since then are folded into this one step
+     * @returns {Promise<Object>} {success: boolean, changed?: boolean, error?: string}
+     */
+    async updatePageTitle(key, text, originalText) {
+        const titles = this.stateManager.getState().titles;
+        if (!['mainTitle', 'subtitle', 'listTitle'].includes(key)) {
+            return { success: false, error: 'Unknown title' };
+        }
+        const before = originalText ?? titles[key];
+        if (before === text) {
+            // Edited back to where it started: only a draft needs replacing
+            const draftResult = await this.savePageTitleDraft(key, text);
+            return { ...draftResult, changed: false };
+        }
+        if (titles[key] !== before) {
+            this.stateManager.setState({ titles: { ...titles, [key]: before } });
+        }
+
+        const saveResult = await this.commitAndSave('editPageTitle', `Change title to "${text}"`, {
+            titles: { ...titles, [key]: text }
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('✏️  Updated page title:', key, text);
+        return { success: true, changed: true };
+    }
+
+    /**
+     * Save a page title while it's still being edited, outside the undo
+     * history, so closing the tab mid-edit keeps the text
+     * @param {string} key - 'mainTitle', 'subtitle' or 'listTitle'
+     * @param {string} text
+     * @returns {Promise<Object>} {success: boolean, error?: string}
+     */
+    async savePageTitleDraft(key, text) {
+        const titles = this.stateManager.getState().titles;
+        if (!['mainTitle', 'subtitle', 'listTitle'].includes(key)) {
+            return { success: false, error: 'Unknown title' };
+        }
+        if (titles[key] === text) return { success: true };
+
+        this.stateManager.setState({ titles: { ...titles, [key]: text } });
+        return this.save();
+    }
+
+    /**
+     * Update an item's author. Moves only this item — other items by the
+     * old author are unaffected. Folders belong to one author, so the item
+     * leaves its folder and lands in the new author's Unfiled.
+     * @param {number} itemId - Item ID
+     * @param {string} newAuthor - New author name
+     * @returns {Promise<Object>} {success: boolean, author?: string, error?: string}
+     */
+    async updateItemAuthor(itemId, newAuthor) {
+        const trimmed = Validators.normalizeAuthor(newAuthor);
+        const validation = Validators.validateAuthor(trimmed);
+        if (!validation.valid) {
+            return { success: false, error: validation.error };
+        }
+
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+        if (item.author === trimmed) return { success: true, author: trimmed };
+
+        const updatedItems = state.items.map(i =>
+            i.id === itemId ? { ...i, author: trimmed, updatedAt: DateUtils.now() } : i
+        );
+        const updatedFolders = (state.folders || []).map(f =>
+            f.itemIds.includes(itemId) ? { ...f, itemIds: f.itemIds.filter(id => id !== itemId) } : f
+        );
+
+        const saveResult = await this.commitAndSave('editItemAuthor', `Move "${item.title || 'Untitled'}" to "${trimmed}"`, {
+            items: updatedItems,
+            folders: updatedFolders
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('✏️  Updated item author:', itemId, '→', trimmed);
+        return { success: true, author: trimmed };
+    }
+
     /**
      * Rename an author across all items, folders, and ordering metadata.
-     * Rejects if the target name already belongs to a different author
-     * (we don't auto-merge — the user should delete one side first).
+     * Rejects with `conflict: true` if the target name already belongs to a
+     * different author; the caller can offer mergeAuthors() instead. A leftover
+     * record for the target name (its items are gone) is folded into the
+     * renamed author's record so no two records share a name.
      * @param {string} oldName
      * @param {string} newName
      */
     async renameAuthor(oldName, newName) {
-        const trimmed = (newName || '').trim();
+        const trimmed = Validators.normalizeAuthor(newName);
         const validation = Validators.validateAuthor(trimmed);
         if (!validation.valid) return { success: false, error: validation.error };
         if (oldName === trimmed) return { success: true, newName: trimmed };
@@ -199,11 +419,11 @@ export class ListManager {
 
         const conflict = state.items.some(i => i.author === trimmed);
         if (conflict) {
-            return { success: false, error: `"${trimmed}" already exists — rename or delete it first` };
+            return { success: false, conflict: true, newName: trimmed, error: `"${trimmed}" already exists` };
         }
 
         const updatedItems = state.items.map(i =>
-            i.author === oldName ? { ...i, author: trimmed } : i
+            i.author === oldName ? { ...i, author: trimmed, updatedAt: DateUtils.now() } : i
         );
         const updatedFolders = (state.folders || []).map(f =>
             f.author === oldName ? { ...f, author: trimmed } : f
@@ -216,15 +436,37 @@ export class ListManager {
             updatedFolderOrder[trimmed] = updatedFolderOrder[oldName];
             delete updatedFolderOrder[oldName];
         }
+        const updatedSortModes = { ...(state.itemSortModes || {}) };
+        if (updatedSortModes[oldName]) {
+            updatedSortModes[trimmed] = updatedSortModes[oldName];
+            delete updatedSortModes[oldName];
+        }
+        const updatedSections = (state.authorSections || []).map(section => ({
+            ...section,
+            authors: (section.authors || []).map(a => a === oldName ? trimmed : a)
+        }));
+        const records = state.authors || [];
+        const ownRecord = records.find(record => record.name === oldName);
+        const staleRecord = records.find(record => record.name === trimmed);
+        let updatedAuthors = records;
+        if (ownRecord) {
+            const renamed = { ...ownRecord, name: trimmed };
+            const merged = staleRecord ? this.mergeAuthorProfile(renamed, staleRecord).record : renamed;
+            updatedAuthors = records
+                .filter(record => record !== staleRecord)
+                .map(record => record === ownRecord ? merged : record);
+        }
 
-        this.stateManager.setState({
+        const saveResult = await this.commitAndSave('renameAuthor', `Rename "${oldName}" to "${trimmed}"`, {
             items: updatedItems,
             folders: updatedFolders,
             authorOrder: updatedAuthorOrder,
-            folderOrder: updatedFolderOrder
+            folderOrder: updatedFolderOrder,
+            itemSortModes: updatedSortModes,
+            authorSections: updatedSections,
+            authors: updatedAuthors
         });
-
-        await this.save();
+        if (!saveResult.success) return { success: false, error: saveResult.error };
 
         console.log('✏️  Renamed author:', oldName, '→', trimmed);
         return { success: true, newName: trimmed };
@@ -243,24 +485,35 @@ export class ListManager {
             return { success: false, error: 'No items found for this author' };
         }
 
-        // Save undo state
-        this.saveStateForUndo('deleteAuthor', {
-            author: author,
-            itemCount: itemsToDelete.length
+        const authorFolders = (state.folders || []).filter(f => f.author === author);
+        const entry = this.createTrashEntry('author', author, author, {
+            items: itemsToDelete,
+            folders: authorFolders,
+            placements: this.getItemPlacements(state, itemsToDelete),
+            folderOrder: (state.folderOrder || {})[author] || [],
+            authorIndex: state.authorOrder.indexOf(author),
+            authorRecord: (state.authors || []).find(record => record.name === author)
         });
 
-        // Remove all items by this author
+        // Remove all items, folders and ordering for this author
         const newItems = state.items.filter(item => item.author !== author);
+        const newFolders = (state.folders || []).filter(f => f.author !== author);
         const newAuthorOrder = state.authorOrder.filter(a => a !== author);
+        const newFolderOrder = { ...(state.folderOrder || {}) };
+        delete newFolderOrder[author];
         
-        this.stateManager.setState({ 
+        const saveResult = await this.commitAndSave('deleteAuthor', `Delete author "${author}" (${itemsToDelete.length} items)`, {
             items: newItems,
-            authorOrder: newAuthorOrder
+            folders: newFolders,
+            collections: this.removeItemsFromCollections(state.collections, new Set(itemsToDelete.map(item => item.id))),
+            authorOrder: newAuthorOrder,
+            folderOrder: newFolderOrder,
+            authors: (state.authors || []).filter(record => record.name !== author),
+            trash: [entry, ...(state.trash || [])]
         });
-        
-        await this.save();
+        if (!saveResult.success) return { success: false, error: saveResult.error };
 
-        console.log(`🗑️  Deleted ${itemsToDelete.length} items by author:`, author);
+        console.log(`🗑️  Moved ${itemsToDelete.length} items by author to trash:`, author);
         return { success: true, count: itemsToDelete.length };
     }
 
@@ -278,10 +531,21 @@ export class ListManager {
         // Reset state
         this.stateManager.setState({
             items: [],
+            folders: [],
+            folderOrder: {},
             itemCounter: 1,
             authorOrder: [],
-            undoStack: []
+            trash: [],
+            tags: [],
+            tagFilter: [],
+            authors: [],
+            authorSections: [],
+            collections: [],
+            duplicateReview: { dismissed: [] }
         });
+        this.markDuplicateScanDone(false);
+
+        this.history.clear();
 
         // Clear persistence (both local and remote)
         await this.persistenceManager.clear();
@@ -292,23 +556,46 @@ export class ListManager {
 
     /**
      * Export data as JSON
+     * @param {Object} options - {includeReflections?: default true}
      * @returns {Object} Data object for export
      */
-    exportData() {
+    exportData(options = {}) {
         const state = this.stateManager.getStateForSaving();
-        const dataStr = JSON.stringify(state, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        if (options.includeReflections === false) {
+            state.items = this.withoutReflections(state.items);
+            state.trash = (state.trash || []).map(entry => ({ ...entry, items: this.withoutReflections(entry.items) }));
+        }
+        this.downloadJson(state, `growthvault-export-${new Date().toISOString().slice(0, 10)}.json`);
+
+        console.log('📤 Data exported');
+        return state;
+    }
+
+    /**
+     * Offer a JSON document as a file download
+     * @param {Object} data
+     * @param {string} filename
+     */
+    downloadJson(data, filename) {
+        this.downloadText(JSON.stringify(data, null, 2), filename, 'application/json');
+    }
+
+    /**
+     * Offer text as a file download
+     * @param {string} text
+     * @param {string} filename
+     * @param {string} type - MIME type
+     */
+    downloadText(text, filename, type = 'text/plain') {
+        const dataBlob = new Blob([text], { type });
         const url = URL.createObjectURL(dataBlob);
-        
+
         const link = document.createElement('a');
         link.href = url;
-        link.download = `growthvault-export-${new Date().toISOString().slice(0, 10)}.json`;
+        link.download = filename;
         link.click();
-        
+
         URL.revokeObjectURL(url);
-        
-        console.log('📤 Data exported');
-        return state;
     }
 
     /**
@@ -327,8 +614,14 @@ export class ListManager {
                 return { success: false, error: validation.error };
             }
 
-            // Load into state
+            // Load into state — recorded as one command so an import that
+            // clobbered the vault can be undone. The import replaces the whole
+            // saved document, so the snapshot covers every saved key.
+            const documentKeys = Object.keys(this.stateManager.getStateForSaving()).filter(key => key !== 'timestamp');
+            const pick = (source) => Object.fromEntries(documentKeys.map(key => [key, source[key]]));
+            const before = pick(this.stateManager.getState());
             this.stateManager.loadState(data);
+            this.history.record('importData', `Import ${data.items.length} items`, before, pick(this.stateManager.getState()));
             
             // Save to storage
             const saveResult = await this.save();
@@ -405,8 +698,8 @@ export class ListManager {
         const [draggedItem] = items.splice(draggedIndex, 1);
         items.splice(targetIndex, 0, draggedItem);
         
-        this.stateManager.setState({ items });
-        await this.save();
+        const saveResult = await this.commitAndSave('reorderItems', 'Reorder items', { items });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
         
         console.log('🔄 Items reordered');
         return { success: true };
@@ -417,90 +710,82 @@ export class ListManager {
      * @param {Array} newOrder - New author order array
      */
     async updateAuthorOrder(newOrder) {
-        this.stateManager.setState({ authorOrder: newOrder });
-        await this.save();
+        const saveResult = await this.commitAndSave('reorderAuthors', 'Reorder authors', { authorOrder: newOrder });
+        if (!saveResult.success) return;
         console.log('🔄 Author order updated:', newOrder);
     }
 
     /**
-     * Save state for undo - stores only deleted items, not entire state
-     * @param {string} action - Action name
-     * @param {Object} data - Action data
+     * Apply an author drag on the main list: a new manual order and/or
+     * new section assignments, recorded as a single undo step
+     * @param {Object} layout - {order?: Array<string>, sections?: Map<string, number|null>}
+     * @returns {Promise<boolean>} Whether anything was committed
      */
-    saveStateForUndo(action, data) {
-        const state = this.stateManager.getState();
-        
-        // Only store the specific items being deleted, not the entire state
-        let deletedItems = [];
-        if (action === 'deleteItem' && data.itemId) {
-            const item = state.items.find(i => i.id === data.itemId);
-            if (item) deletedItems = [item];
-        } else if (action === 'deleteAuthor' && data.author) {
-            deletedItems = state.items.filter(i => i.author === data.author);
+    async updateAuthorLayout({ order = null, sections = null }) {
+        const updates = {};
+        if (order) {
+            updates.authorOrder = order;
         }
-        
-        const undoState = {
-            action: action,
-            data: data,
-            deletedItems: deletedItems, // Store only deleted items, not full state
-            authorOrder: [...state.authorOrder],
-            timestamp: Date.now()
-        };
-
-        const newUndoStack = [...state.undoStack, undoState];
-        
-        // Keep only last N operations
-        if (newUndoStack.length > CONFIG.MAX_UNDO_HISTORY) {
-            newUndoStack.shift();
+        if (sections && sections.size > 0) {
+            updates.authorSections = (this.stateManager.get('authorSections') || []).map(section => {
+                const kept = (section.authors || []).filter(a => !sections.has(a));
+                const added = Array.from(sections.entries())
+                    .filter(([, sectionId]) => sectionId === section.id)
+                    .map(([author]) => author);
+                return { ...section, authors: [...kept, ...added] };
+            });
         }
+        if (Object.keys(updates).length === 0) return false;
 
-        this.stateManager.setState({ undoStack: newUndoStack });
-        console.log('💾 Undo state saved:', action, `(${deletedItems.length} items)`);
+        const saveResult = await this.commitAndSave('reorderAuthors', 'Move authors', updates);
+        if (!saveResult.success) return false;
+        console.log('🔄 Author layout updated');
+        return true;
     }
 
     /**
-     * Undo last action
-     * @returns {Promise<Object>} {success: boolean, action?: string}
+     * Undo the last recorded command
+     * @returns {Promise<Object>} {success: boolean, action?: string, label?: string}
      */
     async undo() {
-        const state = this.stateManager.getState();
-        
-        if (state.undoStack.length === 0) {
+        const entry = this.history.undo();
+
+        if (!entry) {
             console.log('ℹ️  Nothing to undo');
             return { success: false, error: 'Nothing to undo' };
         }
 
-        const lastState = state.undoStack[state.undoStack.length - 1];
-        const newUndoStack = state.undoStack.slice(0, -1);
-        
-        // Handle both old format (items) and new format (deletedItems)
-        let restoredItems;
-        if (lastState.deletedItems) {
-            // New format: restore only deleted items
-            restoredItems = [...state.items, ...lastState.deletedItems];
-        } else if (lastState.items) {
-            // Old format: restore entire state (migration path)
-            restoredItems = JSON.parse(JSON.stringify(lastState.items));
-            console.warn('⚠️  Using old undo format - consider clearing undo history');
-        } else {
-            console.error('❌ Invalid undo state');
-            return { success: false, error: 'Invalid undo state' };
+        this.stateManager.setState(entry.updates);
+        await this.save();
+
+        console.log('↩️  Undone:', entry.command.type);
+        return {
+            success: true,
+            action: entry.command.type,
+            label: entry.command.label
+        };
+    }
+
+    /**
+     * Redo the last undone command
+     * @returns {Promise<Object>} {success: boolean, action?: string, label?: string}
+     */
+    async redo() {
+        const entry = this.history.redo();
+
+        if (!entry) {
+            console.log('ℹ️  Nothing to redo');
+            return { success: false, error: 'Nothing to redo' };
         }
-        
-        this.stateManager.setState({
-            items: restoredItems,
-            authorOrder: [...lastState.authorOrder],
-            undoStack: newUndoStack
-        });
-        
+
+        this.stateManager.setState(entry.updates);
         await this.save();
-        
-        const itemCount = lastState.deletedItems?.length || '?';
-        console.log('↩️  Undone action:', lastState.action, `(restored ${itemCount} items)`);
-        return { 
-            success: true, 
-            action: lastState.action,
-            data: lastState.data
+
+        console.log('↪️  Redone:', entry.command.type);
+        return {
+            success: true,
+            action: entry.command.type,
+            label: entry.command.label
         };
     }
 
@@ -563,6 +848,7 @@ export class ListManager {
         const result = await this.persistenceManager.load();
         // persistenceManager handles loading state if found
         if (result.success) {
+            this.history.clear();
             console.log(`📥 State loaded from ${result.source}`);
             return { success: true };
         }
@@ -572,9 +858,10 @@ export class ListManager {
     /**
      * Read image file as data URL with compression
      * @param {File} file - Image file
+     * @param {number|null} maxDimension - Longest side in pixels (default depends on device)
      * @returns {Promise<string>} Compressed data URL
      */
-    readImageFile(file) {
+    readImageFile(file, maxDimension = null) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => {
@@ -582,7 +869,7 @@ export class ListManager {
                 img.onload = () => {
                     try {
                         // Compress image to reduce storage size
-                        const compressed = this.compressImage(img, file.type);
+                        const compressed = this.compressImage(img, file.type, maxDimension);
                         console.log('📷 Image compressed:', {
                             original: file.size,
                             compressed: compressed.length,
@@ -605,16 +892,17 @@ export class ListManager {
      * Compress image to reduce storage size
      * @param {HTMLImageElement} img - Image element
      * @param {string} mimeType - Original MIME type
+     * @param {number|null} maxSize - Longest side in pixels (default depends on device)
      * @returns {string} Compressed data URL
      */
-    compressImage(img, mimeType) {
+    compressImage(img, mimeType, maxSize = null) {
         const canvas = document.createElement('canvas');
         let width = img.width;
         let height = img.height;
 
         // Resize if too large - aggressive compression for mobile to avoid storage issues
         const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-        const maxDimension = isMobile ? 800 : 1920; // Reduced from 1280 to 800 for mobile
+        const maxDimension = maxSize || (isMobile ? 800 : 1920); // Reduced from 1280 to 800 for mobile
         
         console.log('🖼️  Original dimensions:', { width, height, isMobile });
         
@@ -661,9 +949,10 @@ export class ListManager {
      * Create a new folder for an author
      * @param {string} author - Author name
      * @param {string} name - Folder name
+     * @param {number|null} parentId - Parent folder for a subfolder (default top level)
      * @returns {Promise<Object>} {success: boolean, folder?: Object, error?: string}
      */
-    async createFolder(author, name) {
+    async createFolder(author, name, parentId = null) {
         if (!author || !author.trim()) {
             return { success: false, error: 'Author is required' };
         }
@@ -672,13 +961,15 @@ export class ListManager {
         }
 
         const state = this.stateManager.getState();
-        
-        // Check for duplicate folder name for this author
-        const existingFolder = (state.folders || []).find(
-            f => f.author === author && f.name.toLowerCase() === name.trim().toLowerCase()
-        );
-        if (existingFolder) {
-            return { success: false, error: 'A folder with this name already exists' };
+        const folders = state.folders || [];
+
+        if (parentId !== null && !folders.some(f => f.id === parentId && f.author === author)) {
+            return { success: false, error: 'Parent folder not found' };
+        }
+
+        // Names are unique among siblings
+        if (this.findSiblingFolderByName(folders, author, parentId, name)) {
+            return { success: false, error: 'A folder with this name already exists here' };
         }
 
         const folder = {
@@ -688,6 +979,9 @@ export class ListManager {
             itemIds: [],
             createdAt: new Date().toISOString()
         };
+        if (parentId !== null) {
+            folder.parentId = parentId;
+        }
 
         const newFolders = [...(state.folders || []), folder];
         
@@ -698,38 +992,77 @@ export class ListManager {
         }
         folderOrder[author] = [...folderOrder[author], folder.id];
 
-        this.stateManager.setState({ folders: newFolders, folderOrder });
-        await this.save();
+        const saveResult = await this.commitAndSave('createFolder', `Create folder "${folder.name}"`, { folders: newFolders, folderOrder });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
 
         console.log('📁 Folder created:', folder.name, 'for author:', author);
         return { success: true, folder };
     }
 
     /**
-     * Delete a folder (items move back to unfiled)
+     * Delete a folder (items move back to unfiled). Subfolders move up to
+     * the deleted folder's parent, or with `recursive` are deleted with it.
      * @param {number} folderId - Folder ID
+     * @param {Object} options - {recursive?: boolean}
      * @returns {Promise<Object>} {success: boolean, error?: string}
      */
-    async deleteFolder(folderId) {
+    async deleteFolder(folderId, options = {}) {
         const state = this.stateManager.getState();
-        const folder = (state.folders || []).find(f => f.id === folderId);
+        const folders = state.folders || [];
+        const folder = folders.find(f => f.id === folderId);
         
         if (!folder) {
             return { success: false, error: 'Folder not found' };
         }
 
-        const newFolders = (state.folders || []).filter(f => f.id !== folderId);
+        const parentId = this.getFolderParentId(folder, folders);
+        const descendantIds = options.recursive ? this.getFolderDescendantIds(folderId, folders) : [];
+        const removedIds = new Set([folderId, ...descendantIds]);
+        const childIds = options.recursive
+            ? []
+            : this.getChildFolderIds(folders, folder.author, folderId);
+
+        const newFolders = folders
+            .filter(f => !removedIds.has(f.id))
+            .map(f => (childIds.includes(f.id) ? this.withParentId(f, parentId) : f));
         
-        // Remove from folder order
+        // Remove from folder order; promoted children take the folder's place
         const folderOrder = { ...(state.folderOrder || {}) };
+        const authorFolderOrder = folderOrder[folder.author] || [];
+        const folderIndex = authorFolderOrder.indexOf(folderId);
         if (folderOrder[folder.author]) {
-            folderOrder[folder.author] = folderOrder[folder.author].filter(id => id !== folderId);
+            const remaining = authorFolderOrder.filter(id => !removedIds.has(id) && !childIds.includes(id));
+            remaining.splice(folderIndex === -1 ? remaining.length : Math.min(folderIndex, remaining.length), 0, ...childIds);
+            folderOrder[folder.author] = remaining;
         }
 
-        this.stateManager.setState({ folders: newFolders, folderOrder });
-        await this.save();
+        // The folders go to the trash; their items stay (as unfiled)
+        // and rejoin them if they are restored.
+        // Descendants are stored in display order so a restore puts them back as they were
+        const position = (f) => {
+            const index = authorFolderOrder.indexOf(f.id);
+            return index === -1 ? Infinity : index;
+        };
+        const descendants = folders
+            .filter(f => descendantIds.includes(f.id))
+            .sort((a, b) => position(a) - position(b));
+        const entry = this.createTrashEntry('folder', folder.name, folder.author, {
+            folders: [folder, ...descendants],
+            folderIndex,
+            childFolderIds: childIds
+        });
+
+        const label = descendantIds.length > 0
+            ? `Delete folder "${folder.name}" and ${descendantIds.length} subfolder${descendantIds.length === 1 ? '' : 's'}`
+            : `Delete folder "${folder.name}"`;
+        const saveResult = await this.commitAndSave('deleteFolder', label, {
+            folders: newFolders,
+            folderOrder,
+            trash: [entry, ...(state.trash || [])]
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
 
-        console.log('🗑️ Folder deleted:', folder.name);
+        console.log('🗑️ Folder deleted:', folder.name, descendantIds.length ? `(+${descendantIds.length} subfolders)` : '');
         return { success: true };
     }
 
@@ -751,27 +1084,98 @@ export class ListManager {
             return { success: false, error: 'Folder not found' };
         }
 
-        // Check for duplicate name
-        const duplicate = (state.folders || []).find(
-            f => f.id !== folderId && 
-                 f.author === folder.author && 
-                 f.name.toLowerCase() === newName.trim().toLowerCase()
-        );
-        if (duplicate) {
-            return { success: false, error: 'A folder with this name already exists' };
+        // Check for duplicate name among siblings
+        const parentId = this.getFolderParentId(folder, state.folders);
+        const duplicate = this.findSiblingFolderByName(state.folders, folder.author, parentId, newName);
+        if (duplicate && duplicate.id !== folderId) {
+            return { success: false, error: 'A folder with this name already exists here' };
         }
 
         const newFolders = (state.folders || []).map(f => 
             f.id === folderId ? { ...f, name: newName.trim() } : f
         );
 
-        this.stateManager.setState({ folders: newFolders });
-        await this.save();
+        const saveResult = await this.commitAndSave('renameFolder', `Rename folder "${folder.name}" to "${newName.trim()}"`, { folders: newFolders });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
 
         console.log('✏️ Folder renamed to:', newName);
         return { success: true };
     }
 
+    /**
+     * Update a folder's name and display settings in one step
+     * @param {number} folderId - Folder ID
+     * @param {Object} settings - {name?, icon?, color?, description?, pinned?}
+     * @returns {Promise<Object>} {success: boolean, changed?: boolean, error?: string}
+     */
+    async updateFolderSettings(folderId, settings) {
+        const state = this.stateManager.getState();
+        const folder = (state.folders || []).find(f => f.id === folderId);
+
+        if (!folder) {
+            return { success: false, error: 'Folder not found' };
+        }
+
+        const updated = { ...folder };
+
+        if (settings.name !== undefined) {
+            const name = String(settings.name || '').trim();
+            if (!name) {
+                return { success: false, error: 'Folder name is required' };
+            }
+            const parentId = this.getFolderParentId(folder, state.folders);
+            const duplicate = this.findSiblingFolderByName(state.folders, folder.author, parentId, name);
+            if (duplicate && duplicate.id !== folderId) {
+                return { success: false, error: 'A folder with this name already exists here' };
+            }
+            updated.name = name;
+        }
+
+        if (settings.icon !== undefined) {
+            const icon = String(settings.icon || '').trim();
+            if (Array.from(icon).length > CONFIG.MAX_FOLDER_ICON_LENGTH) {
+                return { success: false, error: 'The icon should be a single emoji' };
+            }
+            updated.icon = icon;
+        }
+
+        if (settings.color !== undefined) {
+            if (settings.color && !Validators.sanitizeColor(settings.color)) {
+                return { success: false, error: 'Invalid color' };
+            }
+            updated.color = settings.color || '';
+        }
+
+        if (settings.description !== undefined) {
+            const description = String(settings.description || '').trim();
+            if (description.length > CONFIG.MAX_FOLDER_DESCRIPTION_LENGTH) {
+                return { success: false, error: `Description must be at most ${CONFIG.MAX_FOLDER_DESCRIPTION_LENGTH} characters` };
+            }
+            updated.description = description;
+        }
+
+        if (settings.pinned !== undefined) {
+            updated.pinned = Boolean(settings.pinned);
+        }
+
+        // Firebase rejects undefined and drops empties — store only what's set
+        ['icon', 'color', 'description', 'pinned'].forEach(key => {
+            if (!updated[key]) delete updated[key];
+        });
+
+        if (JSON.stringify(updated) === JSON.stringify(folder)) {
+            return { success: true, changed: false };
+        }
+
+        const saveResult = await this.commitAndSave('updateFolder', `Edit folder "${updated.name}"`, {
+            folders: state.folders.map(f => (f.id === folderId ? updated : f))
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('📁 Folder settings updated:', updated.name);
+        return { success: true, changed: true };
+    }
+
     /**
      * Add an item to a folder
      * @param {number} itemId - Item ID
@@ -809,8 +1213,8 @@ export class ListManager {
             f.id === folderId ? { ...f, itemIds: [...f.itemIds, itemId] } : f
         );
 
-        this.stateManager.setState({ folders: newFolders });
-        await this.save();
+        const saveResult = await this.commitAndSave('moveToFolder', `Move "${item.title || 'Untitled'}" to "${folder.name}"`, { folders: newFolders });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
 
         console.log('📂 Item added to folder:', folder.name);
         return { success: true };
@@ -831,8 +1235,8 @@ export class ListManager {
             return f;
         });
 
-        this.stateManager.setState({ folders: newFolders });
-        await this.save();
+        const saveResult = await this.commitAndSave('removeFromFolder', 'Move item to Unfiled', { folders: newFolders });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
 
         console.log('📤 Item removed from folder');
         return { success: true };
@@ -863,8 +1267,8 @@ export class ListManager {
         const folderOrder = { ...(state.folderOrder || {}) };
         folderOrder[author] = newOrder;
 
-        this.stateManager.setState({ folderOrder });
-        await this.save();
+        const saveResult = await this.commitAndSave('reorderFolders', 'Reorder folders', { folderOrder });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
 
         console.log('🔄 Folder order updated for:', author);
         return { success: true };
@@ -883,8 +1287,8 @@ export class ListManager {
             f.id === folderId ? { ...f, itemIds: newItemOrder } : f
         );
 
-        this.stateManager.setState({ folders: newFolders });
-        await this.save();
+        const saveResult = await this.commitAndSave('reorderItems', 'Reorder items', { folders: newFolders });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
 
         console.log('🔄 Items reordered in folder');
         return { success: true };
@@ -927,17 +1331,18 @@ export class ListManager {
     }
 
     /**
-     * Get folders for an author (ordered)
+     * Get folders for an author (ordered; pinned folders first)
      * @param {string} author - Author name
      * @returns {Array} Folders for the author
      */
-    getFoldersForAuthor(author) {
-        const state = this.stateManager.getState();
+    getFoldersForAuthor(author, state = this.stateManager.getState()) {
         const authorFolders = (state.folders || []).filter(f => f.author === author);
         const order = (state.folderOrder || {})[author] || [];
 
-        // Sort by order, then by creation date for any not in order
+        // Pinned first, then by order, then by creation date for any not in order
         return authorFolders.sort((a, b) => {
+            if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1;
+
             const aIndex = order.indexOf(a.id);
             const bIndex = order.indexOf(b.id);
             
@@ -949,15 +1354,2735 @@ export class ListManager {
     }
 
     /**
-     * Get the folder containing an item
-     * @param {number} itemId - Item ID
-     * @returns {Object|null} Folder or null if unfiled
+     * A folder's parent ID, or null for a top-level folder. A parent that no
+     * longer exists (e.g. left out of a partial export) counts as top level.
+     * @param {Object} folder
+     * @param {Array} folders - All folders
+     * @returns {number|null}
      */
-    getFolderForItem(itemId) {
-        const state = this.stateManager.getState();
-        return (state.folders || []).find(f => f.itemIds.includes(itemId)) || null;
+    getFolderParentId(folder, folders = this.stateManager.get('folders') || []) {
+        const parentId = folder.parentId ?? null;
+        if (parentId === null || parentId === folder.id) return null;
+        return folders.some(f => f.id === parentId && f.author === folder.author) ? parentId : null;
     }
-}
 
-export default ListManager;
+    /**
+     * Copy of a folder with a new parent (the key is dropped at top level)
+     * @param {Object} folder
+     * @param {number|null} parentId
+     * @returns {Object}
+     */
+    withParentId(folder, parentId) {
+        const updated = { ...folder, parentId };
+        if (parentId === null) delete updated.parentId;
+        return updated;
+    }
+
+    /**
+     * IDs of a folder's direct subfolders
+     * @param {Array} folders - All folders
+     * @param {string} author
+     * @param {number|null} parentId
+     * @returns {Array<number>}
+     */
+    getChildFolderIds(folders, author, parentId) {
+        return folders
+            .filter(f => f.author === author && this.getFolderParentId(f, folders) === parentId)
+            .map(f => f.id);
+    }
+
+    /**
+     * IDs of every folder below a folder, at any depth
+     * @param {number} folderId
+     * @param {Array} folders - All folders
+     * @returns {Array<number>}
+     */
+    getFolderDescendantIds(folderId, folders = this.stateManager.get('folders') || []) {
+        const folder = folders.find(f => f.id === folderId);
+        if (!folder) return [];
+
+        const found = [];
+        const queue = [folderId];
+        while (queue.length > 0) {
+            const parentId = queue.shift();
+            this.getChildFolderIds(folders, folder.author, parentId).forEach(id => {
+                if (id === folderId || found.includes(id)) return;
+                found.push(id);
+                queue.push(id);
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Sibling folder with a given name (case-insensitive)
+     * @param {Array} folders - All folders
+     * @param {string} author
+     * @param {number|null} parentId
+     * @param {string} name
+     * @returns {Object|undefined}
+     */
+    findSiblingFolderByName(folders, author, parentId, name) {
+        const key = String(name || '').trim().toLowerCase();
+        return (folders || []).find(f =>
+            f.author === author &&
+            this.getFolderParentId(f, folders) === parentId &&
+            f.name.toLowerCase() === key
+        );
+    }
+
+    /**
+     * Direct subfolders of a folder (or the top-level folders), ordered
+     * @param {string} author
+     * @param {number|null} parentId
+     * @returns {Array}
+     */
+    getChildFolders(author, parentId = null) {
+        const folders = this.stateManager.get('folders') || [];
+        return this.getFoldersForAuthor(author)
+            .filter(f => this.getFolderParentId(f, folders) === parentId);
+    }
+
+    /**
+     * An author's folders depth-first in display order
+     * @param {string} author
+     * @param {Object} state - Defaults to the current state
+     * @returns {Array<Object>} [{folder, depth, path: [ancestor names]}]
+     */
+    getFolderTree(author, state = this.stateManager.getState()) {
+        const ordered = this.getFoldersForAuthor(author, state);
+        const folders = state.folders || [];
+        const tree = [];
+        const visited = new Set();
+
+        const walk = (parentId, depth, path) => {
+            ordered
+                .filter(f => this.getFolderParentId(f, folders) === parentId && !visited.has(f.id))
+                .forEach(folder => {
+                    visited.add(folder.id);
+                    tree.push({ folder, depth, path });
+                    walk(folder.id, depth + 1, [...path, folder.name]);
+                });
+        };
+        walk(null, 0, []);
+        return tree;
+    }
+
+    /**
+     * Folders from the top level down to the given folder
+     * @param {number} folderId
+     * @returns {Array} [root, …, folder]
+     */
+    getFolderPath(folderId) {
+        const folders = this.stateManager.get('folders') || [];
+        const path = [];
+        let folder = folders.find(f => f.id === folderId);
+        while (folder && !path.includes(folder)) {
+            path.unshift(folder);
+            const parentId = this.getFolderParentId(folder, folders);
+            folder = parentId === null ? null : folders.find(f => f.id === parentId);
+        }
+        return path;
+    }
+
+    /**
+     * An author's folder order with one folder placed before another
+     * @param {string} author
+     * @param {number} folderId - Folder to place
+     * @param {number|null} beforeId - Folder it goes in front of; null for last
+     * @returns {Array<number>} Complete folder order for the author
+     */
+    getFolderOrderWith(author, folderId, beforeId = null) {
+        const order = this.getFoldersForAuthor(author).map(f => f.id).filter(id => id !== folderId);
+        const index = beforeId === null ? -1 : order.indexOf(beforeId);
+        order.splice(index === -1 ? order.length : index, 0, folderId);
+        return order;
+    }
+
+    /**
+     * Move a folder under another folder of the same author, or to the top
+     * level. A folder can't be moved into itself or its own subfolders.
+     * @param {number} folderId
+     * @param {number|null} parentId - New parent, or null for top level
+     * @param {Object} options - {beforeId?: sibling to place it in front of (default: last)}
+     * @returns {Promise<Object>} {success: boolean, error?: string}
+     */
+    async moveFolder(folderId, parentId, options = {}) {
+        const state = this.stateManager.getState();
+        const folders = state.folders || [];
+        const folder = folders.find(f => f.id === folderId);
+        if (!folder) return { success: false, error: 'Folder not found' };
 
+        const parent = parentId === null ? null : folders.find(f => f.id === parentId);
+        if (parentId !== null && (!parent || parent.author !== folder.author)) {
+            return { success: false, error: 'Target folder not found' };
+        }
+        if (parentId === folderId || this.getFolderDescendantIds(folderId, folders).includes(parentId)) {
+            return { success: false, error: "A folder can't be moved into itself" };
+        }
+        if (this.getFolderParentId(folder, folders) === parentId) {
+            return { success: true, changed: false };
+        }
+        const clash = this.findSiblingFolderByName(folders, folder.author, parentId, folder.name);
+        if (clash) {
+            return { success: false, error: `"${parent ? parent.name : 'Top level'}" already has a folder named "${folder.name}"` };
+        }
+
+        // Last among its new siblings unless placed
+        const folderOrder = { ...(state.folderOrder || {}) };
+        folderOrder[folder.author] = this.getFolderOrderWith(folder.author, folderId, options.beforeId ?? null);
+
+        const saveResult = await this.commitAndSave(
+            'moveFolder',
+            parent ? `Move folder "${folder.name}" into "${parent.name}"` : `Move folder "${folder.name}" to top level`,
+            {
+                folders: folders.map(f => (f.id === folderId ? this.withParentId(f, parentId) : f)),
+                folderOrder
+            }
+        );
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('📁 Folder moved:', folder.name, '→', parent ? parent.name : 'top level');
+        return { success: true, changed: true };
+    }
+
+    /**
+     * Get the folder containing an item
+     * @param {number} itemId - Item ID
+     * @returns {Object|null} Folder or null if unfiled
+     */
+    getFolderForItem(itemId) {
+        const state = this.stateManager.getState();
+        return (state.folders || []).find(f => f.itemIds.includes(itemId)) || null;
+    }
+
+    /**
+     * Items in a scope: an author's items, a folder's items including its
+     * subfolders, items with a tag, or (empty scope) every item
+     * @param {Object} scope - {author}, {folderId}, {tagId} or {}
+     * @returns {Object} {items, label}
+     */
+    getScopedItems(scope = {}) {
+        const state = this.stateManager.getState();
+        if (scope.folderId) {
+            const folders = state.folders || [];
+            const folder = folders.find(f => f.id === scope.folderId);
+            if (!folder) return { items: [], label: '' };
+            const folderIds = [folder.id, ...this.getFolderDescendantIds(folder.id, folders)];
+            const ids = new Set(folderIds.flatMap(id => folders.find(f => f.id === id)?.itemIds || []));
+            return { items: state.items.filter(item => ids.has(item.id)), label: folder.name };
+        }
+        if (scope.tagId) {
+            const tag = (state.tags || []).find(t => t.id === scope.tagId);
+            return {
+                items: state.items.filter(item => (item.tagIds || []).includes(scope.tagId)),
+                label: tag ? `#${tag.name}` : ''
+            };
+        }
+        if (scope.author) {
+            return { items: state.items.filter(item => item.author === scope.author), label: scope.author };
+        }
+        return { items: state.items, label: 'All items' };
+    }
+
+    // ==================== BULK ITEM METHODS ====================
+
+    /**
+     * Selected items in state order
+     * @param {Object} state
+     * @param {Array<number>} ids
+     * @returns {Array}
+     */
+    getItemsById(state, ids) {
+        const idSet = new Set(ids);
+        return state.items.filter(item => idSet.has(item.id));
+    }
+
+    /**
+     * Label for a history/trash entry covering several items
+     * @param {Array} items
+     * @returns {string}
+     */
+    describeItems(items) {
+        return items.length === 1 ? `"${items[0].title || 'Untitled'}"` : `${items.length} items`;
+    }
+
+    /**
+     * Move several items to the trash as one entry (restorable together)
+     * @param {Array<number>} ids
+     * @returns {Promise<Object>} {success, count?, error?}
+     */
+    async bulkDeleteItems(ids) {
+        const state = this.stateManager.getState();
+        const items = this.getItemsById(state, ids);
+        if (items.length === 0) return { success: false, error: 'No items selected' };
+
+        const idSet = new Set(items.map(item => item.id));
+        const authors = [...new Set(items.map(item => item.author))];
+        const entry = this.createTrashEntry(
+            items.length === 1 ? 'item' : 'items',
+            items.length === 1 ? items[0].title || 'Untitled' : `${items.length} items`,
+            authors.join(', '),
+            { items, placements: this.getItemPlacements(state, items) }
+        );
+
+        const newFolders = (state.folders || []).map(f =>
+            f.itemIds.some(id => idSet.has(id)) ? { ...f, itemIds: f.itemIds.filter(id => !idSet.has(id)) } : f
+        );
+
+        const saveResult = await this.commitAndSave('deleteItems', `Delete ${this.describeItems(items)}`, {
+            items: state.items.filter(item => !idSet.has(item.id)),
+            folders: newFolders,
+            collections: this.removeItemsFromCollections(state.collections, idSet),
+            trash: [entry, ...(state.trash || [])]
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🗑️  Items moved to trash:', items.length);
+        return { success: true, count: items.length };
+    }
+
+    /**
+     * Move several items into a folder. Items by other authors than the
+     * folder's are left where they are.
+     * @param {Array<number>} ids
+     * @param {number} folderId
+     * @returns {Promise<Object>} {success, count?, skipped?, error?}
+     */
+    async bulkMoveToFolder(ids, folderId) {
+        const state = this.stateManager.getState();
+        const folder = (state.folders || []).find(f => f.id === folderId);
+        if (!folder) return { success: false, error: 'Folder not found' };
+
+        const items = this.getItemsById(state, ids);
+        const movable = items.filter(item => item.author === folder.author).map(item => item.id);
+        if (movable.length === 0) {
+            return { success: false, error: 'Items and folder must belong to the same author' };
+        }
+
+        const moveSet = new Set(movable);
+        const newFolders = (state.folders || []).map(f => {
+            if (f.id === folderId) {
+                return { ...f, itemIds: [...f.itemIds, ...movable.filter(id => !f.itemIds.includes(id))] };
+            }
+            return f.itemIds.some(id => moveSet.has(id))
+                ? { ...f, itemIds: f.itemIds.filter(id => !moveSet.has(id)) }
+                : f;
+        });
+
+        const moved = items.filter(item => moveSet.has(item.id));
+        const saveResult = await this.commitAndSave('moveToFolder', `Move ${this.describeItems(moved)} to "${folder.name}"`, { folders: newFolders });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('📂 Items added to folder:', folder.name, movable.length);
+        return { success: true, count: movable.length, skipped: items.length - movable.length };
+    }
+
+    /**
+     * Take several items out of their folders (move to Unfiled)
+     * @param {Array<number>} ids
+     * @returns {Promise<Object>} {success, count?, error?}
+     */
+    async bulkRemoveFromFolder(ids) {
+        const state = this.stateManager.getState();
+        const idSet = new Set(ids);
+        const filed = new Set((state.folders || []).flatMap(f => f.itemIds.filter(id => idSet.has(id))));
+        if (filed.size === 0) return { success: false, error: 'None of the selected items are in a folder' };
+
+        const newFolders = (state.folders || []).map(f =>
+            f.itemIds.some(id => filed.has(id)) ? { ...f, itemIds: f.itemIds.filter(id => !filed.has(id)) } : f
+        );
+
+        const items = this.getItemsById(state, [...filed]);
+        const saveResult = await this.commitAndSave('removeFromFolder', `Move ${this.describeItems(items)} to Unfiled`, { folders: newFolders });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('📤 Items removed from folders:', filed.size);
+        return { success: true, count: filed.size };
+    }
+
+    /**
+     * Move several items to another author. Folders belong to one author,
+     * so moved items leave their folders.
+     * @param {Array<number>} ids
+     * @param {string} newAuthor
+     * @returns {Promise<Object>} {success, count?, author?, error?}
+     */
+    async bulkReassignAuthor(ids, newAuthor) {
+        const author = Validators.normalizeAuthor(newAuthor);
+        const validation = Validators.validateAuthor(author);
+        if (!validation.valid) return { success: false, error: validation.error };
+
+        const state = this.stateManager.getState();
+        const items = this.getItemsById(state, ids).filter(item => item.author !== author);
+        if (items.length === 0) return { success: true, count: 0, author };
+
+        const moveSet = new Set(items.map(item => item.id));
+        const now = DateUtils.now();
+        const newItems = state.items.map(item =>
+            moveSet.has(item.id) ? { ...item, author, updatedAt: now } : item
+        );
+        const newFolders = (state.folders || []).map(f =>
+            f.author !== author && f.itemIds.some(id => moveSet.has(id))
+                ? { ...f, itemIds: f.itemIds.filter(id => !moveSet.has(id)) }
+                : f
+        );
+
+        const saveResult = await this.commitAndSave('editItemAuthor', `Move ${this.describeItems(items)} to "${author}"`, {
+            items: newItems,
+            folders: newFolders
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('✏️  Reassigned items:', items.length, '→', author);
+        return { success: true, count: items.length, author };
+    }
+
+    /**
+     * Add tags to several items, keeping their existing tags
+     * @param {Array<number>} ids
+     * @param {Array<string>} names
+     * @returns {Promise<Object>} {success, count?, error?}
+     */
+    async bulkTagItems(ids, names) {
+        const state = this.stateManager.getState();
+        const items = this.getItemsById(state, ids);
+        if (items.length === 0) return { success: false, error: 'No items selected' };
+
+        const { tags, tagIds } = this.resolveTagNames(names, state.tags);
+        if (tagIds.length === 0) return { success: false, error: 'Enter at least one tag' };
+
+        const idSet = new Set(items.map(item => item.id));
+        const now = DateUtils.now();
+        let changed = 0;
+        const newItems = state.items.map(item => {
+            if (!idSet.has(item.id)) return item;
+            const current = item.tagIds || [];
+            const added = tagIds.filter(id => !current.includes(id));
+            if (added.length === 0) return item;
+            changed++;
+            return { ...item, tagIds: [...current, ...added], updatedAt: now };
+        });
+        if (changed === 0) return { success: true, count: 0 };
+
+        const saveResult = await this.commitAndSave('editTags', `Tag ${this.describeItems(items)}`, { items: newItems, tags });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🏷️  Tagged items:', changed, names);
+        return { success: true, count: changed };
+    }
+
+    /**
+     * Download selected items as a standalone vault file: the items plus
+     * their folders, tags and author profiles
+     * @param {Array<number>} ids
+     * @param {Object} options - {includeReflections?: default true}
+     * @returns {Object} {success, count?, error?}
+     */
+    exportItems(ids, options = {}) {
+        const state = this.stateManager.getStateForSaving();
+        let items = this.getItemsById(state, ids);
+        if (items.length === 0) return { success: false, error: 'No items selected' };
+        if (options.includeReflections === false) {
+            items = this.withoutReflections(items);
+        }
+
+        const idSet = new Set(items.map(item => item.id));
+        const authorNames = new Set(items.map(item => item.author));
+        const tagIds = new Set(items.flatMap(item => item.tagIds || []));
+        // Folders holding selected items, plus their ancestors so the
+        // nesting survives
+        const allFolders = state.folders || [];
+        const folderIds = new Set();
+        allFolders
+            .filter(f => f.itemIds.some(id => idSet.has(id)))
+            .forEach(folder => {
+                for (let f = folder; f && !folderIds.has(f.id);) {
+                    folderIds.add(f.id);
+                    const parentId = this.getFolderParentId(f, allFolders);
+                    f = parentId === null ? null : allFolders.find(candidate => candidate.id === parentId);
+                }
+            });
+        const folders = allFolders
+            .filter(f => folderIds.has(f.id))
+            .map(f => ({ ...f, itemIds: f.itemIds.filter(id => idSet.has(id)) }));
+        const folderOrder = Object.fromEntries(
+            Object.entries(state.folderOrder || {})
+                .filter(([author]) => authorNames.has(author))
+                .map(([author, order]) => [author, order.filter(id => folderIds.has(id))])
+        );
+
+        const collections = (state.collections || [])
+            .map(c => ({ ...c, itemIds: (c.itemIds || []).filter(id => idSet.has(id)) }))
+            .filter(c => c.itemIds.length > 0);
+
+        const data = {
+            items,
+            folders,
+            folderOrder,
+            collections,
+            authorOrder: state.authorOrder.filter(author => authorNames.has(author)),
+            tags: (state.tags || []).filter(tag => tagIds.has(tag.id)),
+            authors: (state.authors || []).filter(record => authorNames.has(record.name)),
+            titles: state.titles,
+            timestamp: new Date().toISOString()
+        };
+        this.downloadJson(data, `growthvault-selection-${new Date().toISOString().slice(0, 10)}.json`);
+
+        console.log('📤 Exported selection:', items.length, 'items');
+        return { success: true, count: items.length };
+    }
+
+    // ==================== TAG METHODS ====================
+
+    /**
+     * Clean up a tag name: strip a leading '#', commas and extra whitespace
+     * @param {string} name
+     * @returns {string}
+     */
+    normalizeTagName(name) {
+        return String(name || '')
+            .replace(/^#/, '')
+            .replace(/,/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, CONFIG.MAX_TAG_LENGTH);
+    }
+
+    /**
+     * Find a tag by name (case-insensitive)
+     * @param {string} name
+     * @param {Array} tags - Tag registry (defaults to current state)
+     * @returns {Object|undefined}
+     */
+    findTagByName(name, tags = this.stateManager.get('tags') || []) {
+        const key = this.normalizeTagName(name).toLowerCase();
+        return tags.find(tag => tag.name.toLowerCase() === key);
+    }
+
+    /**
+     * Map tag names to tag IDs, creating registry entries for new names
+     * @param {Array<string>} names
+     * @param {Array} tags - Current tag registry
+     * @returns {Object} {tags: Array (registry incl. new tags), tagIds: Array}
+     */
+    resolveTagNames(names, tags = []) {
+        const registry = [...(tags || [])];
+        const tagIds = [];
+
+        (names || []).forEach(raw => {
+            const name = this.normalizeTagName(raw);
+            if (!name) return;
+
+            let tag = this.findTagByName(name, registry);
+            if (!tag) {
+                tag = {
+                    id: this.generateId(),
+                    name,
+                    color: CONFIG.TAG_COLORS[registry.length % CONFIG.TAG_COLORS.length]
+                };
+                registry.push(tag);
+            }
+            if (!tagIds.includes(tag.id)) {
+                tagIds.push(tag.id);
+            }
+        });
+
+        return { tags: registry, tagIds };
+    }
+
+    /**
+     * Get all tags sorted by name
+     * @returns {Array} [{id, name, color}]
+     */
+    getTags() {
+        return [...(this.stateManager.get('tags') || [])]
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get the tags of an item
+     * @param {Object} item
+     * @returns {Array} [{id, name, color}]
+     */
+    getItemTags(item) {
+        const tags = new Map((this.stateManager.get('tags') || []).map(tag => [tag.id, tag]));
+        return (item?.tagIds || []).map(id => tags.get(id)).filter(Boolean);
+    }
+
+    /**
+     * Count items per tag
+     * @returns {Map} tagId -> count
+     */
+    getTagUsage() {
+        const usage = new Map();
+        this.stateManager.get('items').forEach(item => {
+            (item.tagIds || []).forEach(id => usage.set(id, (usage.get(id) || 0) + 1));
+        });
+        return usage;
+    }
+
+    /**
+     * Replace an item's tags
+     * @param {number} itemId - Item ID
+     * @param {Array<string>} names - Tag names
+     * @returns {Promise<Object>} {success: boolean, changed?: boolean, error?: string}
+     */
+    async setItemTags(itemId, names) {
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+
+        const { tags, tagIds } = this.resolveTagNames(names, state.tags);
+        if (JSON.stringify(tagIds) === JSON.stringify(item.tagIds || [])) {
+            return { success: true, changed: false };
+        }
+
+        const updatedItems = state.items.map(i => {
+            if (i.id !== itemId) return i;
+            const updated = { ...i, tagIds, updatedAt: DateUtils.now() };
+            if (tagIds.length === 0) delete updated.tagIds;
+            return updated;
+        });
+
+        const saveResult = await this.commitAndSave('editTags', `Edit tags of "${item.title || 'Untitled'}"`, { items: updatedItems, tags });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🏷️  Updated item tags:', itemId, names);
+        return { success: true, changed: true };
+    }
+
+    /**
+     * Rename a tag
+     * @param {number} tagId - Tag ID
+     * @param {string} newName - New name
+     * @returns {Promise<Object>} {success: boolean, error?: string}
+     */
+    async renameTag(tagId, newName) {
+        const state = this.stateManager.getState();
+        const tag = state.tags.find(t => t.id === tagId);
+        if (!tag) return { success: false, error: 'Tag not found' };
+
+        const name = this.normalizeTagName(newName);
+        if (!name) return { success: false, error: 'Tag name cannot be empty' };
+        if (name === tag.name) return { success: true };
+
+        const existing = this.findTagByName(name, state.tags);
+        if (existing && existing.id !== tagId) {
+            return { success: false, error: `Tag "${existing.name}" already exists — merge instead` };
+        }
+
+        const tags = state.tags.map(t => t.id === tagId ? { ...t, name } : t);
+        const saveResult = await this.commitAndSave('renameTag', `Rename tag "${tag.name}" to "${name}"`, { tags });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🏷️  Tag renamed:', tag.name, '→', name);
+        return { success: true };
+    }
+
+    /**
+     * Set a tag's color
+     * @param {number} tagId - Tag ID
+     * @param {string} color - Hex color (#RRGGBB)
+     * @returns {Promise<Object>} {success: boolean, error?: string}
+     */
+    async setTagColor(tagId, color) {
+        if (!Validators.sanitizeColor(color)) {
+            return { success: false, error: 'Invalid color' };
+        }
+
+        const state = this.stateManager.getState();
+        const tag = state.tags.find(t => t.id === tagId);
+        if (!tag) return { success: false, error: 'Tag not found' };
+
+        const tags = state.tags.map(t => t.id === tagId ? { ...t, color } : t);
+        const saveResult = await this.commitAndSave('tagColor', `Recolor tag "${tag.name}"`, { tags });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        return { success: true };
+    }
+
+    /**
+     * Merge one tag into another: items tagged with the source get the
+     * target instead, and the source tag is removed
+     * @param {number} sourceId - Tag to merge away
+     * @param {number} targetId - Tag to keep
+     * @returns {Promise<Object>} {success: boolean, count?: number, error?: string}
+     */
+    async mergeTags(sourceId, targetId) {
+        const state = this.stateManager.getState();
+        const source = state.tags.find(t => t.id === sourceId);
+        const target = state.tags.find(t => t.id === targetId);
+        if (!source || !target) return { success: false, error: 'Tag not found' };
+        if (sourceId === targetId) return { success: false, error: 'Cannot merge a tag into itself' };
+
+        let count = 0;
+        const items = state.items.map(item => {
+            if (!(item.tagIds || []).includes(sourceId)) return item;
+            count++;
+            const tagIds = [...new Set(item.tagIds.map(id => id === sourceId ? targetId : id))];
+            return { ...item, tagIds };
+        });
+
+        const saveResult = await this.commitAndSave('mergeTags', `Merge tag "${source.name}" into "${target.name}"`, {
+            items,
+            tags: state.tags.filter(t => t.id !== sourceId)
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+        this.setTagFilter(state.tagFilter.map(id => id === sourceId ? targetId : id));
+
+        console.log('🏷️  Tags merged:', source.name, '→', target.name, `(${count} items)`);
+        return { success: true, count };
+    }
+
+    /**
+     * Delete a tag and remove it from every item
+     * @param {number} tagId - Tag ID
+     * @returns {Promise<Object>} {success: boolean, count?: number, error?: string}
+     */
+    async deleteTag(tagId) {
+        const state = this.stateManager.getState();
+        const tag = state.tags.find(t => t.id === tagId);
+        if (!tag) return { success: false, error: 'Tag not found' };
+
+        let count = 0;
+        const items = state.items.map(item => {
+            if (!(item.tagIds || []).includes(tagId)) return item;
+            count++;
+            const updated = { ...item, tagIds: item.tagIds.filter(id => id !== tagId) };
+            if (updated.tagIds.length === 0) delete updated.tagIds;
+            return updated;
+        });
+
+        const saveResult = await this.commitAndSave('deleteTag', `Delete tag "${tag.name}"`, {
+            items,
+            tags: state.tags.filter(t => t.id !== tagId)
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+        this.setTagFilter(state.tagFilter.filter(id => id !== tagId));
+
+        console.log('🏷️  Tag deleted:', tag.name, `(${count} items)`);
+        return { success: true, count };
+    }
+
+    /**
+     * Get the active tag filter
+     * @returns {Array} Tag IDs
+     */
+    getTagFilter() {
+        return this.stateManager.get('tagFilter') || [];
+    }
+
+    /**
+     * Set the active tag filter (view state only — not saved or undoable)
+     * @param {Array} tagIds
+     */
+    setTagFilter(tagIds) {
+        const known = new Set((this.stateManager.get('tags') || []).map(tag => tag.id));
+        const tagFilter = [...new Set(tagIds || [])].filter(id => known.has(id));
+        if (JSON.stringify(tagFilter) === JSON.stringify(this.getTagFilter())) return;
+        this.stateManager.setState({ tagFilter });
+    }
+
+    /**
+     * Add or remove a tag from the active filter
+     * @param {number} tagId
+     */
+    toggleTagFilter(tagId) {
+        const current = this.getTagFilter();
+        this.setTagFilter(current.includes(tagId)
+            ? current.filter(id => id !== tagId)
+            : [...current, tagId]);
+    }
+
+    /**
+     * Check an item against a tag filter. An item matches when it carries
+     * every tag in the filter; an empty filter matches everything.
+     * @param {Object} item
+     * @param {Array} tagIds - Defaults to the active filter
+     * @returns {boolean}
+     */
+    itemMatchesTags(item, tagIds = this.getTagFilter()) {
+        if (!tagIds || tagIds.length === 0) return true;
+        const itemTags = item.tagIds || [];
+        return tagIds.every(id => itemTags.includes(id));
+    }
+
+    /**
+     * Get the active status filter
+     * @returns {string} '', 'unprocessed' or a status
+     */
+    getStatusFilter() {
+        return this.stateManager.get('statusFilter') || '';
+    }
+
+    /**
+     * Set the active status filter (view state only — not saved or undoable)
+     * @param {string} filter - '', 'unprocessed' or a status
+     */
+    setStatusFilter(filter) {
+        const statusFilter = filter === 'unprocessed' || CONFIG.ITEM_STATUSES[filter] ? filter : '';
+        if (statusFilter === this.getStatusFilter()) return;
+        this.stateManager.setState({ statusFilter });
+    }
+
+    /**
+     * Whether an item passes a status filter; an empty filter matches everything
+     * @param {Object} item
+     * @param {string} filter - Defaults to the active filter
+     * @returns {boolean}
+     */
+    itemMatchesStatus(item, filter = this.getStatusFilter()) {
+        if (!filter) return true;
+        if (filter === 'unprocessed') return this.isUnprocessed(item);
+        return this.getItemStatus(item) === filter;
+    }
+
+    // ==================== SORT METHODS ====================
+
+    /**
+     * Sort mode chosen for an author's popup
+     * @param {string} author
+     * @returns {string} A key of CONFIG.ITEM_SORT_MODES
+     */
+    getItemSortMode(author) {
+        const mode = (this.stateManager.get('itemSortModes') || {})[author];
+        return CONFIG.ITEM_SORT_MODES[mode] ? mode : 'manual';
+    }
+
+    /**
+     * Remember the popup sort mode for an author. This is a view preference:
+     * it never reorders state.items, so the manual order survives, and it
+     * bypasses the undo history.
+     * @param {string} author
+     * @param {string} mode - A key of CONFIG.ITEM_SORT_MODES
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async setItemSortMode(author, mode) {
+        if (!CONFIG.ITEM_SORT_MODES[mode]) {
+            return { success: false, error: 'Unknown sort mode' };
+        }
+        if (this.getItemSortMode(author) === mode) return { success: true };
+
+        const itemSortModes = { ...(this.stateManager.get('itemSortModes') || {}) };
+        if (mode === 'manual') {
+            delete itemSortModes[author];
+        } else {
+            itemSortModes[author] = mode;
+        }
+        this.stateManager.setState({ itemSortModes });
+        await this.save();
+
+        console.log('↕️  Sort mode for', author, '→', mode);
+        return { success: true };
+    }
+
+    /**
+     * Return items in the given sort mode. Ties keep their manual order.
+     * @param {Array} items - Items in manual order
+     * @param {string} mode - A key of CONFIG.ITEM_SORT_MODES
+     * @returns {Array} New sorted array
+     */
+    sortItems(items, mode) {
+        const keyFns = {
+            newest: item => -(Date.parse(item.createdAt) || 0),
+            oldest: item => Date.parse(item.createdAt) || 0,
+            title: item => (item.title || 'Untitled').toLocaleLowerCase(),
+            longest: item => -Validators.extractTextFromHtml(item.text || '').trim().length,
+            shortest: item => Validators.extractTextFromHtml(item.text || '').trim().length,
+            image: item => (item.image ? 0 : 1),
+            rating: item => -(item.rating || 0)
+        };
+        const keyFn = keyFns[mode];
+        if (!keyFn) return [...items];
+
+        // Compute each key once; Array.prototype.sort is stable
+        return items
+            .map(item => ({ item, key: keyFn(item) }))
+            .sort((a, b) => typeof a.key === 'string'
+                ? a.key.localeCompare(b.key, undefined, { numeric: true })
+                : a.key - b.key)
+            .map(entry => entry.item);
+    }
+
+    /**
+     * Main list sort, grouping and whether it shows authors or collections
+     * @returns {Object} {sort, group, mode}
+     */
+    getListView() {
+        const view = this.stateManager.get('listView') || {};
+        return {
+            sort: CONFIG.AUTHOR_SORT_MODES[view.sort] ? view.sort : 'manual',
+            group: CONFIG.AUTHOR_GROUP_MODES[view.group] ? view.group : 'none',
+            mode: CONFIG.LIST_VIEW_MODES[view.mode] ? view.mode : 'authors'
+        };
+    }
+
+    /**
+     * Change the main list sort, grouping and/or mode. A view preference, so
+     * it bypasses the undo history; the manual author order is never touched.
+     * @param {Object} changes - {sort?, group?, mode?}
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async setListView(changes) {
+        const view = { ...this.getListView(), ...changes };
+        if (!CONFIG.AUTHOR_SORT_MODES[view.sort] || !CONFIG.AUTHOR_GROUP_MODES[view.group] ||
+            !CONFIG.LIST_VIEW_MODES[view.mode]) {
+            return { success: false, error: 'Unknown view option' };
+        }
+
+        this.stateManager.setState({ listView: view });
+        await this.save();
+
+        console.log('↕️  List view:', view);
+        return { success: true };
+    }
+
+    /**
+     * Sort authors for the main list. Ties keep the manual order; pinned
+     * authors come first.
+     * @param {Array<string>} authors - Authors in manual order
+     * @param {Map} grouped - author -> items
+     * @param {string} mode - A key of CONFIG.AUTHOR_SORT_MODES
+     * @returns {Array<string>} New sorted array
+     */
+    sortAuthors(authors, grouped, mode) {
+        const latest = (items, field) => Math.max(0, ...items.map(item =>
+            Date.parse(item[field] || item.createdAt) || 0
+        ));
+        const compare = {
+            alphabetical: (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true }),
+            count: (a, b) => grouped.get(b).length - grouped.get(a).length,
+            updated: (a, b) => latest(grouped.get(b), 'updatedAt') - latest(grouped.get(a), 'updatedAt'),
+            added: (a, b) => latest(grouped.get(b), 'createdAt') - latest(grouped.get(a), 'createdAt')
+        }[mode];
+
+        const sorted = compare ? [...authors].sort(compare) : [...authors];
+
+        // Pinned authors stay on top whatever the sort
+        const pinned = sorted.filter(author => this.isAuthorPinned(author));
+        return pinned.length > 0
+            ? [...pinned, ...sorted.filter(author => !pinned.includes(author))]
+            : sorted;
+    }
+
+    /**
+     * Split sorted authors into the groups shown on the main list
+     * @param {Array<string>} authors - Authors in display order
+     * @param {string} mode - A key of CONFIG.AUTHOR_GROUP_MODES
+     * @returns {Array<Object>} [{key, label, sectionId?, authors}]; one unlabelled group when not grouping
+     */
+    groupAuthors(authors, mode) {
+        // When grouping, pinned authors get a group of their own at the top
+        const pinned = mode === 'letter' || mode === 'section'
+            ? authors.filter(author => this.isAuthorPinned(author))
+            : [];
+        if (pinned.length > 0) {
+            const rest = authors.filter(author => !pinned.includes(author));
+            return [{ key: 'pinned', label: '📌 Pinned', authors: pinned }, ...this.groupAuthors(rest, mode)];
+        }
+
+        if (mode === 'letter') {
+            const groups = new Map();
+            authors.forEach(author => {
+                const first = author.normalize('NFD').replace(/[\u0300-\u036f]/g, '').charAt(0).toLocaleUpperCase();
+                const key = /\p{L}/u.test(first) ? first : '#';
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(author);
+            });
+            return Array.from(groups.keys())
+                .sort((a, b) => (a === '#') - (b === '#') || a.localeCompare(b))
+                .map(key => ({ key, label: key, authors: groups.get(key) }));
+        }
+
+        if (mode === 'section') {
+            const placed = new Set();
+            const groups = this.getAuthorSections().map(section => {
+                const members = new Set(section.authors);
+                const sectionAuthors = authors.filter(a => members.has(a) && !placed.has(a));
+                sectionAuthors.forEach(a => placed.add(a));
+                return { key: `section-${section.id}`, label: section.name, sectionId: section.id, authors: sectionAuthors };
+            });
+            groups.push({
+                key: 'section-none',
+                label: 'Unsectioned',
+                sectionId: null,
+                authors: authors.filter(a => !placed.has(a))
+            });
+            return groups;
+        }
+
+        return [{ key: 'all', label: null, authors }];
+    }
+
+    // ==================== AUTHOR MERGE METHODS ====================
+
+    /**
+     * Work out what merging one author into another does, without applying it
+     * @param {Object} state - Current state (copy)
+     * @param {string} source - Author that disappears
+     * @param {string} target - Author that receives everything
+     * @param {Object} options - {mergeFolders: boolean} combine same-named folders (default true)
+     * @returns {Object} {preview, updates} or {error}
+     */
+    planAuthorMerge(state, source, target, options = {}) {
+        const mergeFolders = options.mergeFolders !== false;
+        if (!source || !target || source === target) {
+            return { error: 'Choose two different authors' };
+        }
+
+        const sourceItems = state.items.filter(i => i.author === source);
+        if (sourceItems.length === 0 || !state.items.some(i => i.author === target)) {
+            return { error: 'Author not found' };
+        }
+
+        const folders = state.folders || [];
+        const targetFolders = folders.filter(f => f.author === target);
+
+        // Folder names are unique among siblings, so clashes are checked
+        // per parent. Parents are planned before their subfolders.
+        const nameKey = (parentId, name) => `${parentId}\u0000${name.toLowerCase()}`;
+        const takenNames = new Set(targetFolders.map(f => nameKey(this.getFolderParentId(f, folders), f.name)));
+        const newParent = new Map(); // source folderId -> its (or its merge target's) ID in the result
+
+        // Decide each source folder's fate
+        const folderPlan = this.getFolderTree(source, state).map(({ folder }) => {
+            const oldParentId = this.getFolderParentId(folder, folders);
+            const parentId = oldParentId === null ? null : newParent.get(oldParentId) ?? null;
+            const sameName = targetFolders.find(f =>
+                this.getFolderParentId(f, folders) === parentId && f.name.toLowerCase() === folder.name.toLowerCase()
+            );
+            if (sameName && mergeFolders) {
+                newParent.set(folder.id, sameName.id);
+                return { folder, action: 'merge', into: sameName, name: sameName.name, parentId };
+            }
+            let name = folder.name;
+            if (takenNames.has(nameKey(parentId, name))) {
+                name = `${folder.name} (${source})`;
+                for (let n = 2; takenNames.has(nameKey(parentId, name)); n++) {
+                    name = `${folder.name} (${source} ${n})`;
+                }
+            }
+            takenNames.add(nameKey(parentId, name));
+            newParent.set(folder.id, folder.id);
+            return { folder, action: 'move', name, parentId };
+        });
+
+        const mergedInto = new Map(); // target folderId -> [itemIds] added
+        folderPlan.filter(p => p.action === 'merge').forEach(p => {
+            mergedInto.set(p.into.id, [...(mergedInto.get(p.into.id) || []), ...(p.folder.itemIds || [])]);
+        });
+        const movedIds = new Map(folderPlan.filter(p => p.action === 'move').map(p => [p.folder.id, p]));
+        const removedIds = new Set(folderPlan.filter(p => p.action === 'merge').map(p => p.folder.id));
+
+        const now = DateUtils.now();
+        const newItems = state.items.map(i =>
+            i.author === source ? { ...i, author: target, updatedAt: now } : i
+        );
+        const newFolders = folders
+            .filter(f => !removedIds.has(f.id))
+            .map(f => {
+                if (movedIds.has(f.id)) {
+                    const { name, parentId } = movedIds.get(f.id);
+                    return this.withParentId({ ...f, author: target, name }, parentId);
+                }
+                if (mergedInto.has(f.id)) {
+                    const itemIds = [...new Set([...(f.itemIds || []), ...mergedInto.get(f.id)])];
+                    return { ...f, itemIds };
+                }
+                return f;
+            });
+
+        // Target's folders first, then the source's moved folders in their order
+        const folderOrder = { ...(state.folderOrder || {}) };
+        const sourceOrder = (folderOrder[source] || []).filter(id => movedIds.has(id));
+        const unorderedMoved = Array.from(movedIds.keys()).filter(id => !sourceOrder.includes(id));
+        folderOrder[target] = [...(folderOrder[target] || []), ...sourceOrder, ...unorderedMoved];
+        delete folderOrder[source];
+
+        // The target keeps its slot, or takes the source's if it had none
+        const authorOrder = state.authorOrder.includes(target)
+            ? state.authorOrder.filter(a => a !== source)
+            : state.authorOrder.map(a => a === source ? target : a);
+
+        const itemSortModes = { ...(state.itemSortModes || {}) };
+        if (!itemSortModes[target] && itemSortModes[source]) {
+            itemSortModes[target] = itemSortModes[source];
+        }
+        delete itemSortModes[source];
+
+        const targetSectioned = (state.authorSections || []).some(s => (s.authors || []).includes(target));
+        const authorSections = (state.authorSections || []).map(section => {
+            const authors = section.authors || [];
+            if (!authors.includes(source)) return section;
+            return {
+                ...section,
+                authors: targetSectioned
+                    ? authors.filter(a => a !== source)
+                    : authors.map(a => a === source ? target : a)
+            };
+        });
+
+        // Profiles: the target's fields win, gaps are filled from the source
+        const records = state.authors || [];
+        const sourceRecord = records.find(r => r.name === source);
+        const targetRecord = records.find(r => r.name === target);
+        let profileFields = [];
+        let mergedRecord = targetRecord;
+        if (sourceRecord && targetRecord) {
+            ({ record: mergedRecord, fields: profileFields } = this.mergeAuthorProfile(targetRecord, sourceRecord));
+        }
+        const authors = records
+            .filter(r => r.name !== source)
+            .map(r => r.name === target ? mergedRecord : r);
+
+        return {
+            preview: {
+                source,
+                target,
+                itemCount: sourceItems.length,
+                folders: folderPlan.map(p => ({
+                    name: p.folder.name,
+                    action: p.action,
+                    targetName: p.name,
+                    itemCount: (p.folder.itemIds || []).length
+                })),
+                profileFields
+            },
+            updates: { items: newItems, folders: newFolders, folderOrder, authorOrder, itemSortModes, authorSections, authors }
+        };
+    }
+
+    /**
+     * Preview an author merge
+     * @param {string} source
+     * @param {string} target
+     * @param {Object} options - {mergeFolders}
+     * @returns {Object} {success, preview?, error?}
+     */
+    getAuthorMergePreview(source, target, options = {}) {
+        const plan = this.planAuthorMerge(this.stateManager.getState(), source, target, options);
+        return plan.error ? { success: false, error: plan.error } : { success: true, preview: plan.preview };
+    }
+
+    /**
+     * Merge one author into another: items, folders, folder order, list
+     * position, section and profile. One undoable command.
+     * @param {string} source - Author that disappears
+     * @param {string} target - Author that receives everything
+     * @param {Object} options - {mergeFolders: boolean} combine same-named folders (default true)
+     * @returns {Promise<Object>} {success, preview?, error?}
+     */
+    async mergeAuthors(source, target, options = {}) {
+        const plan = this.planAuthorMerge(this.stateManager.getState(), source, target, options);
+        if (plan.error) return { success: false, error: plan.error };
+
+        const saveResult = await this.commitAndSave('mergeAuthors', `Merge "${source}" into "${target}"`, plan.updates);
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log(`🔀 Merged author "${source}" into "${target}" (${plan.preview.itemCount} items)`);
+        return { success: true, preview: plan.preview };
+    }
+
+    // ==================== AUTHOR PROFILE METHODS ====================
+
+    /**
+     * @returns {Array} Author records [{id, name, avatar?, bio?, color?, links?}]
+     */
+    getAuthorRecords() {
+        return this.stateManager.get('authors') || [];
+    }
+
+    /**
+     * Combine two author profiles: the target's fields win, gaps are filled
+     * from the source and the source's extra links are appended.
+     * @param {Object} targetRecord
+     * @param {Object} sourceRecord
+     * @returns {Object} {record, fields: string[]} - fields taken from the source
+     */
+    mergeAuthorProfile(targetRecord, sourceRecord) {
+        const record = { ...targetRecord };
+        const fields = [];
+        ['avatar', 'bio', 'color', 'pinned'].forEach(key => {
+            if (!record[key] && sourceRecord[key]) {
+                record[key] = sourceRecord[key];
+                fields.push(key);
+            }
+        });
+        const urls = new Set((targetRecord.links || []).map(l => l.url));
+        const extraLinks = (sourceRecord.links || []).filter(l => !urls.has(l.url));
+        if (extraLinks.length > 0) {
+            record.links = [...(targetRecord.links || []), ...extraLinks].slice(0, CONFIG.MAX_AUTHOR_LINKS);
+            fields.push('links');
+        }
+        return { record, fields };
+    }
+
+    /**
+     * Author record for a name. Falls back to a bare record so callers can
+     * render authors whose record hasn't been created yet.
+     * @param {string} name
+     * @returns {Object} {id, name, avatar?, bio?, color?, links: []}
+     */
+    getAuthorRecord(name) {
+        const record = this.getAuthorRecords().find(author => author.name === name);
+        return { id: null, ...record, name, links: record?.links || [] };
+    }
+
+    /**
+     * Parse links entered one per line as "Label | URL" or just "URL"
+     * @param {string|Array} input - Text, or [{label, url}]
+     * @returns {Object} {links: [{label, url}], invalid: [string]}
+     */
+    parseAuthorLinks(input) {
+        const entries = Array.isArray(input)
+            ? input.map(link => ({ label: link.label || '', url: link.url }))
+            : String(input || '').split('\n').map(line => {
+                const parts = line.split('|');
+                const url = parts.pop();
+                return { label: parts.join('|'), url };
+            });
+
+        const links = [];
+        const invalid = [];
+        entries.forEach(({ label, url }) => {
+            if (!String(url || '').trim()) return;
+            const safe = Validators.sanitizeUrl(url);
+            if (!safe) {
+                invalid.push(String(url).trim());
+                return;
+            }
+            const text = String(label || '').trim() || new URL(safe).hostname.replace(/^www\./, '');
+            links.push({ label: text, url: safe });
+        });
+        return { links, invalid };
+    }
+
+    /**
+     * Update an author's profile
+     * @param {string} name - Author name
+     * @param {Object} profile - {bio?, color?, links?, avatarFile?, removeAvatar?}
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async updateAuthorProfile(name, profile) {
+        const state = this.stateManager.getState();
+        if (!state.items.some(item => item.author === name)) {
+            return { success: false, error: 'Author not found' };
+        }
+
+        const record = { ...this.getAuthorRecord(name) };
+        if (!record.id) record.id = this.generateId();
+
+        if (profile.bio !== undefined) {
+            const bio = String(profile.bio || '').trim();
+            if (bio.length > CONFIG.MAX_AUTHOR_BIO_LENGTH) {
+                return { success: false, error: `Bio must be at most ${CONFIG.MAX_AUTHOR_BIO_LENGTH} characters` };
+            }
+            record.bio = bio;
+        }
+
+        if (profile.color !== undefined) {
+            if (profile.color && !Validators.sanitizeColor(profile.color)) {
+                return { success: false, error: 'Invalid color' };
+            }
+            record.color = profile.color || '';
+        }
+
+        if (profile.links !== undefined) {
+            const { links, invalid } = this.parseAuthorLinks(profile.links);
+            if (invalid.length > 0) {
+                return { success: false, error: `Not a valid web link: ${invalid[0]}` };
+            }
+            if (links.length > CONFIG.MAX_AUTHOR_LINKS) {
+                return { success: false, error: `At most ${CONFIG.MAX_AUTHOR_LINKS} links per author` };
+            }
+            record.links = links;
+        }
+
+        if (profile.avatarFile) {
+            const imageCheck = Validators.validateImage(profile.avatarFile);
+            if (!imageCheck.valid) {
+                return { success: false, error: imageCheck.error };
+            }
+            try {
+                record.avatar = await this.readImageFile(profile.avatarFile, CONFIG.AVATAR_MAX_DIMENSION);
+            } catch (error) {
+                console.error('❌ Failed to read avatar:', error);
+                return { success: false, error: 'Failed to read image file' };
+            }
+        } else if (profile.removeAvatar) {
+            record.avatar = '';
+        }
+
+        // Firebase rejects undefined and drops empties — store only what's set
+        ['avatar', 'bio', 'color'].forEach(key => {
+            if (!record[key]) delete record[key];
+        });
+        if (record.links.length === 0) delete record.links;
+
+        const authors = state.authors || [];
+        const saveResult = await this.commitAndSave('updateAuthorProfile', `Edit profile of "${name}"`, {
+            authors: authors.some(author => author.name === name)
+                ? authors.map(author => author.name === name ? record : author)
+                : [...authors, record]
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('👤 Updated author profile:', name);
+        return { success: true };
+    }
+
+    // ==================== STATUS & RATING METHODS ====================
+
+    /**
+     * Where an item is in the reading workflow
+     * @param {Object} item
+     * @returns {string} Key of CONFIG.ITEM_STATUSES
+     */
+    getItemStatus(item) {
+        return CONFIG.ITEM_STATUSES[item?.status] ? item.status : 'inbox';
+    }
+
+    /**
+     * Whether an item still needs processing (inbox or to process)
+     * @param {Object} item
+     * @returns {boolean}
+     */
+    isUnprocessed(item) {
+        return CONFIG.UNPROCESSED_STATUSES.includes(this.getItemStatus(item));
+    }
+
+    /**
+     * Move an item to another workflow status
+     * @param {number} itemId
+     * @param {string} status - Key of CONFIG.ITEM_STATUSES
+     * @returns {Promise<Object>} {success, changed?, error?}
+     */
+    async setItemStatus(itemId, status) {
+        if (!CONFIG.ITEM_STATUSES[status]) return { success: false, error: 'Unknown status' };
+
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+        if (this.getItemStatus(item) === status) return { success: true, changed: false };
+
+        const updatedItems = state.items.map(i => {
+            if (i.id !== itemId) return i;
+            const updated = { ...i, status, updatedAt: DateUtils.now() };
+            // Inbox is the default, so it isn't stored
+            if (status === 'inbox') delete updated.status;
+            return updated;
+        });
+
+        const saveResult = await this.commitAndSave('setStatus', `Mark "${item.title || 'Untitled'}" as ${CONFIG.ITEM_STATUSES[status]}`, { items: updatedItems });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('📥 Set item status:', itemId, status);
+        return { success: true, changed: true };
+    }
+
+    /**
+     * Rate an item's importance
+     * @param {number} itemId
+     * @param {number} rating - 1 to CONFIG.MAX_ITEM_RATING, or 0 to clear
+     * @returns {Promise<Object>} {success, changed?, error?}
+     */
+    async setItemRating(itemId, rating) {
+        if (!Number.isInteger(rating) || rating < 0 || rating > CONFIG.MAX_ITEM_RATING) {
+            return { success: false, error: `Rating must be between 1 and ${CONFIG.MAX_ITEM_RATING}` };
+        }
+
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+        if ((item.rating || 0) === rating) return { success: true, changed: false };
+
+        const updatedItems = state.items.map(i => {
+            if (i.id !== itemId) return i;
+            const updated = { ...i, rating, updatedAt: DateUtils.now() };
+            if (!rating) delete updated.rating;
+            return updated;
+        });
+
+        const title = item.title || 'Untitled';
+        const saveResult = await this.commitAndSave('rateItem', rating ? `Rate "${title}" ${rating}/${CONFIG.MAX_ITEM_RATING}` : `Clear rating of "${title}"`, { items: updatedItems });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('⭐ Rated item:', itemId, rating);
+        return { success: true, changed: true };
+    }
+
+    // ==================== FAVORITE METHODS ====================
+
+    /**
+     * Starred items in list order
+     * @returns {Array}
+     */
+    getFavoriteItems() {
+        return this.stateManager.get('items').filter(item => item.favorite);
+    }
+
+    /**
+     * Star or unstar an item
+     * @param {number} itemId
+     * @returns {Promise<Object>} {success, favorite?, error?}
+     */
+    async toggleItemFavorite(itemId) {
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+
+        const favorite = !item.favorite;
+        const updatedItems = state.items.map(i => {
+            if (i.id !== itemId) return i;
+            const updated = { ...i, updatedAt: DateUtils.now() };
+            // Firebase drops false-y keys anyway; keep the stored item clean
+            if (favorite) updated.favorite = true;
+            else delete updated.favorite;
+            return updated;
+        });
+
+        const title = item.title || 'Untitled';
+        const saveResult = await this.commitAndSave('favoriteItem', favorite ? `Star "${title}"` : `Unstar "${title}"`, { items: updatedItems });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log(favorite ? '⭐ Starred item:' : '☆ Unstarred item:', itemId);
+        return { success: true, favorite };
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} Whether the author is pinned to the top of the main list
+     */
+    isAuthorPinned(name) {
+        return Boolean(this.getAuthorRecords().find(author => author.name === name)?.pinned);
+    }
+
+    /**
+     * Pin or unpin an author
+     * @param {string} name
+     * @returns {Promise<Object>} {success, pinned?, error?}
+     */
+    async toggleAuthorPinned(name) {
+        const state = this.stateManager.getState();
+        if (!state.items.some(item => item.author === name)) {
+            return { success: false, error: 'Author not found' };
+        }
+
+        const record = { ...this.getAuthorRecord(name) };
+        if (!record.id) record.id = this.generateId();
+        if (record.links.length === 0) delete record.links;
+
+        const pinned = !record.pinned;
+        if (pinned) record.pinned = true;
+        else delete record.pinned;
+
+        const authors = state.authors || [];
+        const saveResult = await this.commitAndSave('pinAuthor', pinned ? `Pin "${name}"` : `Unpin "${name}"`, {
+            authors: authors.some(author => author.name === name)
+                ? authors.map(author => author.name === name ? record : author)
+                : [...authors, record]
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log(pinned ? '📌 Pinned author:' : '📌 Unpinned author:', name);
+        return { success: true, pinned };
+    }
+
+    // ==================== DUPLICATE AUTHOR METHODS ====================
+
+    /**
+     * Existing authors an entered name probably refers to ("seneca " →
+     * "Seneca", "Seneca" → "Seneca the Younger"). Empty when the name
+     * already matches an author exactly.
+     * @param {string} name
+     * @returns {Array<Object>} [{author, score, reason}], best first
+     */
+    findSimilarAuthors(name) {
+        const normalized = Validators.normalizeAuthor(name);
+        const authors = this.getOrderedAuthors();
+        if (!normalized || authors.includes(normalized)) return [];
+        return AuthorMatcher.findSimilar(normalized, authors);
+    }
+
+    /**
+     * Groups of existing authors that look like the same person, minus
+     * pairs the user has marked as different people
+     * @returns {Array<Object>} [{authors: [{name, count}]}], largest author first
+     */
+    findDuplicateAuthors() {
+        const counts = new Map();
+        (this.stateManager.get('items') || []).forEach(item => {
+            counts.set(item.author, (counts.get(item.author) || 0) + 1);
+        });
+
+        const dismissed = new Set(this.stateManager.get('duplicateReview')?.dismissed || []);
+        return AuthorMatcher.findDuplicateGroups(this.getOrderedAuthors(), dismissed).map(group => ({
+            authors: group
+                .map(name => ({ name, count: counts.get(name) || 0 }))
+                .sort((a, b) => b.count - a.count)
+        }));
+    }
+
+    /**
+     * Mark a group of authors as different people so the scan stops
+     * suggesting them. A review preference, so it bypasses the undo history.
+     * @param {Array<string>} names
+     * @returns {Promise<Object>} {success}
+     */
+    async dismissDuplicateAuthors(names) {
+        const review = this.stateManager.get('duplicateReview') || {};
+        const dismissed = new Set(review.dismissed || []);
+        names.forEach((a, i) => names.slice(i + 1).forEach(b => dismissed.add(AuthorMatcher.pairKey(a, b))));
+
+        this.stateManager.setState({ duplicateReview: { ...review, dismissed: Array.from(dismissed) } });
+        await this.save();
+
+        console.log('👥 Dismissed duplicate suggestion:', names.join(', '));
+        return { success: true };
+    }
+
+    /**
+     * Whether the one-time duplicate scan has already run on this device
+     * @returns {boolean}
+     */
+    hasScannedForDuplicates() {
+        try {
+            return localStorage.getItem(CONFIG.DUPLICATE_SCAN_KEY) === 'done';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Record that the one-time duplicate scan has run. Kept in localStorage,
+     * not the synced document, so marking it never saves over remote data.
+     * @param {boolean} done - false forgets the flag (default true)
+     */
+    markDuplicateScanDone(done = true) {
+        try {
+            if (done) {
+                localStorage.setItem(CONFIG.DUPLICATE_SCAN_KEY, 'done');
+            } else {
+                localStorage.removeItem(CONFIG.DUPLICATE_SCAN_KEY);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not save duplicate scan flag:', error);
+        }
+    }
+
+    // ==================== AUTHOR SECTION METHODS ====================
+
+    /**
+     * @returns {Array} [{id, name, authors}]
+     */
+    getAuthorSections() {
+        return this.stateManager.get('authorSections') || [];
+    }
+
+    /**
+     * Validate a section name
+     * @param {string} name
+     * @param {number|null} exceptId - Section being renamed
+     * @returns {Object} {valid, name?, error?}
+     */
+    validateSectionName(name, exceptId = null) {
+        const clean = (name || '').replace(/\s+/g, ' ').trim();
+        if (!clean) {
+            return { valid: false, error: 'Section name cannot be empty' };
+        }
+        if (clean.length > CONFIG.MAX_SECTION_NAME_LENGTH) {
+            return { valid: false, error: `Section name is too long (max ${CONFIG.MAX_SECTION_NAME_LENGTH} characters)` };
+        }
+        const lower = clean.toLowerCase();
+        if (this.getAuthorSections().some(s => s.id !== exceptId && s.name.toLowerCase() === lower)) {
+            return { valid: false, error: `A section named "${clean}" already exists` };
+        }
+        return { valid: true, name: clean };
+    }
+
+    /**
+     * Create an empty author section
+     * @param {string} name
+     * @returns {Promise<Object>} {success, section?, error?}
+     */
+    async createAuthorSection(name) {
+        const validation = this.validateSectionName(name);
+        if (!validation.valid) return { success: false, error: validation.error };
+
+        const section = { id: this.generateId(), name: validation.name, authors: [] };
+        const saveResult = await this.commitAndSave('createSection', `Create section "${section.name}"`, {
+            authorSections: [...this.getAuthorSections(), section]
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🗂️  Created section:', section.name);
+        return { success: true, section };
+    }
+
+    /**
+     * Rename an author section
+     * @param {number} sectionId
+     * @param {string} name
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async renameAuthorSection(sectionId, name) {
+        const section = this.getAuthorSections().find(s => s.id === sectionId);
+        if (!section) return { success: false, error: 'Section not found' };
+
+        const validation = this.validateSectionName(name, sectionId);
+        if (!validation.valid) return { success: false, error: validation.error };
+        if (validation.name === section.name) return { success: true };
+
+        const saveResult = await this.commitAndSave('renameSection', `Rename section "${section.name}"`, {
+            authorSections: this.getAuthorSections().map(s =>
+                s.id === sectionId ? { ...s, name: validation.name } : s
+            )
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('✏️  Renamed section:', section.name, '→', validation.name);
+        return { success: true };
+    }
+
+    /**
+     * Delete an author section; its authors become unsectioned
+     * @param {number} sectionId
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async deleteAuthorSection(sectionId) {
+        const section = this.getAuthorSections().find(s => s.id === sectionId);
+        if (!section) return { success: false, error: 'Section not found' };
+
+        const saveResult = await this.commitAndSave('deleteSection', `Delete section "${section.name}"`, {
+            authorSections: this.getAuthorSections().filter(s => s.id !== sectionId)
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🗑️  Deleted section:', section.name);
+        return { success: true };
+    }
+
+    // ==================== COLLECTION METHODS ====================
+    // Collections gather items from any author in their own manual order.
+    // Unlike folders they don't own items: an item can be in several.
+
+    /**
+     * @returns {Array} [{id, name, itemIds}]
+     */
+    getCollections() {
+        return this.stateManager.get('collections') || [];
+    }
+
+    /**
+     * Validate a collection name
+     * @param {string} name
+     * @param {number|null} exceptId - Collection being renamed
+     * @returns {Object} {valid, name?, error?}
+     */
+    validateCollectionName(name, exceptId = null) {
+        const clean = (name || '').replace(/\s+/g, ' ').trim();
+        if (!clean) {
+            return { valid: false, error: 'Collection name cannot be empty' };
+        }
+        if (clean.length > CONFIG.MAX_COLLECTION_NAME_LENGTH) {
+            return { valid: false, error: `Collection name is too long (max ${CONFIG.MAX_COLLECTION_NAME_LENGTH} characters)` };
+        }
+        const lower = clean.toLowerCase();
+        if (this.getCollections().some(c => c.id !== exceptId && c.name.toLowerCase() === lower)) {
+            return { valid: false, error: `A collection named "${clean}" already exists` };
+        }
+        return { valid: true, name: clean };
+    }
+
+    /**
+     * Create an empty collection
+     * @param {string} name
+     * @returns {Promise<Object>} {success, collection?, error?}
+     */
+    async createCollection(name) {
+        const validation = this.validateCollectionName(name);
+        if (!validation.valid) return { success: false, error: validation.error };
+
+        const collection = { id: this.generateId(), name: validation.name, itemIds: [] };
+        const saveResult = await this.commitAndSave('createCollection', `Create collection "${collection.name}"`, {
+            collections: [...this.getCollections(), collection]
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('📚 Created collection:', collection.name);
+        return { success: true, collection };
+    }
+
+    /**
+     * Rename a collection
+     * @param {number} collectionId
+     * @param {string} name
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async renameCollection(collectionId, name) {
+        const collection = this.getCollections().find(c => c.id === collectionId);
+        if (!collection) return { success: false, error: 'Collection not found' };
+
+        const validation = this.validateCollectionName(name, collectionId);
+        if (!validation.valid) return { success: false, error: validation.error };
+        if (validation.name === collection.name) return { success: true };
+
+        const saveResult = await this.commitAndSave('renameCollection', `Rename collection "${collection.name}"`, {
+            collections: this.getCollections().map(c =>
+                c.id === collectionId ? { ...c, name: validation.name } : c
+            )
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('✏️  Renamed collection:', collection.name, '→', validation.name);
+        return { success: true };
+    }
+
+    /**
+     * Move a collection to the trash. Its items are untouched.
+     * @param {number} collectionId
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async deleteCollection(collectionId) {
+        const state = this.stateManager.getState();
+        const collections = state.collections || [];
+        const collection = collections.find(c => c.id === collectionId);
+        if (!collection) return { success: false, error: 'Collection not found' };
+
+        const entry = this.createTrashEntry('collection', collection.name, '', {
+            collections: [collection],
+            collectionIndex: collections.indexOf(collection)
+        });
+
+        const saveResult = await this.commitAndSave('deleteCollection', `Delete collection "${collection.name}"`, {
+            collections: collections.filter(c => c.id !== collectionId),
+            trash: [entry, ...(state.trash || [])]
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🗑️  Collection moved to trash:', collection.name);
+        return { success: true };
+    }
+
+    /**
+     * Items of a collection in its order
+     * @param {number} collectionId
+     * @returns {Array}
+     */
+    getCollectionItems(collectionId) {
+        const collection = this.getCollections().find(c => c.id === collectionId);
+        if (!collection) return [];
+
+        const itemsById = new Map(this.stateManager.get('items').map(item => [item.id, item]));
+        return (collection.itemIds || []).map(id => itemsById.get(id)).filter(Boolean);
+    }
+
+    /**
+     * Collections an item belongs to
+     * @param {number} itemId
+     * @returns {Array}
+     */
+    getCollectionsForItem(itemId) {
+        return this.getCollections().filter(c => (c.itemIds || []).includes(itemId));
+    }
+
+    /**
+     * Add an item (by any author) to the end of a collection
+     * @param {number} itemId
+     * @param {number} collectionId
+     * @returns {Promise<Object>} {success, changed?, error?}
+     */
+    async addItemToCollection(itemId, collectionId) {
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        const collection = this.getCollections().find(c => c.id === collectionId);
+        if (!item || !collection) {
+            return { success: false, error: 'Item or collection not found' };
+        }
+        if ((collection.itemIds || []).includes(itemId)) {
+            return { success: true, changed: false };
+        }
+
+        const saveResult = await this.commitAndSave('addToCollection', `Add "${item.title || 'Untitled'}" to "${collection.name}"`, {
+            collections: this.getCollections().map(c =>
+                c.id === collectionId ? { ...c, itemIds: [...(c.itemIds || []), itemId] } : c
+            )
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('📚 Added item', itemId, 'to collection', collection.name);
+        return { success: true, changed: true };
+    }
+
+    /**
+     * Remove an item from a collection (the item itself stays)
+     * @param {number} itemId
+     * @param {number} collectionId
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async removeItemFromCollection(itemId, collectionId) {
+        const collection = this.getCollections().find(c => c.id === collectionId);
+        if (!collection || !(collection.itemIds || []).includes(itemId)) {
+            return { success: false, error: 'Item is not in this collection' };
+        }
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+
+        const saveResult = await this.commitAndSave('removeFromCollection', `Remove "${item?.title || 'Untitled'}" from "${collection.name}"`, {
+            collections: this.getCollections().map(c =>
+                c.id === collectionId ? { ...c, itemIds: c.itemIds.filter(id => id !== itemId) } : c
+            )
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('📚 Removed item', itemId, 'from collection', collection.name);
+        return { success: true };
+    }
+
+    /**
+     * Set a collection's manual order. IDs not in the collection are
+     * ignored; members missing from the new order keep their place at the end.
+     * @param {number} collectionId
+     * @param {Array<number>} itemIds
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async reorderCollectionItems(collectionId, itemIds) {
+        const collection = this.getCollections().find(c => c.id === collectionId);
+        if (!collection) return { success: false, error: 'Collection not found' };
+
+        const current = collection.itemIds || [];
+        const ordered = itemIds.filter(id => current.includes(id));
+        const newOrder = [...ordered, ...current.filter(id => !ordered.includes(id))];
+
+        const saveResult = await this.commitAndSave('reorderCollection', `Reorder "${collection.name}"`, {
+            collections: this.getCollections().map(c =>
+                c.id === collectionId ? { ...c, itemIds: newOrder } : c
+            )
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        return { success: true };
+    }
+
+    /**
+     * Drop deleted items from every collection
+     * @param {Array} collections
+     * @param {Set<number>} idSet - Deleted item IDs
+     * @returns {Array} New collections array
+     */
+    removeItemsFromCollections(collections, idSet) {
+        return (collections || []).map(c =>
+            (c.itemIds || []).some(id => idSet.has(id))
+                ? { ...c, itemIds: c.itemIds.filter(id => !idSet.has(id)) }
+                : c
+        );
+    }
+
+    // ==================== SOURCE METHODS ====================
+
+    /**
+     * Set where an item comes from. Empty fields are dropped; an item with
+     * no fields left has no source.
+     * @param {number} itemId
+     * @param {Object} fields - {work?, location?, url?, year?, medium?}
+     * @returns {Promise<Object>} {success, changed?, error?}
+     */
+    async updateItemSource(itemId, fields) {
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+
+        const source = {};
+        for (const key of ['work', 'location', 'url', 'year', 'medium']) {
+            const value = String(fields?.[key] ?? '').replace(/\s+/g, ' ').trim();
+            if (value.length > CONFIG.MAX_SOURCE_FIELD_LENGTH) {
+                return { success: false, error: `Source fields must be at most ${CONFIG.MAX_SOURCE_FIELD_LENGTH} characters` };
+            }
+            if (value) source[key] = value;
+        }
+
+        if (source.url) {
+            const url = Validators.sanitizeUrl(source.url);
+            if (!url) return { success: false, error: `Not a valid web link: ${source.url}` };
+            source.url = url;
+        }
+        if (source.year && !/^\d{1,4}$/.test(source.year)) {
+            return { success: false, error: 'Year must be a number, e.g. 2014' };
+        }
+        if (source.medium && !CONFIG.SOURCE_MEDIUMS[source.medium]) {
+            return { success: false, error: 'Unknown source type' };
+        }
+
+        const hasSource = Object.keys(source).length > 0;
+        if (JSON.stringify(item.source || {}) === JSON.stringify(source)) {
+            return { success: true, changed: false };
+        }
+
+        // Firebase drops empty objects — leave the key off instead
+        const updatedItems = state.items.map(i => {
+            if (i.id !== itemId) return i;
+            const updated = { ...i, source, updatedAt: DateUtils.now() };
+            if (!hasSource) delete updated.source;
+            return updated;
+        });
+
+        const saveResult = await this.commitAndSave('editSource', `Edit source of "${item.title || 'Untitled'}"`, { items: updatedItems });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('📚 Updated item source:', itemId);
+        return { success: true, changed: true };
+    }
+
+    /**
+     * Format the bibliography for an author or folder
+     * @param {Object} scope - {author} or {folderId}
+     * @param {string} style - Key of CONFIG.BIBLIOGRAPHY_FORMATS
+     * @returns {Object} {success, text?, count?, label?, error?}
+     */
+    getBibliography(scope, style) {
+        if (!CONFIG.BIBLIOGRAPHY_FORMATS[style]) {
+            return { success: false, error: 'Unknown citation style' };
+        }
+        const { items, label } = this.getScopedItems(scope);
+        const { text, count } = Citations.formatBibliography(items, style);
+        if (count === 0) {
+            return { success: false, label, error: 'No items here have a source yet' };
+        }
+        return { success: true, text, count, label };
+    }
+
+    /**
+     * Download the bibliography for an author or folder
+     * @param {Object} scope - {author} or {folderId}
+     * @param {string} style - Key of CONFIG.BIBLIOGRAPHY_FORMATS
+     * @returns {Object} {success, count?, error?}
+     */
+    exportBibliography(scope, style) {
+        const result = this.getBibliography(scope, style);
+        if (!result.success) return result;
+
+        const slug = result.label.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'bibliography';
+        const extension = style === 'bibtex' ? 'bib' : 'txt';
+        this.downloadText(`${result.text}\n`, `${slug}-${style}.${extension}`,
+            style === 'bibtex' ? 'application/x-bibtex' : 'text/plain');
+
+        console.log('📚 Exported bibliography:', result.label, style, result.count);
+        return { success: true, count: result.count };
+    }
+
+    // ==================== REFLECTION METHODS ====================
+
+    /**
+     * Sanitize and check a reflection's rich text
+     * @param {string} html
+     * @returns {Object} {valid, text?, error?}
+     */
+    prepareReflectionText(html) {
+        const text = Validators.normalizeSpacing(Validators.sanitizeRichText(html || ''));
+        if (!Validators.extractTextFromHtml(text).trim()) {
+            return { valid: false, error: 'Write something first' };
+        }
+        const check = Validators.validateText(text, 1, CONFIG.MAX_REFLECTION_LENGTH);
+        if (!check.valid) return { valid: false, error: check.error };
+        return { valid: true, text };
+    }
+
+    /**
+     * Apply a change to one item's reflection thread
+     * @param {number} itemId
+     * @param {Function} change - (reflections) -> new reflections
+     * @param {string} type - History command type
+     * @param {string} label - History label (item title is appended)
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async commitReflections(itemId, change, type, label) {
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+
+        const updatedItems = state.items.map(i => {
+            if (i.id !== itemId) return i;
+            const updated = { ...i, reflections: change(i.reflections || []) };
+            // Firebase drops empty arrays — leave the key off instead
+            if (updated.reflections.length === 0) delete updated.reflections;
+            return updated;
+        });
+
+        const saveResult = await this.commitAndSave(type, `${label} on "${item.title || 'Untitled'}"`, { items: updatedItems });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+        return { success: true };
+    }
+
+    /**
+     * Get an item's reflections: the reader's own notes, kept apart from
+     * the captured text (oldest first)
+     * @param {number} itemId
+     * @returns {Array} [{id, createdAt, updatedAt?, text}]
+     */
+    getReflections(itemId) {
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        return item?.reflections || [];
+    }
+
+    /**
+     * Add a reflection to the end of an item's thread
+     * @param {number} itemId
+     * @param {string} html - Rich text (sanitized here)
+     * @returns {Promise<Object>} {success, reflection?, error?}
+     */
+    async addReflection(itemId, html) {
+        if (!this.stateManager.get('items').some(i => i.id === itemId)) {
+            return { success: false, error: 'Item not found' };
+        }
+        const prepared = this.prepareReflectionText(html);
+        if (!prepared.valid) return { success: false, error: prepared.error };
+
+        const reflection = { id: this.generateId(), createdAt: DateUtils.now(), text: prepared.text };
+        const result = await this.commitReflections(itemId, reflections => [...reflections, reflection], 'addReflection', 'Add reflection');
+        if (!result.success) return result;
+
+        console.log('💭 Added reflection:', itemId);
+        return { success: true, reflection };
+    }
+
+    /**
+     * Edit a reflection's text
+     * @param {number} itemId
+     * @param {number} reflectionId
+     * @param {string} html - Rich text (sanitized here)
+     * @returns {Promise<Object>} {success, changed?, error?}
+     */
+    async updateReflection(itemId, reflectionId, html) {
+        const reflection = this.getReflections(itemId).find(r => r.id === reflectionId);
+        if (!reflection) return { success: false, error: 'Reflection not found' };
+
+        const prepared = this.prepareReflectionText(html);
+        if (!prepared.valid) return { success: false, error: prepared.error };
+        if (prepared.text === reflection.text) return { success: true, changed: false };
+
+        const result = await this.commitReflections(itemId, reflections => reflections.map(r =>
+            r.id === reflectionId ? { ...r, text: prepared.text, updatedAt: DateUtils.now() } : r
+        ), 'editReflection', 'Edit reflection');
+        if (!result.success) return result;
+
+        console.log('💭 Updated reflection:', itemId, reflectionId);
+        return { success: true, changed: true };
+    }
+
+    /**
+     * Delete a reflection (undo brings it back)
+     * @param {number} itemId
+     * @param {number} reflectionId
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async deleteReflection(itemId, reflectionId) {
+        if (!this.getReflections(itemId).some(r => r.id === reflectionId)) {
+            return { success: false, error: 'Reflection not found' };
+        }
+
+        const result = await this.commitReflections(itemId, reflections => reflections.filter(r => r.id !== reflectionId),
+            'deleteReflection', 'Delete reflection');
+        if (!result.success) return result;
+
+        console.log('💭 Deleted reflection:', itemId, reflectionId);
+        return { success: true };
+    }
+
+    /**
+     * Copies of items without their reflections, for exports that leave
+     * personal notes out
+     * @param {Array} items
+     * @returns {Array}
+     */
+    withoutReflections(items) {
+        return (items || []).map(item => {
+            if (!item.reflections) return item;
+            const copy = { ...item };
+            delete copy.reflections;
+            return copy;
+        });
+    }
+
+    /**
+     * Whether any of the items has reflections
+     * @param {Array<number>|null} ids - Item IDs; null for every item
+     * @returns {boolean}
+     */
+    hasReflections(ids = null) {
+        return this.stateManager.get('items').some(item =>
+            item.reflections?.length > 0 && (!ids || ids.includes(item.id))
+        );
+    }
+
+    // ==================== CHECKLIST METHODS ====================
+
+    /**
+     * Clean up an action's text and check its length
+     * @param {string} text
+     * @returns {Object} {valid, text?, error?}
+     */
+    prepareChecklistText(text) {
+        const cleaned = String(text || '').replace(/\s+/g, ' ').trim();
+        if (!cleaned) return { valid: false, error: 'Write something first' };
+        if (cleaned.length > CONFIG.MAX_CHECKLIST_ENTRY_LENGTH) {
+            return { valid: false, error: `An action can be at most ${CONFIG.MAX_CHECKLIST_ENTRY_LENGTH} characters` };
+        }
+        return { valid: true, text: cleaned };
+    }
+
+    /**
+     * Checklist entries for new actions, with IDs unique within the list
+     * @param {Array<Object>} entries - [{text, done?}]
+     * @returns {Array<Object>} [{id, text, done}]
+     */
+    createChecklistEntries(entries) {
+        const base = this.generateId();
+        return entries.map((entry, index) => ({
+            id: base + index,
+            text: entry.text.slice(0, CONFIG.MAX_CHECKLIST_ENTRY_LENGTH),
+            done: Boolean(entry.done)
+        }));
+    }
+
+    /**
+     * Apply a change to one item's checklist
+     * @param {number} itemId
+     * @param {Function} change - (entries) -> new entries
+     * @param {string} type - History command type
+     * @param {string} label - History label (item title is appended)
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async commitChecklist(itemId, change, type, label) {
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+
+        const checklist = change(item.checklist || []);
+        if (checklist.length > CONFIG.MAX_CHECKLIST_ENTRIES) {
+            return { success: false, error: `A checklist can have at most ${CONFIG.MAX_CHECKLIST_ENTRIES} actions` };
+        }
+
+        const updatedItems = state.items.map(i => {
+            if (i.id !== itemId) return i;
+            const updated = { ...i, type: 'checklist', checklist };
+            // Firebase drops empty arrays — leave the key off instead
+            if (checklist.length === 0) delete updated.checklist;
+            return updated;
+        });
+
+        const saveResult = await this.commitAndSave(type, `${label} in "${item.title || 'Untitled'}"`, { items: updatedItems });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+        return { success: true };
+    }
+
+    /**
+     * Get an item's checklist in display order
+     * @param {number} itemId
+     * @returns {Array} [{id, text, done}]
+     */
+    getChecklist(itemId) {
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        return item?.checklist || [];
+    }
+
+    /**
+     * Turn an item into a checklist or back into a plain note. Going back,
+     * the actions are appended to the text as a bulleted list.
+     * @param {number} itemId
+     * @param {boolean} enabled
+     * @param {Object} options - {fromText?: turn the text's lines into actions}
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async setChecklistMode(itemId, enabled, options = {}) {
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+        if (Checklist.isChecklist(item) === enabled) return { success: true };
+
+        const updated = { ...item, updatedAt: DateUtils.now() };
+        if (enabled) {
+            updated.type = 'checklist';
+            if (options.fromText) {
+                const entries = Checklist.parseEntries(item.text).slice(0, CONFIG.MAX_CHECKLIST_ENTRIES);
+                if (entries.length > 0) {
+                    updated.checklist = this.createChecklistEntries(entries);
+                    updated.text = '';
+                }
+            }
+        } else {
+            updated.text = (item.text || '') + Checklist.toHtml(item.checklist);
+            delete updated.type;
+            delete updated.checklist;
+        }
+
+        const title = item.title || 'Untitled';
+        const saveResult = await this.commitAndSave('convertItem', enabled ? `Make "${title}" a checklist` : `Make "${title}" a note`, {
+            items: state.items.map(i => i.id === itemId ? updated : i)
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log(enabled ? '☑️ Item is now a checklist:' : '📝 Item is now a note:', itemId);
+        return { success: true };
+    }
+
+    /**
+     * Add an action to the end of an item's checklist
+     * @param {number} itemId
+     * @param {string} text
+     * @returns {Promise<Object>} {success, entry?, error?}
+     */
+    async addChecklistEntry(itemId, text) {
+        const prepared = this.prepareChecklistText(text);
+        if (!prepared.valid) return { success: false, error: prepared.error };
+
+        const [entry] = this.createChecklistEntries([{ text: prepared.text }]);
+        const result = await this.commitChecklist(itemId, entries => [...entries, entry], 'addChecklistEntry', 'Add action');
+        if (!result.success) return result;
+
+        console.log('☑️ Added action:', itemId);
+        return { success: true, entry };
+    }
+
+    /**
+     * Edit an action's text
+     * @param {number} itemId
+     * @param {number} entryId
+     * @param {string} text
+     * @returns {Promise<Object>} {success, changed?, error?}
+     */
+    async updateChecklistEntry(itemId, entryId, text) {
+        const entry = this.getChecklist(itemId).find(e => e.id === entryId);
+        if (!entry) return { success: false, error: 'Action not found' };
+
+        const prepared = this.prepareChecklistText(text);
+        if (!prepared.valid) return { success: false, error: prepared.error };
+        if (prepared.text === entry.text) return { success: true, changed: false };
+
+        const result = await this.commitChecklist(itemId, entries =>
+            entries.map(e => e.id === entryId ? { ...e, text: prepared.text } : e),
+        'updateChecklistEntry', 'Edit action');
+        return result.success ? { success: true, changed: true } : result;
+    }
+
+    /**
+     * Check or uncheck an action
+     * @param {number} itemId
+     * @param {number} entryId
+     * @param {boolean} done - Defaults to the opposite of the current state
+     * @returns {Promise<Object>} {success, done?, error?}
+     */
+    async toggleChecklistEntry(itemId, entryId, done = undefined) {
+        const entry = this.getChecklist(itemId).find(e => e.id === entryId);
+        if (!entry) return { success: false, error: 'Action not found' };
+
+        const value = done === undefined ? !entry.done : Boolean(done);
+        if (value === entry.done) return { success: true, done: value };
+
+        const result = await this.commitChecklist(itemId, entries =>
+            entries.map(e => e.id === entryId ? { ...e, done: value } : e),
+        'toggleChecklistEntry', value ? `Check "${entry.text}"` : `Uncheck "${entry.text}"`);
+        return result.success ? { success: true, done: value } : result;
+    }
+
+    /**
+     * Remove an action
+     * @param {number} itemId
+     * @param {number} entryId
+     * @returns {Promise<Object>} {success, error?}
+     */
+    async deleteChecklistEntry(itemId, entryId) {
+        if (!this.getChecklist(itemId).some(e => e.id === entryId)) {
+            return { success: false, error: 'Action not found' };
+        }
+        return this.commitChecklist(itemId, entries => entries.filter(e => e.id !== entryId),
+            'deleteChecklistEntry', 'Remove action');
+    }
+
+    /**
+     * Put an item's actions in a new order
+     * @param {number} itemId
+     * @param {Array<number>} orderedIds - Entry IDs in their new order
+     * @returns {Promise<Object>} {success, changed?, error?}
+     */
+    async reorderChecklist(itemId, orderedIds) {
+        const entries = this.getChecklist(itemId);
+        const byId = new Map(entries.map(e => [e.id, e]));
+        const reordered = orderedIds.filter(id => byId.has(id)).map(id => byId.get(id));
+        // Anything the caller didn't mention keeps its place at the end
+        entries.forEach(e => { if (!orderedIds.includes(e.id)) reordered.push(e); });
+
+        if (reordered.every((e, index) => e === entries[index])) return { success: true, changed: false };
+
+        const result = await this.commitChecklist(itemId, () => reordered, 'reorderChecklist', 'Reorder actions');
+        return result.success ? { success: true, changed: true } : result;
+    }
+
+    /**
+     * Unchecked actions across the whole vault, grouped by item in list order
+     * @returns {Array} [{item, entries}]
+     */
+    getOpenActions() {
+        return this.stateManager.get('items')
+            .filter(item => Checklist.isChecklist(item))
+            .map(item => ({ item, entries: (item.checklist || []).filter(entry => !entry.done) }))
+            .filter(group => group.entries.length > 0);
+    }
+
+    // ==================== REVIEW METHODS ====================
+
+    /**
+     * Items to review today in a scope: scheduled items that are due (most
+     * overdue first), then never-reviewed items in list order, up to what's
+     * left of today's allowance of new items
+     * @param {Object} scope - See getScopedItems
+     * @param {string} today - "YYYY-MM-DD"
+     * @returns {Array} Items
+     */
+    getReviewQueue(scope = {}, today = DateUtils.today()) {
+        const { items } = this.getScopedItems(scope);
+        const due = items
+            .filter(item => item.review && SpacedRepetition.isDue(item, today))
+            .sort((a, b) => a.review.due.localeCompare(b.review.due));
+
+        const introducedToday = this.stateManager.get('items')
+            .filter(item => item.review?.introduced === today).length;
+        const newAllowance = Math.max(0, CONFIG.REVIEW_NEW_PER_DAY - introducedToday);
+        const fresh = items.filter(item => !item.review).slice(0, newAllowance);
+
+        return [...due, ...fresh];
+    }
+
+    /**
+     * Number of items due for review today
+     * @param {Object} scope - See getScopedItems
+     * @returns {number}
+     */
+    getDueCount(scope = {}) {
+        return this.getReviewQueue(scope).length;
+    }
+
+    /**
+     * Record a review answer and schedule the item's next review
+     * @param {number} itemId
+     * @param {string} grade - Key of CONFIG.REVIEW_GRADES
+     * @returns {Promise<Object>} {success, review?, error?}
+     */
+    async gradeReviewItem(itemId, grade) {
+        if (!CONFIG.REVIEW_GRADES[grade]) return { success: false, error: 'Unknown grade' };
+
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+
+        const review = SpacedRepetition.schedule(item.review, grade);
+        const updatedItems = state.items.map(i => i.id === itemId ? { ...i, review } : i);
+
+        const saveResult = await this.commitAndSave('reviewItem', `Review "${item.title || 'Untitled'}" (${CONFIG.REVIEW_GRADES[grade]})`, { items: updatedItems });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🧠 Reviewed item:', itemId, grade, '→ due', review.due);
+        return { success: true, review };
+    }
+
+    // ==================== ITEM LINK METHODS ====================
+
+    /**
+     * Items whose text links to an item, in list order
+     * @param {number} itemId
+     * @returns {Array}
+     */
+    getBacklinks(itemId) {
+        return this.stateManager.get('items').filter(item =>
+            item.id !== itemId && ItemLinks.extractIds(item.text).includes(itemId)
+        );
+    }
+
+    /**
+     * Items a link can point to, matching what was typed after [[ or @
+     * @param {string} query
+     * @param {Object} options - {byAuthor?, excludeId?}
+     * @returns {Array}
+     */
+    searchLinkTargets(query, options = {}) {
+        const items = this.stateManager.get('items').filter(item => item.id !== options.excludeId);
+        return ItemLinks.search(query, items, { byAuthor: options.byAuthor });
+    }
+
+    // ==================== REVISION METHODS ====================
+
+    /**
+     * Snapshot an item's current title and text onto its revision log.
+     * Newest first, capped at CONFIG.MAX_ITEM_REVISIONS.
+     * @param {Object} item - Item before the edit
+     * @returns {Array} New revisions array
+     */
+    addRevision(item) {
+        const revision = {
+            id: this.generateId(),
+            savedAt: new Date().toISOString(),
+            device: this.getDeviceLabel(),
+            title: item.title || 'Untitled',
+            text: item.text || ''
+        };
+        return [revision, ...(item.revisions || [])].slice(0, CONFIG.MAX_ITEM_REVISIONS);
+    }
+
+    /**
+     * Short description of this device, e.g. "iPhone · Safari"
+     * @returns {string}
+     */
+    getDeviceLabel() {
+        const ua = navigator.userAgent || '';
+        const platform = /iPhone/.test(ua) ? 'iPhone'
+            : /iPad/.test(ua) ? 'iPad'
+            : /Android/.test(ua) ? 'Android'
+            : /Mac OS X|Macintosh/.test(ua) ? 'Mac'
+            : /Windows/.test(ua) ? 'Windows'
+            : /Linux/.test(ua) ? 'Linux'
+            : 'Unknown device';
+        const browser = /Edg\//.test(ua) ? 'Edge'
+            : /Firefox\//.test(ua) ? 'Firefox'
+            : /Chrome\/|CriOS\//.test(ua) ? 'Chrome'
+            : /Safari\//.test(ua) ? 'Safari'
+            : null;
+        return browser ? `${platform} · ${browser}` : platform;
+    }
+
+    /**
+     * Get an item's revision log (newest first)
+     * @param {number} itemId - Item ID
+     * @returns {Array}
+     */
+    getItemRevisions(itemId) {
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        return item?.revisions || [];
+    }
+
+    /**
+     * Restore an item's title and text from a revision. The current
+     * version is logged first, so a restore can itself be reverted.
+     * @param {number} itemId - Item ID
+     * @param {number} revisionId - Revision ID
+     * @returns {Promise<Object>} {success: boolean, error?: string}
+     */
+    async restoreItemRevision(itemId, revisionId) {
+        const state = this.stateManager.getState();
+        const item = state.items.find(i => i.id === itemId);
+        if (!item) return { success: false, error: 'Item not found' };
+
+        const revision = (item.revisions || []).find(r => r.id === revisionId);
+        if (!revision) return { success: false, error: 'Revision not found' };
+
+        if (revision.title === item.title && revision.text === item.text) {
+            return { success: true, changed: false };
+        }
+
+        const updatedItems = state.items.map(i =>
+            i.id === itemId
+                ? { ...i, title: revision.title, text: revision.text, revisions: this.addRevision(i), updatedAt: DateUtils.now() }
+                : i
+        );
+
+        const saveResult = await this.commitAndSave('restoreRevision', `Restore earlier version of "${item.title || 'Untitled'}"`, { items: updatedItems });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🕘 Restored item revision:', itemId, revisionId);
+        return { success: true, changed: true };
+    }
+
+    // ==================== TRASH METHODS ====================
+
+    /**
+     * Build a trash entry. Entries keep everything needed to put the deleted
+     * data back where it was: the items, their position in state.items and
+     * folder membership, deleted folders, and author/folder ordering.
+     * @param {string} type - 'item' | 'items' | 'author' | 'folder' | 'collection'
+     * @param {string} label - Display name (item title, author, folder or collection name)
+     * @param {string} author - Owning author ('' for collections)
+     * @param {Object} data - {items?, folders?, collections?, placements?, folderOrder?, authorIndex?, folderIndex?, collectionIndex?}
+     * @returns {Object} Trash entry
+     */
+    createTrashEntry(type, label, author, data = {}) {
+        return {
+            id: this.generateId(),
+            type,
+            label,
+            author,
+            deletedAt: new Date().toISOString(),
+            items: data.items || [],
+            folders: data.folders || [],
+            collections: data.collections || [],
+            placements: data.placements || [],
+            folderOrder: data.folderOrder || [],
+            authorIndex: data.authorIndex ?? -1,
+            folderIndex: data.folderIndex ?? -1,
+            collectionIndex: data.collectionIndex ?? -1,
+            childFolderIds: data.childFolderIds || [],
+            authorRecord: data.authorRecord || null
+        };
+    }
+
+    /**
+     * Record where items sit before deletion
+     * @param {Object} state
+     * @param {Array} items
+     * @returns {Array} [{itemId, index, folderId, collections: [{collectionId, index}]}]
+     */
+    getItemPlacements(state, items) {
+        return items.map(item => {
+            const folder = (state.folders || []).find(f => f.itemIds.includes(item.id));
+            return {
+                itemId: item.id,
+                index: state.items.findIndex(i => i.id === item.id),
+                folderId: folder ? folder.id : null,
+                collections: (state.collections || [])
+                    .filter(c => (c.itemIds || []).includes(item.id))
+                    .map(c => ({ collectionId: c.id, index: c.itemIds.indexOf(item.id) }))
+            };
+        });
+    }
+
+    /**
+     * Get the trash retention period in days
+     * @returns {number}
+     */
+    getTrashRetentionDays() {
+        return this.stateManager.get('trashRetentionDays') || CONFIG.TRASH_RETENTION_DAYS;
+    }
+
+    /**
+     * Get the expiry date of a trash entry
+     * @param {Object} entry
+     * @returns {Date}
+     */
+    getTrashExpiry(entry) {
+        const deletedAt = new Date(entry.deletedAt).getTime() || 0;
+        return new Date(deletedAt + this.getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Get trash entries that have not yet expired (newest first)
+     * @returns {Array}
+     */
+    getTrashEntries() {
+        const now = Date.now();
+        return (this.stateManager.getState().trash || [])
+            .filter(entry => this.getTrashExpiry(entry).getTime() > now);
+    }
+
+    /**
+     * Restore a trash entry
+     * @param {number} entryId - Trash entry ID
+     * @returns {Promise<Object>} {success: boolean, entry?: Object, restoredCount?: number, error?: string}
+     */
+    async restoreFromTrash(entryId) {
+        const state = this.stateManager.getState();
+        const stored = (state.trash || []).find(e => e.id === entryId);
+
+        if (!stored) {
+            return { success: false, error: 'Trash entry not found' };
+        }
+
+        // Firebase drops empty arrays, so fill them back in
+        const entry = {
+            ...stored,
+            items: stored.items || [],
+            folders: stored.folders || [],
+            collections: stored.collections || [],
+            placements: stored.placements || [],
+            folderOrder: stored.folderOrder || [],
+            childFolderIds: stored.childFolderIds || []
+        };
+
+        // Items — skip any whose ID came back some other way (e.g. undo)
+        const items = [...state.items];
+        const existingIds = new Set(items.map(i => i.id));
+        const restoredItems = entry.items.filter(i => !existingIds.has(i.id));
+        const placementFor = new Map((entry.placements || []).map(p => [p.itemId, p]));
+        restoredItems
+            .map(item => ({ item, index: placementFor.get(item.id)?.index ?? items.length }))
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ item, index }) => {
+                items.splice(Math.min(Math.max(index, 0), items.length), 0, item);
+            });
+        const liveIds = new Set(items.map(i => i.id));
+
+        // Folders — a restored folder only reclaims items that exist and
+        // haven't since been filed elsewhere
+        let folders = [...(state.folders || [])];
+        const filedIds = new Set(folders.flatMap(f => f.itemIds));
+        const existingFolderIds = new Set(folders.map(f => f.id));
+        entry.folders
+            .filter(f => !existingFolderIds.has(f.id))
+            .forEach(folder => {
+                const itemIds = (folder.itemIds || []).filter(id => liveIds.has(id) && !filedIds.has(id));
+                itemIds.forEach(id => filedIds.add(id));
+                folders.push({ ...folder, itemIds });
+            });
+
+        // Folder membership of restored items
+        restoredItems.forEach(item => {
+            const folderId = placementFor.get(item.id)?.folderId;
+            if (!folderId || filedIds.has(item.id)) return;
+            folders = folders.map(f =>
+                f.id === folderId ? { ...f, itemIds: [...f.itemIds, item.id] } : f
+            );
+            filedIds.add(item.id);
+        });
+
+        // Collections, then the restored items' places in them
+        const collections = [...(state.collections || [])];
+        const existingCollectionIds = new Set(collections.map(c => c.id));
+        entry.collections
+            .filter(c => !existingCollectionIds.has(c.id))
+            .forEach(collection => {
+                const restored = { ...collection, itemIds: (collection.itemIds || []).filter(id => liveIds.has(id)) };
+                const index = entry.collectionIndex >= 0 ? Math.min(entry.collectionIndex, collections.length) : collections.length;
+                collections.splice(index, 0, restored);
+            });
+        restoredItems.forEach(item => {
+            (placementFor.get(item.id)?.collections || []).forEach(({ collectionId, index }) => {
+                const position = collections.findIndex(c => c.id === collectionId);
+                if (position === -1) return;
+                const itemIds = [...(collections[position].itemIds || [])];
+                if (itemIds.includes(item.id)) return;
+                itemIds.splice(Math.min(Math.max(index, 0), itemIds.length), 0, item.id);
+                collections[position] = { ...collections[position], itemIds };
+            });
+        });
+
+        // Ordering
+        const folderOrder = { ...(state.folderOrder || {}) };
+        const authorOrder = [...state.authorOrder];
+        let authors = state.authors || [];
+        if (entry.type === 'author') {
+            // The profile comes back unless the name has been reused since
+            if (entry.authorRecord && !authors.some(record => record.name === entry.author)) {
+                authors = [...authors, entry.authorRecord];
+            }
+            const current = folderOrder[entry.author] || [];
+            folderOrder[entry.author] = [...entry.folderOrder.filter(id => !current.includes(id)), ...current];
+            if (entry.authorIndex >= 0 && !authorOrder.includes(entry.author)) {
+                authorOrder.splice(Math.min(entry.authorIndex, authorOrder.length), 0, entry.author);
+            }
+        } else if (entry.type === 'folder') {
+            const restoredIds = entry.folders.map(f => f.id);
+            const current = (folderOrder[entry.author] || []).filter(id => !restoredIds.includes(id));
+            if (entry.folderIndex >= 0 && entry.folders[0]) {
+                current.splice(Math.min(entry.folderIndex, current.length), 0, ...restoredIds);
+            } else {
+                current.push(...restoredIds);
+            }
+            folderOrder[entry.author] = current;
+
+            // Subfolders that were moved up go back under the folder, unless
+            // they've been moved again since
+            const restored = entry.folders[0];
+            if (restored && entry.childFolderIds.length > 0) {
+                const formerParentId = restored.parentId ?? null;
+                folders = folders.map(f =>
+                    entry.childFolderIds.includes(f.id) && (f.parentId ?? null) === formerParentId
+                        ? this.withParentId(f, restored.id)
+                        : f
+                );
+            }
+        }
+
+        const saveResult = await this.commitAndSave('restoreFromTrash', `Restore "${entry.label}"`, {
+            items,
+            folders,
+            folderOrder,
+            authorOrder,
+            authors,
+            collections,
+            trash: (state.trash || []).filter(e => e.id !== entryId)
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('♻️  Restored from trash:', entry.type, entry.label);
+        return { success: true, entry, restoredCount: restoredItems.length };
+    }
+
+    /**
+     * Permanently delete a trash entry
+     * @param {number} entryId - Trash entry ID
+     * @returns {Promise<Object>} {success: boolean, error?: string}
+     */
+    async purgeTrashEntry(entryId) {
+        const state = this.stateManager.getState();
+        const entry = (state.trash || []).find(e => e.id === entryId);
+
+        if (!entry) {
+            return { success: false, error: 'Trash entry not found' };
+        }
+
+        const saveResult = await this.commitAndSave('purgeTrashEntry', `Permanently delete "${entry.label}"`, {
+            trash: state.trash.filter(e => e.id !== entryId)
+        });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🔥 Purged trash entry:', entry.label);
+        return { success: true };
+    }
+
+    /**
+     * Permanently delete every trash entry
+     * @returns {Promise<Object>} {success: boolean, count: number}
+     */
+    async emptyTrash() {
+        const state = this.stateManager.getState();
+        const count = (state.trash || []).length;
+
+        if (count === 0) {
+            return { success: false, error: 'Trash is already empty' };
+        }
+
+        const saveResult = await this.commitAndSave('emptyTrash', `Empty trash (${count} entries)`, { trash: [] });
+        if (!saveResult.success) return { success: false, error: saveResult.error };
+
+        console.log('🔥 Trash emptied:', count, 'entries');
+        return { success: true, count };
+    }
+
+    /**
+     * Change how long trash entries are kept. Expired entries are purged.
+     * @param {number} days
+     * @returns {Promise<Object>} {success: boolean, error?: string}
+     */
+    async setTrashRetentionDays(days) {
+        const value = parseInt(days);
+        if (!value || value < 1) {
+            return { success: false, error: 'Retention must be at least one day' };
+        }
+
+        this.stateManager.setState({ trashRetentionDays: value });
+        await this.purgeExpiredTrash(false);
+        await this.save();
+
+        console.log('⏳ Trash retention set to', value, 'days');
+        return { success: true };
+    }
+
+    /**
+     * Drop trash entries older than the retention period. Housekeeping,
+     * so it bypasses the undo history. The trash isn't synced, so the purge
+     * is saved locally and keeps the document timestamp; a fresh timestamp
+     * would make a stale local cache look newer than the cloud at startup.
+     * @param {boolean} persist - Save after purging (default true)
+     * @returns {Promise<number>} Number of entries purged
+     */
+    async purgeExpiredTrash(persist = true) {
+        const trash = this.stateManager.get('trash') || [];
+        const remaining = this.getTrashEntries();
+        const purged = trash.length - remaining.length;
+
+        if (purged > 0) {
+            this.stateManager.setState({ trash: remaining });
+            if (persist) {
+                await this.save(true, { preserveTimestamp: true });
+            }
+            console.log(`🔥 Purged ${purged} expired trash entries`);
+        }
+        return purged;
+    }
+}
+
+export default ListManager;
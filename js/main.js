@@ -12,6 +12,9 @@ import { ModalManager } from './modal-manager.js';
 import { EventHandlers } from './event-handlers.js';
 import { FirebaseManager } from './firebase-manager.js';
 import { PersistenceManager } from './persistence-manager.js';
+import { HistoryManager } from './history-manager.js';
+import { SearchManager } from './search-manager.js';
+import { ResurfacingManager } from './resurfacing-manager.js';
 
 console.log('🚀 GrowthVault loading...');
 
@@ -27,8 +30,17 @@ class GrowthVaultApp {
         // Initialize Persistence Manager (Orchestrator)
         this.persistenceManager = new PersistenceManager(this.storageManager, this.firebaseManager, this.stateManager);
         
+        // Undo/redo history shared by every mutation in ListManager
+        this.historyManager = new HistoryManager(this.stateManager);
+        
         // Initialize List Manager with Persistence Manager
-        this.listManager = new ListManager(this.stateManager, this.persistenceManager);
+        this.listManager = new ListManager(this.stateManager, this.persistenceManager, this.historyManager);
+        
+        // Full-text index, kept in sync with state.items
+        this.searchManager = new SearchManager(this.stateManager);
+        
+        // Quote of the day / on this day picks, with view history kept on this device
+        this.resurfacingManager = new ResurfacingManager(this.stateManager);
         
         // Initialize UI Managers
         this.uiManager = new UIManager(this.stateManager, this.listManager);
@@ -37,13 +49,16 @@ class GrowthVaultApp {
         // Complete dependency injection
         this.firebaseManager.setListManager(this.listManager);
         this.firebaseManager.uiManager = this.uiManager;
+        this.uiManager.resurfacingManager = this.resurfacingManager;
         
         // Initialize event handlers
         this.eventHandlers = new EventHandlers({
             listManager: this.listManager,
             uiManager: this.uiManager,
             modalManager: this.modalManager,
-            firebaseManager: this.firebaseManager
+            firebaseManager: this.firebaseManager,
+            searchManager: this.searchManager,
+            resurfacingManager: this.resurfacingManager
         });
         
         console.log('✅ All managers initialized');
@@ -61,11 +76,18 @@ class GrowthVaultApp {
             console.log('📥 Loaded data from storage');
         }
 
+        // Drop trash entries past the retention period
+        await this.listManager.purgeExpiredTrash();
+
         // Initialize event handlers
         this.eventHandlers.init();
 
         // Initial render
         this.uiManager.renderItems();
+        this.uiManager.updateTrashButton(this.stateManager.get('trash'));
+        this.uiManager.updateReviewCounter();
+        this.uiManager.updateOpenActionsButton();
+        this.uiManager.renderResurfacing();
         await this.uiManager.updateStorageInfo();
 
         // Initialize theme
@@ -76,6 +98,9 @@ class GrowthVaultApp {
         // Setup global functions for backward compatibility
         this.setupGlobalFunctions();
 
+        // Existing vaults get one look for duplicate authors
+        this.modalManager.runInitialDuplicateScan();
+
         console.log('✅ GrowthVault initialized successfully');
         
         if (typeof showToast === 'function') {
@@ -148,6 +173,9 @@ class GrowthVaultApp {
                 state: this.stateManager,
                 storage: this.storageManager,
                 list: this.listManager,
+                history: this.historyManager,
+                search: this.searchManager,
+                resurfacing: this.resurfacingManager,
                 ui: this.uiManager,
                 modal: this.modalManager,
                 firebase: this.firebaseManager
@@ -6,6 +6,15 @@
 import { CONFIG } from './config.js';
 import { Validators } from './validators.js';
 import { TouchDragHandler } from './touch-drag.js';
+import { TextDiff } from './text-diff.js';
+import { TagInput } from './tag-input.js';
+import { DateUtils } from './date-utils.js';
+import { AuthorMatcher } from './author-matcher.js';
+import { ItemLinks } from './item-links.js';
+import { LinkAutocomplete } from './link-autocomplete.js';
+import { Citations } from './citations.js';
+import { SpacedRepetition } from './spaced-repetition.js';
+import { Checklist } from './checklist.js';
 
 export class ModalManager {
     constructor(stateManager, listManager, uiManager = null) {
@@ -18,12 +27,92 @@ export class ModalManager {
         this.pendingItemData = null; // Item data waiting to be saved to folder
         this.expandedFolders = new Set(); // Track which folders are expanded
         this.popupTouchDragHandler = null; // Touch drag handler for popup items
+        this.selectedRevisionId = null; // Revision shown in the history panel diff
         
         // Get modal elements
         this.contentModal = document.querySelector(CONFIG.SELECTORS.CONTENT_MODAL);
         this.authorPopup = document.querySelector(CONFIG.SELECTORS.AUTHOR_POPUP);
         this.folderSelectModal = document.getElementById('folderSelectModal');
         this.createFolderModal = document.getElementById('createFolderModal');
+        this.trashModal = document.getElementById('trashModal');
+        this.tagManagerModal = document.getElementById('tagManagerModal');
+        this.folderSettingsModal = document.getElementById('folderSettingsModal');
+        this.editingFolderId = null; // Folder shown in the folder settings dialog
+        this.folderTouchDragHandler = null; // Touch drag handler for popup folder sections
+        this.authorProfileModal = document.getElementById('authorProfileModal');
+        this.profileDraft = null; // {author, avatarFile, removeAvatar} while the profile editor is open
+        this.mergeAuthorsModal = document.getElementById('mergeAuthorsModal');
+        this.mergeSource = null; // Author being merged away in the merge dialog
+        this.duplicateAuthorsModal = document.getElementById('duplicateAuthorsModal');
+        this.collectionModal = document.getElementById('collectionModal');
+        this.currentCollectionId = null;   // Collection shown in the collection modal
+        this.collectionTouchDragHandler = null;
+        this.isSelectingItems = false;     // Author popup selection mode
+        this.popupSelection = new Set();   // Selected item IDs in the author popup
+        this.selectionAnchorId = null;     // Last clicked item, for shift-click ranges
+        this.sourceModal = document.getElementById('sourceModal');
+        this.editingSourceItemId = null;   // Item shown in the source editor
+        this.bibliographyModal = document.getElementById('bibliographyModal');
+        this.bibliographyScope = null;     // {author} or {folderId} shown in the bibliography dialog
+        this.bibliographyFormat = 'apa';
+        this.editingReflectionId = null;   // Reflection open for editing in the content modal
+        this.reviewModal = document.getElementById('reviewModal');
+        this.reviewScope = {};             // {author}, {folderId}, {tagId} or {} for everything
+        this.reviewQueue = [];             // Item IDs left in this review session
+        this.reviewRevealed = false;       // Whether the current item's text is showing
+        this.reviewedCount = 0;            // Answers given this session
+        this.favoritesModal = document.getElementById('favoritesModal');
+        this.openActionsModal = document.getElementById('openActionsModal');
+        this.checklistTouchDragHandler = null;
+
+        // Tag entry in the content modal — saves on every change
+        this.modalTagInput = new TagInput({
+            container: '#modalTags',
+            getSuggestions: () => this.listManager.getTags(),
+            onChange: (names) => {
+                if (this.currentItemId) {
+                    this.updateItemTags(this.currentItemId, names);
+                }
+            }
+        });
+
+        // [[ and @ suggest items to link to while editing the text
+        this.modalLinkAutocomplete = new LinkAutocomplete({
+            editor: '#modalText',
+            getSuggestions: (query, options) => this.listManager.searchLinkTargets(query, {
+                ...options,
+                excludeId: this.currentItemId
+            })
+        });
+        this.modalTextBaseline = null; // Sanitized text as opened, to tell real edits apart
+
+        // Keep open collection views in step with deletions, undo and sync
+        this.stateManager.subscribe('collections-changed', (newState, oldState, updates) => {
+            if (updates?.collections !== undefined || updates?.items !== undefined) {
+                this.refreshCollections();
+            }
+        });
+
+        // Same for stars
+        this.stateManager.subscribe('favorites-changed', (newState, oldState, updates) => {
+            if (updates?.items !== undefined) {
+                this.refreshFavorites();
+            }
+        });
+
+        // ...status and rating
+        this.stateManager.subscribe('workflow-changed', (newState, oldState, updates) => {
+            if (updates?.items !== undefined && this.currentItemId && this.contentModal?.style.display === 'flex') {
+                this.renderItemWorkflow(this.currentItemId);
+            }
+        });
+
+        // ...and checklists
+        this.stateManager.subscribe('checklist-changed', (newState, oldState, updates) => {
+            if (updates?.items !== undefined) {
+                this.refreshChecklists();
+            }
+        });
         
         console.log('🖼️  ModalManager initialized');
     }
@@ -79,18 +168,34 @@ export class ModalManager {
                 }
             };
         }
-        if (modalDate) modalDate.textContent = item.date;
+        if (modalDate) {
+            modalDate.textContent = DateUtils.formatItemDate(item);
+            modalDate.title = item.updatedAt && item.updatedAt !== item.createdAt
+                ? `Edited ${DateUtils.format(item.updatedAt)}`
+                : '';
+        }
         if (modalTitle) modalTitle.textContent = item.title || 'Untitled';
-
-        // Set text content
+        this.modalTagInput.setTags(this.listManager.getItemTags(item).map(tag => tag.name));
+        this.renderItemCollections(itemId);
+        this.renderItemSource(itemId);
+        this.renderChecklist(itemId);
+        this.renderReflections(itemId);
+        this.renderBacklinks(itemId);
+        this.renderFavoriteButton(itemId);
+        this.renderItemWorkflow(itemId);
+
+        // Set text content. Link labels show current titles, so compare
+        // edits against the text as displayed rather than as stored.
         if (modalText) {
-            modalText.innerHTML = Validators.sanitizeRichText(item.text || '');
+            modalText.innerHTML = ItemLinks.resolve(Validators.sanitizeRichText(item.text || ''), state.items);
             modalText.contentEditable = true;
+            this.modalTextBaseline = Validators.sanitizeRichText(modalText.innerHTML || '');
             
             // Save on blur
             modalText.onblur = async () => {
                 const newHtml = Validators.sanitizeRichText(modalText.innerHTML || '');
-                if (item.text !== newHtml) {
+                if (this.modalTextBaseline !== newHtml) {
+                    this.modalTextBaseline = newHtml;
                     await this.updateItemText(itemId, newHtml);
                 }
             };
@@ -130,6 +235,13 @@ export class ModalManager {
             formatToolbar.style.display = 'flex';
         }
 
+        // Keep the history panel in sync with the item shown
+        const revisionPanel = document.getElementById('revisionPanel');
+        if (revisionPanel?.style.display === 'block') {
+            this.renderRevisionPanel(itemId);
+        }
+        this.updateHistoryButton(item);
+
         console.log('📄 Opened content modal for item:', itemId);
     }
 
@@ -137,16 +249,22 @@ export class ModalManager {
      * Close content modal
      */
     async closeContentModal() {
-        // Save any text changes before closing
+        // Save a half-typed tag, reflection and any text changes before closing
         if (this.currentItemInModal) {
+            this.modalTagInput.commitInput();
+            await this.saveReflectionDraft(this.currentItemInModal);
             const modalText = document.getElementById('modalText');
             if (modalText && modalText.isContentEditable) {
                 const newHtml = Validators.sanitizeRichText(modalText.innerHTML || '');
-                await this.updateItemText(this.currentItemInModal, newHtml);
+                if (newHtml !== this.modalTextBaseline) {
+                    await this.updateItemText(this.currentItemInModal, newHtml);
+                }
             }
         }
 
         this.currentItemInModal = null;
+        this.modalTextBaseline = null;
+        this.modalLinkAutocomplete.hideSuggestions();
         
         // Blur active element to dismiss mobile keyboard
         if (document.activeElement && document.activeElement !== document.body) {
@@ -163,6 +281,12 @@ export class ModalManager {
             formatToolbar.style.display = 'none';
         }
 
+        const revisionPanel = document.getElementById('revisionPanel');
+        if (revisionPanel) {
+            revisionPanel.style.display = 'none';
+        }
+        this.selectedRevisionId = null;
+
         this.currentItemId = null;
         console.log('📄 Closed content modal');
     }
@@ -242,10 +366,20 @@ export class ModalManager {
         const dragHandle = document.createElement('div');
         dragHandle.className = 'popup-drag-handle';
 
+        // Selection checkbox (selection mode only)
+        if (this.isSelectingItems) {
+            itemDiv.draggable = false;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'popup-select-checkbox';
+            checkbox.title = 'Select (Shift-click for a range)';
+            itemDiv.appendChild(checkbox);
+        }
+
         // Date
         const dateDiv = document.createElement('div');
         dateDiv.className = 'item-date';
-        dateDiv.textContent = item.date;
+        dateDiv.textContent = DateUtils.formatItemDate(item);
 
         // Delete button
         const deleteBtn = document.createElement('button');
@@ -255,6 +389,15 @@ export class ModalManager {
         deleteBtn.dataset.itemId = item.id;
         deleteBtn.dataset.itemTitle = item.title || 'Untitled';
 
+        // Star
+        const starBtn = document.createElement('button');
+        starBtn.type = 'button';
+        starBtn.className = item.favorite ? 'item-star-btn starred' : 'item-star-btn';
+        starBtn.textContent = item.favorite ? '★' : '☆';
+        starBtn.title = item.favorite ? 'Remove from favorites' : 'Add to favorites';
+        starBtn.dataset.action = 'toggle-item-favorite';
+        starBtn.dataset.itemId = item.id;
+
         // Title
         const titleDiv = document.createElement('div');
         titleDiv.className = 'item-title';
@@ -266,13 +409,59 @@ export class ModalManager {
         itemDiv.appendChild(dragHandle);
         itemDiv.appendChild(dateDiv);
         itemDiv.appendChild(deleteBtn);
+        itemDiv.appendChild(starBtn);
         itemDiv.appendChild(titleDiv);
 
+        // Status and importance
+        const workflowDiv = document.createElement('div');
+        workflowDiv.className = 'item-workflow';
+        workflowDiv.innerHTML = this.renderWorkflowControls(item);
+        itemDiv.appendChild(workflowDiv);
+
+        // Reflection count
+        if (item.reflections?.length > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'item-reflection-count';
+            badge.textContent = `💭 ${item.reflections.length}`;
+            badge.title = `${item.reflections.length} reflection${item.reflections.length === 1 ? '' : 's'}`;
+            itemDiv.appendChild(badge);
+        }
+
+        // Checklist progress (also opens the item, as a checklist may have no text)
+        if (Checklist.isChecklist(item)) {
+            const { done, total } = Checklist.getProgress(item);
+            const progress = document.createElement('span');
+            progress.className = total > 0 && done === total ? 'item-checklist-progress complete' : 'item-checklist-progress';
+            progress.textContent = `☑ ${done}/${total}`;
+            progress.title = `${done} of ${total} action${total === 1 ? '' : 's'} done`;
+            progress.dataset.action = 'open-item-modal-from-popup';
+            progress.dataset.itemId = item.id;
+            itemDiv.appendChild(progress);
+        }
+
+        // Source
+        if (item.source) {
+            const sourceDiv = document.createElement('div');
+            sourceDiv.className = 'item-source';
+            sourceDiv.textContent = Citations.describe(item.source);
+            sourceDiv.title = 'Source';
+            itemDiv.appendChild(sourceDiv);
+        }
+
+        // Tags (click to filter)
+        const itemTags = this.listManager.getItemTags(item);
+        if (itemTags.length > 0 && this.uiManager) {
+            const tagsDiv = document.createElement('div');
+            tagsDiv.className = 'item-tags';
+            tagsDiv.innerHTML = this.uiManager.renderTagChips(itemTags);
+            itemDiv.appendChild(tagsDiv);
+        }
+
         // Text (if exists)
         if (item.text) {
             const textDiv = document.createElement('div');
             textDiv.className = 'item-text';
-            textDiv.innerHTML = Validators.sanitizeRichText(item.text);
+            textDiv.innerHTML = ItemLinks.resolve(Validators.sanitizeRichText(item.text), this.stateManager.get('items'));
             textDiv.style.cursor = 'pointer';
             textDiv.dataset.action = 'open-item-modal-from-popup';
             textDiv.dataset.itemId = item.id;
@@ -302,6 +491,7 @@ export class ModalManager {
      */
     closeAuthorPopup() {
         this.currentAuthor = null;
+        this.exitItemSelection(false);
         
         // Blur active element to dismiss mobile keyboard
         if (document.activeElement && document.activeElement !== document.body) {
@@ -329,6 +519,9 @@ export class ModalManager {
 
         const items = itemsContainer.querySelectorAll('.popup-list-item');
         let draggedItem = null;
+        // In a sorted view, items can still be dragged into folders, but
+        // not reordered — the manual order isn't what's on screen
+        const canReorder = this.listManager.getItemSortMode(author) === 'manual';
 
         items.forEach(item => {
             item.draggable = true;
@@ -342,6 +535,7 @@ export class ModalManager {
                 e.dataTransfer.setData('text/plain', item.dataset.id);
                 // Folder/unfiled drop targets read this MIME — set it once, here.
                 e.dataTransfer.setData('application/x-item-id', item.dataset.id);
+                this.setAuthorRailVisible(true);
 
                 requestAnimationFrame(() => {
                     if (draggedItem) {
@@ -361,11 +555,12 @@ export class ModalManager {
                 document.querySelectorAll('.folder-header.drop-target, .unfiled-section.drop-target')
                     .forEach(el => el.classList.remove('drop-target'));
                 draggedItem = null;
+                this.setAuthorRailVisible(false);
                 this.uiManager?.setDragging(false);
             });
 
             item.addEventListener('dragover', (e) => {
-                if (draggedItem && draggedItem !== item && draggedItem.parentNode === item.parentNode) {
+                if (canReorder && draggedItem && draggedItem !== item && draggedItem.parentNode === item.parentNode) {
                     e.preventDefault();
                     e.dataTransfer.dropEffect = 'move';
                     item.classList.add('drag-over');
@@ -382,7 +577,7 @@ export class ModalManager {
                 e.preventDefault();
                 item.classList.remove('drag-over');
 
-                if (draggedItem && draggedItem !== item && draggedItem.parentNode === item.parentNode) {
+                if (canReorder && draggedItem && draggedItem !== item && draggedItem.parentNode === item.parentNode) {
                     const parent = item.parentNode;
                     const siblings = Array.from(parent.querySelectorAll('.popup-list-item'));
                     const draggedIndex = siblings.indexOf(draggedItem);
@@ -403,6 +598,90 @@ export class ModalManager {
         });
     }
 
+    /**
+     * Fill the author rail: the other authors an item can be dragged onto
+     * while the popup covers the main list
+     * @param {string} author - Author whose popup is open
+     */
+    renderAuthorRail(author) {
+        const targets = document.getElementById('popupAuthorRailTargets');
+        if (!targets) return;
+
+        targets.innerHTML = this.listManager.getOrderedAuthors()
+            .filter(name => name !== author)
+            .map(name => {
+                const record = this.listManager.getAuthorRecord(name);
+                const avatar = this.uiManager ? this.uiManager.renderAuthorAvatar(record) : '';
+                return `
+                    <div class="popup-author-rail-target" data-author="${Validators.escapeHtml(name)}">
+                        ${avatar}
+                        <span class="popup-author-rail-name">${this.escapeHtml(name)}</span>
+                    </div>
+                `;
+            }).join('');
+
+        targets.querySelectorAll('.popup-author-rail-target').forEach(target => {
+            target.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer.types.includes('application/x-item-id')) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                target.classList.add('drop-target');
+            });
+
+            target.addEventListener('dragleave', () => {
+                target.classList.remove('drop-target');
+            });
+
+            target.addEventListener('drop', async (e) => {
+                e.preventDefault();
+                target.classList.remove('drop-target');
+
+                const itemId = parseInt(e.dataTransfer.getData('application/x-item-id'));
+                if (itemId) {
+                    await this.moveItemToAuthor(itemId, target.dataset.author);
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the author rail while an item is being dragged
+     * @param {boolean} visible
+     */
+    setAuthorRailVisible(visible) {
+        const rail = document.getElementById('popupAuthorRail');
+        const hasTargets = Boolean(document.querySelector('#popupAuthorRailTargets .popup-author-rail-target'));
+        rail?.classList.toggle('visible', visible && hasTargets);
+        if (!visible) {
+            document.querySelectorAll('.popup-author-rail-target.drop-target')
+                .forEach(el => el.classList.remove('drop-target'));
+        }
+    }
+
+    /**
+     * Move an item dropped on the author rail to that author
+     * @param {number} itemId - Item ID
+     * @param {string} author - New author
+     * @returns {Promise<Object>} Result of ListManager.updateItemAuthor
+     */
+    async moveItemToAuthor(itemId, author) {
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        const result = await this.listManager.updateItemAuthor(itemId, author);
+
+        if (typeof showToast === 'function') {
+            if (result.success) {
+                showToast(`Moved "${item?.title || 'Untitled'}" to "${result.author}"`, 'success');
+            } else {
+                showToast(result.error || 'Failed to move item', 'error');
+            }
+        }
+
+        // Defer so we don't tear down the popup mid-drop event. The popup
+        // closes if that was the author's last item.
+        setTimeout(() => this.refreshAuthorPopup(), 0);
+        return result;
+    }
+
     /**
      * Reconstruct state from the popup DOM after a drop.
      *
@@ -418,6 +697,10 @@ export class ModalManager {
      *   - state.folders[].itemIds for any folder visible in the DOM
      *   - state.items, preserving every other author's item in place and
      *     reordering only this author's items by DOM position.
+     *
+     * When the popup shows a sorted view, the DOM order is the sort order,
+     * not the manual one: only folder membership is taken from the DOM and
+     * the manual order is left untouched.
      */
     async syncPopupStateFromDOM(author) {
         const itemsContainer = document.getElementById('authorPopupItems');
@@ -432,6 +715,13 @@ export class ModalManager {
         const folderItemsMap = new Map();   // folderId -> [itemId, ...] in DOM order
         const allDomItemIds = [];           // all author item ids in DOM order
 
+        // Every rendered folder starts empty so dragging its last item out
+        // clears it
+        itemsContainer.querySelectorAll('.folder-section').forEach(section => {
+            const folderId = parseInt(section.dataset.folderId);
+            if (folderId) folderItemsMap.set(folderId, []);
+        });
+
         Array.from(itemsContainer.querySelectorAll('.popup-list-item')).forEach(el => {
             const id = parseInt(el.dataset.id);
             if (!authorItemIds.has(id)) return; // ignore strays from other authors
@@ -449,31 +739,40 @@ export class ModalManager {
         });
 
         // Update folder membership for this author's folders that are in DOM.
+        // Items hidden by the tag filter aren't in the DOM and stay where they were.
+        const positionInDom = new Map();
+        allDomItemIds.forEach((id, idx) => positionInDom.set(id, idx));
+        const manualView = this.listManager.getItemSortMode(author) === 'manual';
         const newFolders = (state.folders || []).map(f => {
             if (f.author === author && folderItemsMap.has(f.id)) {
-                return { ...f, itemIds: folderItemsMap.get(f.id) };
+                const domIds = folderItemsMap.get(f.id);
+                const hiddenIds = f.itemIds.filter(id => !positionInDom.has(id));
+                if (manualView) {
+                    return { ...f, itemIds: [...domIds, ...hiddenIds] };
+                }
+                // Sorted view: keep the stored order, append newcomers
+                const inFolder = new Set(domIds);
+                const kept = f.itemIds.filter(id => inFolder.has(id) || !positionInDom.has(id));
+                const added = domIds.filter(id => !f.itemIds.includes(id));
+                return { ...f, itemIds: [...kept, ...added] };
             }
             return f;
         });
 
-        // Reorder this author's items in state.items by DOM position; leave
-        // every other author's items untouched in their original positions.
-        const positionInDom = new Map();
-        allDomItemIds.forEach((id, idx) => positionInDom.set(id, idx));
-        const reorderedAuthorItems = allItems
-            .filter(i => i.author === author)
-            .slice()
-            .sort((a, b) => {
-                const aPos = positionInDom.has(a.id) ? positionInDom.get(a.id) : Number.MAX_SAFE_INTEGER;
-                const bPos = positionInDom.has(b.id) ? positionInDom.get(b.id) : Number.MAX_SAFE_INTEGER;
-                return aPos - bPos;
-            });
-        let cursor = 0;
-        const newItems = allItems.map(item =>
-            item.author === author ? reorderedAuthorItems[cursor++] : item
-        );
+        // Reorder this author's visible items in state.items by DOM position;
+        // hidden items and every other author's items keep their positions.
+        let newItems = allItems;
+        if (manualView) {
+            const reorderedVisibleItems = allItems
+                .filter(i => i.author === author && positionInDom.has(i.id))
+                .sort((a, b) => positionInDom.get(a.id) - positionInDom.get(b.id));
+            let cursor = 0;
+            newItems = allItems.map(item =>
+                item.author === author && positionInDom.has(item.id) ? reorderedVisibleItems[cursor++] : item
+            );
+        }
 
-        this.stateManager.setState({ items: newItems, folders: newFolders });
+        this.listManager.commit('reorderItems', 'Reorder items', { items: newItems, folders: newFolders });
         await this.listManager.save();
 
         console.log('🔄 Popup state synced from DOM for author:', author);
@@ -513,7 +812,7 @@ export class ModalManager {
             }
 
             if (typeof showToast === 'function') {
-                showToast('Item deleted', 'default');
+                showToast('Item moved to Trash', 'default');
             }
         }
     }
@@ -539,81 +838,2063 @@ export class ModalManager {
                 this.closeAuthorPopup();
                 
                 if (typeof showToast === 'function') {
-                    showToast(`Deleted ${result.count} items`, 'default');
+                    showToast(`Moved ${result.count} items to Trash`, 'default');
+                }
+            }
+        }
+    }
+
+    /**
+     * Update an item's author. Moves only this item — other items by the
+     * old author are unaffected.
+     * @param {number} itemId
+     * @param {string} newAuthor
+     */
+    async updateItemAuthor(itemId, newAuthor) {
+        return this.listManager.updateItemAuthor(itemId, newAuthor);
+    }
+
+    /**
+     * Update item text
+     * @param {number} itemId - Item ID
+     * @param {string} newText - New text content
+     */
+    async updateItemText(itemId, newText) {
+        const result = await this.listManager.updateItemText(itemId, newText);
+        if (result.changed && this.currentItemId === itemId) {
+            const item = this.stateManager.get('items').find(i => i.id === itemId);
+            this.updateHistoryButton(item);
+            if (document.getElementById('revisionPanel')?.style.display === 'block') {
+                this.renderRevisionPanel(itemId);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Update an item's tags from the content modal
+     * @param {number} itemId - Item ID
+     * @param {Array<string>} names - Tag names
+     */
+    async updateItemTags(itemId, names) {
+        const result = await this.listManager.setItemTags(itemId, names);
+        if (result.success && result.changed) {
+            this.refreshAuthorPopup();
+        } else if (!result.success && typeof showToast === 'function') {
+            showToast(result.error || 'Failed to update tags', 'error');
+        }
+        return result;
+    }
+
+    /**
+     * Re-render the author popup after an out-of-band state change
+     * (undo/redo, remote sync). Closes it if the author has no items left.
+     */
+    refreshAuthorPopup() {
+        if (!this.currentAuthor || this.authorPopup?.style.display !== 'flex') return;
+
+        const state = this.stateManager.getState();
+        const hasItems = state.items.some(i => i.author === this.currentAuthor);
+        if (hasItems) {
+            this.openAuthorPopup(this.currentAuthor);
+        } else {
+            this.closeAuthorPopup();
+        }
+    }
+
+    /**
+     * Re-render the content modal if it is open (e.g. after undo/redo);
+     * closes it when its item no longer exists
+     */
+    refreshContentModal() {
+        if (!this.currentItemId || this.contentModal?.style.display !== 'flex') return;
+
+        const exists = this.stateManager.get('items').some(i => i.id === this.currentItemId);
+        if (exists) {
+            this.openContentModal(this.currentItemId);
+        } else {
+            this.currentItemInModal = null; // Nothing left to save
+            this.closeContentModal();
+        }
+    }
+
+    /**
+     * Escape HTML
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Preserve text formatting
+     * @param {string} text
+     * @returns {string}
+     */
+    preserveText(text) {
+        return Validators.sanitizeRichText(text);
+    }
+
+    // ==================== SOURCE METHODS ====================
+
+    /**
+     * Show the source of the item in the content modal
+     * @param {number} itemId
+     */
+    renderItemSource(itemId) {
+        const container = document.getElementById('modalSource');
+        if (!container) return;
+
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        const source = item?.source;
+        if (!source) {
+            container.innerHTML = `
+                <span class="modal-collections-label">Source</span>
+                <button type="button" class="modal-source-edit" data-action="edit-item-source" data-item-id="${itemId}">+ Add source</button>
+            `;
+            return;
+        }
+
+        // Synced or imported sources may carry any URL — only link safe ones
+        const description = Citations.describe(source);
+        const url = Validators.sanitizeUrl(source.url);
+        container.innerHTML = `
+            <span class="modal-collections-label">Source</span>
+            <span class="modal-source-text">${this.escapeHtml(description)}</span>
+            ${url ? `<a class="modal-source-link" href="${Validators.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(new URL(url).hostname.replace(/^www\./, ''))}</a>` : ''}
+            <button type="button" class="modal-source-edit" data-action="edit-item-source" data-item-id="${itemId}">Edit</button>
+        `;
+    }
+
+    /**
+     * Open the source editor for an item
+     * @param {number} itemId
+     */
+    openSourceEditor(itemId) {
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        if (!item || !this.sourceModal) return;
+
+        this.editingSourceItemId = itemId;
+        const source = item.source || {};
+
+        const medium = document.getElementById('sourceMediumSelect');
+        if (medium) {
+            medium.innerHTML = '<option value="">Not specified</option>' +
+                Object.entries(CONFIG.SOURCE_MEDIUMS)
+                    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                    .join('');
+            medium.value = source.medium || '';
+        }
+        const fields = {
+            sourceWorkInput: source.work,
+            sourceLocationInput: source.location,
+            sourceYearInput: source.year,
+            sourceUrlInput: source.url
+        };
+        Object.entries(fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value || '';
+        });
+
+        this.sourceModal.style.display = 'flex';
+        document.getElementById('sourceWorkInput')?.focus();
+    }
+
+    /**
+     * Save the source editor
+     */
+    async saveSourceEditor() {
+        if (this.editingSourceItemId === null) return;
+
+        const itemId = this.editingSourceItemId;
+        const value = (id) => document.getElementById(id)?.value || '';
+        const result = await this.listManager.updateItemSource(itemId, {
+            work: value('sourceWorkInput'),
+            location: value('sourceLocationInput'),
+            year: value('sourceYearInput'),
+            url: value('sourceUrlInput'),
+            medium: value('sourceMediumSelect')
+        });
+
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to save source', 'error');
+            }
+            return;
+        }
+
+        this.closeSourceEditor();
+        if (result.changed) {
+            if (this.currentItemId === itemId) {
+                this.renderItemSource(itemId);
+            }
+            if (this.currentAuthor) {
+                this.openAuthorPopup(this.currentAuthor); // Refresh
+            }
+            if (typeof showToast === 'function') {
+                showToast('Source saved', 'success');
+            }
+        }
+    }
+
+    /**
+     * Close the source editor without saving
+     */
+    closeSourceEditor() {
+        this.editingSourceItemId = null;
+        if (this.sourceModal) {
+            this.sourceModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Open the bibliography dialog for an author or folder
+     * @param {Object} scope - {author} or {folderId}
+     */
+    openBibliography(scope) {
+        if (!this.bibliographyModal || (!scope?.author && !scope?.folderId)) return;
+
+        this.bibliographyScope = scope;
+        const select = document.getElementById('bibliographyFormatSelect');
+        if (select) {
+            select.innerHTML = Object.entries(CONFIG.BIBLIOGRAPHY_FORMATS)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join('');
+            select.value = this.bibliographyFormat;
+        }
+
+        this.renderBibliography();
+        this.bibliographyModal.style.display = 'flex';
+    }
+
+    /**
+     * Fill the bibliography dialog in the chosen style
+     */
+    renderBibliography() {
+        if (!this.bibliographyScope) return;
+
+        const result = this.listManager.getBibliography(this.bibliographyScope, this.bibliographyFormat);
+        const title = document.getElementById('bibliographyTitle');
+        const output = document.getElementById('bibliographyOutput');
+        const summary = document.getElementById('bibliographySummary');
+
+        if (title) title.textContent = result.label ? `Bibliography — ${result.label}` : 'Bibliography';
+        if (output) output.value = result.success ? result.text : '';
+        if (summary) {
+            summary.textContent = result.success
+                ? `${result.count} source${result.count === 1 ? '' : 's'}`
+                : `${result.error}. Add one from an item's Source line.`;
+        }
+        this.bibliographyModal?.querySelectorAll('[data-action="copy-bibliography"], [data-action="download-bibliography"]')
+            .forEach(button => { button.disabled = !result.success; });
+    }
+
+    /**
+     * Switch the bibliography style
+     * @param {string} format - Key of CONFIG.BIBLIOGRAPHY_FORMATS
+     */
+    setBibliographyFormat(format) {
+        if (!CONFIG.BIBLIOGRAPHY_FORMATS[format]) return;
+        this.bibliographyFormat = format;
+        this.renderBibliography();
+    }
+
+    /**
+     * Copy the bibliography to the clipboard
+     */
+    async copyBibliography() {
+        const output = document.getElementById('bibliographyOutput');
+        if (!output?.value) return;
+
+        try {
+            await navigator.clipboard.writeText(output.value);
+        } catch (error) {
+            // Older browsers and non-secure pages: copy the selected text
+            output.select();
+            if (!document.execCommand('copy')) {
+                console.error('❌ Failed to copy bibliography:', error);
+                if (typeof showToast === 'function') {
+                    showToast('Could not copy — select the text and copy it instead', 'error');
                 }
+                return;
+            }
+        }
+        if (typeof showToast === 'function') {
+            showToast('Bibliography copied', 'success');
+        }
+    }
+
+    /**
+     * Download the bibliography as a file
+     */
+    downloadBibliography() {
+        if (!this.bibliographyScope) return;
+
+        const result = this.listManager.exportBibliography(this.bibliographyScope, this.bibliographyFormat);
+        if (typeof showToast === 'function') {
+            showToast(
+                result.success ? `Exported ${result.count} source${result.count === 1 ? '' : 's'}` : result.error || 'Export failed',
+                result.success ? 'success' : 'error'
+            );
+        }
+    }
+
+    /**
+     * Close the bibliography dialog
+     */
+    closeBibliography() {
+        this.bibliographyScope = null;
+        if (this.bibliographyModal) {
+            this.bibliographyModal.style.display = 'none';
+        }
+    }
+
+    // ==================== REFLECTION METHODS ====================
+
+    /**
+     * Show an item's reflections under it in the content modal, with a box
+     * to add another. A draft being typed survives re-renders of the same item.
+     * @param {number} itemId
+     */
+    renderReflections(itemId) {
+        const container = document.getElementById('modalReflections');
+        if (!container) return;
+
+        const sameItem = container.dataset.itemId === String(itemId);
+        const draft = sameItem ? container.querySelector('.reflection-composer .reflection-editor')?.innerHTML || '' : '';
+        if (!sameItem) this.editingReflectionId = null;
+        container.dataset.itemId = itemId;
+
+        const reflections = this.listManager.getReflections(itemId);
+        container.innerHTML = `
+            <div class="reflections-header">
+                <span class="modal-collections-label">Reflections</span>
+                ${reflections.length > 0 ? `<span class="reflection-count">${reflections.length}</span>` : ''}
+            </div>
+            <div class="reflection-list">
+                ${reflections.map(reflection => this.renderReflection(reflection)).join('')}
+            </div>
+            <div class="reflection-composer">
+                <div class="reflection-editor" contenteditable="true" data-placeholder="Add your own thoughts…"></div>
+                <button type="button" class="btn" data-action="add-reflection">Add</button>
+            </div>
+        `;
+        container.querySelector('.reflection-composer .reflection-editor').innerHTML = draft;
+    }
+
+    /**
+     * Markup for one reflection (an editor while it's being edited)
+     * @param {Object} reflection
+     * @returns {string}
+     */
+    renderReflection(reflection) {
+        const editing = reflection.id === this.editingReflectionId;
+        const edited = reflection.updatedAt
+            ? `<span class="reflection-edited" title="Edited ${this.escapeHtml(DateUtils.format(reflection.updatedAt))}">· edited</span>`
+            : '';
+
+        return `
+            <div class="reflection${editing ? ' editing' : ''}" data-reflection-id="${reflection.id}">
+                <div class="reflection-meta">
+                    <span class="reflection-date">${this.escapeHtml(DateUtils.format(reflection.createdAt))}</span>
+                    ${edited}
+                    ${editing ? '' : `
+                        <button type="button" class="reflection-action" data-action="edit-reflection" data-reflection-id="${reflection.id}">Edit</button>
+                        <button type="button" class="reflection-action delete" data-action="delete-reflection" data-reflection-id="${reflection.id}">Delete</button>
+                    `}
+                </div>
+                <div class="reflection-text${editing ? ' reflection-editor' : ''}"${editing ? ' contenteditable="true"' : ''}>${Validators.sanitizeRichText(reflection.text)}</div>
+                ${editing ? `
+                    <div class="reflection-edit-actions">
+                        <button type="button" class="btn btn-text" data-action="cancel-reflection-edit">Cancel</button>
+                        <button type="button" class="btn" data-action="save-reflection">Save</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Add the reflection typed in the composer to the item in the modal
+     */
+    async addReflection() {
+        const itemId = this.currentItemId;
+        const composer = document.querySelector('#modalReflections .reflection-composer .reflection-editor');
+        if (!itemId || !composer) return;
+
+        const result = await this.listManager.addReflection(itemId, composer.innerHTML);
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to add reflection', 'error');
             }
+            return;
         }
+
+        composer.innerHTML = '';
+        this.renderReflections(itemId);
+        this.refreshAuthorPopup();
+    }
+
+    /**
+     * Keep a reflection left in the composer when the modal closes
+     * @param {number} itemId
+     */
+    async saveReflectionDraft(itemId) {
+        const container = document.getElementById('modalReflections');
+        const composer = container?.querySelector('.reflection-composer .reflection-editor');
+        if (!composer || container.dataset.itemId !== String(itemId)) return;
+
+        if (Validators.extractTextFromHtml(composer.innerHTML).trim()) {
+            const result = await this.listManager.addReflection(itemId, composer.innerHTML);
+            if (result.success) {
+                composer.innerHTML = '';
+                this.refreshAuthorPopup();
+            }
+        }
+    }
+
+    /**
+     * Open a reflection for editing
+     * @param {number} reflectionId
+     */
+    startEditingReflection(reflectionId) {
+        if (!this.currentItemId) return;
+
+        this.editingReflectionId = reflectionId;
+        this.renderReflections(this.currentItemId);
+        const editor = document.querySelector(`#modalReflections .reflection[data-reflection-id="${reflectionId}"] .reflection-editor`);
+        editor?.focus();
+    }
+
+    /**
+     * Save the reflection being edited
+     */
+    async saveReflectionEdit() {
+        const itemId = this.currentItemId;
+        const reflectionId = this.editingReflectionId;
+        if (!itemId || reflectionId === null) return;
+
+        const editor = document.querySelector(`#modalReflections .reflection[data-reflection-id="${reflectionId}"] .reflection-editor`);
+        const result = await this.listManager.updateReflection(itemId, reflectionId, editor?.innerHTML || '');
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to save reflection', 'error');
+            }
+            return;
+        }
+
+        this.editingReflectionId = null;
+        this.renderReflections(itemId);
+    }
+
+    /**
+     * Stop editing a reflection without saving
+     */
+    cancelReflectionEdit() {
+        this.editingReflectionId = null;
+        if (this.currentItemId) {
+            this.renderReflections(this.currentItemId);
+        }
+    }
+
+    /**
+     * Delete a reflection after confirming
+     * @param {number} reflectionId
+     */
+    async deleteReflection(reflectionId) {
+        const itemId = this.currentItemId;
+        if (!itemId || !confirm('Delete this reflection?')) return;
+
+        const result = await this.listManager.deleteReflection(itemId, reflectionId);
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to delete reflection', 'error');
+            }
+            return;
+        }
+
+        if (this.editingReflectionId === reflectionId) this.editingReflectionId = null;
+        this.renderReflections(itemId);
+        this.refreshAuthorPopup();
+        if (typeof showToast === 'function') {
+            showToast('Reflection deleted', 'success');
+        }
+    }
+
+    // ==================== REVIEW METHODS ====================
+
+    /**
+     * Start a review session
+     * @param {Object} scope - {author}, {folderId}, {tagId} or {} for everything
+     */
+    openReview(scope = {}) {
+        if (!this.reviewModal) return;
+
+        this.reviewScope = scope;
+        this.startReviewSession();
+        this.renderReviewScopeOptions();
+        this.reviewModal.style.display = 'flex';
+    }
+
+    /**
+     * Queue up what's due in the current scope
+     */
+    startReviewSession() {
+        this.reviewQueue = this.listManager.getReviewQueue(this.reviewScope).map(item => item.id);
+        this.reviewRevealed = false;
+        this.reviewedCount = 0;
+        this.renderReview();
+    }
+
+    /**
+     * Fill the scope picker: everything, each author, folder and tag, with
+     * how many items are due in each
+     */
+    renderReviewScopeOptions() {
+        const select = document.getElementById('reviewScopeSelect');
+        if (!select) return;
+
+        const option = (value, label, scope) => {
+            const due = this.listManager.getDueCount(scope);
+            return `<option value="${Validators.escapeHtml(value)}">${this.escapeHtml(label)}${due > 0 ? ` (${due})` : ''}</option>`;
+        };
+        const folders = (this.stateManager.get('folders') || [])
+            .map(folder => ({
+                folder,
+                label: `${folder.author} › ${this.listManager.getFolderPath(folder.id).map(f => f.name).join(' › ')}`
+            }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+        const tags = this.listManager.getTags();
+
+        select.innerHTML = `
+            ${option('all', 'All items', {})}
+            <optgroup label="Authors">
+                ${this.listManager.getOrderedAuthors().map(author => option(`author:${author}`, author, { author })).join('')}
+            </optgroup>
+            ${folders.length > 0 ? `<optgroup label="Folders">
+                ${folders.map(({ folder, label }) => option(`folder:${folder.id}`, label, { folderId: folder.id })).join('')}
+            </optgroup>` : ''}
+            ${tags.length > 0 ? `<optgroup label="Tags">
+                ${tags.map(tag => option(`tag:${tag.id}`, `#${tag.name}`, { tagId: tag.id })).join('')}
+            </optgroup>` : ''}
+        `;
+
+        const scope = this.reviewScope;
+        select.value = scope.folderId ? `folder:${scope.folderId}`
+            : scope.tagId ? `tag:${scope.tagId}`
+            : scope.author ? `author:${scope.author}`
+            : 'all';
+    }
+
+    /**
+     * Switch the review to another scope
+     * @param {string} value - Scope picker value ("all", "author:Name", "folder:1", "tag:2")
+     */
+    setReviewScope(value) {
+        const separator = value.indexOf(':');
+        const kind = separator === -1 ? value : value.slice(0, separator);
+        const key = value.slice(separator + 1);
+
+        this.reviewScope = kind === 'author' ? { author: key }
+            : kind === 'folder' ? { folderId: parseInt(key) }
+            : kind === 'tag' ? { tagId: parseInt(key) }
+            : {};
+        this.startReviewSession();
+    }
+
+    /**
+     * Show the next item in the session: author and title first, the text
+     * once revealed, then the answer buttons
+     */
+    renderReview() {
+        const card = document.getElementById('reviewCard');
+        const actions = document.getElementById('reviewActions');
+        const progress = document.getElementById('reviewProgress');
+        if (!card || !actions) return;
+
+        // Items deleted mid-session drop out
+        const items = this.stateManager.get('items');
+        this.reviewQueue = this.reviewQueue.filter(id => items.some(item => item.id === id));
+        const item = items.find(i => i.id === this.reviewQueue[0]);
+
+        if (progress) {
+            progress.textContent = item
+                ? `${this.reviewQueue.length} left${this.reviewedCount > 0 ? ` · ${this.reviewedCount} reviewed` : ''}`
+                : '';
+        }
+
+        if (!item) {
+            card.innerHTML = `
+                <div class="review-empty">
+                    <span class="review-empty-icon">🎉</span>
+                    <p>${this.reviewedCount > 0 ? `Done — ${this.reviewedCount} review${this.reviewedCount === 1 ? '' : 's'} this session.` : 'Nothing due here today.'}</p>
+                </div>
+            `;
+            actions.innerHTML = '<button type="button" class="btn" data-action="close-review">Close</button>';
+            return;
+        }
+
+        const source = item.source ? Citations.describe(item.source) : '';
+        card.innerHTML = `
+            <div class="review-card-author">${this.escapeHtml(item.author)}${item.review ? '' : ' <span class="review-new">New</span>'}</div>
+            <div class="review-card-title">${this.escapeHtml(item.title || 'Untitled')}</div>
+            ${source ? `<div class="item-source">${this.escapeHtml(source)}</div>` : ''}
+            ${this.reviewRevealed ? `
+                <div class="review-card-text">${ItemLinks.resolve(Validators.sanitizeRichText(item.text || ''), items)}</div>
+                ${item.image ? `<img class="review-card-image" src="${Validators.escapeHtml(item.image)}" alt="Content image">` : ''}
+            ` : ''}
+        `;
+
+        if (!this.reviewRevealed) {
+            actions.innerHTML = '<button type="button" class="btn review-reveal" data-action="reveal-review-item">Show (Space)</button>';
+            return;
+        }
+
+        const intervals = SpacedRepetition.previewIntervals(item.review);
+        actions.innerHTML = Object.entries(CONFIG.REVIEW_GRADES).map(([grade, label], index) => `
+            <button type="button" class="review-grade review-grade-${grade}" data-action="grade-review-item" data-grade="${grade}" title="Key ${index + 1}">
+                <span class="review-grade-label">${label}</span>
+                <span class="review-grade-interval">${SpacedRepetition.formatInterval(intervals[grade])}</span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Show the current item's text
+     */
+    revealReviewItem() {
+        if (this.reviewQueue.length === 0) return;
+        this.reviewRevealed = true;
+        this.renderReview();
+    }
+
+    /**
+     * Answer for the current item and move on. "Again" puts it back at the
+     * end of the session.
+     * @param {string} grade - Key of CONFIG.REVIEW_GRADES
+     */
+    async gradeReviewItem(grade) {
+        const itemId = this.reviewQueue[0];
+        if (!itemId || !this.reviewRevealed) return;
+
+        this.reviewRevealed = false; // Ignore repeat presses while saving
+        const result = await this.listManager.gradeReviewItem(itemId, grade);
+        if (!result.success) {
+            this.reviewRevealed = true;
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to save review', 'error');
+            }
+            return;
+        }
+
+        this.reviewQueue.shift();
+        if (grade === 'again') this.reviewQueue.push(itemId);
+        this.reviewedCount += 1;
+        this.renderReview();
+    }
+
+    /**
+     * Close the review
+     */
+    closeReview() {
+        this.reviewQueue = [];
+        if (this.reviewModal) {
+            this.reviewModal.style.display = 'none';
+        }
+    }
+
+    // ==================== CHECKLIST METHODS ====================
+
+    /**
+     * Render the checklist editor in the content modal: progress, the
+     * actions (tick, edit in place, drag to reorder, remove) and a field
+     * for adding more
+     * @param {number} itemId
+     */
+    renderChecklist(itemId) {
+        const container = document.getElementById('modalChecklist');
+        const toggle = document.getElementById('modalChecklistButton');
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        if (!container || !item) return;
+
+        const isChecklist = Checklist.isChecklist(item);
+        if (toggle) {
+            toggle.textContent = isChecklist ? '¶ Note' : '☑ Checklist';
+            toggle.title = isChecklist ? 'Turn the checklist back into text' : 'Turn this item into a checklist';
+        }
+        if (!isChecklist) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        // Keep a half-typed action across re-renders
+        const addInput = container.querySelector('.checklist-add-input');
+        const draft = container.dataset.itemId === String(itemId) ? addInput?.value || '' : '';
+        const hadFocus = Boolean(addInput) && document.activeElement === addInput;
+
+        const entries = item.checklist || [];
+        const { done, total } = Checklist.getProgress(item);
+        container.dataset.itemId = itemId;
+        container.style.display = '';
+        container.innerHTML = `
+            <div class="checklist-header">
+                <span class="checklist-progress-label">${total === 0 ? 'No actions yet' : `${done}/${total} done`}</span>
+                <div class="checklist-progress-bar"><div class="checklist-progress-fill" style="width: ${total ? Math.round(done / total * 100) : 0}%"></div></div>
+            </div>
+            <ul class="checklist-entries">
+                ${entries.map(entry => `
+                    <li class="checklist-entry${entry.done ? ' done' : ''}" data-entry-id="${entry.id}">
+                        <span class="checklist-entry-handle" aria-hidden="true">⋮⋮</span>
+                        <input type="checkbox" class="checklist-entry-check" data-action="toggle-checklist-entry" data-entry-id="${entry.id}" ${entry.done ? 'checked' : ''} aria-label="Done">
+                        <span class="checklist-entry-text" contenteditable="true" spellcheck="true" data-entry-id="${entry.id}">${this.escapeHtml(entry.text)}</span>
+                        <button type="button" class="checklist-entry-delete" data-action="delete-checklist-entry" data-entry-id="${entry.id}" title="Remove action">×</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <input type="text" class="checklist-add-input" placeholder="Add an action and press Enter" maxlength="${CONFIG.MAX_CHECKLIST_ENTRY_LENGTH}">
+        `;
+
+        const newInput = container.querySelector('.checklist-add-input');
+        newInput.value = draft;
+        if (hadFocus) newInput.focus();
+
+        this.setupChecklistDragAndDrop(itemId);
+    }
+
+    /**
+     * Drag actions by their handle to reorder them: HTML5 drag on desktop,
+     * the touch drag handler on touch devices
+     * @param {number} itemId
+     */
+    setupChecklistDragAndDrop(itemId) {
+        const list = document.querySelector('#modalChecklist .checklist-entries');
+        if (!list) return;
+
+        const saveOrder = async () => {
+            const order = Array.from(list.querySelectorAll('.checklist-entry'))
+                .map(el => parseInt(el.dataset.entryId));
+            const result = await this.listManager.reorderChecklist(itemId, order);
+            if (!result.changed) this.renderChecklist(itemId);
+        };
+
+        if (this.checklistTouchDragHandler) {
+            this.checklistTouchDragHandler.destroy();
+            this.checklistTouchDragHandler = null;
+        }
+        if (TouchDragHandler.isTouchDevice()) {
+            this.checklistTouchDragHandler = new TouchDragHandler({
+                container: '#modalChecklist .checklist-entries',
+                draggable: '.checklist-entry',
+                handle: '.checklist-entry-handle',
+                holdDuration: 200,
+                onDrop: saveOrder
+            });
+            return;
+        }
+
+        let dragged = null;
+        list.querySelectorAll('.checklist-entry').forEach(row => {
+            // Only the handle starts a drag, so the text stays selectable
+            const handle = row.querySelector('.checklist-entry-handle');
+            handle.draggable = true;
+
+            handle.addEventListener('dragstart', (e) => {
+                dragged = row;
+                row.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', row.dataset.entryId);
+                e.dataTransfer.setDragImage?.(row, 0, 0);
+            });
+
+            handle.addEventListener('dragend', () => {
+                row.classList.remove('dragging');
+                list.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+                dragged = null;
+            });
+
+            row.addEventListener('dragover', (e) => {
+                if (dragged && dragged !== row) {
+                    e.preventDefault();
+                    row.classList.add('drag-over');
+                }
+            });
+
+            row.addEventListener('dragleave', (e) => {
+                if (!row.contains(e.relatedTarget)) {
+                    row.classList.remove('drag-over');
+                }
+            });
+
+            row.addEventListener('drop', async (e) => {
+                e.preventDefault();
+                row.classList.remove('drag-over');
+                if (!dragged || dragged === row) return;
+
+                const rows = Array.from(list.querySelectorAll('.checklist-entry'));
+                if (rows.indexOf(dragged) < rows.indexOf(row)) {
+                    row.after(dragged);
+                } else {
+                    row.before(dragged);
+                }
+                await saveOrder();
+            });
+        });
+    }
+
+    /**
+     * Turn the item in the content modal into a checklist or back into a
+     * note. Text typed so far is saved first, as it may become actions.
+     */
+    async toggleChecklistMode() {
+        const itemId = this.currentItemId;
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        if (!item) return;
+
+        const modalText = document.getElementById('modalText');
+        if (modalText && modalText.isContentEditable) {
+            const newHtml = Validators.sanitizeRichText(modalText.innerHTML || '');
+            if (newHtml !== this.modalTextBaseline) {
+                await this.updateItemText(itemId, newHtml);
+            }
+        }
+
+        const current = this.stateManager.get('items').find(i => i.id === itemId);
+        const enabling = !Checklist.isChecklist(current);
+        let fromText = false;
+        if (enabling && Checklist.parseEntries(current.text).length > 0) {
+            fromText = confirm('Turn each line of the text into an action?\n\nCancel keeps the text as notes above an empty checklist.');
+        } else if (!enabling && current.checklist?.length > 0 &&
+            !confirm('Turn this checklist back into a note? Its actions are added to the text as a list.')) {
+            return;
+        }
+
+        const result = await this.listManager.setChecklistMode(itemId, enabling, { fromText });
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to change item type', 'error');
+            }
+            return;
+        }
+        this.refreshContentModal();
+        this.refreshAuthorPopup();
+    }
+
+    /**
+     * Add the action typed in the checklist's add field
+     */
+    async addChecklistEntry() {
+        const input = document.querySelector('#modalChecklist .checklist-add-input');
+        if (!input || !this.currentItemId) return;
+
+        const result = await this.listManager.addChecklistEntry(this.currentItemId, input.value);
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to add action', 'error');
+            }
+            return;
+        }
+        input.value = '';
+        this.renderChecklist(this.currentItemId);
+        this.refreshAuthorPopup();
+    }
+
+    /**
+     * Save an action edited in place; an emptied action is put back
+     * @param {HTMLElement} textEl - The .checklist-entry-text element
+     */
+    async saveChecklistEntry(textEl) {
+        const itemId = this.currentItemId;
+        const entryId = parseInt(textEl.dataset.entryId);
+        const entry = this.listManager.getChecklist(itemId).find(e => e.id === entryId);
+        if (!entry) return;
+
+        const text = textEl.textContent || '';
+        if (!text.trim()) {
+            textEl.textContent = entry.text;
+            return;
+        }
+
+        const result = await this.listManager.updateChecklistEntry(itemId, entryId, text);
+        if (!result.success) {
+            textEl.textContent = entry.text;
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to save action', 'error');
+            }
+        }
+    }
+
+    /**
+     * Check or uncheck an action
+     * @param {number} itemId
+     * @param {number} entryId
+     */
+    async toggleChecklistEntry(itemId, entryId) {
+        const result = await this.listManager.toggleChecklistEntry(itemId, entryId);
+        if (!result.success && typeof showToast === 'function') {
+            showToast(result.error || 'Failed to update action', 'error');
+        }
+        this.refreshAuthorPopup();
+    }
+
+    /**
+     * Remove an action from the item in the content modal
+     * @param {number} entryId
+     */
+    async deleteChecklistEntry(entryId) {
+        const result = await this.listManager.deleteChecklistEntry(this.currentItemId, entryId);
+        if (!result.success && typeof showToast === 'function') {
+            showToast(result.error || 'Failed to remove action', 'error');
+        }
+        this.refreshAuthorPopup();
+    }
+
+    /**
+     * Open the list of unchecked actions across the vault
+     */
+    openOpenActions() {
+        this.renderOpenActions();
+        if (this.openActionsModal) {
+            this.openActionsModal.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Render unchecked actions grouped by item
+     */
+    renderOpenActions() {
+        const list = document.getElementById('openActionsList');
+        if (!list) return;
+
+        const groups = this.listManager.getOpenActions();
+        if (groups.length === 0) {
+            list.innerHTML = '<div class="folder-list-empty">No open actions. Checklists you add show their unchecked actions here.</div>';
+            return;
+        }
+
+        list.innerHTML = groups.map(({ item, entries }) => {
+            const { done, total } = Checklist.getProgress(item);
+            return `
+                <div class="open-actions-group">
+                    <div class="collection-item-info" data-action="open-action-item" data-item-id="${item.id}">
+                        <span class="collection-item-title">${this.escapeHtml(item.title || 'Untitled')}</span>
+                        <span class="collection-item-author">${this.escapeHtml(item.author)} · ${done}/${total} done</span>
+                    </div>
+                    <ul class="checklist-entries">
+                        ${entries.map(entry => `
+                            <li class="checklist-entry">
+                                <input type="checkbox" class="checklist-entry-check" data-action="complete-open-action" data-item-id="${item.id}" data-entry-id="${entry.id}" aria-label="Done">
+                                <span class="checklist-entry-text">${this.escapeHtml(entry.text)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Re-render open checklist views (after a change, undo or sync). An
+     * action being edited in place is left alone.
+     */
+    refreshChecklists() {
+        if (this.openActionsModal?.style.display === 'flex') {
+            this.renderOpenActions();
+        }
+        if (this.currentItemId && this.contentModal?.style.display === 'flex') {
+            const editing = document.activeElement?.closest?.('#modalChecklist .checklist-entry-text');
+            if (!editing) this.renderChecklist(this.currentItemId);
+        }
+    }
+
+    /**
+     * Close the open actions list
+     */
+    closeOpenActions() {
+        if (this.openActionsModal) {
+            this.openActionsModal.style.display = 'none';
+        }
+    }
+
+    // ==================== STATUS & RATING METHODS ====================
+
+    /**
+     * Status picker and importance rating for an item. Choosing the
+     * current rating again clears it.
+     * @param {Object} item
+     * @returns {string} HTML string
+     */
+    renderWorkflowControls(item) {
+        const status = this.listManager.getItemStatus(item);
+        const rating = item.rating || 0;
+        const options = Object.entries(CONFIG.ITEM_STATUSES)
+            .map(([value, label]) => `<option value="${value}"${value === status ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        const dots = Array.from({ length: CONFIG.MAX_ITEM_RATING }, (_, i) => i + 1)
+            .map(value => `<button type="button" class="item-rating-dot${value <= rating ? ' filled' : ''}" data-action="rate-item" data-item-id="${item.id}" data-rating="${value === rating ? 0 : value}" title="${value === rating ? 'Clear importance' : `Importance ${value} of ${CONFIG.MAX_ITEM_RATING}`}">${value <= rating ? '●' : '○'}</button>`)
+            .join('');
+
+        return `
+            <select class="item-status-select status-${status}" data-item-id="${item.id}" aria-label="Status">${options}</select>
+            <span class="item-rating" role="group" aria-label="Importance">${dots}</span>
+        `;
+    }
+
+    /**
+     * Show the status and rating of the item in the content modal
+     * @param {number} itemId
+     */
+    renderItemWorkflow(itemId) {
+        const container = document.getElementById('modalWorkflow');
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        if (!container || !item) return;
+
+        container.innerHTML = this.renderWorkflowControls(item);
+    }
+
+    // ==================== FAVORITE METHODS ====================
+
+    /**
+     * Show whether the item in the content modal is starred
+     * @param {number} itemId
+     */
+    renderFavoriteButton(itemId) {
+        const button = document.getElementById('modalFavoriteButton');
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        if (!button || !item) return;
+
+        button.textContent = item.favorite ? '★ Starred' : '☆ Star';
+        button.classList.toggle('starred', Boolean(item.favorite));
+        button.title = item.favorite ? 'Remove from favorites' : 'Add to favorites';
+    }
+
+    /**
+     * Open the favorites modal
+     */
+    openFavorites() {
+        this.renderFavorites();
+        if (this.favoritesModal) {
+            this.favoritesModal.style.display = 'flex';
+        }
+    }
+
+    /**
+     * List every starred item, whoever the author
+     */
+    renderFavorites() {
+        const list = document.getElementById('favoritesList');
+        if (!list) return;
+
+        const items = this.listManager.getFavoriteItems();
+        if (items.length === 0) {
+            list.innerHTML = '<div class="folder-list-empty">No favorites yet. Star an item to add it here.</div>';
+            return;
+        }
+
+        list.innerHTML = items.map(item => `
+            <div class="collection-item favorite-item">
+                <div class="collection-item-info" data-action="open-favorite-item" data-item-id="${item.id}">
+                    <span class="collection-item-title">${this.escapeHtml(item.title || 'Untitled')}</span>
+                    <span class="collection-item-author">${this.escapeHtml(item.author)}</span>
+                </div>
+                <button type="button" class="item-star-btn starred" data-action="toggle-item-favorite" data-item-id="${item.id}" title="Remove from favorites">★</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Re-render open views that show stars (after a change, undo or sync)
+     */
+    refreshFavorites() {
+        if (this.favoritesModal?.style.display === 'flex') {
+            this.renderFavorites();
+        }
+        if (this.currentItemId && this.contentModal?.style.display === 'flex') {
+            this.renderFavoriteButton(this.currentItemId);
+        }
+    }
+
+    /**
+     * Close the favorites modal
+     */
+    closeFavorites() {
+        if (this.favoritesModal) {
+            this.favoritesModal.style.display = 'none';
+        }
+    }
+
+    // ==================== ITEM LINK METHODS ====================
+
+    /**
+     * List the items that link to this one under the content modal text
+     * @param {number} itemId
+     */
+    renderBacklinks(itemId) {
+        const container = document.getElementById('modalBacklinks');
+        if (!container) return;
+
+        const backlinks = this.listManager.getBacklinks(itemId);
+        container.style.display = backlinks.length > 0 ? '' : 'none';
+        container.innerHTML = backlinks.length === 0 ? '' : `
+            <span class="modal-backlinks-label">Linked from</span>
+            ${backlinks.map(item => `
+                <button type="button" class="backlink-chip" data-action="open-linked-item" data-item-id="${item.id}">
+                    ${this.escapeHtml(item.title || 'Untitled')}
+                    <span class="backlink-author">${this.escapeHtml(item.author)}</span>
+                </button>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Follow a link to another item, saving the one being edited first
+     * @param {number} itemId
+     */
+    async openLinkedItem(itemId) {
+        if (!this.stateManager.get('items').some(i => i.id === itemId)) {
+            if (typeof showToast === 'function') {
+                showToast('The linked item no longer exists', 'error');
+            }
+            return;
+        }
+
+        if (this.contentModal?.style.display === 'flex') {
+            await this.closeContentModal();
+        }
+        this.openContentModal(itemId);
+    }
+
+    /**
+     * Insert a web link at the selection in the content modal text, or
+     * edit/remove the link the caret is in
+     */
+    editLinkAtSelection() {
+        const modalText = document.getElementById('modalText');
+        const selection = window.getSelection();
+        const range = selection?.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+        if (!modalText || !range || !modalText.contains(range.commonAncestorContainer)) {
+            if (typeof showToast === 'function') {
+                showToast('Select text in the content to link it', 'default');
+            }
+            return;
+        }
+
+        const startNode = range.startContainer.nodeType === Node.TEXT_NODE
+            ? range.startContainer.parentElement
+            : range.startContainer;
+        const existing = startNode?.closest('a[href]');
+        const current = existing && modalText.contains(existing) ? existing : null;
+
+        // prompt() takes focus away, so work from the saved range
+        const input = prompt(
+            current ? 'Link address (leave empty to remove the link):' : 'Link address:',
+            current ? current.getAttribute('href') : 'https://'
+        );
+        if (input === null) return;
+
+        if (current && !input.trim()) {
+            current.replaceWith(...current.childNodes);
+        } else {
+            const href = Validators.sanitizeLinkHref(input);
+            if (!href) {
+                if (typeof showToast === 'function') {
+                    showToast('Links must be http(s) or email addresses', 'error');
+                }
+                return;
+            }
+
+            if (current) {
+                current.setAttribute('href', href);
+            } else {
+                const link = document.createElement('a');
+                link.setAttribute('href', href);
+                link.setAttribute('rel', 'noopener noreferrer');
+                link.setAttribute('target', '_blank');
+                if (range.collapsed) {
+                    link.textContent = input.trim();
+                } else {
+                    link.appendChild(range.extractContents());
+                }
+                range.insertNode(link);
+            }
+        }
+
+        // Saved on the next blur or when the modal closes
+        modalText.focus();
+    }
+
+    // ==================== REVISION HISTORY METHODS ====================
+
+    /**
+     * Show the revision count on the content modal's History button
+     * @param {Object} item
+     */
+    updateHistoryButton(item) {
+        const button = document.getElementById('modalHistoryButton');
+        if (!button) return;
+
+        const count = (item?.revisions || []).length;
+        button.textContent = count > 0 ? `History (${count})` : 'History';
+    }
+
+    /**
+     * Toggle the revision history panel in the content modal
+     */
+    toggleRevisionPanel() {
+        const panel = document.getElementById('revisionPanel');
+        if (!panel || !this.currentItemId) return;
+
+        if (panel.style.display === 'block') {
+            panel.style.display = 'none';
+            this.selectedRevisionId = null;
+            return;
+        }
+
+        this.selectedRevisionId = null;
+        panel.style.display = 'block';
+        this.renderRevisionPanel(this.currentItemId);
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Render the revision list and the diff for the selected revision
+     * @param {number} itemId - Item ID
+     */
+    renderRevisionPanel(itemId) {
+        const list = document.getElementById('revisionList');
+        const diff = document.getElementById('revisionDiff');
+        if (!list || !diff) return;
+
+        const item = this.stateManager.get('items').find(i => i.id === itemId);
+        const revisions = item?.revisions || [];
+
+        if (revisions.length === 0) {
+            list.innerHTML = '<div class="folder-list-empty">No earlier versions yet. Edits to the title or text are recorded here.</div>';
+            diff.innerHTML = '';
+            return;
+        }
+
+        if (!revisions.some(r => r.id === this.selectedRevisionId)) {
+            this.selectedRevisionId = revisions[0].id;
+        }
+
+        list.innerHTML = revisions.map(revision => {
+            const selected = revision.id === this.selectedRevisionId ? ' selected' : '';
+            const preview = Validators.extractTextFromHtml(revision.text).trim().slice(0, 60);
+            return `
+                <div class="revision-entry${selected}" data-action="select-revision" data-revision-id="${revision.id}">
+                    <span class="revision-entry-time">${this.escapeHtml(new Date(revision.savedAt).toLocaleString())}</span>
+                    <span class="revision-entry-device">${this.escapeHtml(revision.device || '')}</span>
+                    <span class="revision-entry-preview">${this.escapeHtml(revision.title)}${preview ? ' — ' + this.escapeHtml(preview) : ''}</span>
+                </div>
+            `;
+        }).join('');
+
+        this.renderRevisionDiff(item);
+    }
+
+    /**
+     * Render a word-level diff from the selected revision to the version
+     * after it (or to the current version, per the compare mode)
+     * @param {Object} item
+     */
+    renderRevisionDiff(item) {
+        const diff = document.getElementById('revisionDiff');
+        if (!diff) return;
+
+        const revisions = item.revisions || [];
+        const index = revisions.findIndex(r => r.id === this.selectedRevisionId);
+        if (index === -1) {
+            diff.innerHTML = '';
+            return;
+        }
+
+        const revision = revisions[index];
+        const compareMode = document.getElementById('revisionCompareMode')?.value || 'next';
+        // Revisions are newest first, so the "next" version is the one before it
+        const target = compareMode === 'next' && index > 0 ? revisions[index - 1] : item;
+        const targetLabel = target === item ? 'current version' : 'next version';
+
+        const toText = html => Validators.extractTextFromHtml(html || '');
+        const renderParts = parts => parts.map(part => {
+            const text = this.escapeHtml(part.text);
+            if (part.type === 'added') return `<ins class="diff-added">${text}</ins>`;
+            if (part.type === 'removed') return `<del class="diff-removed">${text}</del>`;
+            return text;
+        }).join('');
+
+        const titleDiff = revision.title !== target.title
+            ? `<div class="revision-diff-title">Title: ${renderParts(TextDiff.diffWords(revision.title || '', target.title || ''))}</div>`
+            : '';
+        const textParts = TextDiff.diffWords(toText(revision.text), toText(target.text));
+        const unchanged = textParts.every(part => part.type === 'same');
+
+        diff.innerHTML = `
+            <div class="revision-diff-header">
+                <span>Changes from this version to the ${targetLabel}</span>
+                <button class="btn btn-text" data-action="restore-revision" data-revision-id="${revision.id}">Restore this version</button>
+            </div>
+            ${titleDiff}
+            <div class="revision-diff-text">${unchanged ? '<em>Text unchanged</em>' : renderParts(textParts)}</div>
+        `;
+    }
+
+    /**
+     * Select a revision in the history panel
+     * @param {number} revisionId - Revision ID
+     */
+    selectRevision(revisionId) {
+        this.selectedRevisionId = revisionId;
+        if (this.currentItemId) {
+            this.renderRevisionPanel(this.currentItemId);
+        }
+    }
+
+    /**
+     * Restore the content modal's item to a revision
+     * @param {number} revisionId - Revision ID
+     * @returns {Promise<Object>} {success: boolean, error?: string}
+     */
+    async restoreRevision(revisionId) {
+        const itemId = this.currentItemId;
+        if (!itemId) return { success: false, error: 'No item open' };
+
+        const result = await this.listManager.restoreItemRevision(itemId, revisionId);
+        if (result.success) {
+            this.selectedRevisionId = null;
+            this.openContentModal(itemId); // Refresh text, title and panel
+        }
+        return result;
+    }
+
+    // ==================== TAG MANAGER METHODS ====================
+
+    /**
+     * Open the tag manager
+     */
+    openTagManager() {
+        this.renderTagManager();
+
+        if (this.tagManagerModal) {
+            this.tagManagerModal.style.display = 'flex';
+        }
+
+        console.log('🏷️  Opened tag manager');
+    }
+
+    /**
+     * Render tag rows: color, name, usage count, merge target and delete
+     */
+    renderTagManager() {
+        const list = document.getElementById('tagManagerList');
+        if (!list) return;
+
+        const tags = this.listManager.getTags();
+        const usage = this.listManager.getTagUsage();
+
+        if (tags.length === 0) {
+            list.innerHTML = '<div class="folder-list-empty">No tags yet. Add tags when creating or editing content.</div>';
+            return;
+        }
+
+        list.innerHTML = tags.map(tag => {
+            const mergeOptions = tags
+                .filter(other => other.id !== tag.id)
+                .map(other => `<option value="${other.id}">${this.escapeHtml(other.name)}</option>`)
+                .join('');
+            return `
+                <div class="tag-manager-row" data-tag-id="${tag.id}">
+                    <input type="color" class="tag-color-input" value="${Validators.sanitizeColor(tag.color) || '#2563EB'}" data-tag-id="${tag.id}" title="Tag color">
+                    <input type="text" class="tag-name-input" value="${Validators.escapeHtml(tag.name)}" data-tag-id="${tag.id}" maxlength="${CONFIG.MAX_TAG_LENGTH}">
+                    <span class="folder-count" title="Items with this tag">${usage.get(tag.id) || 0}</span>
+                    ${mergeOptions ? `
+                    <select class="tag-merge-select" data-tag-id="${tag.id}" title="Merge into another tag">
+                        <option value="">Merge into…</option>
+                        ${mergeOptions}
+                    </select>` : ''}
+                    <button class="folder-action-btn delete" data-action="delete-tag" data-tag-id="${tag.id}" title="Delete tag">
+                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                        </svg>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Re-render the tag manager if it is open
+     */
+    refreshTagManager() {
+        if (this.tagManagerModal?.style.display === 'flex') {
+            this.renderTagManager();
+        }
+    }
+
+    /**
+     * Close the tag manager
+     */
+    closeTagManager() {
+        if (this.tagManagerModal) {
+            this.tagManagerModal.style.display = 'none';
+        }
+
+        console.log('🏷️  Closed tag manager');
+    }
+
+    // ==================== TRASH MODAL METHODS ====================
+
+    /**
+     * Open the author profile editor
+     * @param {string} author
+     */
+    openAuthorProfile(author) {
+        if (!author || !this.authorProfileModal) return;
+
+        const record = this.listManager.getAuthorRecord(author);
+        this.profileDraft = { author, avatarFile: null, removeAvatar: false };
+
+        const title = document.getElementById('authorProfileTitle');
+        const bio = document.getElementById('authorBioInput');
+        const colorEnabled = document.getElementById('authorColorEnabled');
+        const color = document.getElementById('authorColorInput');
+        const links = document.getElementById('authorLinksInput');
+        const avatarInput = document.getElementById('authorAvatarInput');
+
+        if (title) title.textContent = `Edit ${author}`;
+        if (bio) {
+            bio.maxLength = CONFIG.MAX_AUTHOR_BIO_LENGTH;
+            bio.value = record.bio || '';
+        }
+        if (colorEnabled) colorEnabled.checked = !!record.color;
+        if (color) color.value = record.color || CONFIG.TAG_COLORS[0].toLowerCase();
+        if (links) {
+            links.value = record.links
+                .map(link => link.label ? `${link.label} | ${link.url}` : link.url)
+                .join('\n');
+        }
+        if (avatarInput) avatarInput.value = '';
+
+        this.renderProfileAvatarPreview();
+        this.authorProfileModal.style.display = 'flex';
+        bio?.focus();
+    }
+
+    /**
+     * Preview the avatar as it will be saved
+     */
+    renderProfileAvatarPreview() {
+        const preview = document.getElementById('authorProfileAvatar');
+        if (!preview || !this.profileDraft) return;
+
+        const record = { ...this.listManager.getAuthorRecord(this.profileDraft.author) };
+        const colorEnabled = document.getElementById('authorColorEnabled');
+        const color = document.getElementById('authorColorInput');
+        record.color = colorEnabled?.checked ? color?.value : '';
+        if (this.profileDraft.removeAvatar) record.avatar = '';
+
+        preview.innerHTML = this.uiManager ? this.uiManager.renderAuthorAvatar(record, 'author-avatar-large') : '';
+
+        // A chosen file isn't compressed until saved; show it directly
+        if (this.profileDraft.avatarFile) {
+            const avatar = preview.querySelector('.author-avatar');
+            if (avatar) {
+                const img = document.createElement('img');
+                img.alt = '';
+                img.src = URL.createObjectURL(this.profileDraft.avatarFile);
+                img.onload = () => URL.revokeObjectURL(img.src);
+                avatar.replaceChildren(img);
+            }
+        }
+    }
+
+    /**
+     * Pick a new avatar image for the profile being edited
+     * @param {File} file
+     */
+    setProfileAvatar(file) {
+        if (!this.profileDraft || !file) return;
+
+        const imageCheck = Validators.validateImage(file);
+        if (!imageCheck.valid) {
+            if (typeof showToast === 'function') {
+                showToast(imageCheck.error, 'error');
+            }
+            return;
+        }
+
+        this.profileDraft.avatarFile = file;
+        this.profileDraft.removeAvatar = false;
+        this.renderProfileAvatarPreview();
+    }
+
+    /**
+     * Drop the avatar of the profile being edited
+     */
+    removeProfileAvatar() {
+        if (!this.profileDraft) return;
+
+        this.profileDraft.avatarFile = null;
+        this.profileDraft.removeAvatar = true;
+        const avatarInput = document.getElementById('authorAvatarInput');
+        if (avatarInput) avatarInput.value = '';
+        this.renderProfileAvatarPreview();
+    }
+
+    /**
+     * Save the profile editor
+     */
+    async saveAuthorProfile() {
+        if (!this.profileDraft) return;
+
+        const { author, avatarFile, removeAvatar } = this.profileDraft;
+        const colorEnabled = document.getElementById('authorColorEnabled');
+        const result = await this.listManager.updateAuthorProfile(author, {
+            bio: document.getElementById('authorBioInput')?.value || '',
+            color: colorEnabled?.checked ? document.getElementById('authorColorInput')?.value || '' : '',
+            links: document.getElementById('authorLinksInput')?.value || '',
+            avatarFile,
+            removeAvatar
+        });
+
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to save profile', 'error');
+            }
+            return;
+        }
+
+        this.closeAuthorProfile();
+        if (this.currentAuthor === author) {
+            this.openAuthorPopup(author);
+        }
+        if (typeof showToast === 'function') {
+            showToast('Profile saved', 'success');
+        }
+    }
+
+    /**
+     * Close the author profile editor without saving
+     */
+    closeAuthorProfile() {
+        this.profileDraft = null;
+        if (this.authorProfileModal) {
+            this.authorProfileModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Open the merge dialog
+     * @param {string} source - Author to merge away
+     * @param {string|null} target - Preselected author to merge into
+     */
+    openMergeAuthors(source, target = null) {
+        if (!source || !this.mergeAuthorsModal) return;
+
+        const others = this.listManager.getOrderedAuthors().filter(a => a !== source);
+        if (others.length === 0) {
+            if (typeof showToast === 'function') {
+                showToast('There is no other author to merge with', 'error');
+            }
+            return;
+        }
+
+        this.mergeSource = source;
+        const sourceName = document.getElementById('mergeSourceName');
+        if (sourceName) sourceName.textContent = source;
+
+        // Likely duplicates first, closest match at the top
+        const select = document.getElementById('mergeTargetSelect');
+        if (select) {
+            const scores = new Map(others.map(a => [a, AuthorMatcher.compare(source, a).score]));
+            const sorted = [...others].sort((a, b) =>
+                scores.get(b) - scores.get(a) ||
+                a.localeCompare(b, undefined, { sensitivity: 'base' })
+            );
+            select.innerHTML = sorted.map(a => `<option>${Validators.escapeHtml(a)}</option>`).join('');
+            select.value = target && others.includes(target) ? target : sorted[0];
+        }
+
+        const mergeMode = this.mergeAuthorsModal.querySelector('input[name="mergeFolderMode"][value="merge"]');
+        if (mergeMode) mergeMode.checked = true;
+
+        this.renderMergePreview();
+        this.mergeAuthorsModal.style.display = 'flex';
+    }
+
+    /**
+     * Read the merge dialog's options
+     * @returns {Object} {target, mergeFolders}
+     */
+    getMergeOptions() {
+        const select = document.getElementById('mergeTargetSelect');
+        const mode = this.mergeAuthorsModal?.querySelector('input[name="mergeFolderMode"]:checked');
+        return { target: select?.value || null, mergeFolders: mode?.value !== 'separate' };
+    }
+
+    /**
+     * Show what the merge will move
+     */
+    renderMergePreview() {
+        const container = document.getElementById('mergePreview');
+        if (!container || !this.mergeSource) return;
+
+        const { target, mergeFolders } = this.getMergeOptions();
+        const result = this.listManager.getAuthorMergePreview(this.mergeSource, target, { mergeFolders });
+        const confirmButton = document.getElementById('confirmMergeButton');
+        if (confirmButton) confirmButton.disabled = !result.success;
+
+        if (!result.success) {
+            container.innerHTML = `<div class="merge-preview-empty">${Validators.escapeHtml(result.error)}</div>`;
+            return;
+        }
+
+        const { preview } = result;
+        const sameNamed = preview.folders.some(f => f.action === 'merge' || f.targetName !== f.name);
+        const folderMode = document.getElementById('mergeFolderMode');
+        if (folderMode) folderMode.style.display = sameNamed ? '' : 'none';
+
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const folderRows = preview.folders.map(f => {
+            const what = f.action === 'merge'
+                ? `combined with <strong>${Validators.escapeHtml(f.targetName)}</strong>`
+                : f.targetName !== f.name
+                    ? `moved as <strong>${Validators.escapeHtml(f.targetName)}</strong>`
+                    : 'moved';
+            return `<li>📁 ${Validators.escapeHtml(f.name)} (${plural(f.itemCount, 'item')}) — ${what}</li>`;
+        }).join('');
+
+        container.innerHTML = `
+            <ul class="merge-preview-list">
+                <li>${plural(preview.itemCount, 'item')} move to <strong>${Validators.escapeHtml(preview.target)}</strong></li>
+                ${folderRows}
+                ${preview.profileFields.length > 0 ? `<li>Profile gains: ${preview.profileFields.join(', ')}</li>` : ''}
+                <li><strong>${Validators.escapeHtml(preview.source)}</strong> is removed (undo with Ctrl+Z)</li>
+            </ul>
+        `;
+    }
+
+    /**
+     * Run the merge chosen in the dialog
+     */
+    async confirmMergeAuthors() {
+        if (!this.mergeSource) return;
+
+        const source = this.mergeSource;
+        const { target, mergeFolders } = this.getMergeOptions();
+        const result = await this.listManager.mergeAuthors(source, target, { mergeFolders });
+
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to merge authors', 'error');
+            }
+            return;
+        }
+
+        this.closeMergeAuthors();
+        this.refreshDuplicateAuthors();
+        if (this.currentAuthor === source) {
+            this.currentAuthor = target;
+            this.openAuthorPopup(target);
+        }
+        if (typeof showToast === 'function') {
+            showToast(`Merged "${source}" into "${target}"`, 'success');
+        }
+    }
+
+    /**
+     * Close the merge dialog
+     */
+    closeMergeAuthors() {
+        this.mergeSource = null;
+        if (this.mergeAuthorsModal) {
+            this.mergeAuthorsModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Open the duplicate-author review
+     */
+    openDuplicateAuthors() {
+        this.renderDuplicateAuthors();
+        if (this.duplicateAuthorsModal) {
+            this.duplicateAuthorsModal.style.display = 'flex';
+        }
+    }
+
+    /**
+     * List groups of likely duplicate authors, each with a merge button per
+     * extra name (into the author with the most items) and a dismiss button
+     */
+    renderDuplicateAuthors() {
+        const list = document.getElementById('duplicateAuthorsList');
+        if (!list) return;
+
+        const groups = this.listManager.findDuplicateAuthors();
+        if (groups.length === 0) {
+            list.innerHTML = '<div class="folder-list-empty">No likely duplicate authors found</div>';
+            return;
+        }
+
+        const attr = (text) => Validators.escapeHtml(text);
+        const plural = (n) => `${n} item${n === 1 ? '' : 's'}`;
+
+        list.innerHTML = groups.map(group => {
+            const [keep, ...others] = group.authors;
+            const names = group.authors.map(a => a.name);
+            return `
+                <div class="duplicate-group">
+                    <div class="duplicate-group-names">
+                        <span class="duplicate-author duplicate-author-keep">${attr(keep.name)} <small>${plural(keep.count)}</small></span>
+                        ${others.map(other => `
+                            <span class="duplicate-author">
+                                ${attr(other.name)} <small>${plural(other.count)}</small>
+                                <button class="btn btn-text" data-action="merge-duplicate-author"
+                                    data-source="${attr(other.name)}" data-target="${attr(keep.name)}">Merge into ${attr(keep.name)}…</button>
+                            </span>
+                        `).join('')}
+                    </div>
+                    <button class="btn btn-text" data-action="dismiss-duplicate-authors"
+                        data-names="${attr(JSON.stringify(names))}">Not duplicates</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Re-render the duplicate review if it is open (e.g. after a merge or undo)
+     */
+    refreshDuplicateAuthors() {
+        if (this.duplicateAuthorsModal?.style.display === 'flex') {
+            this.renderDuplicateAuthors();
+        }
+    }
+
+    /**
+     * Close the duplicate-author review
+     */
+    closeDuplicateAuthors() {
+        if (this.duplicateAuthorsModal) {
+            this.duplicateAuthorsModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * One-time scan of an existing vault for duplicate authors: opens the
+     * review if anything is found. Later checks happen as items are added,
+     * or on demand via Find Duplicates.
+     */
+    runInitialDuplicateScan() {
+        if (this.listManager.hasScannedForDuplicates()) return;
+        if (this.listManager.getOrderedAuthors().length < 2) return;
+
+        this.listManager.markDuplicateScanDone();
+        const groups = this.listManager.findDuplicateAuthors();
+        if (groups.length > 0) {
+            console.log(`👥 Found ${groups.length} likely duplicate author group(s)`);
+            this.openDuplicateAuthors();
+        }
+    }
+
+    /**
+     * Open the trash modal
+     */
+    openTrashModal() {
+        const retentionSelect = document.getElementById('trashRetentionSelect');
+        if (retentionSelect) {
+            const current = this.listManager.getTrashRetentionDays();
+            const options = [...new Set([...CONFIG.TRASH_RETENTION_OPTIONS, current])].sort((a, b) => a - b);
+            retentionSelect.innerHTML = options.map(days =>
+                `<option value="${days}" ${days === current ? 'selected' : ''}>${days} days</option>`
+            ).join('');
+        }
+
+        this.renderTrashList();
+
+        if (this.trashModal) {
+            this.trashModal.style.display = 'flex';
+        }
+
+        console.log('🗑️  Opened trash modal');
+    }
+
+    /**
+     * Render trash entries into the trash modal
+     */
+    renderTrashList() {
+        const trashList = document.getElementById('trashList');
+        if (!trashList) return;
+
+        const entries = this.listManager.getTrashEntries();
+
+        if (entries.length === 0) {
+            trashList.innerHTML = '<div class="folder-list-empty">Trash is empty</div>';
+            return;
+        }
+
+        const typeLabels = { item: 'Item', items: 'Items', author: 'Author', folder: 'Folder', collection: 'Collection' };
+
+        trashList.innerHTML = entries.map(entry => {
+            let detail = typeLabels[entry.type] || 'Item';
+            if (entry.type === 'author') {
+                const count = (entry.items || []).length;
+                detail += ` · ${count} item${count === 1 ? '' : 's'}`;
+            } else if (entry.type === 'collection') {
+                const count = (entry.collections?.[0]?.itemIds || []).length;
+                detail += ` · ${count} item${count === 1 ? '' : 's'}`;
+            } else {
+                detail += ` · ${this.escapeHtml(entry.author || '')}`;
+            }
+            const expires = this.formatTrashExpiry(this.listManager.getTrashExpiry(entry));
+
+            return `
+                <div class="trash-entry">
+                    <div class="trash-entry-info">
+                        <span class="trash-entry-label">${this.escapeHtml(entry.label)}</span>
+                        <span class="trash-entry-meta">${detail} · ${expires}</span>
+                    </div>
+                    <div class="trash-entry-actions">
+                        <button class="btn btn-text" data-action="restore-trash-entry" data-entry-id="${entry.id}">Restore</button>
+                        <button class="btn btn-text trash-purge-btn" data-action="purge-trash-entry" data-entry-id="${entry.id}" title="Delete forever">
+                            <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Describe when a trash entry will be purged
+     * @param {Date} expiry
+     * @returns {string}
+     */
+    formatTrashExpiry(expiry) {
+        const days = Math.ceil((expiry.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+        if (days <= 1) return 'deleted forever within a day';
+        return `deleted forever in ${days} days`;
+    }
+
+    /**
+     * Re-render the trash modal if it is open (e.g. after undo/redo)
+     */
+    refreshTrashModal() {
+        if (this.trashModal?.style.display === 'flex') {
+            this.renderTrashList();
+        }
+    }
+
+    /**
+     * Close the trash modal
+     */
+    closeTrashModal() {
+        if (this.trashModal) {
+            this.trashModal.style.display = 'none';
+        }
+
+        console.log('🗑️  Closed trash modal');
+    }
+
+    // ==================== COLLECTION METHODS ====================
+
+    /**
+     * Show which collections the item in the content modal belongs to, with
+     * a picker to add it to another one
+     * @param {number} itemId
+     */
+    renderItemCollections(itemId) {
+        const container = document.getElementById('modalCollections');
+        if (!container) return;
+
+        const memberOf = this.listManager.getCollectionsForItem(itemId);
+        const others = this.listManager.getCollections().filter(c => !memberOf.includes(c));
+
+        container.innerHTML = `
+            <span class="modal-collections-label">Collections</span>
+            ${memberOf.map(collection => `
+                <span class="collection-chip">
+                    <button type="button" class="collection-chip-name" data-action="open-collection" data-collection-id="${collection.id}">${this.escapeHtml(collection.name)}</button>
+                    <button type="button" class="collection-chip-remove" data-action="remove-item-from-collection"
+                        data-collection-id="${collection.id}" data-item-id="${itemId}" title="Remove from collection">×</button>
+                </span>
+            `).join('')}
+            <select class="modal-collection-add" aria-label="Add to collection">
+                <option value="">+ Add to collection…</option>
+                ${others.map(c => `<option value="${c.id}">${this.escapeHtml(c.name)}</option>`).join('')}
+                <option value="new">New collection…</option>
+            </select>
+        `;
+    }
+
+    /**
+     * Open the collection modal
+     * @param {number} collectionId
+     */
+    openCollection(collectionId) {
+        const collection = this.listManager.getCollections().find(c => c.id === collectionId);
+        if (!collection) return;
+
+        this.currentCollectionId = collectionId;
+        this.renderCollection();
+
+        if (this.collectionModal) {
+            this.collectionModal.style.display = 'flex';
+        }
+
+        console.log('📚 Opened collection:', collection.name);
+    }
+
+    /**
+     * Render the open collection's items in their manual order
+     */
+    renderCollection() {
+        const collection = this.listManager.getCollections().find(c => c.id === this.currentCollectionId);
+        const title = document.getElementById('collectionModalTitle');
+        const list = document.getElementById('collectionItemsList');
+        if (!collection || !list) return;
+
+        if (title) title.textContent = collection.name;
+
+        const items = this.listManager.getCollectionItems(collection.id);
+        if (items.length === 0) {
+            list.innerHTML = '<div class="folder-list-empty">No items yet. Open any item and use "Add to collection".</div>';
+            return;
+        }
+
+        list.innerHTML = items.map(item => `
+            <div class="collection-item" data-item-id="${item.id}">
+                <span class="collection-item-handle" aria-hidden="true">⋮⋮</span>
+                <div class="collection-item-info" data-action="open-collection-item" data-item-id="${item.id}">
+                    <span class="collection-item-title">${this.escapeHtml(item.title || 'Untitled')}</span>
+                    <span class="collection-item-author">${this.escapeHtml(item.author)}</span>
+                </div>
+                <button class="folder-action-btn delete" data-action="remove-item-from-collection"
+                    data-collection-id="${collection.id}" data-item-id="${item.id}" title="Remove from collection">
+                    <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+            </div>
+        `).join('');
+
+        this.setupCollectionDragAndDrop(collection.id);
     }
 
     /**
-     * Update an item's author. Moves only this item — other items by the
-     * old author are unaffected.
-     * @param {number} itemId
-     * @param {string} newAuthor
+     * Drag to reorder the collection: HTML5 drag on desktop, the touch
+     * drag handler on touch devices. Either way the new order is read
+     * back from the DOM.
+     * @param {number} collectionId
      */
-    async updateItemAuthor(itemId, newAuthor) {
-        const trimmed = (newAuthor || '').trim();
-        const validation = Validators.validateAuthor(trimmed);
-        if (!validation.valid) {
-            return { success: false, error: validation.error };
+    setupCollectionDragAndDrop(collectionId) {
+        const list = document.getElementById('collectionItemsList');
+        if (!list) return;
+
+        const saveOrder = async () => {
+            const order = Array.from(list.querySelectorAll('.collection-item'))
+                .map(el => parseInt(el.dataset.itemId));
+            await this.listManager.reorderCollectionItems(collectionId, order);
+        };
+
+        if (this.collectionTouchDragHandler) {
+            this.collectionTouchDragHandler.destroy();
+            this.collectionTouchDragHandler = null;
+        }
+        if (TouchDragHandler.isTouchDevice()) {
+            this.collectionTouchDragHandler = new TouchDragHandler({
+                container: '#collectionItemsList',
+                draggable: '.collection-item',
+                holdDuration: 200,
+                onDrop: async () => {
+                    await saveOrder();
+                    setTimeout(() => this.renderCollection(), 0);
+                }
+            });
+            return;
         }
 
-        const state = this.stateManager.getState();
-        const item = state.items.find(i => i.id === itemId);
-        if (!item) return { success: false, error: 'Item not found' };
-        if (item.author === trimmed) return { success: true };
+        let dragged = null;
+        list.querySelectorAll('.collection-item').forEach(row => {
+            row.draggable = true;
 
-        const updatedItems = state.items.map(i =>
-            i.id === itemId ? { ...i, author: trimmed } : i
-        );
+            row.addEventListener('dragstart', (e) => {
+                dragged = row;
+                row.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', row.dataset.itemId);
+            });
 
-        this.stateManager.setState({ items: updatedItems });
-        await this.listManager.save();
+            row.addEventListener('dragend', () => {
+                row.classList.remove('dragging');
+                list.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+                dragged = null;
+            });
 
-        console.log('✏️  Updated item author:', itemId, '→', trimmed);
-        return { success: true };
-    }
+            row.addEventListener('dragover', (e) => {
+                if (dragged && dragged !== row) {
+                    e.preventDefault();
+                    row.classList.add('drag-over');
+                }
+            });
 
-    /**
-     * Update item text
-     * @param {number} itemId - Item ID
-     * @param {string} newText - New text content
-     */
-    async updateItemText(itemId, newText) {
-        const state = this.stateManager.getState();
-        const item = state.items.find(i => i.id === itemId);
-        
-        const sanitized = Validators.sanitizeRichText(newText || '');
-        if (item && item.text !== sanitized) {
-            const updatedItems = state.items.map(i => 
-                i.id === itemId ? { ...i, text: sanitized } : i
-            );
-            
-            this.stateManager.setState({ items: updatedItems });
-            await this.listManager.save();
-            
-            console.log('✏️  Updated item text:', itemId);
-        }
+            row.addEventListener('dragleave', (e) => {
+                if (!row.contains(e.relatedTarget)) {
+                    row.classList.remove('drag-over');
+                }
+            });
+
+            row.addEventListener('drop', async (e) => {
+                e.preventDefault();
+                row.classList.remove('drag-over');
+                if (!dragged || dragged === row) return;
+
+                const rows = Array.from(list.querySelectorAll('.collection-item'));
+                if (rows.indexOf(dragged) < rows.indexOf(row)) {
+                    row.after(dragged);
+                } else {
+                    row.before(dragged);
+                }
+                await saveOrder();
+            });
+        });
     }
 
     /**
-     * Escape HTML
-     * @param {string} text
-     * @returns {string}
+     * Re-render the collection modal and the content modal's collection
+     * chips if open (e.g. after a change or undo); closes the collection
+     * modal when its collection is gone
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    refreshCollections() {
+        if (this.collectionModal?.style.display === 'flex') {
+            const exists = this.listManager.getCollections().some(c => c.id === this.currentCollectionId);
+            if (exists) {
+                this.renderCollection();
+            } else {
+                this.closeCollection();
+            }
+        }
+        if (this.currentItemId && this.contentModal?.style.display === 'flex') {
+            this.renderItemCollections(this.currentItemId);
+        }
     }
 
     /**
-     * Preserve text formatting
-     * @param {string} text
-     * @returns {string}
+     * Close the collection modal
      */
-    preserveText(text) {
-        return Validators.sanitizeRichText(text);
+    closeCollection() {
+        this.currentCollectionId = null;
+        if (this.collectionTouchDragHandler) {
+            this.collectionTouchDragHandler.destroy();
+            this.collectionTouchDragHandler = null;
+        }
+        if (this.collectionModal) {
+            this.collectionModal.style.display = 'none';
+        }
     }
 
     // ==================== FOLDER MODAL METHODS ====================
@@ -679,23 +2960,26 @@ export class ModalManager {
             return;
         }
 
-        const folders = this.listManager.getFoldersForAuthor(author);
+        const tree = this.listManager.getFolderTree(author);
 
-        if (folders.length === 0) {
+        if (tree.length === 0) {
             folderList.innerHTML = '<div class="folder-list-empty">No folders yet. Create one below!</div>';
             return;
         }
 
-        folderList.innerHTML = folders.map(folder => {
+        folderList.innerHTML = tree.map(({ folder, depth, path }) => {
             const itemCount = folder.itemIds.length;
+            const breadcrumb = path.length > 0
+                ? `<span class="folder-breadcrumb">${path.map(name => this.escapeHtml(name)).join(' › ')} ›</span>`
+                : '';
             return `
-                <div class="folder-list-item" data-action="select-folder" data-folder-id="${folder.id}">
+                <div class="folder-list-item" data-action="select-folder" data-folder-id="${folder.id}" style="--folder-depth: ${depth}">
                     <span class="folder-icon">
-                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        ${folder.icon ? `<span class="folder-emoji">${this.escapeHtml(folder.icon)}</span>` : `<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M22 19a2 2 0 01-2 2H4a2 2 0 01-2-2V5a2 2 0 012-2h5l2 3h9a2 2 0 012 2z"/>
-                        </svg>
+                        </svg>`}
                     </span>
-                    <span class="folder-name">${this.escapeHtml(folder.name)}</span>
+                    <span class="folder-name">${breadcrumb}${this.escapeHtml(folder.name)}</span>
                     <span class="folder-count">${itemCount}</span>
                 </div>
             `;
@@ -765,8 +3049,9 @@ export class ModalManager {
     /**
      * Open create folder modal
      * @param {string} author - Author for new folder (optional)
+     * @param {number} parentId - Folder to create the new one inside (optional)
      */
-    openCreateFolderModal(author = null) {
+    openCreateFolderModal(author = null, parentId = null) {
         const input = document.getElementById('newFolderName');
         if (input) {
             input.value = '';
@@ -775,6 +3060,7 @@ export class ModalManager {
 
         // Store author context if provided
         this.createFolderForAuthor = author;
+        this.populateFolderParentSelect(author || document.getElementById('folderAuthorSelect')?.value, parentId);
 
         if (this.createFolderModal) {
             this.createFolderModal.style.display = 'flex';
@@ -783,6 +3069,25 @@ export class ModalManager {
         console.log('📁 Opened create folder modal');
     }
 
+    /**
+     * Fill the create folder modal's parent select with the author's folder
+     * tree; hidden when the author has no folders yet
+     * @param {string} author - Author name
+     * @param {number} parentId - Folder to preselect (null = top level)
+     */
+    populateFolderParentSelect(author, parentId = null) {
+        const select = document.getElementById('newFolderParent');
+        if (!select) return;
+
+        const tree = author ? this.listManager.getFolderTree(author) : [];
+        select.innerHTML = '<option value="">Top level</option>' + tree.map(({ folder, depth }) => `
+            <option value="${folder.id}" ${folder.id === parentId ? 'selected' : ''}>${'\u00a0\u00a0'.repeat(depth + 1)}${this.escapeHtml(folder.name)}</option>
+        `).join('');
+
+        const group = select.closest('.input-group');
+        if (group) group.style.display = tree.length > 0 ? '' : 'none';
+    }
+
     /**
      * Close create folder modal
      */
@@ -841,9 +3146,13 @@ export class ModalManager {
             return { success: false, error: 'No author' };
         }
 
-        const result = await this.listManager.createFolder(author, folderName);
+        const parentValue = document.getElementById('newFolderParent')?.value;
+        const parentId = parentValue ? parseInt(parentValue) : null;
+
+        const result = await this.listManager.createFolder(author, folderName, parentId);
 
         if (result.success) {
+            if (parentId) this.expandedFolders.add(parentId);
             this.closeCreateFolderModal();
             
             // Refresh folder list if in folder select modal
@@ -880,6 +3189,151 @@ export class ModalManager {
         return result;
     }
 
+    // ==================== AUTHOR POPUP SELECTION ====================
+
+    /**
+     * Build the bulk action bar shown in selection mode
+     * @param {Array} folderTree - The author's folders as getFolderTree() entries (move targets)
+     * @returns {HTMLElement}
+     */
+    renderPopupBulkBar(folderTree) {
+        const bar = document.createElement('div');
+        bar.className = 'popup-bulk-bar';
+        bar.innerHTML = `
+            <span class="popup-bulk-count">0 selected</span>
+            <button class="popup-bulk-btn" data-action="select-all-popup-items">Select all</button>
+            ${folderTree.length > 0 ? `
+                <select class="popup-bulk-move popup-bulk-action" title="Move selected items to a folder">
+                    <option value="">Move to…</option>
+                    ${folderTree.map(({ folder, depth }) => `
+                        <option value="${folder.id}">${'\u00a0\u00a0'.repeat(depth)}${this.escapeHtml(folder.name)}</option>
+                    `).join('')}
+                </select>
+                <button class="popup-bulk-btn popup-bulk-action" data-action="bulk-remove-from-folder">Unfile</button>
+            ` : ''}
+            <button class="popup-bulk-btn popup-bulk-action" data-action="bulk-reassign-author">Author…</button>
+            <button class="popup-bulk-btn popup-bulk-action" data-action="bulk-tag-items">Tag…</button>
+            <button class="popup-bulk-btn popup-bulk-action" data-action="bulk-export-items">Export</button>
+            <button class="popup-bulk-btn popup-bulk-action danger" data-action="bulk-delete-items">Delete</button>
+        `;
+        return bar;
+    }
+
+    /**
+     * Enter selection mode, optionally selecting an item (long press)
+     * @param {number|null} itemId
+     */
+    startItemSelection(itemId = null) {
+        if (!this.currentAuthor) return;
+
+        this.isSelectingItems = true;
+        if (itemId) {
+            this.popupSelection.add(itemId);
+            this.selectionAnchorId = itemId;
+        }
+        this.openAuthorPopup(this.currentAuthor);
+    }
+
+    /**
+     * Leave selection mode and clear the selection
+     * @param {boolean} rerender - Re-render the popup (default true)
+     */
+    exitItemSelection(rerender = true) {
+        const wasSelecting = this.isSelectingItems;
+        this.isSelectingItems = false;
+        this.popupSelection.clear();
+        this.selectionAnchorId = null;
+
+        if (rerender && wasSelecting && this.currentAuthor) {
+            this.openAuthorPopup(this.currentAuthor);
+        }
+    }
+
+    /**
+     * Items visible in the popup, in on-screen order (collapsed folders excluded)
+     * @returns {Array<number>}
+     */
+    getVisiblePopupItemIds() {
+        const container = document.getElementById('authorPopupItems');
+        if (!container) return [];
+        return Array.from(container.querySelectorAll('.popup-list-item'))
+            .filter(el => !el.closest('.folder-contents:not(.expanded)'))
+            .map(el => parseInt(el.dataset.id));
+    }
+
+    /**
+     * Toggle an item, or with `range` select everything between the last
+     * clicked item and this one
+     * @param {number} itemId
+     * @param {boolean} range - Shift-click
+     */
+    toggleItemSelection(itemId, range = false) {
+        const visible = this.getVisiblePopupItemIds();
+        const anchorIndex = visible.indexOf(this.selectionAnchorId);
+        const index = visible.indexOf(itemId);
+
+        if (range && anchorIndex !== -1 && index !== -1) {
+            const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+            visible.slice(from, to + 1).forEach(id => this.popupSelection.add(id));
+        } else if (this.popupSelection.has(itemId)) {
+            this.popupSelection.delete(itemId);
+        } else {
+            this.popupSelection.add(itemId);
+        }
+        this.selectionAnchorId = itemId;
+        this.updatePopupSelectionUI();
+    }
+
+    /**
+     * Select every visible item, or clear the selection if all are selected
+     */
+    toggleSelectAllPopupItems() {
+        const visible = this.getVisiblePopupItemIds();
+        const allSelected = visible.length > 0 && visible.every(id => this.popupSelection.has(id));
+        visible.forEach(id => {
+            if (allSelected) this.popupSelection.delete(id);
+            else this.popupSelection.add(id);
+        });
+        this.updatePopupSelectionUI();
+    }
+
+    /**
+     * @returns {Array<number>} Selected item IDs
+     */
+    getSelectedItemIds() {
+        return Array.from(this.popupSelection);
+    }
+
+    /**
+     * Sync checkboxes, highlight and the bulk bar with the selection
+     */
+    updatePopupSelectionUI() {
+        const container = document.getElementById('authorPopupItems');
+        if (!container) return;
+
+        container.querySelectorAll('.popup-list-item').forEach(el => {
+            const selected = this.popupSelection.has(parseInt(el.dataset.id));
+            el.classList.toggle('selected', selected);
+            const checkbox = el.querySelector('.popup-select-checkbox');
+            if (checkbox) checkbox.checked = selected;
+        });
+
+        const count = this.popupSelection.size;
+        const countEl = container.querySelector('.popup-bulk-count');
+        if (countEl) countEl.textContent = `${count} selected`;
+        container.querySelectorAll('.popup-bulk-action').forEach(el => {
+            el.disabled = count === 0;
+        });
+
+        const visible = this.getVisiblePopupItemIds();
+        const selectAll = container.querySelector('[data-action="select-all-popup-items"]');
+        if (selectAll) {
+            selectAll.textContent = visible.length > 0 && visible.every(id => this.popupSelection.has(id))
+                ? 'Select none'
+                : 'Select all';
+        }
+    }
+
     // ==================== UPDATED AUTHOR POPUP WITH FOLDERS ====================
 
     /**
@@ -904,8 +3358,17 @@ export class ModalManager {
                 return;
             }
 
+            if (author !== this.currentAuthor) {
+                this.exitItemSelection(false);
+            }
             this.currentAuthor = author;
 
+            // Drop selected items that are gone or now belong to someone else
+            const authorItemIds = new Set(allItems.map(item => item.id));
+            this.popupSelection.forEach(id => {
+                if (!authorItemIds.has(id)) this.popupSelection.delete(id);
+            });
+
             const popup = document.getElementById('authorPopup');
             const title = document.getElementById('authorPopupTitle');
             const itemsContainer = document.getElementById('authorPopupItems');
@@ -930,6 +3393,10 @@ export class ModalManager {
                         if (typeof showToast === 'function') {
                             showToast('Author renamed', 'success');
                         }
+                    } else if (result.conflict) {
+                        // Renaming onto an existing author means merging the two
+                        title.textContent = author;
+                        this.openMergeAuthors(author, result.newName);
                     } else {
                         title.textContent = author;
                         if (typeof showToast === 'function') {
@@ -945,9 +3412,12 @@ export class ModalManager {
                 };
             }
 
-            // Get folders and unfiled items
+            this.renderAuthorPopupProfile(author);
+            this.renderAuthorRail(author);
+
+            // Get folders and unfiled items (narrowed by the tag filter)
             const folders = this.listManager.getFoldersForAuthor(author);
-            const unfiledItems = this.listManager.getUnfiledItems(author);
+            const unfiledItems = this.getPopupItems(this.listManager.getUnfiledItems(author), author);
 
             // Build content
             if (itemsContainer) {
@@ -983,10 +3453,27 @@ export class ModalManager {
                 `;
                 buttonsDiv.appendChild(createBtn);
 
+                // Sort selector (remembered per author)
+                buttonsDiv.appendChild(this.renderPopupSortSelect(author));
+
+                // Selection mode toggle
+                const selectBtn = document.createElement('button');
+                selectBtn.className = 'popup-select-toggle';
+                selectBtn.dataset.action = 'toggle-popup-selection';
+                selectBtn.textContent = this.isSelectingItems ? 'Done' : 'Select';
+                buttonsDiv.appendChild(selectBtn);
+
                 itemsContainer.appendChild(buttonsDiv);
+                itemsContainer.classList.toggle('selecting', this.isSelectingItems);
+                if (this.isSelectingItems) {
+                    itemsContainer.appendChild(this.renderPopupBulkBar(this.listManager.getFolderTree(author)));
+                }
 
-                // Render folders
-                folders.forEach(folder => {
+                // Tag filter for this author's tags
+                this.renderPopupTagFilter(allItems, itemsContainer);
+
+                // Render top-level folders (subfolders render inside their parents)
+                this.listManager.getChildFolders(author, null).forEach(folder => {
                     this.renderFolderSection(folder, itemsContainer, author);
                 });
 
@@ -1001,11 +3488,14 @@ export class ModalManager {
                 popup.style.display = 'flex';
             }
 
-            // Setup drag and drop
-            this.setupFolderDragAndDrop(author);
+            // Setup drag and drop (off while selecting: a click selects instead)
+            if (!this.isSelectingItems) {
+                this.setupFolderDragAndDrop(author);
+            }
             
             // Setup touch drag for mobile
             this.setupTouchDragForPopupItems(author);
+            this.updatePopupSelectionUI();
 
             console.log('👤 Opened author popup for:', author, `(${folders.length} folders, ${unfiledItems.length} unfiled)`);
         } catch (error) {
@@ -1017,19 +3507,129 @@ export class ModalManager {
     }
 
     /**
-     * Render a folder section in author popup
+     * Show the author's avatar, bio and links in the popup header
+     * @param {string} author
+     */
+    renderAuthorPopupProfile(author) {
+        const record = this.listManager.getAuthorRecord(author);
+        const avatar = document.getElementById('authorPopupAvatar');
+        const profile = document.getElementById('authorPopupProfile');
+        const content = this.authorPopup?.querySelector('.author-popup-content');
+
+        if (avatar) {
+            avatar.innerHTML = this.uiManager ? this.uiManager.renderAuthorAvatar(record) : '';
+        }
+        if (content) {
+            const color = this.uiManager?.safeColor(record.color);
+            content.classList.toggle('has-accent', !!color);
+            content.style.setProperty('--author-color', color || '');
+        }
+        if (!profile) return;
+
+        const links = record.links
+            .map(link => ({ ...link, url: Validators.sanitizeUrl(link.url) }))
+            .filter(link => link.url);
+        if (!record.bio && links.length === 0) {
+            profile.style.display = 'none';
+            profile.innerHTML = '';
+            return;
+        }
+
+        profile.innerHTML = `
+            ${record.bio ? `<p class="author-popup-bio">${Validators.escapeHtml(record.bio)}</p>` : ''}
+            ${links.length > 0 ? `
+                <div class="author-popup-links">
+                    ${links.map(link => `
+                        <a href="${Validators.escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer">${Validators.escapeHtml(link.label)}</a>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+        profile.style.display = 'block';
+    }
+
+    /**
+     * Build the sort selector for the author popup
+     * @param {string} author
+     * @returns {HTMLElement}
+     */
+    renderPopupSortSelect(author) {
+        const mode = this.listManager.getItemSortMode(author);
+        const label = document.createElement('label');
+        label.className = 'popup-sort';
+        label.title = mode === 'manual' ? 'Sort items' : 'Switch to manual order to drag-reorder items';
+        label.innerHTML = `
+            <span class="popup-sort-label">Sort</span>
+            <select class="popup-sort-select">
+                ${Object.entries(CONFIG.ITEM_SORT_MODES).map(([value, text]) => `
+                    <option value="${value}"${value === mode ? ' selected' : ''}>${text}</option>
+                `).join('')}
+            </select>
+        `;
+        return label;
+    }
+
+    /**
+     * Items of one popup section, narrowed by the tag and status filters
+     * and ordered by the author's sort mode
+     * @param {Array} items - Items in manual order
+     * @param {string} author
+     * @returns {Array}
+     */
+    getPopupItems(items, author) {
+        const visible = items.filter(item =>
+            this.listManager.itemMatchesTags(item) && this.listManager.itemMatchesStatus(item)
+        );
+        return this.listManager.sortItems(visible, this.listManager.getItemSortMode(author));
+    }
+
+    /**
+     * Render tag filter chips for the tags used by an author's items
+     * @param {Array} authorItems - All of the author's items
+     * @param {HTMLElement} container
+     */
+    renderPopupTagFilter(authorItems, container) {
+        if (!this.uiManager) return;
+
+        const tagFilter = this.listManager.getTagFilter();
+        const usedIds = new Set(authorItems.flatMap(item => item.tagIds || []));
+        const tags = this.listManager.getTags()
+            .filter(tag => usedIds.has(tag.id) || tagFilter.includes(tag.id));
+        if (tags.length === 0) return;
+
+        const filterDiv = document.createElement('div');
+        filterDiv.className = 'tag-filter-bar popup-tag-filter';
+        filterDiv.innerHTML = `
+            ${this.uiManager.renderTagChips(tags, { activeIds: tagFilter })}
+            ${tagFilter.length > 0 ? '<button class="tag-filter-clear" data-action="clear-tag-filter">Clear</button>' : ''}
+        `;
+        container.appendChild(filterDiv);
+    }
+
+    /**
+     * Render a folder section in author popup, with its subfolders nested
+     * inside its contents
      * @param {Object} folder - Folder object
      * @param {HTMLElement} container - Container element
      * @param {string} author - Author name
+     * @param {number} depth - Nesting level (0 = top level)
      */
-    renderFolderSection(folder, container, author) {
-        const items = this.listManager.getItemsInFolder(folder.id);
+    renderFolderSection(folder, container, author, depth = 0) {
+        const items = this.getPopupItems(this.listManager.getItemsInFolder(folder.id), author);
+        const subfolders = this.listManager.getChildFolders(author, folder.id);
         const isExpanded = this.expandedFolders.has(folder.id);
 
         const section = document.createElement('div');
         section.className = 'folder-section';
         section.dataset.folderId = folder.id;
-        section.draggable = true;
+        section.dataset.depth = depth;
+        section.draggable = !this.isSelectingItems;
+        const color = this.uiManager?.safeColor(folder.color);
+        if (color) {
+            section.classList.add('has-color');
+            section.style.setProperty('--folder-color', color);
+        }
+        section.classList.toggle('pinned', Boolean(folder.pinned));
 
         // Folder header
         const header = document.createElement('div');
@@ -1041,14 +3641,27 @@ export class ModalManager {
                 <path d="M6 9l6 6 6-6"/>
             </svg>
             <span class="folder-icon">
-                <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                ${folder.icon ? `<span class="folder-emoji">${this.escapeHtml(folder.icon)}</span>` : `<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M22 19a2 2 0 01-2 2H4a2 2 0 01-2-2V5a2 2 0 012-2h5l2 3h9a2 2 0 012 2z"/>
-                </svg>
+                </svg>`}
             </span>
             <span class="folder-name">${this.escapeHtml(folder.name)}</span>
+            ${folder.pinned ? '<span class="folder-pin" title="Pinned">📌</span>' : ''}
             <span class="folder-count">${items.length}</span>
+            ${subfolders.length > 0 ? `<span class="folder-subcount" title="Subfolders">📁 ${subfolders.length}</span>` : ''}
             <div class="folder-header-actions">
-                <button class="folder-action-btn" data-action="rename-folder" data-folder-id="${folder.id}" title="Rename">
+                <button class="folder-action-btn" data-action="create-subfolder" data-folder-id="${folder.id}" title="New subfolder">
+                    <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
+                    </svg>
+                </button>
+                <button class="folder-action-btn" data-action="open-folder-bibliography" data-folder-id="${folder.id}" title="Bibliography">
+                    <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M4 19.5A2.5 2.5 0 016.5 17H20"/>
+                        <path d="M6.5 2H20v20H6.5A2.5 2.5 0 014 19.5v-15A2.5 2.5 0 016.5 2z"/>
+                    </svg>
+                </button>
+                <button class="folder-action-btn" data-action="edit-folder" data-folder-id="${folder.id}" title="Folder settings">
                     <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
                         <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
@@ -1067,8 +3680,19 @@ export class ModalManager {
         contents.className = `folder-contents ${isExpanded ? 'expanded' : ''}`;
         contents.dataset.folderId = folder.id;
 
-        if (items.length === 0) {
-            contents.innerHTML = '<div class="folder-contents-empty">Drag items here or this folder is empty</div>';
+        if (folder.description) {
+            const description = document.createElement('div');
+            description.className = 'folder-description';
+            description.textContent = folder.description;
+            contents.appendChild(description);
+        }
+
+        subfolders.forEach(subfolder => {
+            this.renderFolderSection(subfolder, contents, author, depth + 1);
+        });
+
+        if (items.length === 0 && subfolders.length === 0) {
+            contents.insertAdjacentHTML('beforeend', '<div class="folder-contents-empty">Drag items here or this folder is empty</div>');
         } else {
             items.forEach(item => {
                 this.renderAuthorPopupItem(item, contents, author, folder.id);
@@ -1152,25 +3776,96 @@ export class ModalManager {
         const folderHeaders = itemsContainer.querySelectorAll('.folder-header');
         const unfiledSection = itemsContainer.querySelector('.unfiled-section');
 
+        // Dragging a folder (by its header) moves it: drop on the top or
+        // bottom edge of another folder's header to place it before/after
+        // that folder, on the middle to nest it there, or on Unfiled for the
+        // end of the top level
+        let draggedFolderId = null;
+        itemsContainer.querySelectorAll('.folder-section').forEach(section => {
+            section.addEventListener('dragstart', (e) => {
+                // Item drags and nested folders bubble up here; only handle our own
+                if (e.target !== section) return;
+                draggedFolderId = parseInt(section.dataset.folderId);
+                section.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('application/x-folder-id', section.dataset.folderId);
+            });
+
+            section.addEventListener('dragend', (e) => {
+                if (e.target !== section) return;
+                section.classList.remove('dragging');
+                draggedFolderId = null;
+                itemsContainer.querySelectorAll('.drop-target, .drop-before, .drop-after')
+                    .forEach(el => el.classList.remove('drop-target', 'drop-before', 'drop-after'));
+            });
+        });
+
+        // A folder can't land on itself or inside its own subfolders
+        const canDropOn = (folderId) => draggedFolderId !== null &&
+            folderId !== draggedFolderId &&
+            !this.listManager.getFolderDescendantIds(draggedFolderId).includes(folderId);
+
+        // Outer quarters of a header place the folder next to it, the rest nests
+        const getDropZone = (header, e) => {
+            const rect = header.getBoundingClientRect();
+            const offset = (e.clientY - rect.top) / (rect.height || 1);
+            if (offset < 0.25) return 'before';
+            if (offset > 0.75) return 'after';
+            return 'inside';
+        };
+
         // Folder drop targets
         folderHeaders.forEach(header => {
+            const folderId = parseInt(header.dataset.folderId);
+
             header.addEventListener('dragover', (e) => {
-                if (e.dataTransfer.types.includes('application/x-item-id')) {
-                    e.preventDefault();
-                    header.classList.add('drop-target');
-                }
+                const isFolder = e.dataTransfer.types.includes('application/x-folder-id');
+                if (!isFolder && !e.dataTransfer.types.includes('application/x-item-id')) return;
+                if (isFolder && !canDropOn(folderId)) return;
+
+                e.preventDefault();
+                e.stopPropagation();
+                const zone = isFolder ? getDropZone(header, e) : 'inside';
+                header.classList.toggle('drop-before', zone === 'before');
+                header.classList.toggle('drop-after', zone === 'after');
+                header.classList.toggle('drop-target', zone === 'inside');
             });
 
             header.addEventListener('dragleave', () => {
-                header.classList.remove('drop-target');
+                header.classList.remove('drop-target', 'drop-before', 'drop-after');
             });
 
             header.addEventListener('drop', async (e) => {
                 e.preventDefault();
-                header.classList.remove('drop-target');
+                e.stopPropagation();
+                header.classList.remove('drop-target', 'drop-before', 'drop-after');
+
+                const movedFolderId = parseInt(e.dataTransfer.getData('application/x-folder-id'));
+                if (movedFolderId) {
+                    const zone = getDropZone(header, e);
+                    if (zone === 'inside') {
+                        const result = await this.listManager.moveFolder(movedFolderId, folderId);
+                        if (!result.success && typeof showToast === 'function') {
+                            showToast(result.error, 'error');
+                        }
+                        if (result.changed) this.expandedFolders.add(folderId);
+                    } else {
+                        const target = (this.stateManager.get('folders') || []).find(f => f.id === folderId);
+                        const parentId = this.listManager.getFolderParentId(target);
+                        let beforeId = folderId;
+                        if (zone === 'after') {
+                            const siblings = this.listManager.getChildFolders(author, parentId)
+                                .filter(f => f.id !== movedFolderId);
+                            const next = siblings[siblings.findIndex(f => f.id === folderId) + 1];
+                            beforeId = next ? next.id : null;
+                        }
+                        await this.placeFolder(movedFolderId, parentId, beforeId);
+                    }
+                    setTimeout(() => this.openAuthorPopup(author), 0);
+                    return;
+                }
                 
                 const itemId = parseInt(e.dataTransfer.getData('application/x-item-id'));
-                const folderId = parseInt(header.dataset.folderId);
                 
                 if (itemId && folderId) {
                     await this.listManager.addItemToFolder(itemId, folderId);
@@ -1183,7 +3878,8 @@ export class ModalManager {
         // Unfiled section drop target
         if (unfiledSection) {
             unfiledSection.addEventListener('dragover', (e) => {
-                if (e.dataTransfer.types.includes('application/x-item-id')) {
+                if (e.dataTransfer.types.includes('application/x-item-id') ||
+                    e.dataTransfer.types.includes('application/x-folder-id')) {
                     e.preventDefault();
                     unfiledSection.classList.add('drop-target');
                 }
@@ -1196,6 +3892,16 @@ export class ModalManager {
             unfiledSection.addEventListener('drop', async (e) => {
                 e.preventDefault();
                 unfiledSection.classList.remove('drop-target');
+
+                const movedFolderId = parseInt(e.dataTransfer.getData('application/x-folder-id'));
+                if (movedFolderId) {
+                    const result = await this.listManager.moveFolder(movedFolderId, null);
+                    if (!result.success && typeof showToast === 'function') {
+                        showToast(result.error, 'error');
+                    }
+                    setTimeout(() => this.openAuthorPopup(author), 0);
+                    return;
+                }
                 
                 const itemId = parseInt(e.dataTransfer.getData('application/x-item-id'));
                 
@@ -1226,11 +3932,23 @@ export class ModalManager {
             : `Delete empty folder "${folder.name}"?`;
 
         if (confirm(message)) {
-            const result = await this.listManager.deleteFolder(folderId);
+            // Subfolders either go with it or move up a level
+            let recursive = false;
+            const descendantIds = this.listManager.getFolderDescendantIds(folderId, state.folders || []);
+            if (descendantIds.length > 0) {
+                const parent = this.listManager.getFolderPath(folderId).slice(-2, -1)[0];
+                recursive = confirm(
+                    `"${folder.name}" contains ${descendantIds.length} subfolder(s).\n\n` +
+                    `OK: delete the subfolders too (their items move to Unfiled)\n` +
+                    `Cancel: move them up to ${parent ? `"${parent.name}"` : 'the top level'}`
+                );
+            }
+
+            const result = await this.listManager.deleteFolder(folderId, { recursive });
             
             if (result.success) {
                 if (typeof showToast === 'function') {
-                    showToast('Folder deleted', 'default');
+                    showToast('Folder moved to Trash', 'default');
                 }
                 this.openAuthorPopup(this.currentAuthor); // Refresh
             }
@@ -1238,33 +3956,106 @@ export class ModalManager {
     }
 
     /**
-     * Rename a folder
+     * Open the folder settings dialog
      * @param {number} folderId - Folder ID
      */
-    async renameFolderFromPopup(folderId) {
-        const state = this.stateManager.getState();
-        const folder = (state.folders || []).find(f => f.id === folderId);
-        
-        if (!folder) return;
+    openFolderSettings(folderId) {
+        const folder = (this.stateManager.get('folders') || []).find(f => f.id === folderId);
+        if (!folder || !this.folderSettingsModal) return;
+
+        this.editingFolderId = folderId;
+
+        const name = document.getElementById('folderNameInput');
+        const icon = document.getElementById('folderIconInput');
+        const colorEnabled = document.getElementById('folderColorEnabled');
+        const color = document.getElementById('folderColorInput');
+        const description = document.getElementById('folderDescriptionInput');
+        const pinned = document.getElementById('folderPinnedInput');
+
+        if (name) name.value = folder.name;
+        if (icon) icon.value = folder.icon || '';
+        if (colorEnabled) colorEnabled.checked = !!folder.color;
+        if (color) color.value = folder.color || CONFIG.TAG_COLORS[0].toLowerCase();
+        if (description) {
+            description.maxLength = CONFIG.MAX_FOLDER_DESCRIPTION_LENGTH;
+            description.value = folder.description || '';
+        }
+        if (pinned) pinned.checked = !!folder.pinned;
 
-        const newName = prompt('Enter new folder name:', folder.name);
-        
-        if (newName && newName.trim() !== folder.name) {
-            const result = await this.listManager.renameFolder(folderId, newName.trim());
-            
-            if (result.success) {
-                if (typeof showToast === 'function') {
-                    showToast('Folder renamed', 'success');
-                }
+        this.folderSettingsModal.style.display = 'flex';
+        name?.focus();
+        name?.select();
+    }
+
+    /**
+     * Save the folder settings dialog
+     */
+    async saveFolderSettings() {
+        if (this.editingFolderId === null) return;
+
+        const colorEnabled = document.getElementById('folderColorEnabled');
+        const result = await this.listManager.updateFolderSettings(this.editingFolderId, {
+            name: document.getElementById('folderNameInput')?.value || '',
+            icon: document.getElementById('folderIconInput')?.value || '',
+            color: colorEnabled?.checked ? document.getElementById('folderColorInput')?.value || '' : '',
+            description: document.getElementById('folderDescriptionInput')?.value || '',
+            pinned: !!document.getElementById('folderPinnedInput')?.checked
+        });
+
+        if (!result.success) {
+            if (typeof showToast === 'function') {
+                showToast(result.error || 'Failed to save folder', 'error');
+            }
+            return;
+        }
+
+        this.closeFolderSettings();
+        if (result.changed) {
+            if (this.currentAuthor) {
                 this.openAuthorPopup(this.currentAuthor); // Refresh
-            } else {
-                if (typeof showToast === 'function') {
-                    showToast(result.error || 'Failed to rename', 'error');
-                }
+            }
+            if (typeof showToast === 'function') {
+                showToast('Folder saved', 'success');
             }
         }
     }
 
+    /**
+     * Close the folder settings dialog without saving
+     */
+    closeFolderSettings() {
+        this.editingFolderId = null;
+        if (this.folderSettingsModal) {
+            this.folderSettingsModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Place a folder under a parent, in front of a sibling. Staying under
+     * the same parent is a plain reorder; otherwise the folder is moved.
+     * @param {number} folderId
+     * @param {number|null} parentId - New parent, or null for top level
+     * @param {number|null} beforeId - Sibling to place it in front of; null for last
+     * @returns {Promise<Object>} {success: boolean, error?: string}
+     */
+    async placeFolder(folderId, parentId, beforeId = null) {
+        const folders = this.stateManager.get('folders') || [];
+        const folder = folders.find(f => f.id === folderId);
+        if (!folder) return { success: false, error: 'Folder not found' };
+
+        const result = this.listManager.getFolderParentId(folder, folders) === parentId
+            ? await this.listManager.reorderFolders(
+                folder.author,
+                this.listManager.getFolderOrderWith(folder.author, folderId, beforeId)
+            )
+            : await this.listManager.moveFolder(folderId, parentId, { beforeId });
+
+        if (!result.success && typeof showToast === 'function') {
+            showToast(result.error, 'error');
+        }
+        return result;
+    }
+
     /**
      * Setup touch drag and drop for popup items (mobile)
      * @param {string} author - Author name
@@ -1273,23 +4064,29 @@ export class ModalManager {
         // Only setup on touch devices
         if (!TouchDragHandler.isTouchDevice()) return;
         
-        // Destroy previous handler if exists
+        // Destroy previous handlers if they exist
         if (this.popupTouchDragHandler) {
             this.popupTouchDragHandler.destroy();
             this.popupTouchDragHandler = null;
         }
+        if (this.folderTouchDragHandler) {
+            this.folderTouchDragHandler.destroy();
+            this.folderTouchDragHandler = null;
+        }
         
         const itemsContainer = document.getElementById('authorPopupItems');
-        if (!itemsContainer) return;
+        if (!itemsContainer || this.isSelectingItems) return;
         
         // Create touch drag handler for popup items
         this.popupTouchDragHandler = new TouchDragHandler({
             container: '#authorPopupItems',
             draggable: '.popup-list-item',
-            dropTargets: '.popup-list-item, .folder-header, .unfiled-section',
+            dropTargets: '.popup-list-item, .folder-header, .unfiled-section, .popup-author-rail-target',
+            dropOnly: '.popup-author-rail-target',
             holdDuration: 200,
             onDragStart: (item) => {
                 this.uiManager?.setDragging(true);
+                this.setAuthorRailVisible(true);
                 console.log('📱 Touch drag started for item:', item.dataset.id);
             },
             onDrop: async (item, target, position) => {
@@ -1297,6 +4094,12 @@ export class ModalManager {
                 console.log('📱 Touch drop item:', itemId, 'position:', position);
 
                 try {
+                    // Dropped on the author rail: reassign instead of reordering
+                    if (target?.matches('.popup-author-rail-target')) {
+                        await this.moveItemToAuthor(itemId, target.dataset.author);
+                        return;
+                    }
+
                     // The TouchDragHandler already moved the dragged element's
                     // DOM position via its placeholder logic. Read the resulting
                     // DOM as the single source of truth — this also handles the
@@ -1304,6 +4107,7 @@ export class ModalManager {
                     // the dragged element's new ancestor is that folder section.
                     await this.syncPopupStateFromDOM(author);
                 } finally {
+                    this.setAuthorRailVisible(false);
                     this.uiManager?.setDragging(false);
                     // Defer popup re-render so folder counts and section
                     // positions refresh cleanly, and so we don't tear down the
@@ -1312,8 +4116,52 @@ export class ModalManager {
                 }
             },
             onCancel: (item) => {
+                this.setAuthorRailVisible(false);
                 this.uiManager?.setDragging(false);
                 console.log('📱 Touch drag cancelled for item:', item.dataset.id);
+            },
+            // Long press without moving starts selection mode with that item
+            onLongPress: (item) => {
+                this.startItemSelection(parseInt(item.dataset.id));
+            }
+        });
+
+        // Folder sections move by their header. Where the placeholder ends up
+        // decides the new parent (the enclosing section) and the sibling it
+        // goes in front of.
+        let originalParent = null;
+        this.folderTouchDragHandler = new TouchDragHandler({
+            container: '#authorPopupItems',
+            draggable: '.folder-section',
+            handle: '.folder-header',
+            dropTargets: '.folder-section',
+            holdDuration: 300,
+            onDragStart: (section) => {
+                originalParent = section.parentElement;
+                this.uiManager?.setDragging(true);
+                console.log('📱 Touch drag started for folder:', section.dataset.folderId);
+            },
+            onDrop: async (section, target, position) => {
+                try {
+                    if (section.parentElement === originalParent && position.oldIndex === position.newIndex) return;
+
+                    const parentSection = section.parentElement.closest('.folder-section');
+                    let next = section.nextElementSibling;
+                    while (next && !next.matches('.folder-section')) {
+                        next = next.nextElementSibling;
+                    }
+                    await this.placeFolder(
+                        parseInt(section.dataset.folderId),
+                        parentSection ? parseInt(parentSection.dataset.folderId) : null,
+                        next ? parseInt(next.dataset.folderId) : null
+                    );
+                } finally {
+                    this.uiManager?.setDragging(false);
+                    setTimeout(() => this.openAuthorPopup(author), 0);
+                }
+            },
+            onCancel: () => {
+                this.uiManager?.setDragging(false);
             }
         });
     }
@@ -0,0 +1,243 @@
+/**
+ * GrowthVault - Resurfacing Manager
+ * Picks items for the daily panel: a quote of the day and items captured on
+ * this date in earlier years. What has been shown is remembered per device
+ * (not synced), so picks lean toward items that haven't come up lately.
+ */
+
+import { CONFIG } from './config.js';
+import { DateUtils } from './date-utils.js';
+
+/**
+ * Random number generator seeded from a string, so a day key always
+ * produces the same sequence (FNV-1a hash into mulberry32)
+ * @param {string} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+    }
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class ResurfacingManager {
+    constructor(stateManager, storageKey = CONFIG.RESURFACING_KEY) {
+        this.stateManager = stateManager;
+        this.storageKey = storageKey;
+
+        // {seen: {itemId: "YYYY-MM-DD"}, daily: {day, itemId}|null, dismissed: "YYYY-MM-DD"|null}
+        this.history = this.loadHistory();
+
+        // Item showing in place of the daily pick after a shuffle (this session only)
+        this.currentId = null;
+
+        console.log('✨ ResurfacingManager initialized');
+    }
+
+    /**
+     * Read the view history from localStorage
+     * @returns {Object}
+     */
+    loadHistory() {
+        const empty = { seen: {}, daily: null, dismissed: null };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            return saved && typeof saved === 'object'
+                ? { ...empty, ...saved, seen: saved.seen || {} }
+                : empty;
+        } catch (error) {
+            console.warn('⚠️ Could not read resurfacing history:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Write the view history to localStorage
+     */
+    saveHistory() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+        } catch (error) {
+            console.warn('⚠️ Could not save resurfacing history:', error);
+        }
+    }
+
+    /**
+     * @returns {Array} All items
+     */
+    getItems() {
+        return this.stateManager.get('items') || [];
+    }
+
+    /**
+     * How strongly an item should be favoured: grows with the days since it
+     * was last shown, up to CONFIG.RESURFACE_RECENCY_DAYS for never-seen items
+     * @param {Object} item
+     * @param {string} today - "YYYY-MM-DD"
+     * @param {Object} seen - {itemId: day last shown}
+     * @returns {number}
+     */
+    getWeight(item, today, seen = this.history.seen) {
+        const lastSeen = seen[item.id];
+        if (!lastSeen) return CONFIG.RESURFACE_RECENCY_DAYS;
+        return Math.min(Math.max(DateUtils.daysBetween(lastSeen, today), 0), CONFIG.RESURFACE_RECENCY_DAYS);
+    }
+
+    /**
+     * Weighted random pick. Falls back to an even pick when everything was
+     * shown today.
+     * @param {Array} items
+     * @param {string} today
+     * @param {Function} random - () => number in [0, 1)
+     * @param {Object} seen - {itemId: day last shown}
+     * @returns {Object|null}
+     */
+    pickWeighted(items, today, random = Math.random, seen = this.history.seen) {
+        if (items.length === 0) return null;
+
+        const weights = items.map(item => this.getWeight(item, today, seen));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total === 0) return items[Math.floor(random() * items.length)];
+
+        let target = random() * total;
+        for (let i = 0; i < items.length; i++) {
+            target -= weights[i];
+            if (target < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
+    /**
+     * Today's quote: the same item all day, even across reloads
+     * @param {string} today - "YYYY-MM-DD"
+     * @returns {Object|null}
+     */
+    getDailyItem(today = DateUtils.today()) {
+        const items = this.getItems();
+        const { daily } = this.history;
+        if (daily?.day === today) {
+            const item = items.find(i => i.id === daily.itemId);
+            if (item) return item;
+        }
+
+        // Views from today don't count yet, so the pick doesn't depend on
+        // what was shuffled past before it was first made
+        const seenBefore = Object.fromEntries(
+            Object.entries(this.history.seen).filter(([, day]) => day < today)
+        );
+        const item = this.pickWeighted(items, today, seededRandom(today), seenBefore);
+
+        if (item) {
+            this.history.daily = { day: today, itemId: item.id };
+            if (!this.markSeen([item.id], today)) this.saveHistory();
+        }
+        return item;
+    }
+
+    /**
+     * The item the panel shows: a shuffled one, or today's quote
+     * @param {string} today
+     * @returns {Object|null}
+     */
+    getCurrentItem(today = DateUtils.today()) {
+        const current = this.getItems().find(i => i.id === this.currentId);
+        if (current) return current;
+        this.currentId = null;
+        return this.getDailyItem(today);
+    }
+
+    /**
+     * Whether the panel is showing today's quote rather than a shuffled item
+     * @returns {boolean}
+     */
+    isShowingDaily() {
+        return this.currentId === null;
+    }
+
+    /**
+     * Show a different item, favouring ones not seen recently
+     * @param {Object} options - {author?: only items by this author}
+     * @returns {Object|null} The new item, or null if there's nothing else
+     */
+    shuffle(options = {}) {
+        const today = DateUtils.today();
+        const current = this.getCurrentItem(today);
+        const candidates = this.getItems().filter(item =>
+            item.id !== current?.id && (!options.author || item.author === options.author)
+        );
+
+        const item = this.pickWeighted(candidates, today);
+        if (!item) return null;
+
+        this.currentId = item.id;
+        this.markSeen([item.id], today);
+        console.log('🔀 Resurfaced item:', item.id);
+        return item;
+    }
+
+    /**
+     * Items captured on this calendar date in earlier years, newest first
+     * @param {string} today - "YYYY-MM-DD"
+     * @returns {Array} [{item, yearsAgo}]
+     */
+    getOnThisDay(today = DateUtils.today()) {
+        const monthDay = today.slice(5);
+        const year = parseInt(today.slice(0, 4));
+
+        return this.getItems()
+            .map(item => {
+                const created = Date.parse(item.createdAt) || DateUtils.timestampFromId(item.id);
+                return { item, day: created ? DateUtils.today(new Date(created)) : '' };
+            })
+            .filter(({ day }) => day.slice(5) === monthDay && parseInt(day.slice(0, 4)) < year)
+            .sort((a, b) => b.day.localeCompare(a.day))
+            .slice(0, CONFIG.RESURFACE_ON_THIS_DAY_LIMIT)
+            .map(({ item, day }) => ({ item, yearsAgo: year - parseInt(day.slice(0, 4)) }));
+    }
+
+    /**
+     * Record that items were shown today. Entries older than
+     * CONFIG.RESURFACE_RECENCY_DAYS no longer affect weights and are dropped.
+     * @param {Array<number>} itemIds
+     * @param {string} today
+     * @returns {boolean} Whether the history changed (and was saved)
+     */
+    markSeen(itemIds, today = DateUtils.today()) {
+        const seen = {};
+        Object.entries(this.history.seen).forEach(([id, day]) => {
+            if (DateUtils.daysBetween(day, today) < CONFIG.RESURFACE_RECENCY_DAYS) seen[id] = day;
+        });
+        itemIds.forEach(id => { seen[id] = today; });
+
+        const changed = JSON.stringify(seen) !== JSON.stringify(this.history.seen);
+        this.history.seen = seen;
+        if (changed) this.saveHistory();
+        return changed;
+    }
+
+    /**
+     * Hide the panel until tomorrow
+     */
+    dismiss() {
+        this.history.dismissed = DateUtils.today();
+        this.currentId = null;
+        this.saveHistory();
+    }
+
+    /**
+     * @param {string} today
+     * @returns {boolean} Whether the panel was dismissed today
+     */
+    isDismissed(today = DateUtils.today()) {
+        return this.history.dismissed === today;
+    }
+}
+
+export default ResurfacingManager;
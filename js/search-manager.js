@@ -0,0 +1,315 @@
+/**
+ * GrowthVault - Search Manager
+ * Incremental inverted index over item titles, text and authors
+ */
+
+import { CONFIG } from './config.js';
+import { Validators } from './validators.js';
+
+// Relative weight of a match in each indexed field
+const FIELD_WEIGHTS = { title: 3, author: 2, text: 1 };
+
+export class SearchManager {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+
+        this.docs = new Map();   // itemId -> { signature, title, author, text }
+        this.index = new Map();  // token -> Map(itemId -> weighted term frequency)
+        this.vocabulary = null;  // Sorted token list for prefix lookups, rebuilt lazily
+
+        this.syncIndex(this.stateManager.get('items') || []);
+
+        // Keep the index current: only items whose searchable fields
+        // changed are re-tokenized
+        this.stateManager.subscribe('search-index', (newState, oldState, updates) => {
+            if (updates?.items !== undefined) {
+                this.syncIndex(newState.items || []);
+            }
+        });
+
+        console.log('🔍 SearchManager initialized');
+    }
+
+    /**
+     * Split text into normalized search tokens (lowercase, no diacritics)
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    static tokenize(text) {
+        return SearchManager.normalize(text)
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean);
+    }
+
+    /**
+     * Lowercase and strip diacritics
+     * @param {string} text
+     * @returns {string}
+     */
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Plain text of an item's rich text, with block boundaries kept as spaces
+     * so words from adjacent paragraphs don't run together
+     * @param {string} html
+     * @returns {string}
+     */
+    static plainText(html) {
+        const spaced = String(html || '').replace(/<\/(p|div|li|h[1-6]|blockquote|pre)>|<br\s*\/?>/gi, ' $&');
+        return Validators.extractTextFromHtml(spaced).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Searchable body of an item: its text plus any checklist actions
+     * @param {Object} item
+     * @returns {string} HTML
+     */
+    static bodyOf(item) {
+        const actions = (item.checklist || []).map(entry => `<p>${Validators.escapeHtml(entry.text)}</p>`).join('');
+        return `${item.text || ''}${actions}`;
+    }
+
+    /**
+     * Bring the index in line with the given items
+     * @param {Array} items
+     */
+    syncIndex(items) {
+        const seen = new Set();
+        let changed = 0;
+
+        items.forEach(item => {
+            seen.add(item.id);
+            const signature = `${item.title || ''}\u0000${item.author || ''}\u0000${SearchManager.bodyOf(item)}`;
+            const existing = this.docs.get(item.id);
+            if (existing && existing.signature === signature) return;
+
+            if (existing) this.removeDocument(item.id);
+            this.addDocument(item, signature);
+            changed++;
+        });
+
+        Array.from(this.docs.keys()).forEach(id => {
+            if (!seen.has(id)) {
+                this.removeDocument(id);
+                changed++;
+            }
+        });
+
+        if (changed > 0) {
+            this.vocabulary = null;
+            console.log(`🔍 Search index updated (${changed} items, ${this.docs.size} indexed)`);
+        }
+    }
+
+    /**
+     * Index one item
+     * @param {Object} item
+     * @param {string} signature - Concatenated searchable fields
+     */
+    addDocument(item, signature) {
+        const doc = {
+            signature,
+            title: item.title || 'Untitled',
+            author: item.author || '',
+            text: SearchManager.plainText(SearchManager.bodyOf(item))
+        };
+        this.docs.set(item.id, doc);
+
+        Object.keys(FIELD_WEIGHTS).forEach(field => {
+            SearchManager.tokenize(doc[field]).forEach(token => {
+                if (!this.index.has(token)) {
+                    this.index.set(token, new Map());
+                    this.vocabulary = null;
+                }
+                const postings = this.index.get(token);
+                postings.set(item.id, (postings.get(item.id) || 0) + FIELD_WEIGHTS[field]);
+            });
+        });
+    }
+
+    /**
+     * Remove one item from the index
+     * @param {number} itemId
+     */
+    removeDocument(itemId) {
+        const doc = this.docs.get(itemId);
+        if (!doc) return;
+
+        const tokens = new Set([
+            ...SearchManager.tokenize(doc.title),
+            ...SearchManager.tokenize(doc.author),
+            ...SearchManager.tokenize(doc.text)
+        ]);
+        tokens.forEach(token => {
+            const postings = this.index.get(token);
+            if (!postings) return;
+            postings.delete(itemId);
+            if (postings.size === 0) {
+                this.index.delete(token);
+                this.vocabulary = null;
+            }
+        });
+        this.docs.delete(itemId);
+    }
+
+    /**
+     * Tokens starting with a prefix, via binary search over the sorted vocabulary
+     * @param {string} prefix
+     * @returns {Array<string>}
+     */
+    tokensWithPrefix(prefix) {
+        if (!this.vocabulary) {
+            this.vocabulary = Array.from(this.index.keys()).sort();
+        }
+
+        let low = 0;
+        let high = this.vocabulary.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.vocabulary[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const matches = [];
+        for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(prefix); i++) {
+            matches.push(this.vocabulary[i]);
+        }
+        return matches;
+    }
+
+    /**
+     * Search items. Every query word must match (as a whole word or word
+     * prefix) in the title, text or author. Results are ranked by field
+     * weight, with whole-word matches counting double.
+     * @param {string} query
+     * @param {number} limit - Maximum results (default CONFIG.SEARCH_MAX_RESULTS)
+     * @returns {Object} {results: [{item, score, title, author, snippet}], total, terms}
+     */
+    search(query, limit = CONFIG.SEARCH_MAX_RESULTS) {
+        const terms = [...new Set(SearchManager.tokenize(query))];
+        if (terms.length === 0) {
+            return { results: [], total: 0, terms };
+        }
+
+        let scores = null;
+        for (const term of terms) {
+            const termScores = new Map();
+            this.tokensWithPrefix(term).forEach(token => {
+                const boost = token === term ? 2 : 1;
+                this.index.get(token).forEach((weight, itemId) => {
+                    if (scores && !scores.has(itemId)) return;
+                    termScores.set(itemId, (termScores.get(itemId) || 0) + weight * boost);
+                });
+            });
+
+            if (scores) {
+                termScores.forEach((score, itemId) => termScores.set(itemId, score + scores.get(itemId)));
+            }
+            scores = termScores;
+            if (scores.size === 0) break;
+        }
+
+        const items = new Map((this.stateManager.get('items') || []).map(item => [item.id, item]));
+        const ranked = Array.from(scores.entries())
+            .filter(([itemId]) => items.has(itemId))
+            .sort((a, b) => b[1] - a[1] || b[0] - a[0]); // Newer IDs first on ties
+
+        const results = ranked.slice(0, limit).map(([itemId, score]) => {
+            const doc = this.docs.get(itemId);
+            return {
+                item: items.get(itemId),
+                score,
+                title: this.highlight(doc.title, terms),
+                author: this.highlight(doc.author, terms),
+                snippet: this.highlight(this.createSnippet(doc.text, terms), terms)
+            };
+        });
+
+        return { results, total: ranked.length, terms };
+    }
+
+    /**
+     * Cut a window of text around the first match
+     * @param {string} text - Plain text
+     * @param {Array<string>} terms - Normalized query terms
+     * @returns {string}
+     */
+    createSnippet(text, terms) {
+        const length = CONFIG.SEARCH_SNIPPET_LENGTH;
+        if (text.length <= length) return text;
+
+        const normalized = SearchManager.normalize(text);
+        const positions = terms
+            .map(term => normalized.search(new RegExp(`(?<![\\p{L}\\p{N}])${this.escapeRegExp(term)}`, 'u')))
+            .filter(pos => pos >= 0);
+        const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+        const start = Math.max(0, first - Math.floor(length / 3));
+        const end = Math.min(text.length, start + length);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Escape text and wrap words matching a term (as a prefix) in <mark>.
+     * Matching runs on the normalized text; NFD normalization can change
+     * string length, so characters are mapped back one at a time.
+     * @param {string} text - Plain text
+     * @param {Array<string>} terms - Normalized query terms
+     * @returns {string} HTML
+     */
+    highlight(text, terms) {
+        const source = String(text || '');
+        if (!source || terms.length === 0) return Validators.escapeHtml(source);
+
+        // Normalized string plus the source index of each normalized character
+        let normalized = '';
+        const sourceIndex = [];
+        let offset = 0;
+        for (const char of source) {
+            const folded = SearchManager.normalize(char);
+            for (let k = 0; k < folded.length; k++) {
+                normalized += folded[k];
+                sourceIndex.push(offset);
+            }
+            offset += char.length;
+        }
+        sourceIndex.push(source.length);
+
+        const pattern = new RegExp(
+            `(?<![\\p{L}\\p{N}])(?:${terms.map(term => this.escapeRegExp(term)).sort((a, b) => b.length - a.length).join('|')})[\\p{L}\\p{N}]*`,
+            'gu'
+        );
+
+        let html = '';
+        let cursor = 0;
+        let match;
+        while ((match = pattern.exec(normalized)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            const start = sourceIndex[match.index];
+            const end = sourceIndex[match.index + match[0].length];
+            html += Validators.escapeHtml(source.slice(cursor, start));
+            html += `<mark>${Validators.escapeHtml(source.slice(start, end))}</mark>`;
+            cursor = end;
+        }
+        html += Validators.escapeHtml(source.slice(cursor));
+        return html;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+export default SearchManager;
@@ -0,0 +1,101 @@
+/**
+ * GrowthVault - Spaced Repetition
+ * SM-2 style scheduling for reviewing items. An item's schedule is stored
+ * as item.review = {ease, interval, reps, lapses, due, introduced, lastReviewed};
+ * items without one haven't been reviewed yet.
+ */
+
+import { CONFIG } from './config.js';
+import { DateUtils } from './date-utils.js';
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL = 3650; // Days
+const EASY_BONUS = 1.3;
+const HARD_FACTOR = 1.2;
+
+export class SpacedRepetition {
+    /**
+     * @param {Object} item
+     * @param {string} today - "YYYY-MM-DD"
+     * @returns {boolean} Whether the item is due (new items always are)
+     */
+    static isDue(item, today = DateUtils.today()) {
+        return !item.review || item.review.due <= today;
+    }
+
+    /**
+     * Next schedule for an item after grading it
+     * @param {Object|undefined} review - Current schedule, if any
+     * @param {string} grade - Key of CONFIG.REVIEW_GRADES
+     * @param {string} today - "YYYY-MM-DD"
+     * @returns {Object} New review state
+     */
+    static schedule(review, grade, today = DateUtils.today()) {
+        const previous = review || { ease: INITIAL_EASE, interval: 0, reps: 0, lapses: 0 };
+        let { ease, interval, reps, lapses } = previous;
+
+        switch (grade) {
+            case 'again':
+                // Forgotten: start over, and see it again this session
+                if (reps > 0) lapses += 1;
+                ease = Math.max(MIN_EASE, ease - 0.2);
+                reps = 0;
+                interval = 0;
+                break;
+            case 'hard':
+                ease = Math.max(MIN_EASE, ease - 0.15);
+                interval = reps === 0 ? 1 : Math.max(interval + 1, Math.round(interval * HARD_FACTOR));
+                reps += 1;
+                break;
+            case 'good':
+                interval = reps === 0 ? 1 : reps === 1 ? 6 : Math.max(interval + 1, Math.round(interval * ease));
+                reps += 1;
+                break;
+            case 'easy':
+                ease += 0.15;
+                interval = reps === 0 ? 4 : Math.max(interval + 1, Math.round(Math.max(interval, 6) * ease * EASY_BONUS));
+                reps += 1;
+                break;
+            default:
+                throw new Error(`Unknown grade: ${grade}`);
+        }
+
+        interval = Math.min(interval, MAX_INTERVAL);
+        return {
+            ease: Math.round(ease * 100) / 100,
+            interval,
+            reps,
+            lapses,
+            due: DateUtils.addDays(today, interval),
+            introduced: review?.introduced || today,
+            lastReviewed: DateUtils.now()
+        };
+    }
+
+    /**
+     * Interval each grade would give, for the grade buttons
+     * @param {Object|undefined} review
+     * @returns {Object} {again, hard, good, easy} in days
+     */
+    static previewIntervals(review) {
+        return Object.fromEntries(Object.keys(CONFIG.REVIEW_GRADES).map(grade =>
+            [grade, this.schedule(review, grade).interval]
+        ));
+    }
+
+    /**
+     * Short label for an interval: "today", "3d", "2w", "4mo", "1.5y"
+     * @param {number} days
+     * @returns {string}
+     */
+    static formatInterval(days) {
+        if (days < 1) return 'today';
+        if (days < 14) return `${days}d`;
+        if (days < 60) return `${Math.round(days / 7)}w`;
+        if (days < 365) return `${Math.round(days / 30)}mo`;
+        return `${Math.round(days / 36.5) / 10}y`;
+    }
+}
+
+export default SpacedRepetition;
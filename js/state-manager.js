@@ -3,6 +3,9 @@
  * Centralized state management with observer pattern
  */
 
+import { CONFIG } from './config.js';
+import { DateUtils } from './date-utils.js';
+
 export class StateManager {
     constructor() {
         this.state = {
@@ -11,7 +14,17 @@ export class StateManager {
             folderOrder: {},       // { authorName: [folderId1, folderId2, ...] }
             itemCounter: 1,
             authorOrder: [],
-            undoStack: [],
+            trash: [],             // Deleted items/authors/folders, restorable until expiry
+            trashRetentionDays: CONFIG.TRASH_RETENTION_DAYS,
+            tags: [],              // Tag registry: { id, name, color }; items reference tagIds
+            authors: [],           // Author records: { id, name, avatar?, bio?, color?, links? }; joined to items by name
+            tagFilter: [],         // Active tag filter (tag IDs) — UI only, not saved
+            statusFilter: '',      // Active status filter: '', 'unprocessed' or a status — UI only, not saved
+            itemSortModes: {},     // { authorName: sortMode } for the author popup
+            listView: { sort: 'manual', group: 'none', mode: 'authors' }, // Main list sort/grouping and authors/collections view
+            authorSections: [],    // Custom author groups: { id, name, authors: [authorName] }
+            collections: [],       // Cross-author collections: { id, name, itemIds } in manual order
+            duplicateReview: { dismissed: [] }, // Duplicate-author suggestions; dismissed: pair keys
             currentUser: null,
             theme: 'light',
             titles: {
@@ -121,7 +134,17 @@ export class StateManager {
             folderOrder: {},
             itemCounter: 1,
             authorOrder: [],
-            undoStack: [],
+            trash: [],
+            trashRetentionDays: CONFIG.TRASH_RETENTION_DAYS,
+            tags: [],
+            tagFilter: [],
+            statusFilter: '',
+            authors: [],
+            itemSortModes: {},
+            listView: { sort: 'manual', group: 'none', mode: 'authors' },
+            authorSections: [],
+            collections: [],
+            duplicateReview: { dismissed: [] },
             lastSaveTimestamp: 0
         });
         console.log('🔄 State reset to defaults');
@@ -132,8 +155,10 @@ export class StateManager {
      * @param {Object} data - Saved data object
      */
     loadState(data) {
-        const items = this.dedupeById(data.items || []);
+        const items = this.migrateItemDates(this.dedupeById(data.items || []));
         const folders = this.dedupeById(data.folders || []);
+        const tags = this.dedupeById(data.tags || []);
+        const tagIds = new Set(tags.map(tag => tag.id));
 
         this.setState({
             items,
@@ -141,13 +166,129 @@ export class StateManager {
             folderOrder: data.folderOrder || {},
             itemCounter: data.itemCounter || 1,
             authorOrder: data.authorOrder || [],
-            undoStack: data.undoStack || [],
+            trash: (data.trash || this.migrateUndoStack(data.undoStack)).map(entry => ({
+                ...entry,
+                items: this.migrateItemDates(entry.items || [])
+            })),
+            trashRetentionDays: data.trashRetentionDays || CONFIG.TRASH_RETENTION_DAYS,
+            tags,
+            tagFilter: this.state.tagFilter.filter(id => tagIds.has(id)),
+            authors: this.ensureAuthorRecords(items, this.dedupeAuthorNames(data.authors || []))
+                || this.dedupeAuthorNames(data.authors || []),
+            itemSortModes: data.itemSortModes || {},
+            listView: { sort: 'manual', group: 'none', mode: 'authors', ...(data.listView || {}) },
+            authorSections: this.dedupeById(data.authorSections || [])
+                .map(section => ({ ...section, authors: section.authors || [] })),
+            collections: this.dedupeById(data.collections || [])
+                .map(collection => ({ ...collection, itemIds: collection.itemIds || [] })),
+            duplicateReview: {
+                dismissed: data.duplicateReview?.dismissed || []
+            },
             titles: data.titles || this.state.titles,
             lastSaveTimestamp: data.timestamp ? new Date(data.timestamp).getTime() : 0
         });
         console.log('📥 State loaded from saved data');
     }
 
+    /**
+     * Drop duplicate author records, by ID and then by name. Records are
+     * joined to items by name, so only the first one per name is ever used;
+     * older saves can hold a second one left behind by a rename.
+     * @param {Array} authors
+     * @returns {Array}
+     */
+    dedupeAuthorNames(authors) {
+        const seen = new Set();
+        return this.dedupeById(authors).filter(author => {
+            if (seen.has(author.name)) return false;
+            seen.add(author.name);
+            return true;
+        });
+    }
+
+    /**
+     * Make sure every author name used by an item has an author record.
+     * Records are never removed here, so a profile outlives its last item.
+     * @param {Array} items
+     * @param {Array} authors - Existing author records
+     * @returns {Array|null} Records with the missing ones appended, or null if none were missing
+     */
+    ensureAuthorRecords(items, authors) {
+        const known = new Set((authors || []).map(author => author.name));
+        const missing = [...new Set((items || []).map(item => item.author))]
+            .filter(name => name && !known.has(name));
+        if (missing.length === 0) return null;
+
+        const base = Date.now() * 1000;
+        const created = missing.map((name, index) => ({ id: base + index, name }));
+        console.log(`👤 Created ${created.length} author record(s)`);
+        return [...(authors || []), ...created];
+    }
+
+    /**
+     * Give items without ISO timestamps a `createdAt`/`updatedAt`, derived
+     * from the legacy locale `date` string (disambiguated by the creation
+     * time encoded in the ID). Items that already have `createdAt` are
+     * returned untouched, so this is a no-op once data has been saved.
+     * @param {Array} items
+     * @returns {Array}
+     */
+    migrateItemDates(items) {
+        let migrated = 0;
+
+        const result = items.map(item => {
+            if (!item || item.createdAt) return item;
+
+            const idTime = DateUtils.timestampFromId(item.id);
+            const parsed = DateUtils.parseLegacyDate(item.date, idTime);
+            const created = new Date(parsed ?? idTime ?? Date.now()).toISOString();
+            migrated++;
+            return { ...item, createdAt: created, updatedAt: item.updatedAt || created };
+        });
+
+        if (migrated > 0) {
+            console.log(`🗓️  Migrated ${migrated} legacy item dates to ISO timestamps`);
+        }
+        return result;
+    }
+
+    /**
+     * Convert the legacy persisted undo stack (deleted items capped at
+     * MAX_UNDO_HISTORY and synced with the document) into trash entries.
+     * Entries in the oldest full-snapshot format carry no deleted-item list
+     * and are dropped.
+     * @param {Array} undoStack
+     * @returns {Array} Trash entries
+     */
+    migrateUndoStack(undoStack) {
+        if (!Array.isArray(undoStack)) return [];
+
+        const entries = undoStack
+            .filter(entry => Array.isArray(entry?.deletedItems) && entry.deletedItems.length > 0)
+            .map((entry, index) => {
+                const isAuthor = entry.action === 'deleteAuthor';
+                return {
+                    id: (entry.timestamp || Date.now()) * 1000 + index,
+                    type: isAuthor ? 'author' : 'item',
+                    label: isAuthor ? entry.data?.author : (entry.data?.title || 'Untitled'),
+                    author: isAuthor ? entry.data?.author : entry.deletedItems[0].author,
+                    deletedAt: new Date(entry.timestamp || Date.now()).toISOString(),
+                    items: entry.deletedItems,
+                    folders: [],
+                    placements: [],
+                    folderOrder: [],
+                    authorIndex: isAuthor ? (entry.authorOrder || []).indexOf(entry.data?.author) : -1,
+                    folderIndex: -1
+                };
+            })
+            .reverse(); // Newest first, like the trash itself
+
+        if (entries.length > 0) {
+            console.log(`♻️  Migrated ${entries.length} undo entries to trash`);
+        }
+        return entries;
+    }
+
     /**
      * Remove entries with duplicate `id` values, keeping the first occurrence.
      * Defensive cleanup for legacy data created before collision-resistant IDs:
@@ -190,7 +331,15 @@ export class StateManager {
             folderOrder: this.state.folderOrder,
             itemCounter: this.state.itemCounter,
             authorOrder: this.state.authorOrder,
-            undoStack: this.state.undoStack,
+            trash: this.state.trash,
+            trashRetentionDays: this.state.trashRetentionDays,
+            tags: this.state.tags,
+            authors: this.state.authors,
+            itemSortModes: this.state.itemSortModes,
+            listView: this.state.listView,
+            authorSections: this.state.authorSections,
+            collections: this.state.collections,
+            duplicateReview: this.state.duplicateReview,
             titles: this.state.titles
         };
 
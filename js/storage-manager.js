@@ -142,7 +142,7 @@ export class StorageManager {
                 currentSize: this.formatBytes(currentSize),
                 newSize: this.formatBytes(attemptedSize),
                 items: data.items?.length || 0,
-                hasUndoStack: (data.undoStack?.length || 0) > 0
+                trashEntries: data.trash?.length || 0
             });
             
             // Try to detect if we're about to exceed quota
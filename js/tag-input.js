@@ -0,0 +1,262 @@
+/**
+ * GrowthVault - Tag Input
+ * Chip-style tag entry with autocomplete from existing tags
+ */
+
+import { Validators } from './validators.js';
+
+export class TagInput {
+    constructor(options = {}) {
+        this.container = typeof options.container === 'string'
+            ? document.querySelector(options.container)
+            : options.container;
+        this.placeholder = options.placeholder || 'Add tag…';
+        this.inputId = options.inputId || null;
+
+        // Callbacks
+        this.getSuggestions = options.getSuggestions || (() => []); // -> [{name, color}]
+        this.onChange = options.onChange || (() => {});
+
+        // State
+        this.tags = [];
+        this.activeSuggestion = -1;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+
+        this.init();
+    }
+
+    /**
+     * Build the widget inside the container
+     */
+    init() {
+        if (!this.container) return;
+
+        this.container.classList.add('tag-input');
+        this.container.innerHTML = `
+            <div class="tag-input-chips"></div>
+            <input type="text" class="tag-input-field"${this.inputId ? ` id="${this.inputId}"` : ''} placeholder="${this.placeholder}" autocomplete="off">
+            <div class="tag-suggestions" style="display: none;"></div>
+        `;
+        this.chipsEl = this.container.querySelector('.tag-input-chips');
+        this.inputEl = this.container.querySelector('.tag-input-field');
+        this.suggestionsEl = this.container.querySelector('.tag-suggestions');
+
+        this.inputEl.addEventListener('keydown', this.handleKeydown);
+        this.inputEl.addEventListener('input', this.handleInput);
+        this.inputEl.addEventListener('focus', this.handleInput);
+        this.inputEl.addEventListener('blur', () => {
+            // Delay so a suggestion click lands first
+            setTimeout(() => {
+                this.commitInput();
+                this.hideSuggestions();
+            }, 150);
+        });
+
+        // mousedown (not click) so the input keeps focus
+        this.suggestionsEl.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('.tag-suggestion');
+            if (!option) return;
+            e.preventDefault();
+            this.addTag(option.dataset.name);
+            this.inputEl.value = '';
+            this.hideSuggestions();
+        });
+
+        this.chipsEl.addEventListener('click', (e) => {
+            const remove = e.target.closest('.tag-chip-remove');
+            if (!remove) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.removeTag(remove.dataset.name);
+        });
+    }
+
+    /**
+     * Replace the current tags without firing onChange
+     * @param {Array<string>} names
+     */
+    setTags(names) {
+        this.tags = [];
+        (names || []).forEach(name => this.pushTag(name));
+        this.render();
+    }
+
+    /**
+     * @returns {Array<string>} Current tag names
+     */
+    getTags() {
+        this.commitInput(false);
+        return [...this.tags];
+    }
+
+    /**
+     * Remove all tags and clear the text field
+     */
+    clear() {
+        this.tags = [];
+        if (this.inputEl) this.inputEl.value = '';
+        this.render();
+    }
+
+    /**
+     * Add a tag (case-insensitive duplicates are ignored)
+     * @param {string} name
+     */
+    addTag(name) {
+        if (this.pushTag(name)) {
+            this.render();
+            this.onChange(this.getTags());
+        }
+    }
+
+    /**
+     * Remove a tag
+     * @param {string} name
+     */
+    removeTag(name) {
+        const before = this.tags.length;
+        this.tags = this.tags.filter(tag => tag !== name);
+        if (this.tags.length !== before) {
+            this.render();
+            this.onChange(this.getTags());
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} Whether the tag was added
+     */
+    pushTag(name) {
+        const clean = (name || '').replace(/^#/, '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+        if (!clean) return false;
+        if (this.tags.some(tag => tag.toLowerCase() === clean.toLowerCase())) return false;
+        this.tags.push(clean);
+        return true;
+    }
+
+    /**
+     * Turn whatever is typed into a tag
+     * @param {boolean} notify - Fire onChange (default true)
+     */
+    commitInput(notify = true) {
+        if (!this.inputEl || !this.inputEl.value.trim()) return;
+        const value = this.inputEl.value;
+        this.inputEl.value = '';
+        if (notify) {
+            this.addTag(value);
+        } else if (this.pushTag(value)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Handle keyboard entry: Enter/comma adds, Backspace on empty removes,
+     * arrows move through suggestions
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        const options = this.suggestionsEl.querySelectorAll('.tag-suggestion');
+
+        if (e.key === 'Enter' || e.key === ',' || (e.key === 'Tab' && this.inputEl.value.trim())) {
+            e.preventDefault();
+            const active = options[this.activeSuggestion];
+            if (active) {
+                this.inputEl.value = '';
+                this.addTag(active.dataset.name);
+            } else {
+                this.commitInput();
+            }
+            this.hideSuggestions();
+        } else if (e.key === 'Backspace' && !this.inputEl.value && this.tags.length > 0) {
+            this.removeTag(this.tags[this.tags.length - 1]);
+        } else if (e.key === 'ArrowDown' && options.length > 0) {
+            e.preventDefault();
+            this.highlightSuggestion(Math.min(this.activeSuggestion + 1, options.length - 1));
+        } else if (e.key === 'ArrowUp' && options.length > 0) {
+            e.preventDefault();
+            this.highlightSuggestion(Math.max(this.activeSuggestion - 1, 0));
+        } else if (e.key === 'Escape' && this.suggestionsEl.style.display !== 'none') {
+            e.stopPropagation();
+            this.hideSuggestions();
+        }
+    }
+
+    /**
+     * Show suggestions matching the typed text
+     */
+    handleInput() {
+        const query = this.inputEl.value.replace(/^#/, '').trim().toLowerCase();
+        const current = new Set(this.tags.map(tag => tag.toLowerCase()));
+        const matches = this.getSuggestions()
+            .filter(tag => !current.has(tag.name.toLowerCase()))
+            .filter(tag => !query || tag.name.toLowerCase().includes(query))
+            .sort((a, b) => {
+                // Prefix matches first
+                const aPrefix = a.name.toLowerCase().startsWith(query) ? 0 : 1;
+                const bPrefix = b.name.toLowerCase().startsWith(query) ? 0 : 1;
+                return aPrefix - bPrefix || a.name.localeCompare(b.name);
+            })
+            .slice(0, 8);
+
+        if (matches.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.activeSuggestion = -1;
+        this.suggestionsEl.innerHTML = matches.map(tag => `
+            <div class="tag-suggestion" data-name="${this.escapeHtml(tag.name)}">
+                <span class="tag-dot" style="background: ${Validators.sanitizeColor(tag.color) || ''}"></span>${this.escapeHtml(tag.name)}
+            </div>
+        `).join('');
+        this.suggestionsEl.style.display = 'block';
+    }
+
+    /**
+     * @param {number} index
+     */
+    highlightSuggestion(index) {
+        const options = this.suggestionsEl.querySelectorAll('.tag-suggestion');
+        options.forEach((option, i) => option.classList.toggle('active', i === index));
+        this.activeSuggestion = index;
+    }
+
+    hideSuggestions() {
+        if (this.suggestionsEl) {
+            this.suggestionsEl.style.display = 'none';
+        }
+        this.activeSuggestion = -1;
+    }
+
+    /**
+     * Render tag chips
+     */
+    render() {
+        if (!this.chipsEl) return;
+
+        const colors = new Map(this.getSuggestions().map(tag => [tag.name.toLowerCase(), tag.color]));
+        this.chipsEl.innerHTML = this.tags.map(name => {
+            const color = Validators.sanitizeColor(colors.get(name.toLowerCase()));
+            const style = color ? ` style="--tag-color: ${color}"` : '';
+            return `
+                <span class="tag-chip"${style}>
+                    ${this.escapeHtml(name)}
+                    <button type="button" class="tag-chip-remove" data-name="${this.escapeHtml(name)}" title="Remove tag">×</button>
+                </span>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Escape HTML
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        return Validators.escapeHtml(String(text ?? ''));
+    }
+}
+
+export default TagInput;
@@ -0,0 +1,106 @@
+/**
+ * GrowthVault - Text Diff
+ * Word-level diff between two plain-text strings
+ */
+
+// Above this many token comparisons the changed middle section is reported
+// as one removal plus one addition instead of running the LCS table.
+const MAX_DIFF_CELLS = 2000000;
+
+export class TextDiff {
+    /**
+     * Split text into word and whitespace tokens, so joining the tokens
+     * gives back the original text
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    static tokenize(text) {
+        return (text || '').match(/\s+|[^\s]+/g) || [];
+    }
+
+    /**
+     * Compute a word-level diff
+     * @param {string} oldText
+     * @param {string} newText
+     * @returns {Array<Object>} [{type: 'same'|'added'|'removed', text}]
+     */
+    static diffWords(oldText, newText) {
+        const a = this.tokenize(oldText);
+        const b = this.tokenize(newText);
+
+        // Trim the common prefix and suffix; edits are usually local
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const parts = [];
+        const push = (type, text) => {
+            if (!text) return;
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+
+        push('same', a.slice(0, start).join(''));
+        this.diffMiddle(a.slice(start, endA), b.slice(start, endB)).forEach(part => push(part.type, part.text));
+        push('same', a.slice(endA).join(''));
+
+        return parts;
+    }
+
+    /**
+     * LCS-based diff of two token arrays
+     * @param {Array<string>} a
+     * @param {Array<string>} b
+     * @returns {Array<Object>} [{type, text}]
+     */
+    static diffMiddle(a, b) {
+        if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_DIFF_CELLS) {
+            return [
+                { type: 'removed', text: a.join('') },
+                { type: 'added', text: b.join('') }
+            ];
+        }
+
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const parts = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                parts.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                parts.push({ type: 'removed', text: a[i++] });
+            } else {
+                parts.push({ type: 'added', text: b[j++] });
+            }
+        }
+        while (i < a.length) parts.push({ type: 'removed', text: a[i++] });
+        while (j < b.length) parts.push({ type: 'added', text: b[j++] });
+
+        return parts;
+    }
+}
+
+export default TextDiff;
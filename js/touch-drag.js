@@ -10,7 +10,9 @@ export class TouchDragHandler {
         this.draggableSelector = options.draggable || '.draggable';
         this.handleSelector = options.handle || null;
         this.dropTargetSelector = options.dropTargets || options.draggable;
+        this.dropOnlySelector = options.dropOnly || null; // Targets that take a drop but never the placeholder
         this.holdDuration = options.holdDuration || 200;
+        this.longPressDuration = options.longPressDuration || 600;
         this.scrollThreshold = options.scrollThreshold || 50;
         this.scrollSpeed = options.scrollSpeed || 10;
         
@@ -19,6 +21,7 @@ export class TouchDragHandler {
         this.onDragMove = options.onDragMove || (() => {});
         this.onDrop = options.onDrop || (() => {});
         this.onCancel = options.onCancel || (() => {});
+        this.onLongPress = options.onLongPress || null; // Held in place without dragging
         
         // State
         this.isDragging = false;
@@ -26,6 +29,7 @@ export class TouchDragHandler {
         this.ghostElement = null;
         this.placeholder = null;
         this.holdTimer = null;
+        this.longPressTimer = null;
         this.startX = 0;
         this.startY = 0;
         this.currentX = 0;
@@ -35,6 +39,7 @@ export class TouchDragHandler {
         this.scrollInterval = null;
         this.currentDropTarget = null;
         this.originalIndex = -1;
+        this.hasMoved = false;
         
         // Bind methods
         this.handleTouchStart = this.handleTouchStart.bind(this);
@@ -99,6 +104,7 @@ export class TouchDragHandler {
         this.startX = touch.clientX;
         this.startY = touch.clientY;
         this.draggedElement = draggable;
+        this.hasMoved = false;
         
         // Calculate offset from touch point to element top-left
         const rect = draggable.getBoundingClientRect();
@@ -112,6 +118,11 @@ export class TouchDragHandler {
         this.holdTimer = setTimeout(() => {
             this.startDrag(touch.clientX, touch.clientY);
         }, this.holdDuration);
+
+        // Long press fires while the finger is still down
+        if (this.onLongPress) {
+            this.longPressTimer = setTimeout(() => this.fireLongPress(), this.longPressDuration);
+        }
     }
     
     /**
@@ -138,6 +149,11 @@ export class TouchDragHandler {
         
         // Prevent scrolling while dragging
         e.preventDefault();
+
+        if (Math.abs(touch.clientX - this.startX) > 10 || Math.abs(touch.clientY - this.startY) > 10) {
+            this.hasMoved = true;
+            this.cancelLongPress();
+        }
         
         // Update ghost position
         this.updateGhostPosition(touch.clientX, touch.clientY);
@@ -168,6 +184,37 @@ export class TouchDragHandler {
         this.cleanup();
     }
     
+    /**
+     * Long press timer ran out without the finger moving: put the item back
+     * (it isn't a drop) and report the long press
+     */
+    fireLongPress() {
+        this.longPressTimer = null;
+        if (!this.draggedElement || this.hasMoved) return;
+
+        const element = this.draggedElement;
+        this.cancelDrag();
+        this.suppressNextTouchEnd();
+        this.onLongPress(element);
+    }
+    
+    /**
+     * Stop the click that follows the lifting finger. Listens on the document
+     * because onLongPress may re-render the container and destroy this handler.
+     */
+    suppressNextTouchEnd() {
+        const stop = (e) => {
+            e.preventDefault();
+            remove();
+        };
+        const remove = () => {
+            document.removeEventListener('touchend', stop, true);
+            document.removeEventListener('touchcancel', remove, true);
+        };
+        document.addEventListener('touchend', stop, { capture: true, passive: false });
+        document.addEventListener('touchcancel', remove, true);
+    }
+    
     /**
      * Handle touch cancel - abort everything
      */
@@ -294,11 +341,10 @@ export class TouchDragHandler {
                 this.clearDropTarget();
                 this.currentDropTarget = dropTarget;
                 this.currentDropTarget.classList.add('touch-drag-over');
-                
-                // Move placeholder to indicate drop position
-                this.updatePlaceholderPosition(dropTarget, y);
-            } else {
-                // Update placeholder position as we move
+            }
+            
+            // Move placeholder to indicate drop position
+            if (!this.isDropOnlyTarget(dropTarget)) {
                 this.updatePlaceholderPosition(dropTarget, y);
             }
         } else {
@@ -306,6 +352,16 @@ export class TouchDragHandler {
         }
     }
     
+    /**
+     * Whether a target only takes drops (e.g. a rail outside the list):
+     * it's highlighted, but the placeholder and the dragged element stay put
+     * @param {Element|null} target
+     * @returns {boolean}
+     */
+    isDropOnlyTarget(target) {
+        return Boolean(this.dropOnlySelector && target?.matches(this.dropOnlySelector));
+    }
+    
     /**
      * Update placeholder position relative to drop target
      */
@@ -375,11 +431,15 @@ export class TouchDragHandler {
     completeDrag() {
         if (!this.draggedElement || !this.placeholder) return;
         
-        // Move element to placeholder position
-        this.placeholder.parentNode.insertBefore(this.draggedElement, this.placeholder);
+        // Move element to placeholder position, unless it landed on a
+        // drop-only target and isn't changing places in the list
+        const dropOnly = this.isDropOnlyTarget(this.currentDropTarget);
+        if (!dropOnly) {
+            this.placeholder.parentNode.insertBefore(this.draggedElement, this.placeholder);
+        }
         
         // Get new index
-        const newIndex = this.getElementIndex(this.draggedElement);
+        const newIndex = dropOnly ? this.originalIndex : this.getElementIndex(this.draggedElement);
         
         // Animate element into place
         this.animateDropComplete();
@@ -430,13 +490,24 @@ export class TouchDragHandler {
     }
     
     /**
-     * Cancel the hold timer
+     * Cancel the hold and long press timers
      */
     cancelHold() {
         if (this.holdTimer) {
             clearTimeout(this.holdTimer);
             this.holdTimer = null;
         }
+        this.cancelLongPress();
+    }
+    
+    /**
+     * Cancel the long press timer
+     */
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
     }
     
     /**
@@ -6,6 +6,9 @@
 import { CONFIG } from './config.js';
 import { Validators } from './validators.js';
 import { TouchDragHandler } from './touch-drag.js';
+import { TagInput } from './tag-input.js';
+import { ItemLinks } from './item-links.js';
+import { LinkAutocomplete } from './link-autocomplete.js';
 
 export class UIManager {
     constructor(stateManager, listManager) {
@@ -19,8 +22,26 @@ export class UIManager {
         this.titleInput = document.querySelector(CONFIG.SELECTORS.TITLE_INPUT);
         this.textInput = document.querySelector(CONFIG.SELECTORS.TEXT_INPUT);
         this.imageInput = document.querySelector(CONFIG.SELECTORS.IMAGE_INPUT);
+        this.tagFilterBar = document.getElementById('tagFilterBar');
         this.setupRichTextInput();
 
+        // Tag entry for the add form
+        this.formTagInput = new TagInput({
+            container: '#tagInput',
+            inputId: 'tagInputField',
+            placeholder: 'Add tags…',
+            getSuggestions: () => this.listManager.getTags()
+        });
+
+        // [[ and @ in the text suggest items to link to
+        this.formLinkAutocomplete = new LinkAutocomplete({
+            editor: this.textInput,
+            getSuggestions: (query, options) => this.listManager.searchLinkTargets(query, options)
+        });
+
+        // Daily resurfacing picks (set by the app once created)
+        this.resurfacingManager = null;
+
         // Touch drag handler for mobile
         this.touchDragHandler = null;
 
@@ -34,14 +55,30 @@ export class UIManager {
         // JSON.stringify deep-compare; setState passes the keys that changed.
         this.stateManager.subscribe('items-changed', (newState, oldState, updates) => {
             if (!updates) return;
-            if (updates.items !== undefined || updates.authorOrder !== undefined) {
+            if (updates.items !== undefined || updates.authorOrder !== undefined ||
+                updates.tags !== undefined || updates.tagFilter !== undefined || updates.statusFilter !== undefined ||
+                updates.listView !== undefined || updates.authorSections !== undefined ||
+                updates.authors !== undefined || updates.collections !== undefined) {
                 this.renderItems();
             }
+            if (updates.items !== undefined || updates.folders !== undefined || updates.tags !== undefined) {
+                this.updateReviewCounter();
+            }
+            if (updates.items !== undefined) {
+                this.renderResurfacing();
+                this.updateOpenActionsButton();
+            }
         });
 
         this.stateManager.subscribe('titles-changed', (newState) => {
             this.updateTitles(newState.titles);
         });
+
+        this.stateManager.subscribe('trash-changed', (newState, oldState, updates) => {
+            if (updates?.trash !== undefined) {
+                this.updateTrashButton(newState.trash);
+            }
+        });
         
         console.log('🎨 UIManager initialized');
     }
@@ -68,6 +105,15 @@ export class UIManager {
         }
 
         const state = this.stateManager.getState();
+        const view = this.listManager.getListView();
+        this.renderListViewControls();
+        this.updateAuthorSuggestions();
+
+        if (view.mode === 'collections') {
+            this.renderCollections();
+            return;
+        }
+        this.renderTagFilterBar();
 
         if (state.items.length === 0) {
             this.renderEmptyState();
@@ -75,17 +121,50 @@ export class UIManager {
         }
 
         const grouped = this.listManager.groupItemsByAuthor();
-        const orderedAuthors = this.listManager.getOrderedAuthors();
+        let orderedAuthors = this.listManager.getOrderedAuthors();
+
+        // Apply the tag and status filters: count only matching items, hide authors with none
+        const tagFilter = this.listManager.getTagFilter();
+        const statusFilter = this.listManager.getStatusFilter();
+        if (tagFilter.length > 0 || statusFilter) {
+            grouped.forEach((items, author) => {
+                grouped.set(author, items.filter(item =>
+                    this.listManager.itemMatchesTags(item, tagFilter) && this.listManager.itemMatchesStatus(item, statusFilter)
+                ));
+            });
+            orderedAuthors = orderedAuthors.filter(author => grouped.get(author).length > 0);
 
-        this.visualList.innerHTML = orderedAuthors
-            .map(author => this.renderAuthorBox(author, grouped.get(author)))
-            .join('');
+            if (orderedAuthors.length === 0) {
+                this.renderEmptyState(statusFilter ? 'No items match the selected filters.' : 'No items match the selected tags.');
+                return;
+            }
+        }
 
-        // Add drag and drop after rendering
-        this.addAuthorDragAndDrop();
-        
-        // Setup touch drag for mobile
-        this.setupTouchDragForAuthors();
+        // Sort and group for display; the manual order stays in authorOrder
+        const sortedAuthors = this.listManager.sortAuthors(orderedAuthors, grouped, view.sort);
+        const groups = this.listManager.groupAuthors(sortedAuthors, view.group)
+            .filter(group => group.authors.length > 0 || group.sectionId);
+
+        const favorites = this.listManager.getFavoriteItems();
+        this.visualList.innerHTML = (favorites.length > 0 ? this.renderFavoritesBox(favorites) : '') +
+            groups.map(group => `
+                ${group.label !== null ? this.renderGroupHeader(group) : ''}
+                ${group.authors.map(author => this.renderAuthorBox(author, grouped.get(author))).join('')}
+            `).join('');
+
+        // Dragging reorders (manual sort) and/or moves between sections
+        const canDrag = view.sort === 'manual' || view.group === 'section';
+        this.visualList.classList.toggle('no-author-drag', !canDrag);
+        if (canDrag) {
+            // Add drag and drop after rendering
+            this.addAuthorDragAndDrop();
+
+            // Setup touch drag for mobile
+            this.setupTouchDragForAuthors();
+        } else if (this.touchDragHandler) {
+            this.touchDragHandler.destroy();
+            this.touchDragHandler = null;
+        }
         
         console.log('🎨 Rendered', orderedAuthors.length, 'author boxes');
     }
@@ -93,17 +172,250 @@ export class UIManager {
     /**
      * Render empty state
      */
-    renderEmptyState() {
+    renderEmptyState(message = 'No items yet. Add your first item above!') {
         this.visualList.innerHTML = `
             <div class="empty-state">
                 <svg viewBox="0 0 24 24" fill="currentColor">
                     <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-5 14H7v-2h7v2zm3-4H7v-2h10v2zm0-4H7V7h10v2z"/>
                 </svg>
-                <p>No items yet. Add your first item above!</p>
+                <p>${this.escapeHtml(message)}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the tag filter chips above the visual list
+     */
+    renderTagFilterBar() {
+        if (!this.tagFilterBar) return;
+
+        const usage = this.listManager.getTagUsage();
+        const tagFilter = this.listManager.getTagFilter();
+        const tags = this.listManager.getTags()
+            .filter(tag => usage.has(tag.id) || tagFilter.includes(tag.id));
+
+        if (tags.length === 0) {
+            this.tagFilterBar.style.display = 'none';
+            this.tagFilterBar.innerHTML = '';
+            return;
+        }
+
+        this.tagFilterBar.innerHTML = `
+            <span class="tag-filter-label">Filter by tag</span>
+            ${this.renderTagChips(tags, { activeIds: tagFilter, usage })}
+            ${tagFilter.length > 0 ? '<button class="tag-filter-clear" data-action="clear-tag-filter">Clear</button>' : ''}
+        `;
+        this.tagFilterBar.style.display = 'flex';
+    }
+
+    /**
+     * Refresh the author field's autocomplete with the current authors
+     */
+    updateAuthorSuggestions() {
+        const datalist = document.getElementById('authorSuggestions');
+        if (!datalist) return;
+
+        datalist.innerHTML = this.listManager.getOrderedAuthors()
+            .map(author => `<option value="${Validators.escapeHtml(author)}"></option>`)
+            .join('');
+    }
+
+    /**
+     * Sync the sort/group selectors with the current list view
+     */
+    renderListViewControls() {
+        const view = this.listManager.getListView();
+        const fill = (select, options, value) => {
+            if (!select) return;
+            if (select.options.length === 0) {
+                select.innerHTML = Object.entries(options)
+                    .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                    .join('');
+            }
+            select.value = value;
+        };
+
+        fill(document.getElementById('listModeSelect'), CONFIG.LIST_VIEW_MODES, view.mode);
+        fill(document.getElementById('authorSortSelect'), CONFIG.AUTHOR_SORT_MODES, view.sort);
+        fill(document.getElementById('authorGroupSelect'), CONFIG.AUTHOR_GROUP_MODES, view.group);
+        fill(document.getElementById('statusFilterSelect'),
+            { '': 'Any status', unprocessed: 'Unprocessed', ...CONFIG.ITEM_STATUSES },
+            this.listManager.getStatusFilter());
+
+        // Sorting and grouping only apply to authors
+        const showingAuthors = view.mode === 'authors';
+        document.querySelectorAll('#listViewControls .author-view-option').forEach(option => {
+            option.style.display = showingAuthors ? '' : 'none';
+        });
+
+        const addSection = document.getElementById('addSectionButton');
+        if (addSection) {
+            addSection.style.display = showingAuthors && view.group === 'section' ? '' : 'none';
+        }
+        const addCollection = document.getElementById('addCollectionButton');
+        if (addCollection) {
+            addCollection.style.display = showingAuthors ? 'none' : '';
+        }
+    }
+
+    /**
+     * Render the collections view of the main list
+     */
+    renderCollections() {
+        if (this.tagFilterBar) {
+            this.tagFilterBar.style.display = 'none';
+        }
+        if (this.touchDragHandler) {
+            this.touchDragHandler.destroy();
+            this.touchDragHandler = null;
+        }
+        this.visualList.classList.add('no-author-drag');
+
+        const collections = this.listManager.getCollections();
+        if (collections.length === 0) {
+            this.renderEmptyState('No collections yet. Create one, then add items from any author to it.');
+            return;
+        }
+
+        this.visualList.innerHTML = collections.map(collection => this.renderCollectionBox(collection)).join('');
+        console.log('🎨 Rendered', collections.length, 'collection boxes');
+    }
+
+    /**
+     * Render a collection box
+     * @param {Object} collection - {id, name, itemIds}
+     * @returns {string} HTML string
+     */
+    renderCollectionBox(collection) {
+        const items = this.listManager.getCollectionItems(collection.id);
+        const authors = [...new Set(items.map(item => item.author))];
+        const subtitle = authors.length === 0
+            ? 'empty — add items from their detail view'
+            : authors.slice(0, 3).join(', ') + (authors.length > 3 ? ` +${authors.length - 3} more` : '');
+
+        return `
+            <div class="author-box collection-box" data-action="open-collection" data-collection-id="${collection.id}">
+                <div class="author-count">${items.length}</div>
+                <div class="author-title">${this.escapeHtml(collection.name)}</div>
+                <div class="author-subtitle">${this.escapeHtml(subtitle)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the Favorites box: every starred item, whoever the author
+     * @param {Array} items - Starred items
+     * @returns {string} HTML string
+     */
+    renderFavoritesBox(items) {
+        const authors = [...new Set(items.map(item => item.author))];
+        const subtitle = authors.slice(0, 3).join(', ') + (authors.length > 3 ? ` +${authors.length - 3} more` : '');
+
+        return `
+            <div class="author-box favorites-box" data-action="open-favorites">
+                <div class="author-count">${items.length}</div>
+                <div class="author-title">⭐ Favorites</div>
+                <div class="author-subtitle">${this.escapeHtml(subtitle)}</div>
             </div>
         `;
     }
 
+    /**
+     * Render a letter or section heading on the main list
+     * @param {Object} group - {key, label, sectionId?, authors}
+     * @returns {string} HTML string
+     */
+    renderGroupHeader(group) {
+        const actions = group.sectionId ? `
+            <div class="author-group-actions">
+                <button class="folder-action-btn" data-action="rename-author-section" data-section-id="${group.sectionId}" title="Rename section">
+                    <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+                        <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                    </svg>
+                </button>
+                <button class="folder-action-btn delete" data-action="delete-author-section" data-section-id="${group.sectionId}" title="Delete section">
+                    <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                    </svg>
+                </button>
+            </div>
+        ` : '';
+        const sectionAttr = group.sectionId !== undefined ? ` data-section-id="${group.sectionId ?? ''}"` : '';
+        const empty = group.sectionId && group.authors.length === 0
+            ? '<span class="author-group-empty">Drag authors here</span>'
+            : '';
+
+        return `
+            <div class="author-group-header" data-group-key="${this.escapeHtml(group.key)}"${sectionAttr}>
+                <span class="author-group-label">${this.escapeHtml(group.label)}</span>
+                <span class="author-group-count">${group.authors.length}</span>
+                ${empty}
+                ${actions}
+            </div>
+        `;
+    }
+
+    /**
+     * Render search results under the search bar
+     * @param {Object} result - SearchManager.search() result
+     * @param {string} query - Raw query text
+     */
+    renderSearchResults(result, query) {
+        const container = document.getElementById('searchResults');
+        if (!container) return;
+
+        if (!query.trim()) {
+            this.hideSearchResults();
+            return;
+        }
+
+        if (result.results.length === 0) {
+            container.innerHTML = `<div class="search-empty">No results for "${this.escapeHtml(query.trim())}"</div>`;
+        } else {
+            const more = result.total > result.results.length
+                ? `<div class="search-more">Showing ${result.results.length} of ${result.total} results</div>`
+                : '';
+            container.innerHTML = result.results.map(({ item, title, author, snippet }) => `
+                <div class="search-result" data-action="open-search-result" data-item-id="${item.id}" tabindex="0">
+                    <div class="search-result-header">
+                        <span class="search-result-title">${title}</span>
+                        <span class="search-result-author">${author}</span>
+                    </div>
+                    ${snippet ? `<div class="search-result-snippet">${snippet}</div>` : ''}
+                </div>
+            `).join('') + more;
+        }
+
+        container.style.display = 'block';
+    }
+
+    /**
+     * Hide the search results panel
+     */
+    hideSearchResults() {
+        const container = document.getElementById('searchResults');
+        if (container) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+        }
+    }
+
+    /**
+     * Render clickable tag chips that toggle the tag filter
+     * @param {Array} tags - [{id, name, color}]
+     * @param {Object} options - {activeIds?: Array, usage?: Map}
+     * @returns {string} HTML string
+     */
+    renderTagChips(tags, options = {}) {
+        const activeIds = options.activeIds || this.listManager.getTagFilter();
+        return tags.map(tag => {
+            const active = activeIds.includes(tag.id) ? ' active' : '';
+            const count = options.usage ? ` <span class="tag-chip-count">${options.usage.get(tag.id) || 0}</span>` : '';
+            return `<button type="button" class="tag-chip tag-filter-chip${active}" style="--tag-color: ${this.safeColor(tag.color) || ''}" data-action="toggle-tag-filter" data-tag-id="${tag.id}">${this.escapeHtml(tag.name)}${count}</button>`;
+        }).join('');
+    }
+
     /**
      * Render an author box
      * @param {string} author - Author name
@@ -111,17 +423,62 @@ export class UIManager {
      * @returns {string} HTML string
      */
     renderAuthorBox(author, items) {
+        const record = this.listManager.getAuthorRecord(author);
+        const color = this.safeColor(record.color);
+        const accentClass = color ? ' has-accent' : '';
+        const accentStyle = color ? ` style="--author-color: ${color}"` : '';
+        const avatar = record.avatar || color ? this.renderAuthorAvatar(record, 'author-box-avatar') : '';
+        const pinned = Boolean(record.pinned);
+        const unprocessed = items.filter(item => this.listManager.isUnprocessed(item)).length;
+        const subtitle = record.bio
+            ? `<div class="author-subtitle author-bio">${this.escapeHtml(record.bio)}</div>`
+            : '<div class="author-subtitle">click to see author\'s content</div>';
+
         return `
-            <div class="author-box" data-author="${this.escapeHtml(author)}" data-action="open-author-popup">
+            <div class="author-box${accentClass}"${accentStyle} data-author="${this.escapeHtml(author)}" data-action="open-author-popup">
                 <div class="author-drag-handle"></div>
                 <button class="author-delete-btn" data-action="delete-author" data-author="${this.escapeHtml(author)}">×</button>
+                <button class="author-pin-btn${pinned ? ' pinned' : ''}" data-action="toggle-author-pin" data-author="${this.escapeHtml(author)}" title="${pinned ? 'Unpin from the top' : 'Pin to the top'}">${pinned ? '★' : '☆'}</button>
                 <div class="author-count">${items.length}</div>
+                ${unprocessed > 0 ? `<div class="author-unprocessed" title="${unprocessed} unprocessed item${unprocessed === 1 ? '' : 's'}">📥 ${unprocessed}</div>` : ''}
+                ${avatar}
                 <div class="author-title">${this.escapeHtml(author)}</div>
-                <div class="author-subtitle">click to see author's content</div>
+                ${subtitle}
             </div>
         `;
     }
 
+    /**
+     * Render an author's avatar: the image, or initials on the accent color
+     * @param {Object} record - Author record
+     * @param {string} className - Extra class for sizing
+     * @returns {string} HTML string
+     */
+    renderAuthorAvatar(record, className = '') {
+        const color = this.safeColor(record.color);
+        const style = color ? ` style="--author-color: ${color}"` : '';
+        // Only our own compressed data URLs are rendered as images
+        const image = /^data:image\/(jpeg|png|gif|webp);base64,[a-z0-9+/=]+$/i.test(record.avatar || '')
+            ? `<img src="${record.avatar}" alt="">`
+            : '';
+        const initials = (record.name || '')
+            .split(/\s+/)
+            .filter(Boolean)
+            .slice(0, 2)
+            .map(word => Array.from(word)[0].toLocaleUpperCase())
+            .join('');
+
+        return `<div class="author-avatar ${className}"${style} aria-hidden="true">${image || this.escapeHtml(initials)}</div>`;
+    }
+
+    /**
+     * @param {string} color
+     * @returns {string|null} The color if it's a #rrggbb hex value
+     */
+    safeColor(color) {
+        return Validators.sanitizeColor(color);
+    }
+
     /**
      * Add drag and drop functionality to author boxes
      */
@@ -209,6 +566,33 @@ export class UIManager {
                 }
             });
         });
+
+        // Dropping on a section heading moves the author to the top of it
+        this.visualList.querySelectorAll('.author-group-header[data-section-id]').forEach(header => {
+            header.addEventListener('dragover', (e) => {
+                if (draggedAuthor) {
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                    header.classList.add('drop-target');
+                }
+            });
+
+            header.addEventListener('dragleave', (e) => {
+                if (!header.contains(e.relatedTarget)) {
+                    header.classList.remove('drop-target');
+                }
+            });
+
+            header.addEventListener('drop', async (e) => {
+                e.preventDefault();
+                header.classList.remove('drop-target');
+
+                if (draggedAuthor) {
+                    header.after(draggedAuthor);
+                    await this.updateAuthorOrderFromDOM();
+                }
+            });
+        });
     }
 
     /**
@@ -229,7 +613,7 @@ export class UIManager {
             container: CONFIG.SELECTORS.VISUAL_LIST,
             draggable: '.author-box',
             handle: '.author-drag-handle',
-            dropTargets: '.author-box',
+            dropTargets: '.author-box[data-author], .author-group-header[data-section-id]',
             holdDuration: 200,
             onDragStart: (item) => {
                 this.setDragging(true);
@@ -251,12 +635,57 @@ export class UIManager {
     }
 
     /**
-     * Update author order based on current DOM order
+     * Update author order (and, when grouped by section, section
+     * membership) based on the current DOM order
      */
     async updateAuthorOrderFromDOM() {
-        const authorBoxes = this.visualList.querySelectorAll('.author-box');
-        const newOrder = Array.from(authorBoxes).map(box => box.dataset.author);
-        await this.listManager.updateAuthorOrder(newOrder);
+        const view = this.listManager.getListView();
+        const visibleOrder = [];
+        const sectionOf = new Map(); // author -> sectionId|null, from the heading above it
+        let currentSection = null;
+
+        Array.from(this.visualList.children).forEach(el => {
+            if (el.classList.contains('author-group-header')) {
+                // Under the Pinned heading authors keep the section they're in
+                currentSection = el.dataset.groupKey === 'pinned' ? undefined
+                    : el.dataset.sectionId ? parseInt(el.dataset.sectionId) : null;
+            } else if (el.classList.contains('author-box') && el.dataset.author !== undefined) {
+                visibleOrder.push(el.dataset.author);
+                if (currentSection !== undefined) sectionOf.set(el.dataset.author, currentSection);
+            }
+        });
+
+        // Only a manual view's DOM order is the manual order. Authors hidden
+        // by the tag filter keep their slots; the visible ones are permuted
+        // among the remaining positions. Pinned and unpinned authors are
+        // permuted separately, so pinning doesn't rewrite the manual order.
+        let order = null;
+        if (view.sort === 'manual') {
+            const visible = new Set(visibleOrder);
+            const isPinned = (author) => this.listManager.isAuthorPinned(author);
+            const queues = {
+                pinned: visibleOrder.filter(isPinned),
+                unpinned: visibleOrder.filter(author => !isPinned(author))
+            };
+            order = this.listManager.getOrderedAuthors()
+                .map(author => visible.has(author) ? queues[isPinned(author) ? 'pinned' : 'unpinned'].shift() : author);
+        }
+
+        let sections = null;
+        if (view.group === 'section') {
+            const current = new Map();
+            this.listManager.getAuthorSections().forEach(section => {
+                section.authors.forEach(author => current.set(author, section.id));
+            });
+            sections = new Map(Array.from(sectionOf.entries())
+                .filter(([author, sectionId]) => (current.get(author) ?? null) !== sectionId));
+        }
+
+        const changed = await this.listManager.updateAuthorLayout({ order, sections });
+        if (!changed) {
+            // Nothing to save; put the dragged box back where the view says
+            this.renderItems();
+        }
     }
 
     /**
@@ -269,6 +698,9 @@ export class UIManager {
             this.textInput.innerHTML = '';
         }
         if (this.imageInput) this.imageInput.value = '';
+        const checklistInput = document.getElementById('checklistInput');
+        if (checklistInput) checklistInput.checked = false;
+        this.formTagInput?.clear();
         const fileInputText = document.getElementById('fileInputText');
         if (fileInputText) fileInputText.textContent = 'Click to choose an image';
     }
@@ -312,7 +744,7 @@ export class UIManager {
 
         editor.addEventListener('blur', () => {
             const sanitized = Validators.sanitizeRichText(editor.innerHTML || '');
-            editor.innerHTML = sanitized;
+            editor.innerHTML = ItemLinks.resolve(sanitized, this.stateManager.get('items'));
             ensurePlaceholder();
         });
     }
@@ -366,6 +798,97 @@ export class UIManager {
         }
     }
 
+    /**
+     * Show the trash entry count on the Trash button
+     * @param {Array} trash - Trash entries
+     */
+    updateTrashButton(trash) {
+        const button = document.getElementById('trashButton');
+        if (!button) return;
+
+        const count = (trash || []).length;
+        button.textContent = count > 0 ? `Trash (${count})` : 'Trash';
+    }
+
+    /**
+     * Show the number of unchecked checklist actions on the Open Actions button
+     */
+    updateOpenActionsButton() {
+        const button = document.getElementById('openActionsButton');
+        if (!button) return;
+
+        const count = this.listManager.getOpenActions()
+            .reduce((sum, group) => sum + group.entries.length, 0);
+        button.textContent = count > 0 ? `Open Actions (${count})` : 'Open Actions';
+    }
+
+    /**
+     * Show how many items are due for review today
+     */
+    updateReviewCounter() {
+        const button = document.getElementById('reviewDueButton');
+        if (!button) return;
+
+        const hasItems = (this.stateManager.get('items') || []).length > 0;
+        button.style.display = hasItems ? '' : 'none';
+        if (!hasItems) return;
+
+        const due = this.listManager.getDueCount();
+        const count = document.getElementById('reviewDueCount');
+        if (count) count.textContent = due;
+        button.classList.toggle('has-due', due > 0);
+        button.title = due > 0 ? `${due} item${due === 1 ? '' : 's'} to review today` : 'Nothing to review today';
+    }
+
+    /**
+     * Render the resurfacing panel above the list: today's quote (or the
+     * item shuffled to) and items captured on this date in earlier years
+     */
+    renderResurfacing() {
+        const panel = document.getElementById('resurfacingPanel');
+        if (!panel || !this.resurfacingManager) return;
+
+        const resurfacing = this.resurfacingManager;
+        const item = resurfacing.isDismissed() ? null : resurfacing.getCurrentItem();
+        if (!item) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            return;
+        }
+
+        const items = this.stateManager.get('items');
+        const onThisDay = resurfacing.getOnThisDay().filter(entry => entry.item.id !== item.id);
+        resurfacing.markSeen(onThisDay.map(entry => entry.item.id));
+        const hasMoreByAuthor = items.some(i => i.author === item.author && i.id !== item.id);
+
+        panel.innerHTML = `
+            <div class="resurfacing-header">
+                <span class="resurfacing-label">${resurfacing.isShowingDaily() ? '✨ Quote of the day' : '🔀 Resurfaced'}</span>
+                <button type="button" class="resurfacing-dismiss" data-action="dismiss-resurfacing" title="Hide until tomorrow" aria-label="Hide until tomorrow">×</button>
+            </div>
+            <div class="resurfacing-item" data-action="open-resurfaced-item" data-item-id="${item.id}" title="Open">
+                <div class="resurfacing-text">${ItemLinks.resolve(Validators.sanitizeRichText(item.text || ''), items) || `<em>${this.escapeHtml(item.title || 'Untitled')}</em>`}</div>
+                <div class="resurfacing-meta">— ${this.escapeHtml(item.author)}, <span class="resurfacing-title">${this.escapeHtml(item.title || 'Untitled')}</span></div>
+            </div>
+            <div class="resurfacing-actions">
+                <button type="button" class="btn-secondary" data-action="shuffle-resurfacing">🔀 Shuffle</button>
+                ${hasMoreByAuthor ? `<button type="button" class="btn-secondary" data-action="resurface-from-author">Another from ${this.escapeHtml(item.author)}</button>` : ''}
+            </div>
+            ${onThisDay.length > 0 ? `
+                <div class="resurfacing-on-this-day">
+                    <span class="resurfacing-label">📅 On this day</span>
+                    ${onThisDay.map(({ item: past, yearsAgo }) => `
+                        <button type="button" class="resurfacing-past-item" data-action="open-resurfaced-item" data-item-id="${past.id}">
+                            <span class="resurfacing-past-title">${this.escapeHtml(past.title || 'Untitled')}</span>
+                            <span class="resurfacing-past-meta">${this.escapeHtml(past.author)} · ${yearsAgo} year${yearsAgo === 1 ? '' : 's'} ago</span>
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+        panel.style.display = '';
+    }
+
     /**
      * Save current titles to state
      */
@@ -384,11 +907,10 @@ export class UIManager {
     }
 
     /**
-     * Show undo notification
-     * @param {string} action - Action that was undone
-     * @param {Object} data - Action data
+     * Show undo/redo notification
+     * @param {string} message - Description of what was undone or redone
      */
-    showUndoNotification(action, data) {
+    showUndoNotification(message) {
         const notification = document.createElement('div');
         notification.style.cssText = `
             position: fixed;
@@ -405,19 +927,7 @@ export class UIManager {
             animation: slideInRight 0.3s ease-out;
         `;
 
-        let message = '';
-        switch(action) {
-            case 'deleteItem':
-                message = `Restored: "${data.title || 'Untitled'}"`;
-                break;
-            case 'deleteAuthor':
-                message = `Restored author: "${data.author}" (${data.itemCount} items)`;
-                break;
-            default:
-                message = 'Action undone';
-        }
-
-        notification.textContent = message;
+        notification.textContent = message || 'Action undone';
         document.body.appendChild(notification);
 
         setTimeout(() => {
@@ -110,6 +110,7 @@ function makeEditable(element) {
     if (element.classList.contains('editing')) return;
 
     const originalText = element.textContent;
+    const originalTitle = element.dataset.itemId ? null : window.app?.stateManager?.get('titles')?.[element.id];
     element.classList.add('editing');
     element.contentEditable = true;
     element.focus();
@@ -133,37 +134,16 @@ function makeEditable(element) {
             
             // Update the item title through the app's list manager
             if (window.app && window.app.listManager) {
-                const state = window.app.stateManager.getState();
-                const updatedItems = state.items.map(item => 
-                    item.id === itemId ? { ...item, title: newTitle } : item
-                );
-                window.app.stateManager.setState({ items: updatedItems });
-                window.app.listManager.save();
-                console.log('✏️  Updated item title:', itemId, newTitle);
+                window.app.listManager.updateItemTitle(itemId, newTitle);
             }
         } else {
-            // Save page titles to state and storage
-            if (window.app && window.app.stateManager && window.app.listManager) {
-                const elementId = element.id;
-                const newText = isFinal ? text.trim() : text;
-                const state = window.app.stateManager.getState();
-                const titles = { ...state.titles };
-                
-                let changed = false;
-                if (elementId === 'mainTitle' && titles.mainTitle !== newText) { 
-                    titles.mainTitle = newText; changed = true; 
-                }
-                else if (elementId === 'subtitle' && titles.subtitle !== newText) { 
-                    titles.subtitle = newText; changed = true; 
-                }
-                else if (elementId === 'listTitle' && titles.listTitle !== newText) { 
-                    titles.listTitle = newText; changed = true; 
-                }
-                
-                if (changed) {
-                    window.app.stateManager.setState({ titles });
-                    window.app.listManager.save();
-                    console.log('✏️  Updated page title:', elementId, newText);
+            // Page titles auto-save while typing; the final save makes the
+            // whole edit one undo step
+            if (window.app && window.app.listManager) {
+                if (isFinal) {
+                    window.app.listManager.updatePageTitle(element.id, text.trim(), originalTitle);
+                } else {
+                    window.app.listManager.savePageTitleDraft(element.id, text);
                 }
             }
         }
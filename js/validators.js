@@ -56,6 +56,51 @@ export class Validators {
         return { valid: true };
     }
 
+    /**
+     * Canonical form of an entered author name: NFC Unicode, single spaces,
+     * no leading/trailing whitespace. Case is kept as typed.
+     * @param {string} author
+     * @returns {string}
+     */
+    static normalizeAuthor(author) {
+        return String(author || '')
+            .normalize('NFC')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Normalize a user-entered link to an absolute http(s) URL.
+     * Bare domains get https://; any other scheme (javascript:, data:, …) is rejected.
+     * @param {string} url
+     * @returns {string|null} Safe URL, or null
+     */
+    static sanitizeUrl(url) {
+        let value = String(url || '').trim();
+        if (!value) return null;
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+            value = `https://${value.replace(/^\/+/, '')}`;
+        }
+
+        try {
+            const parsed = new URL(value);
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+            if (!parsed.hostname.includes('.') && parsed.hostname !== 'localhost') return null;
+            return parsed.href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Colors end up in inline styles, so only #rrggbb hex values are allowed.
+     * @param {string} color
+     * @returns {string|null} The color, or null
+     */
+    static sanitizeColor(color) {
+        return /^#[0-9a-f]{6}$/i.test(color || '') ? color : null;
+    }
+
     /**
      * Validate image file
      * @param {File} file - Image file to validate
@@ -162,6 +207,13 @@ export class Validators {
             const element = walker.currentNode;
             const tagName = element.tagName.toUpperCase();
 
+            if (tagName === 'A') {
+                if (!this.sanitizeLinkElement(element)) {
+                    nodesToRemove.push(element);
+                }
+                continue;
+            }
+
             if (!allowedTags.has(tagName)) {
                 if (tagName === 'DIV') {
                     const paragraph = document.createElement('p');
@@ -206,7 +258,123 @@ export class Validators {
             sanitized = sanitized.replace(/\r?\n/g, '<br>').trim();
         }
 
-        return this.applyInlineMarkdown(sanitized);
+        return this.applyInlineMarkdown(this.autoLinkUrls(sanitized));
+    }
+
+    /**
+     * Keep a link only if it points at an item (<a data-item-id="123">) or
+     * at a safe http(s)/mailto address. Every other attribute is dropped;
+     * web links always open in a new tab without access to this page.
+     * @param {HTMLElement} element - An <a> element
+     * @returns {boolean} Whether the link was kept
+     */
+    static sanitizeLinkElement(element) {
+        const itemId = element.getAttribute('data-item-id') || '';
+        // Relative hrefs would point into this app rather than where the
+        // text was copied from, so only absolute http(s)/mailto links stay
+        const rawHref = element.getAttribute('href') || '';
+        const href = /^\s*(https?|mailto):/i.test(rawHref) ? this.sanitizeLinkHref(rawHref) : null;
+        Array.from(element.attributes).forEach(attr => element.removeAttribute(attr.name));
+
+        if (/^\d{1,20}$/.test(itemId)) {
+            element.setAttribute('data-item-id', itemId);
+            return true;
+        }
+        if (!href) return false;
+
+        element.setAttribute('href', href);
+        element.setAttribute('rel', 'noopener noreferrer');
+        element.setAttribute('target', '_blank');
+        return true;
+    }
+
+    /**
+     * Normalize a hyperlink target for item text
+     * @param {string} href
+     * @returns {string|null} An http(s) or mailto URL, or null if unsafe
+     */
+    static sanitizeLinkHref(href) {
+        const value = String(href || '').trim();
+        if (!value) return null;
+
+        // A bare email address means mailto
+        if (/^[^\s@/:<>"]+@[^\s@/:<>"]+\.[^\s@/:<>"]+$/.test(value)) {
+            return `mailto:${value}`;
+        }
+        if (/^mailto:/i.test(value)) {
+            return /^mailto:[^\s@<>"]+@[^\s@<>"?]+\.[^\s@<>"?]+(\?[^\s<>"]*)?$/i.test(value) ? value : null;
+        }
+        return this.sanitizeUrl(value);
+    }
+
+    /**
+     * Turn bare URLs in text into links (not inside existing links or code)
+     * @param {string} html - Sanitized HTML
+     * @returns {string}
+     */
+    static autoLinkUrls(html) {
+        if (!html || !/https?:\/\/|www\./i.test(html)) return html;
+
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const skipParents = new Set(['A', 'CODE', 'PRE']);
+        const urlPattern = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+        const walker = document.createTreeWalker(
+            template.content,
+            NodeFilter.SHOW_TEXT,
+            {
+                acceptNode: (node) => {
+                    if (!/https?:\/\/|www\./i.test(node.nodeValue || '')) return NodeFilter.FILTER_REJECT;
+                    for (let parent = node.parentElement; parent; parent = parent.parentElement) {
+                        if (skipParents.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
+                    }
+                    return NodeFilter.FILTER_ACCEPT;
+                }
+            },
+            false
+        );
+
+        const nodes = [];
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            let linked = false;
+
+            text.replace(urlPattern, (match, offset) => {
+                // Sentence punctuation after a URL isn't part of it; keep a
+                // closing parenthesis only if the URL opened a matching one
+                let url = match.replace(/[.,;:!?'"\]]+$/, '');
+                while (url.endsWith(')') &&
+                    (url.match(/\)/g) || []).length > (url.match(/\(/g) || []).length) {
+                    url = url.slice(0, -1).replace(/[.,;:!?'"\]]+$/, '');
+                }
+                const href = this.sanitizeUrl(url);
+                if (!href) return match;
+
+                fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+                const link = document.createElement('a');
+                link.setAttribute('href', href);
+                link.setAttribute('rel', 'noopener noreferrer');
+                link.setAttribute('target', '_blank');
+                link.textContent = url;
+                fragment.appendChild(link);
+                last = offset + url.length;
+                linked = true;
+                return match;
+            });
+
+            if (!linked) return;
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.replaceWith(fragment);
+        });
+
+        return template.innerHTML;
     }
 
     /**
@@ -304,7 +472,7 @@ export class Validators {
         const template = document.createElement('template');
         template.innerHTML = html;
 
-        const disallowedParents = new Set(['CODE', 'PRE', 'SCRIPT', 'STYLE']);
+        const disallowedParents = new Set(['A', 'CODE', 'PRE', 'SCRIPT', 'STYLE']);
         const walker = document.createTreeWalker(
             template.content,
             NodeFilter.SHOW_TEXT,
@@ -392,6 +560,37 @@ export class Validators {
                     error: `Invalid item at index ${i}: missing required fields` 
                 };
             }
+            if (item.source !== undefined) {
+                const source = item.source;
+                if (!source || typeof source !== 'object' || Object.values(source).some(value => typeof value !== 'string')) {
+                    return { valid: false, error: `Invalid item at index ${i}: malformed source` };
+                }
+                if (source.url && !this.sanitizeUrl(source.url)) {
+                    return { valid: false, error: `Invalid item at index ${i}: source link must be a web address` };
+                }
+            }
+        }
+
+        if (data.tags !== undefined) {
+            if (!Array.isArray(data.tags) || data.tags.some(tag => !tag?.id || !tag.name)) {
+                return { valid: false, error: 'Invalid tags: each tag needs an id and a name' };
+            }
+            if (data.tags.some(tag => tag.color && !this.sanitizeColor(tag.color))) {
+                return { valid: false, error: 'Invalid tags: colors must be hex values like #2563EB' };
+            }
+        }
+
+        // Older exports have no author records; they're rebuilt from items on load
+        if (data.authors !== undefined) {
+            if (!Array.isArray(data.authors) || data.authors.some(author => !author?.id || !author.name)) {
+                return { valid: false, error: 'Invalid authors: each author needs an id and a name' };
+            }
+        }
+
+        if (data.collections !== undefined) {
+            if (!Array.isArray(data.collections) || data.collections.some(collection => !collection?.id || !collection.name)) {
+                return { valid: false, error: 'Invalid collections: each collection needs an id and a name' };
+            }
         }
 
         return { valid: true };